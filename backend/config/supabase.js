@@ -1,12 +0,0 @@
-const { createClient } = require('@supabase/supabase-js');
-
-const supabaseUrl = process.env.SUPABASE_URL || process.env.envSUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_KEY;
-
-if (!supabaseUrl || !supabaseKey) {
-  throw new Error('Missing Supabase environment variables (SUPABASE_URL or SUPABASE_SERVICE_KEY)');
-}
-
-const supabase = createClient(supabaseUrl, supabaseKey);
-
-module.exports = supabase;
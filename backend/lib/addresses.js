@@ -0,0 +1,151 @@
+/**
+ * Wallet Addresses
+ *
+ * Every wallet has one address, derived from its username so it can always
+ * be recomputed: the first 20 bytes of SHA-256("fw-address:" + username),
+ * encoded as Bech32 (BIP-173) with the human-readable prefix "fw" and a
+ * version number: "alice" has fw1q8e7fql9gw27d94rl06esxptd3rvdu9gjh5wgg9.
+ *
+ * The six-character Bech32 checksum catches any typo of up to four
+ * characters, so a mistyped address is rejected instead of naming a wallet
+ * that does not exist. Addresses are case-insensitive but never mixed-case;
+ * the canonical form is lower case. wallet_address() in
+ * migrations/0008_checksummed_addresses.sql computes the same value.
+ */
+
+const crypto = require('crypto');
+
+const ADDRESS_PREFIX = 'fw';
+const ADDRESS_VERSION = 0;
+const HASH_BYTES = 20;
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+// Anything shaped like an address is checked as one, never as a username
+const ADDRESS_LIKE = /^fw1[0-9a-z]{6,}$/i;
+
+class AddressError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AddressError';
+    }
+}
+
+function polymod(values) {
+    let checksum = 1;
+    for (const value of values) {
+        const top = checksum >>> 25;
+        checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+        GENERATOR.forEach((generator, i) => {
+            if ((top >>> i) & 1) checksum ^= generator;
+        });
+    }
+    return checksum;
+}
+
+function expandPrefix(prefix) {
+    const codes = [...prefix].map(char => char.charCodeAt(0));
+    return [...codes.map(code => code >>> 5), 0, ...codes.map(code => code & 31)];
+}
+
+function createChecksum(prefix, data) {
+    const mod = polymod([...expandPrefix(prefix), ...data, 0, 0, 0, 0, 0, 0]) ^ 1;
+    return [0, 1, 2, 3, 4, 5].map(i => (mod >>> (5 * (5 - i))) & 31);
+}
+
+/**
+ * Regroup bits, e.g. bytes (8) -> Bech32 characters (5)
+ */
+function convertBits(data, fromBits, toBits, pad) {
+    let acc = 0;
+    let bits = 0;
+    const result = [];
+    const maxValue = (1 << toBits) - 1;
+    for (const value of data) {
+        acc = ((acc << fromBits) | value) & ((1 << (fromBits + toBits - 1)) - 1);
+        bits += fromBits;
+        while (bits >= toBits) {
+            bits -= toBits;
+            result.push((acc >>> bits) & maxValue);
+        }
+    }
+    if (pad && bits > 0) {
+        result.push((acc << (toBits - bits)) & maxValue);
+    } else if (!pad && (bits >= fromBits || ((acc << (toBits - bits)) & maxValue))) {
+        return null;
+    }
+    return result;
+}
+
+/**
+ * The address of a username's wallet
+ */
+function deriveAddress(username) {
+    const hash = crypto.createHash('sha256').update(`fw-address:${username}`, 'utf8').digest().subarray(0, HASH_BYTES);
+    const data = [ADDRESS_VERSION, ...convertBits(hash, 8, 5, true)];
+    const checksum = createChecksum(ADDRESS_PREFIX, data);
+    return `${ADDRESS_PREFIX}1${[...data, ...checksum].map(value => CHARSET[value]).join('')}`;
+}
+
+function looksLikeAddress(value) {
+    return ADDRESS_LIKE.test(String(value ?? '').trim());
+}
+
+/**
+ * Check an address and return its canonical (lower-case) form
+ * Throws AddressError saying what is wrong with it
+ */
+function parseAddress(value) {
+    const text = String(value ?? '').trim();
+    if (text !== text.toLowerCase() && text !== text.toUpperCase()) {
+        throw new AddressError('Address cannot mix upper and lower case');
+    }
+
+    const address = text.toLowerCase();
+    const separator = address.lastIndexOf('1');
+    if (separator < 1 || address.slice(0, separator) !== ADDRESS_PREFIX) {
+        throw new AddressError(`Address must start with "${ADDRESS_PREFIX}1"`);
+    }
+
+    const data = [];
+    for (const char of address.slice(separator + 1)) {
+        const value = CHARSET.indexOf(char);
+        if (value === -1) {
+            throw new AddressError(`Address contains an invalid character "${char}"`);
+        }
+        data.push(value);
+    }
+
+    const expectedLength = 1 + Math.ceil(HASH_BYTES * 8 / 5) + 6;
+    if (data.length !== expectedLength) {
+        throw new AddressError(`Address must be ${ADDRESS_PREFIX.length + 1 + expectedLength} characters long`);
+    }
+    if (polymod([...expandPrefix(ADDRESS_PREFIX), ...data]) !== 1) {
+        throw new AddressError('Address checksum does not match - check it for typos');
+    }
+    if (data[0] !== ADDRESS_VERSION || !convertBits(data.slice(1, -6), 5, 8, false)) {
+        throw new AddressError('Unsupported address version');
+    }
+    return address;
+}
+
+/**
+ * { valid: true, address } or { valid: false, error }
+ */
+function validateAddress(value) {
+    try {
+        return { valid: true, address: parseAddress(value) };
+    } catch (error) {
+        if (error instanceof AddressError) return { valid: false, error: error.message };
+        throw error;
+    }
+}
+
+module.exports = {
+    ADDRESS_PREFIX,
+    AddressError,
+    deriveAddress,
+    looksLikeAddress,
+    parseAddress,
+    validateAddress,
+};
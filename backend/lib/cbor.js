@@ -0,0 +1,119 @@
+/**
+ * Minimal CBOR decoder (RFC 8949)
+ *
+ * Covers the subset of CBOR produced by WebAuthn authenticators:
+ * attestation objects, attestation statements and COSE public keys.
+ * Maps are decoded to JavaScript Map objects because COSE keys use
+ * integer labels. Indefinite-length items are not supported.
+ */
+
+function readLength(buf, offset, info) {
+    if (info < 24) return { value: info, offset };
+    if (info === 24) return { value: buf.readUInt8(offset), offset: offset + 1 };
+    if (info === 25) return { value: buf.readUInt16BE(offset), offset: offset + 2 };
+    if (info === 26) return { value: buf.readUInt32BE(offset), offset: offset + 4 };
+    if (info === 27) {
+        const big = buf.readBigUInt64BE(offset);
+        if (big > BigInt(Number.MAX_SAFE_INTEGER)) {
+            throw new Error('CBOR integer too large');
+        }
+        return { value: Number(big), offset: offset + 8 };
+    }
+    throw new Error(`Unsupported CBOR additional info: ${info}`);
+}
+
+function decodeItem(buf, offset) {
+    if (offset >= buf.length) {
+        throw new Error('Unexpected end of CBOR data');
+    }
+
+    const initial = buf.readUInt8(offset);
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+    offset += 1;
+
+    if (major === 7) {
+        if (info === 20) return { value: false, offset };
+        if (info === 21) return { value: true, offset };
+        if (info === 22) return { value: null, offset };
+        if (info === 23) return { value: undefined, offset };
+        if (info === 25) {
+            // Half-precision float
+            const half = buf.readUInt16BE(offset);
+            const exp = (half >> 10) & 0x1f;
+            const mant = half & 0x3ff;
+            let value;
+            if (exp === 0) value = mant * 2 ** -24;
+            else if (exp === 31) value = mant ? NaN : Infinity;
+            else value = (mant + 1024) * 2 ** (exp - 25);
+            return { value: half & 0x8000 ? -value : value, offset: offset + 2 };
+        }
+        if (info === 26) return { value: buf.readFloatBE(offset), offset: offset + 4 };
+        if (info === 27) return { value: buf.readDoubleBE(offset), offset: offset + 8 };
+        throw new Error(`Unsupported CBOR simple value: ${info}`);
+    }
+
+    const length = readLength(buf, offset, info);
+    offset = length.offset;
+
+    switch (major) {
+        case 0:
+            return { value: length.value, offset };
+        case 1:
+            return { value: -1 - length.value, offset };
+        case 2:
+        case 3: {
+            const end = offset + length.value;
+            if (end > buf.length) throw new Error('Unexpected end of CBOR data');
+            const bytes = buf.subarray(offset, end);
+            return { value: major === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), offset: end };
+        }
+        case 4: {
+            const items = [];
+            for (let i = 0; i < length.value; i++) {
+                const item = decodeItem(buf, offset);
+                items.push(item.value);
+                offset = item.offset;
+            }
+            return { value: items, offset };
+        }
+        case 5: {
+            const map = new Map();
+            for (let i = 0; i < length.value; i++) {
+                const key = decodeItem(buf, offset);
+                const val = decodeItem(buf, key.offset);
+                map.set(key.value, val.value);
+                offset = val.offset;
+            }
+            return { value: map, offset };
+        }
+        case 6:
+            // Tags carry no meaning for WebAuthn structures; return the tagged item
+            return decodeItem(buf, offset);
+        default:
+            throw new Error(`Unsupported CBOR major type: ${major}`);
+    }
+}
+
+/**
+ * Decode the first CBOR item in a buffer
+ * Returns the value and the number of bytes it occupied, so callers can
+ * find data that follows it (e.g. extensions after a COSE key in authData)
+ */
+function decodeFirst(buf) {
+    const { value, offset } = decodeItem(buf, 0);
+    return { value, length: offset };
+}
+
+/**
+ * Decode a buffer that holds exactly one CBOR item
+ */
+function decode(buf) {
+    const { value, length } = decodeFirst(buf);
+    if (length !== buf.length) {
+        throw new Error('Trailing bytes after CBOR item');
+    }
+    return value;
+}
+
+module.exports = { decode, decodeFirst };
@@ -0,0 +1,144 @@
+/**
+ * WebAuthn Challenge Store
+ *
+ * Every ceremony (registration, login, adding a device, confirming a
+ * transfer) gets its own ceremony ID and challenge. Challenges expire after
+ * the WebAuthn timeout and can be consumed exactly once, so concurrent
+ * ceremonies for the same user no longer overwrite each other.
+ *
+ * Implementations share one interface:
+ *   issue({ type, username, rpId, data, challenge? }) -> record with { id, challenge, expiresAt }
+ *   consume(id, type)                     -> the record, or null if unknown/expired/wrong type
+ *
+ * CHALLENGE_STORE selects the implementation:
+ *   memory   (default) - per-process Map; fine for a single server
+ *   supabase           - `webauthn_challenges` table; required when several
+ *                        instances run behind a load balancer
+ */
+
+const crypto = require('crypto');
+
+// Matches the `timeout` sent to the browser in registration/login options
+const WEBAUTHN_TIMEOUT_MS = 60000;
+
+function newRecord({ type, username = null, rpId = null, data = {}, challenge }, ttlMs) {
+    return {
+        id: crypto.randomBytes(16).toString('base64url'),
+        // Callers may supply a challenge derived from the data being signed
+        challenge: challenge || crypto.randomBytes(32).toString('base64url'),
+        type,
+        username,
+        rpId,
+        data,
+        expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+    };
+}
+
+function isUsable(record, type) {
+    return !!record && record.type === type && new Date(record.expiresAt).getTime() > Date.now();
+}
+
+/**
+ * In-process challenge store
+ */
+function createMemoryChallengeStore({ ttlMs = WEBAUTHN_TIMEOUT_MS } = {}) {
+    const records = new Map();
+
+    function sweep() {
+        const now = Date.now();
+        for (const [id, record] of records) {
+            if (new Date(record.expiresAt).getTime() <= now) records.delete(id);
+        }
+    }
+
+    return {
+        async issue(params) {
+            sweep();
+            const record = newRecord(params, ttlMs);
+            records.set(record.id, record);
+            return record;
+        },
+
+        async consume(id, type) {
+            const record = records.get(id);
+            records.delete(id);
+            return isUsable(record, type) ? record : null;
+        },
+    };
+}
+
+/**
+ * Supabase-backed challenge store
+ * Consumption deletes the row and returns it in one statement, so two
+ * instances racing on the same ceremony ID cannot both succeed.
+ */
+function createSupabaseChallengeStore({ supabase, ttlMs = WEBAUTHN_TIMEOUT_MS }) {
+    return {
+        async issue(params) {
+            const record = newRecord(params, ttlMs);
+            const { error } = await supabase.from('webauthn_challenges').insert([
+                { ...record, createdAt: new Date().toISOString() },
+            ]);
+            if (error) throw error;
+
+            // Opportunistically clear out abandoned ceremonies
+            supabase
+                .from('webauthn_challenges')
+                .delete()
+                .lt('expiresAt', new Date().toISOString())
+                .then(({ error: sweepError }) => {
+                    if (sweepError) console.error('Error sweeping expired challenges:', sweepError);
+                });
+
+            return record;
+        },
+
+        async consume(id, type) {
+            if (typeof id !== 'string' || !id) return null;
+            const { data, error } = await supabase
+                .from('webauthn_challenges')
+                .delete()
+                .eq('id', id)
+                .select();
+            if (error) throw error;
+            const record = data && data[0];
+            return isUsable(record, type) ? record : null;
+        },
+    };
+}
+
+/**
+ * Build the challenge store selected by CHALLENGE_STORE
+ */
+function createChallengeStore() {
+    const backend = (process.env.CHALLENGE_STORE || 'memory').toLowerCase();
+
+    if (backend === 'supabase') {
+        const { supabase } = require('../supabase');
+        if (!supabase) throw new Error('CHALLENGE_STORE=supabase requires SUPABASE_URL and SUPABASE_KEY');
+        console.log('🔑 Using Supabase challenge store');
+        return createSupabaseChallengeStore({ supabase });
+    }
+    if (backend !== 'memory') {
+        console.warn(`⚠️  Unknown CHALLENGE_STORE "${backend}", using in-memory store`);
+    }
+    return createMemoryChallengeStore();
+}
+
+let sharedStore = null;
+
+/**
+ * The process-wide challenge store (created on first use)
+ */
+function getChallengeStore() {
+    if (!sharedStore) sharedStore = createChallengeStore();
+    return sharedStore;
+}
+
+module.exports = {
+    WEBAUTHN_TIMEOUT_MS,
+    createMemoryChallengeStore,
+    createSupabaseChallengeStore,
+    createChallengeStore,
+    getChallengeStore,
+};
@@ -0,0 +1,120 @@
+/**
+ * Currency Conversion
+ *
+ * Converting is a two-step flow. createQuote() prices the conversion with
+ * the rate provider, applies the spread and stores the quote; it expires
+ * after CONVERSION_QUOTE_TTL_SECONDS (default 30). executeQuote() books the
+ * stored quote exactly as quoted, once, through the atomic convertFunds
+ * storage call (convert_funds in Supabase).
+ *
+ * A conversion is one transaction with two balanced pairs of ledger
+ * entries, all carrying the rate: the user's `from` currency moves to the
+ * SYSTEM_EXCHANGE_ACCOUNT, and the exchange account pays out the `to`
+ * currency. Each currency still balances on its own.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+const { RATE_SCALE, parseRate, formatRate, getRateProvider } = require('./exchangeRates');
+const { minorUnits } = require('./currencies');
+
+const SYSTEM_EXCHANGE_ACCOUNT = 'system:exchange';
+const CONVERSION_SPREAD_BPS = Number(process.env.CONVERSION_SPREAD_BPS || 50);
+const QUOTE_TTL_MS = (Number(process.env.CONVERSION_QUOTE_TTL_SECONDS) || 30) * 1000;
+
+// convertFunds failure messages that are not plain bad requests
+const STATUS_BY_MESSAGE = {
+    'Quote not found': 404,
+    'Quote already used': 409,
+    'Quote expired': 410,
+};
+
+class ConversionError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ConversionError';
+        this.statusCode = statusCode;
+    }
+}
+
+if (!Number.isInteger(CONVERSION_SPREAD_BPS) || CONVERSION_SPREAD_BPS < 0 || CONVERSION_SPREAD_BPS >= 10000) {
+    throw new Error('CONVERSION_SPREAD_BPS must be an integer from 0 to 9999');
+}
+
+/**
+ * Rate offered to the customer: the mid rate less the spread
+ */
+function applySpread(midRate, spreadBps = CONVERSION_SPREAD_BPS) {
+    return parseRate(midRate) * BigInt(10000 - spreadBps) / 10000n;
+}
+
+/**
+ * Minor units of `toCurrency` received for `amount` minor units of
+ * `fromCurrency` at a scaled rate (major units per major unit), rounded down
+ */
+function convertAmount(amount, scaledRate, fromCurrency, toCurrency) {
+    const numerator = BigInt(amount) * scaledRate * 10n ** BigInt(minorUnits(toCurrency));
+    const denominator = RATE_SCALE * 10n ** BigInt(minorUnits(fromCurrency));
+    return Number(numerator / denominator);
+}
+
+/**
+ * Price a conversion and store the quote
+ */
+async function createQuote({ username, fromCurrency, toCurrency, fromAmount }) {
+    const mid = await getRateProvider().getRate(fromCurrency, toCurrency);
+    const rate = applySpread(mid.rate);
+    const toAmount = convertAmount(fromAmount, rate, fromCurrency, toCurrency);
+    if (toAmount <= 0) {
+        throw new ConversionError(`Amount is too small to convert to ${toCurrency}`);
+    }
+
+    const now = Date.now();
+    const quote = {
+        id: crypto.randomUUID(),
+        username,
+        fromCurrency,
+        toCurrency,
+        fromAmount,
+        toAmount,
+        rate: formatRate(rate),
+        midRate: mid.rate,
+        spreadBps: CONVERSION_SPREAD_BPS,
+        rateSource: mid.source,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + QUOTE_TTL_MS).toISOString(),
+    };
+
+    const { error } = await getStorage().conversionQuotes.create(quote);
+    if (error) throw error;
+    return quote;
+}
+
+/**
+ * Execute a stored quote for its owner
+ * Returns { transactionId, quote }; throws ConversionError when the quote
+ * cannot be used or the balance is too low
+ */
+async function executeQuote({ username, quoteId }) {
+    const storage = getStorage();
+    const { data: result, error } = await storage.transactions.convertFunds({ quoteId, username });
+    if (error) throw error;
+    if (!result.success) {
+        throw new ConversionError(result.message, STATUS_BY_MESSAGE[result.message] || 400);
+    }
+
+    const { data: quote, error: quoteError } = await storage.conversionQuotes.findById(quoteId);
+    if (quoteError) throw quoteError;
+    return { transactionId: result.transaction_id, quote };
+}
+
+module.exports = {
+    SYSTEM_EXCHANGE_ACCOUNT,
+    CONVERSION_SPREAD_BPS,
+    QUOTE_TTL_MS,
+    ConversionError,
+    applySpread,
+    convertAmount,
+    createQuote,
+    executeQuote,
+};
@@ -0,0 +1,222 @@
+/**
+ * Credential Store
+ *
+ * Each user can register several WebAuthn credentials (one per device).
+ * Rows live in the `credentials` table with a nickname, transports,
+ * signature counter and created/last-used timestamps.
+ */
+
+const { getStorage } = require('../storage');
+const { verifyAuthenticationResponse, VerificationError } = require('./webauthn');
+const { recordSecurityEvent } = require('./securityEvents');
+
+const ALLOWED_TRANSPORTS = ['usb', 'nfc', 'ble', 'internal', 'hybrid', 'smart-card', 'cable'];
+const MAX_NICKNAME_LENGTH = 64;
+
+/**
+ * Keep only transports the WebAuthn spec defines
+ */
+function sanitizeTransports(transports) {
+    if (!Array.isArray(transports)) return [];
+    return [...new Set(transports.filter(t => ALLOWED_TRANSPORTS.includes(t)))];
+}
+
+/**
+ * Trim a user-supplied nickname, falling back to a default
+ */
+function sanitizeNickname(nickname, fallback) {
+    const trimmed = typeof nickname === 'string' ? nickname.trim().slice(0, MAX_NICKNAME_LENGTH) : '';
+    return trimmed || fallback;
+}
+
+/**
+ * WebAuthn user handle for a username (user.id at registration)
+ * Authenticators return it as userHandle in passkey logins
+ */
+function userHandleFor(username) {
+    return Buffer.from(username, 'utf8').toString('base64url');
+}
+
+function usernameFromUserHandle(userHandle) {
+    return Buffer.from(userHandle, 'base64url').toString('utf8');
+}
+
+/**
+ * Public view of a credential row (no key material)
+ */
+function toDevice(row) {
+    return {
+        id: row.credentialId,
+        nickname: row.nickname,
+        transports: row.transports || [],
+        suspect: !!row.suspect,
+        createdAt: row.createdAt,
+        lastUsedAt: row.lastUsedAt,
+    };
+}
+
+async function listCredentials(username) {
+    const { data, error } = await getStorage().credentials.listByUsername(username);
+    return { data: data || [], error };
+}
+
+async function getCredentialById(credentialId) {
+    return getStorage().credentials.findById(credentialId);
+}
+
+/**
+ * Store a verified credential (output of verifyRegistrationResponse)
+ */
+async function addCredential(username, verified, { nickname, transports } = {}) {
+    return getStorage().credentials.create({
+        username,
+        credentialId: verified.credentialId,
+        publicKey: verified.publicKey,
+        signCount: verified.signCount,
+        transports: sanitizeTransports(transports),
+        nickname: sanitizeNickname(nickname, 'Fingerprint device'),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+    });
+}
+
+/**
+ * Credentials that can still sign in (suspect ones are refused until cleared)
+ */
+function usableCredentials(userCredentials) {
+    return userCredentials.filter(cred => !cred.suspect);
+}
+
+async function deleteCredential(username, credentialId) {
+    const { data, error } = await getStorage().credentials.delete(username, credentialId);
+    return { deleted: (data || []).length > 0, error };
+}
+
+/**
+ * Flag a credential after a signature counter regression
+ * and record a security event the user can review in Settings
+ */
+async function flagSuspectCredential(credential, receivedSignCount) {
+    console.warn('⚠️  Signature counter regression for', credential.username);
+
+    const { error } = await getStorage().credentials.update(credential.credentialId, { suspect: true });
+    if (error) {
+        console.error('Storage error flagging credential:', error);
+    }
+
+    await recordSecurityEvent(credential.username, 'cloned_authenticator_suspected', {
+        credentialId: credential.credentialId,
+        nickname: credential.nickname,
+        storedSignCount: Number(credential.signCount) || 0,
+        receivedSignCount,
+    });
+}
+
+/**
+ * Lift the suspect flag from a credential, once the user has confirmed with
+ * another device that they still hold it
+ */
+async function clearSuspectCredential(credential) {
+    const { error } = await getStorage().credentials.update(credential.credentialId, { suspect: false });
+    if (error) return { error };
+
+    await recordSecurityEvent(credential.username, 'credential_cleared', {
+        credentialId: credential.credentialId,
+        nickname: credential.nickname,
+    });
+    return { error: null };
+}
+
+/**
+ * Resolve the user behind a passkey (usernameless) assertion
+ * The credential must exist and its owner must match the userHandle the
+ * authenticator returned. Throws VerificationError otherwise.
+ */
+async function resolveDiscoverableUser(credential) {
+    const userHandle = credential?.response?.userHandle;
+    if (!userHandle || typeof credential.id !== 'string') {
+        throw new VerificationError('Passkey login requires a discoverable credential');
+    }
+
+    const { data: stored, error } = await getCredentialById(credential.id);
+    if (error) throw error;
+    if (!stored || stored.username !== usernameFromUserHandle(userHandle)) {
+        throw new VerificationError('Unknown credential');
+    }
+    return stored.username;
+}
+
+/**
+ * Verify an assertion made with one of a user's credentials
+ *
+ * Checks the signature, then enforces the signature counter: it must
+ * strictly increase unless the authenticator doesn't implement one (it
+ * reports 0 every time). A regression flags the credential as suspect,
+ * and a suspect credential is refused until the user clears the flag or
+ * registers the device again. On success the counter and lastUsedAt are updated and the credential
+ * row is returned. Verification failures throw VerificationError.
+ */
+async function verifyUserAssertion({ username, credential, expectedChallenge, rpId, allowedOrigins }) {
+    if (!credential || typeof credential.id !== 'string') {
+        throw new VerificationError('Malformed credential');
+    }
+
+    const { data: stored, error } = await getCredentialById(credential.id);
+    if (error) throw error;
+    if (!stored || stored.username !== username) {
+        throw new VerificationError('Unknown credential');
+    }
+    const userHandle = credential.response?.userHandle;
+    if (userHandle && usernameFromUserHandle(userHandle) !== username) {
+        throw new VerificationError('userHandle does not match the credential owner');
+    }
+    if (stored.suspect) {
+        throw new VerificationError('This device is flagged as a possible clone. Clear the flag in Settings from another device, or remove it and register it again.');
+    }
+
+    const assertion = verifyAuthenticationResponse({
+        credential,
+        expectedChallenge,
+        rpId,
+        allowedOrigins,
+        publicKey: stored.publicKey,
+    });
+
+    const storedCount = Number(stored.signCount) || 0;
+    const counterUsed = assertion.signCount !== 0 || storedCount !== 0;
+    if (counterUsed && assertion.signCount <= storedCount) {
+        await flagSuspectCredential(stored, assertion.signCount);
+        throw new VerificationError('Signature counter did not increase. This authenticator may have been cloned.');
+    }
+
+    // Conditional update: if a concurrent login already advanced the
+    // counter to this value, the second use of it is a replay
+    const { data: updated, error: updateError } = await getStorage().credentials.advanceSignCount(
+        stored.credentialId,
+        {
+            signCount: assertion.signCount,
+            lastUsedAt: new Date().toISOString(),
+            requireIncrease: counterUsed,
+        }
+    );
+    if (updateError) throw updateError;
+    if (!updated || updated.length === 0) {
+        await flagSuspectCredential(stored, assertion.signCount);
+        throw new VerificationError('Signature counter did not increase. This authenticator may have been cloned.');
+    }
+
+    return { ...stored, signCount: assertion.signCount };
+}
+
+module.exports = {
+    userHandleFor,
+    toDevice,
+    listCredentials,
+    getCredentialById,
+    addCredential,
+    usableCredentials,
+    deleteCredential,
+    clearSuspectCredential,
+    resolveDiscoverableUser,
+    verifyUserAssertion,
+};
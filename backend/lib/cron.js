@@ -0,0 +1,176 @@
+/**
+ * Cron Rules
+ *
+ * Recurring schedules use standard five-field cron expressions, evaluated
+ * in UTC:
+ *
+ *   minute (0-59)  hour (0-23)  day of month (1-31)  month (1-12 or JAN-DEC)
+ *   day of week (0-7 or SUN-SAT; 0 and 7 are Sunday)
+ *
+ * Each field is `*`, a value, a range `a-b`, any of those with a step
+ * (`a-b/n`; a star with a step covers the whole range), or a
+ * comma-separated list of those. As in Vixie cron, when both day fields are
+ * restricted a day matches if either does. The macros @yearly, @monthly,
+ * @weekly, @daily and @hourly are accepted too.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] },
+];
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+};
+
+// How far ahead nextOccurrence looks before deciding a rule never fires
+const SEARCH_YEARS = 5;
+
+class CronError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CronError';
+    }
+}
+
+/**
+ * Number for a field value: digits, or a month/weekday name
+ */
+function parseValue(text, field) {
+    if (/^\d+$/.test(text)) return Number(text);
+    const index = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+    if (index === -1) {
+        throw new CronError(`Invalid ${field.name} value "${text}"`);
+    }
+    return index + field.min;
+}
+
+/**
+ * Set of values matched by one field
+ */
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const match = /^(\*|[0-9a-z]+(?:-[0-9a-z]+)?)(?:\/(\d+))?$/i.exec(part);
+        if (!match) {
+            throw new CronError(`Invalid ${field.name} field "${text}"`);
+        }
+
+        let [start, end] = [field.min, field.max];
+        if (match[1] !== '*') {
+            const [from, to] = match[1].split('-');
+            start = parseValue(from, field);
+            // A bare value with a step runs to the end of the range, like `5/15`
+            end = to !== undefined ? parseValue(to, field) : (match[2] ? field.max : start);
+        }
+
+        const step = match[2] ? Number(match[2]) : 1;
+        if (start < field.min || end > field.max || start > end || step < 1) {
+            throw new CronError(`${field.name[0].toUpperCase()}${field.name.slice(1)} field "${text}" is out of range ${field.min}-${field.max}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression; throws CronError if it is invalid
+ * Returns { expression, minutes, hours, daysOfMonth, months, daysOfWeek,
+ * dayOfMonthRestricted, dayOfWeekRestricted }
+ */
+function parseCron(expression) {
+    const text = String(expression ?? '').trim().replace(/\s+/g, ' ');
+    const fields = (MACROS[text.toLowerCase()] || text).split(' ');
+    if (fields.length !== FIELDS.length) {
+        throw new CronError('A cron rule needs five fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) => parseField(field, FIELDS[i]));
+    if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+
+    return {
+        expression: text,
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        dayOfMonthRestricted: !fields[2].startsWith('*'),
+        dayOfWeekRestricted: !fields[4].startsWith('*'),
+    };
+}
+
+function dayMatches(rule, date) {
+    const dayOfMonth = rule.daysOfMonth.has(date.getUTCDate());
+    const dayOfWeek = rule.daysOfWeek.has(date.getUTCDay());
+    if (rule.dayOfMonthRestricted && rule.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+    if (rule.dayOfMonthRestricted) return dayOfMonth;
+    if (rule.dayOfWeekRestricted) return dayOfWeek;
+    return true;
+}
+
+/**
+ * First time strictly after `after` that matches the rule (a parsed rule or
+ * an expression), at minute precision; null if it does not fire within
+ * SEARCH_YEARS (e.g. `0 0 30 2 *`)
+ */
+function nextOccurrence(rule, after = new Date()) {
+    const parsed = typeof rule === 'string' ? parseCron(rule) : rule;
+    const start = new Date(after);
+    const limit = Date.UTC(start.getUTCFullYear() + SEARCH_YEARS, start.getUTCMonth(), start.getUTCDate());
+
+    let time = new Date(Date.UTC(
+        start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate(),
+        start.getUTCHours(), start.getUTCMinutes() + 1
+    ));
+
+    while (time.getTime() <= limit) {
+        const [year, month, day, hour] = [time.getUTCFullYear(), time.getUTCMonth(), time.getUTCDate(), time.getUTCHours()];
+        if (!parsed.months.has(month + 1)) {
+            time = new Date(Date.UTC(year, month + 1, 1));
+        } else if (!dayMatches(parsed, time)) {
+            time = new Date(Date.UTC(year, month, day + 1));
+        } else if (!parsed.hours.has(hour)) {
+            time = new Date(Date.UTC(year, month, day, hour + 1));
+        } else if (!parsed.minutes.has(time.getUTCMinutes())) {
+            time = new Date(time.getTime() + 60 * 1000);
+        } else {
+            return time;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Normalized expression for a rule that fires at least once; throws
+ * CronError otherwise
+ */
+function validateCron(expression, now = new Date()) {
+    const rule = parseCron(expression);
+    if (!nextOccurrence(rule, now)) {
+        throw new CronError('This cron rule never runs');
+    }
+    return rule.expression;
+}
+
+module.exports = {
+    CronError,
+    parseCron,
+    nextOccurrence,
+    validateCron,
+};
@@ -0,0 +1,98 @@
+/**
+ * Currencies
+ *
+ * The ISO 4217 currencies a wallet can hold, with the number of minor units
+ * (digits after the decimal point) each one uses. Amounts are rounded and
+ * formatted to exactly that many places: 2 for USD, 0 for JPY, 3 for KWD.
+ * The frontend reads this table from GET /api/currencies so both sides agree.
+ */
+
+const DEFAULT_CURRENCY = 'USD';
+
+// code -> { name, minorUnits } (ISO 4217 list, active currencies)
+const CURRENCIES = {
+    AED: { name: 'UAE Dirham', minorUnits: 2 },
+    ARS: { name: 'Argentine Peso', minorUnits: 2 },
+    AUD: { name: 'Australian Dollar', minorUnits: 2 },
+    BDT: { name: 'Bangladeshi Taka', minorUnits: 2 },
+    BHD: { name: 'Bahraini Dinar', minorUnits: 3 },
+    BRL: { name: 'Brazilian Real', minorUnits: 2 },
+    CAD: { name: 'Canadian Dollar', minorUnits: 2 },
+    CHF: { name: 'Swiss Franc', minorUnits: 2 },
+    CLP: { name: 'Chilean Peso', minorUnits: 0 },
+    CNY: { name: 'Chinese Yuan', minorUnits: 2 },
+    CZK: { name: 'Czech Koruna', minorUnits: 2 },
+    DKK: { name: 'Danish Krone', minorUnits: 2 },
+    EGP: { name: 'Egyptian Pound', minorUnits: 2 },
+    EUR: { name: 'Euro', minorUnits: 2 },
+    GBP: { name: 'Pound Sterling', minorUnits: 2 },
+    HKD: { name: 'Hong Kong Dollar', minorUnits: 2 },
+    HUF: { name: 'Hungarian Forint', minorUnits: 2 },
+    IDR: { name: 'Indonesian Rupiah', minorUnits: 2 },
+    ILS: { name: 'Israeli New Shekel', minorUnits: 2 },
+    INR: { name: 'Indian Rupee', minorUnits: 2 },
+    IQD: { name: 'Iraqi Dinar', minorUnits: 3 },
+    ISK: { name: 'Icelandic Króna', minorUnits: 0 },
+    JOD: { name: 'Jordanian Dinar', minorUnits: 3 },
+    JPY: { name: 'Japanese Yen', minorUnits: 0 },
+    KES: { name: 'Kenyan Shilling', minorUnits: 2 },
+    KRW: { name: 'South Korean Won', minorUnits: 0 },
+    KWD: { name: 'Kuwaiti Dinar', minorUnits: 3 },
+    LYD: { name: 'Libyan Dinar', minorUnits: 3 },
+    MXN: { name: 'Mexican Peso', minorUnits: 2 },
+    MYR: { name: 'Malaysian Ringgit', minorUnits: 2 },
+    NGN: { name: 'Nigerian Naira', minorUnits: 2 },
+    NOK: { name: 'Norwegian Krone', minorUnits: 2 },
+    NZD: { name: 'New Zealand Dollar', minorUnits: 2 },
+    OMR: { name: 'Omani Rial', minorUnits: 3 },
+    PHP: { name: 'Philippine Peso', minorUnits: 2 },
+    PKR: { name: 'Pakistani Rupee', minorUnits: 2 },
+    PLN: { name: 'Polish Złoty', minorUnits: 2 },
+    QAR: { name: 'Qatari Riyal', minorUnits: 2 },
+    SAR: { name: 'Saudi Riyal', minorUnits: 2 },
+    SEK: { name: 'Swedish Krona', minorUnits: 2 },
+    SGD: { name: 'Singapore Dollar', minorUnits: 2 },
+    THB: { name: 'Thai Baht', minorUnits: 2 },
+    TND: { name: 'Tunisian Dinar', minorUnits: 3 },
+    TRY: { name: 'Turkish Lira', minorUnits: 2 },
+    TWD: { name: 'New Taiwan Dollar', minorUnits: 2 },
+    UGX: { name: 'Ugandan Shilling', minorUnits: 0 },
+    USD: { name: 'US Dollar', minorUnits: 2 },
+    VND: { name: 'Vietnamese Đồng', minorUnits: 0 },
+    XAF: { name: 'Central African CFA Franc', minorUnits: 0 },
+    XOF: { name: 'West African CFA Franc', minorUnits: 0 },
+    ZAR: { name: 'South African Rand', minorUnits: 2 },
+};
+
+/**
+ * Upper-case ISO code if the currency is supported, otherwise null
+ */
+function normalizeCurrency(code) {
+    if (typeof code !== 'string') return null;
+    const upper = code.trim().toUpperCase();
+    return Object.prototype.hasOwnProperty.call(CURRENCIES, upper) ? upper : null;
+}
+
+/**
+ * Number of minor units of a supported currency
+ */
+function minorUnits(code) {
+    const currency = CURRENCIES[normalizeCurrency(code)];
+    if (!currency) throw new Error(`Unsupported currency "${code}"`);
+    return currency.minorUnits;
+}
+
+/**
+ * All supported currencies as [{ code, name, minorUnits }]
+ */
+function listCurrencies() {
+    return Object.entries(CURRENCIES).map(([code, currency]) => ({ code, ...currency }));
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    CURRENCIES,
+    normalizeCurrency,
+    minorUnits,
+    listCurrencies,
+};
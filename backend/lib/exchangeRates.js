@@ -0,0 +1,116 @@
+/**
+ * Exchange Rate Providers
+ *
+ * Conversions price currencies through a rate provider. Implementations
+ * share one interface:
+ *   getRate(base, quote) -> { rate, source, asOf }
+ *       rate is a decimal string: units of `quote` per unit of `base`
+ *       (mid-market; the spread is applied by lib/conversion.js). Throws
+ *       RateUnavailableError when the pair cannot be priced.
+ *
+ * RATE_PROVIDER selects the implementation:
+ *   fixture (default) - rates against one base currency read from a JSON
+ *                       file (RATE_FIXTURE_FILE, default
+ *                       backend/data/exchange-rates.json); works offline
+ *
+ * Rates are handled as BigInt scaled by 10^RATE_DECIMALS so cross rates
+ * and conversions never go through floating point.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RATE_DECIMALS = 12;
+const RATE_SCALE = 10n ** BigInt(RATE_DECIMALS);
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, '../data/exchange-rates.json');
+
+class RateUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RateUnavailableError';
+    }
+}
+
+/**
+ * Decimal rate string -> BigInt scaled by RATE_SCALE
+ * Digits beyond RATE_DECIMALS are truncated
+ */
+function parseRate(value) {
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(String(value).trim());
+    if (!match) throw new Error(`Invalid rate "${value}"`);
+    const fraction = (match[2] || '').slice(0, RATE_DECIMALS).padEnd(RATE_DECIMALS, '0');
+    return BigInt(match[1]) * RATE_SCALE + BigInt(fraction);
+}
+
+/**
+ * BigInt scaled by RATE_SCALE -> decimal rate string without trailing zeros
+ */
+function formatRate(scaled) {
+    const whole = scaled / RATE_SCALE;
+    const fraction = (scaled % RATE_SCALE).toString().padStart(RATE_DECIMALS, '0').replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+/**
+ * Provider over a table of rates against one base currency
+ * { base, asOf, source?, rates: { CODE: "units per base" } }
+ * Any pair of listed currencies is priced through the base.
+ */
+function createFixtureRateProvider({ file = DEFAULT_FIXTURE_FILE } = {}) {
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const rates = new Map();
+    for (const [code, rate] of Object.entries(fixture.rates || {})) {
+        const scaled = parseRate(rate);
+        if (scaled <= 0n) throw new Error(`Rate for ${code} in ${file} must be positive`);
+        rates.set(code, scaled);
+    }
+    const source = fixture.source || `fixture:${path.basename(file)}`;
+
+    return {
+        async getRate(base, quote) {
+            if (!rates.has(base) || !rates.has(quote)) {
+                throw new RateUnavailableError(`No exchange rate for ${base}/${quote}`);
+            }
+            // quote per base = (quote per fixture base) / (base per fixture base)
+            const scaled = rates.get(quote) * RATE_SCALE / rates.get(base);
+            return { rate: formatRate(scaled), source, asOf: fixture.asOf || null };
+        },
+    };
+}
+
+/**
+ * Build the rate provider selected by RATE_PROVIDER
+ */
+function createRateProvider() {
+    const provider = (process.env.RATE_PROVIDER || 'fixture').toLowerCase();
+
+    if (provider === 'fixture') {
+        const file = process.env.RATE_FIXTURE_FILE
+            ? path.resolve(process.env.RATE_FIXTURE_FILE)
+            : DEFAULT_FIXTURE_FILE;
+        console.log(`💱 Using exchange rates from ${file}`);
+        return createFixtureRateProvider({ file });
+    }
+    throw new Error(`Unknown RATE_PROVIDER "${provider}" (expected "fixture")`);
+}
+
+let sharedProvider = null;
+
+/**
+ * The process-wide rate provider (created on first use)
+ */
+function getRateProvider() {
+    if (!sharedProvider) sharedProvider = createRateProvider();
+    return sharedProvider;
+}
+
+module.exports = {
+    RATE_DECIMALS,
+    RATE_SCALE,
+    RateUnavailableError,
+    parseRate,
+    formatRate,
+    createFixtureRateProvider,
+    createRateProvider,
+    getRateProvider,
+};
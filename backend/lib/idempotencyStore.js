@@ -0,0 +1,167 @@
+/**
+ * Idempotency Key Store
+ *
+ * Remembers the outcome of requests sent with an `Idempotency-Key` header so
+ * a retried transfer returns the original result instead of moving funds a
+ * second time. Keys are scoped to the user and expire after
+ * IDEMPOTENCY_KEY_TTL_HOURS (default 24).
+ *
+ * Implementations share one interface:
+ *   begin({ username, key, fingerprint }) -> { record, created }
+ *       created = true if this call claimed the key, otherwise the
+ *       existing (unexpired) record is returned
+ *   complete(record, { statusCode, body }) -> stores the response
+ *   release(record)                       -> forgets the key so it can be retried
+ *
+ * IDEMPOTENCY_STORE selects the implementation:
+ *   memory   (default) - per-process Map; fine for a single server
+ *   supabase           - `idempotency_keys` table; required when several
+ *                        instances run behind a load balancer
+ */
+
+const IDEMPOTENCY_TTL_MS = (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+function newRecord({ username, key, fingerprint }, ttlMs) {
+    const now = Date.now();
+    return {
+        username,
+        key,
+        fingerprint,
+        status: 'in_progress',
+        statusCode: null,
+        body: null,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString(),
+    };
+}
+
+function isExpired(record) {
+    return new Date(record.expiresAt).getTime() <= Date.now();
+}
+
+/**
+ * In-process idempotency store
+ */
+function createMemoryIdempotencyStore({ ttlMs = IDEMPOTENCY_TTL_MS } = {}) {
+    const records = new Map();
+    const mapKey = (username, key) => `${username}\u0000${key}`;
+
+    function sweep() {
+        for (const [id, record] of records) {
+            if (isExpired(record)) records.delete(id);
+        }
+    }
+
+    return {
+        async begin(params) {
+            sweep();
+            const id = mapKey(params.username, params.key);
+            const existing = records.get(id);
+            if (existing) return { record: existing, created: false };
+
+            const record = newRecord(params, ttlMs);
+            records.set(id, record);
+            return { record, created: true };
+        },
+
+        async complete(record, { statusCode, body }) {
+            Object.assign(record, { status: 'completed', statusCode, body });
+        },
+
+        async release(record) {
+            records.delete(mapKey(record.username, record.key));
+        },
+    };
+}
+
+/**
+ * Supabase-backed idempotency store
+ * The unique (username, key) constraint decides which of two concurrent
+ * requests claims a key; the other sees the existing row.
+ */
+function createSupabaseIdempotencyStore({ supabase, ttlMs = IDEMPOTENCY_TTL_MS }) {
+    async function findRecord(username, key) {
+        const { data, error } = await supabase
+            .from('idempotency_keys')
+            .select('*')
+            .eq('username', username)
+            .eq('key', key)
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async function deleteRecord(username, key) {
+        const { error } = await supabase
+            .from('idempotency_keys')
+            .delete()
+            .eq('username', username)
+            .eq('key', key);
+        if (error) throw error;
+    }
+
+    async function claim(params) {
+        const record = newRecord(params, ttlMs);
+        const { error } = await supabase.from('idempotency_keys').insert([record]);
+        if (!error) return { record, created: true };
+        if (error.code !== '23505') throw error; // anything but a unique violation
+
+        const existing = await findRecord(params.username, params.key);
+        return existing ? { record: existing, created: false } : null;
+    }
+
+    return {
+        async begin(params) {
+            let result = await claim(params);
+            if (result && !result.created && isExpired(result.record)) {
+                // An expired key may be reused
+                await deleteRecord(params.username, params.key);
+                result = await claim(params);
+            }
+            if (!result) {
+                // The conflicting row was released between insert and select
+                result = await claim(params);
+            }
+            if (!result) throw new Error('Could not claim idempotency key');
+            return result;
+        },
+
+        async complete(record, { statusCode, body }) {
+            const { error } = await supabase
+                .from('idempotency_keys')
+                .update({ status: 'completed', statusCode, body })
+                .eq('username', record.username)
+                .eq('key', record.key);
+            if (error) throw error;
+        },
+
+        async release(record) {
+            await deleteRecord(record.username, record.key);
+        },
+    };
+}
+
+/**
+ * Build the idempotency store selected by IDEMPOTENCY_STORE
+ */
+function createIdempotencyStore() {
+    const backend = (process.env.IDEMPOTENCY_STORE || 'memory').toLowerCase();
+
+    if (backend === 'supabase') {
+        const { supabase } = require('../supabase');
+        if (!supabase) throw new Error('IDEMPOTENCY_STORE=supabase requires SUPABASE_URL and SUPABASE_KEY');
+        console.log('🔁 Using Supabase idempotency store');
+        return createSupabaseIdempotencyStore({ supabase });
+    }
+    if (backend !== 'memory') {
+        console.warn(`⚠️  Unknown IDEMPOTENCY_STORE "${backend}", using in-memory store`);
+    }
+    return createMemoryIdempotencyStore();
+}
+
+module.exports = {
+    IDEMPOTENCY_TTL_MS,
+    createMemoryIdempotencyStore,
+    createSupabaseIdempotencyStore,
+    createIdempotencyStore,
+};
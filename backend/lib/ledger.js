@@ -0,0 +1,140 @@
+/**
+ * Double-Entry Ledger
+ *
+ * Every movement of money is a row in `transactions` plus balanced rows in
+ * `ledger_entries`: a debit on the account the money leaves and a credit on
+ * the account it reaches, always for the same positive amount. Money enters
+ * the system from the SYSTEM_ISSUANCE_ACCOUNT (e.g. the starting balance of
+ * a new wallet), so across all accounts the entries always sum to zero.
+ * Entries carry a currency and only ever balance within that currency.
+ *
+ * `wallet_balances` keeps one snapshot per wallet and currency that the
+ * database functions update in the same transaction as the entries.
+ * reconcile() recomputes balances from the entries and reports every wallet
+ * balance whose snapshot disagrees.
+ */
+
+const { getStorage } = require('../storage');
+const { DEFAULT_CURRENCY } = require('./currencies');
+const { parseDecimal } = require('./money');
+
+const SYSTEM_ISSUANCE_ACCOUNT = 'system:issuance';
+const STARTING_BALANCE = parseDecimal('10000', DEFAULT_CURRENCY);  // minor units
+
+/**
+ * Credit a wallet with newly issued funds (transaction + balanced entries)
+ */
+async function issueFunds(username, amount, currency = DEFAULT_CURRENCY, memo = 'Opening balance') {
+    const { data: result, error } = await getStorage().transactions.issueFunds({
+        receiver: username,
+        amount,
+        currency,
+        memo,
+    });
+    if (error) return { data: null, error };
+    if (!result.success) return { data: null, error: new Error(result.message) };
+    return { data: result, error: null };
+}
+
+function signedAmount(entry) {
+    const amount = BigInt(entry.amount);
+    return entry.direction === 'credit' ? amount : -amount;
+}
+
+function entryCurrency(entry) {
+    return entry.currency || DEFAULT_CURRENCY;
+}
+
+/**
+ * Balance of every account according to the entries
+ * Returns Map(account -> Map(currency -> balance)). Credits add, debits
+ * subtract. Amounts are compared as BigInt so large ledgers cannot lose
+ * precision.
+ */
+function balancesFromEntries(entries) {
+    const balances = new Map();
+    for (const entry of entries) {
+        if (!balances.has(entry.account)) balances.set(entry.account, new Map());
+        const accountBalances = balances.get(entry.account);
+        const currency = entryCurrency(entry);
+        accountBalances.set(currency, (accountBalances.get(currency) || 0n) + signedAmount(entry));
+    }
+    return balances;
+}
+
+/**
+ * Transactions whose debits and credits do not cancel out in some currency
+ */
+function unbalancedTransactions(entries) {
+    const totals = new Map();
+    for (const entry of entries) {
+        const key = `${entry.transactionId}\u0000${entryCurrency(entry)}`;
+        const total = totals.get(key) || { transactionId: entry.transactionId, currency: entryCurrency(entry), total: 0n };
+        total.total += signedAmount(entry);
+        totals.set(key, total);
+    }
+    return [...totals.values()]
+        .filter(({ total }) => total !== 0n)
+        .map(({ transactionId, currency, total }) => ({ transactionId, currency, difference: total.toString() }));
+}
+
+/**
+ * Compare wallet balance snapshots with the ledger
+ * Wallets carry balances: [{ currency, balance }]. Returns
+ * { mismatches, unbalanced, invalidEntries }; all empty means the books agree
+ */
+function reconcile(wallets, entries) {
+    const invalidEntries = entries
+        .filter(entry => !['debit', 'credit'].includes(entry.direction) || !(Number(entry.amount) > 0))
+        .map(entry => entry.id);
+
+    const balances = balancesFromEntries(entries);
+    const mismatches = [];
+    for (const wallet of wallets) {
+        const snapshot = new Map((wallet.balances || []).map(row => [row.currency, BigInt(row.balance || 0)]));
+        const ledgerBalances = balances.get(wallet.username) || new Map();
+        const currencies = new Set([...snapshot.keys(), ...ledgerBalances.keys()]);
+
+        for (const currency of [...currencies].sort()) {
+            const stored = snapshot.get(currency) || 0n;
+            const ledger = ledgerBalances.get(currency) || 0n;
+            if (stored !== ledger) {
+                mismatches.push({
+                    username: wallet.username,
+                    currency,
+                    storedBalance: stored.toString(),
+                    ledgerBalance: ledger.toString(),
+                    difference: (stored - ledger).toString(),
+                });
+            }
+        }
+    }
+
+    return { mismatches, unbalanced: unbalancedTransactions(entries), invalidEntries };
+}
+
+/**
+ * Load wallets and entries from storage and reconcile them
+ */
+async function reconcileLedger() {
+    const storage = getStorage();
+    const [walletsResult, entriesResult] = await Promise.all([
+        storage.wallets.list(),
+        storage.ledger.listEntries(),
+    ]);
+    if (walletsResult.error) throw walletsResult.error;
+    if (entriesResult.error) throw entriesResult.error;
+
+    const wallets = walletsResult.data;
+    const entries = entriesResult.data;
+    return { walletCount: wallets.length, entryCount: entries.length, ...reconcile(wallets, entries) };
+}
+
+module.exports = {
+    SYSTEM_ISSUANCE_ACCOUNT,
+    STARTING_BALANCE,
+    issueFunds,
+    balancesFromEntries,
+    reconcile,
+    reconcileLedger,
+};
@@ -0,0 +1,56 @@
+/**
+ * Schema Migrations
+ *
+ * Versioned SQL files live in backend/migrations as `NNNN_description.sql`
+ * and are applied in version order by `npm run migrate`. Applied versions
+ * are recorded in the `schema_migrations` table together with a checksum,
+ * so an edited migration is detected instead of silently diverging.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+
+/**
+ * All migrations on disk, sorted by version
+ * Each entry is { version, name, file, sql, checksum }
+ */
+function listMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.sql'))
+        .map(file => {
+            const match = FILE_PATTERN.exec(file);
+            if (!match) {
+                throw new Error(`Invalid migration file name "${file}" (expected NNNN_description.sql)`);
+            }
+            const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+            return {
+                version: match[1],
+                name: match[2],
+                file,
+                sql,
+                checksum: crypto.createHash('sha256').update(sql).digest('hex'),
+            };
+        })
+        .sort((a, b) => a.version.localeCompare(b.version));
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}`);
+        }
+    }
+    return migrations;
+}
+
+/**
+ * Version of the newest migration on disk (null if there are none)
+ */
+function latestVersion(dir = MIGRATIONS_DIR) {
+    const migrations = listMigrations(dir);
+    return migrations.length ? migrations[migrations.length - 1].version : null;
+}
+
+module.exports = { MIGRATIONS_DIR, listMigrations, latestVersion };
@@ -0,0 +1,66 @@
+/**
+ * Money
+ *
+ * Every amount is an integer number of the currency's minor units (cents
+ * for USD, yen for JPY, fils for KWD) paired with its currency code: in
+ * storage, in the ledger and in the API. Nothing is ever held as a float,
+ * so 10.75 USD is always exactly 1075.
+ *
+ * parseMinorUnits() validates amounts sent to the API. parseDecimal() and
+ * formatDecimal() convert between minor units and decimal strings such as
+ * "10.75", using the ISO 4217 minor units from lib/currencies.js.
+ */
+
+const { minorUnits } = require('./currencies');
+
+const DECIMAL_PATTERN = /^(\d+)(?:\.(\d+))?$/;
+
+/**
+ * A positive amount in minor units from a request body
+ * Accepts a JSON integer or a string of digits; returns null for anything
+ * else (fractions, negatives, exponent forms, NaN, unsafe integers)
+ */
+function parseMinorUnits(value) {
+    let amount;
+    if (typeof value === 'number') {
+        amount = value;
+    } else if (typeof value === 'string' && /^\d+$/.test(value)) {
+        amount = Number(value);
+    } else {
+        return null;
+    }
+    return Number.isSafeInteger(amount) && amount > 0 ? amount : null;
+}
+
+/**
+ * Decimal string in major units -> minor units
+ * "10.75" USD -> 1075, "500" JPY -> 500. Returns null if the string is
+ * not a plain non-negative decimal or has more decimal places than the
+ * currency allows.
+ */
+function parseDecimal(text, currency) {
+    const match = DECIMAL_PATTERN.exec(String(text).trim());
+    if (!match) return null;
+
+    const digits = minorUnits(currency);
+    const fraction = match[2] || '';
+    if (fraction.length > digits) return null;
+
+    const amount = Number(match[1] + fraction.padEnd(digits, '0'));
+    return Number.isSafeInteger(amount) ? amount : null;
+}
+
+/**
+ * Minor units -> decimal string in major units
+ * 1075 USD -> "10.75", 500 JPY -> "500", -5 USD -> "-0.05"
+ */
+function formatDecimal(amount, currency) {
+    const digits = minorUnits(currency);
+    const value = BigInt(amount);
+    const sign = value < 0n ? '-' : '';
+    const text = (value < 0n ? -value : value).toString().padStart(digits + 1, '0');
+    if (digits === 0) return sign + text;
+    return `${sign}${text.slice(0, -digits)}.${text.slice(-digits)}`;
+}
+
+module.exports = { parseMinorUnits, parseDecimal, formatDecimal };
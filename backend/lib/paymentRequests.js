@@ -0,0 +1,150 @@
+/**
+ * Payment Requests
+ *
+ * A requester asks a payer for an amount in one currency, optionally with a
+ * memo and an expiry. The request stays `pending` until:
+ *   paid      - the payer approved it with a fingerprint; payRequest() runs
+ *               the transfer and marks the request paid atomically
+ *               (pay_payment_request in Supabase) and links the transaction
+ *   declined  - the payer refused it
+ *   cancelled - the requester withdrew it
+ * A pending request past its expiresAt is reported as `expired` and can no
+ * longer be paid, declined or cancelled.
+ */
+
+const { getStorage } = require('../storage');
+
+// payPaymentRequest failure messages that are not plain bad requests
+const STATUS_BY_MESSAGE = {
+    'Payment request not found': 404,
+    'Payment request is no longer pending': 409,
+    'Payment request expired': 410,
+};
+
+class PaymentRequestError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PaymentRequestError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Status as seen now: pending requests past their expiry are `expired`
+ */
+function effectiveStatus(request, now = Date.now()) {
+    if (request.status === 'pending' && request.expiresAt && new Date(request.expiresAt).getTime() <= now) {
+        return 'expired';
+    }
+    return request.status;
+}
+
+/**
+ * Public view of a request
+ */
+function requestView(request) {
+    return {
+        id: request.id,
+        requester: request.requester,
+        payer: request.payer,
+        amount: Number(request.amount),
+        currency: request.currency,
+        memo: request.memo || null,
+        status: effectiveStatus(request),
+        createdAt: request.createdAt,
+        expiresAt: request.expiresAt || null,
+        respondedAt: request.respondedAt || null,
+        transactionId: request.transactionId || null,
+    };
+}
+
+async function createRequest({ requester, payer, amount, currency, memo = null, expiresAt = null }) {
+    const { data, error } = await getStorage().paymentRequests.create({
+        requester,
+        payer,
+        amount,
+        currency,
+        memo,
+        expiresAt,
+        createdAt: new Date().toISOString(),
+    });
+    if (error) throw error;
+    return requestView(data);
+}
+
+/**
+ * Requests involving `username`, split into those to pay and those sent
+ */
+async function listRequests(username) {
+    const { data, error } = await getStorage().paymentRequests.listForUser(username, { limit: 100 });
+    if (error) throw error;
+    const requests = data.map(requestView);
+    return {
+        incoming: requests.filter(request => request.payer === username),
+        outgoing: requests.filter(request => request.requester === username),
+    };
+}
+
+/**
+ * A request `username` may act on as `role` ('payer' or 'requester') while
+ * it is still pending; throws PaymentRequestError otherwise
+ */
+async function getPendingRequest(id, username, role) {
+    const { data: request, error } = await getStorage().paymentRequests.findById(id);
+    if (error) throw error;
+    if (!request || request[role] !== username) {
+        throw new PaymentRequestError('Payment request not found', 404);
+    }
+
+    const status = effectiveStatus(request);
+    if (status === 'expired') throw new PaymentRequestError('Payment request expired', 410);
+    if (status !== 'pending') throw new PaymentRequestError('Payment request is no longer pending', 409);
+    return requestView(request);
+}
+
+/**
+ * Pay a request as its payer; returns { transactionId, request }
+ */
+async function payRequest({ id, payer }) {
+    const storage = getStorage();
+    const { data: result, error } = await storage.transactions.payPaymentRequest({ requestId: id, payer });
+    if (error) throw error;
+    if (!result.success) {
+        throw new PaymentRequestError(result.message, STATUS_BY_MESSAGE[result.message] || 400);
+    }
+
+    const { data: request, error: requestError } = await storage.paymentRequests.findById(id);
+    if (requestError) throw requestError;
+    return { transactionId: result.transaction_id, request: requestView(request) };
+}
+
+/**
+ * Decline (payer) or cancel (requester) a pending request
+ */
+async function closeRequest({ id, username, role, status }) {
+    await getPendingRequest(id, username, role);
+
+    const storage = getStorage();
+    const { data: updated, error } = await storage.paymentRequests.respond(id, {
+        status,
+        respondedAt: new Date().toISOString(),
+    });
+    if (error) throw error;
+    if (!updated || updated.length === 0) {
+        throw new PaymentRequestError('Payment request is no longer pending', 409);
+    }
+
+    const { data: request, error: requestError } = await storage.paymentRequests.findById(id);
+    if (requestError) throw requestError;
+    return requestView(request);
+}
+
+module.exports = {
+    PaymentRequestError,
+    effectiveStatus,
+    createRequest,
+    listRequests,
+    getPendingRequest,
+    payRequest,
+    closeRequest,
+};
@@ -0,0 +1,109 @@
+/**
+ * Payment URIs
+ *
+ * What the Receive page puts in its QR code, and what the Send page accepts
+ * pasted or scanned:
+ *
+ *   fwpay:<address>?amount=10.75&currency=USD&memo=Lunch&expires=1793000000
+ *
+ * Only the address is required. `amount` is a decimal in major units with
+ * at most the currency's minor units (like a BIP-21 bitcoin: URI), and
+ * `currency` defaults to DEFAULT_CURRENCY. `expires` is a Unix time in
+ * seconds after which the request should not be paid. Unknown parameters
+ * are ignored so the format can grow.
+ */
+
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('./currencies');
+const { parseDecimal, formatDecimal } = require('./money');
+const { AddressError, parseAddress } = require('./addresses');
+
+const PAYMENT_URI_SCHEME = 'fwpay';
+const MAX_MEMO_LENGTH = 140;
+
+class PaymentUriError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaymentUriError';
+    }
+}
+
+/**
+ * fwpay: URI for a wallet address and optional request details
+ * amount is in minor units of currency; expiresAt is a Date or ISO string
+ */
+function buildPaymentUri({ address, amount = null, currency = null, memo = null, expiresAt = null }) {
+    const params = new URLSearchParams();
+    if (amount != null) params.set('amount', formatDecimal(amount, currency || DEFAULT_CURRENCY));
+    if (currency) params.set('currency', currency);
+    if (memo) params.set('memo', memo);
+    if (expiresAt) params.set('expires', String(Math.floor(new Date(expiresAt).getTime() / 1000)));
+
+    const query = params.toString();
+    return `${PAYMENT_URI_SCHEME}:${address}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Decode a payment URI (or a bare wallet address)
+ * Returns { address, amount, currency, memo, expiresAt } with amount in
+ * minor units or null; throws PaymentUriError if anything is invalid or
+ * the request has expired
+ */
+function parsePaymentUri(text, now = Date.now()) {
+    const value = String(text ?? '').trim();
+    const match = new RegExp(`^(?:${PAYMENT_URI_SCHEME}:)?([^?]+)(?:\\?(.*))?$`, 'i').exec(value);
+    if (!match) {
+        throw new PaymentUriError(`Not a ${PAYMENT_URI_SCHEME}: payment link`);
+    }
+
+    let address;
+    try {
+        address = parseAddress(decodeURIComponent(match[1]));
+    } catch (error) {
+        if (error instanceof AddressError || error instanceof URIError) {
+            throw new PaymentUriError(error.message);
+        }
+        throw error;
+    }
+
+    const params = new URLSearchParams(match[2] || '');
+
+    const currency = params.has('currency') ? normalizeCurrency(params.get('currency')) : DEFAULT_CURRENCY;
+    if (!currency) {
+        throw new PaymentUriError(`Unsupported currency: ${params.get('currency')}`);
+    }
+
+    let amount = null;
+    if (params.has('amount')) {
+        amount = parseDecimal(params.get('amount'), currency);
+        if (!amount) {
+            throw new PaymentUriError(`Invalid amount "${params.get('amount')}" for ${currency}`);
+        }
+    }
+
+    const memo = params.get('memo') || null;
+    if (memo && memo.length > MAX_MEMO_LENGTH) {
+        throw new PaymentUriError(`Memo is longer than ${MAX_MEMO_LENGTH} characters`);
+    }
+
+    let expiresAt = null;
+    if (params.has('expires')) {
+        const seconds = params.get('expires');
+        if (!/^\d{1,12}$/.test(seconds)) {
+            throw new PaymentUriError('Invalid expiry time');
+        }
+        if (Number(seconds) * 1000 <= now) {
+            throw new PaymentUriError('This payment request has expired');
+        }
+        expiresAt = new Date(Number(seconds) * 1000).toISOString();
+    }
+
+    return { address, amount, currency, memo, expiresAt };
+}
+
+module.exports = {
+    PAYMENT_URI_SCHEME,
+    MAX_MEMO_LENGTH,
+    PaymentUriError,
+    buildPaymentUri,
+    parsePaymentUri,
+};
@@ -0,0 +1,99 @@
+/**
+ * Recipient Resolution
+ *
+ * The Send page accepts whatever the user has for the other person: a
+ * wallet address, a username or the alias of one of their saved contacts.
+ * resolveRecipient() turns that into the canonical wallet (username and
+ * address); transfers and fingerprint confirmations always use the
+ * resolved username.
+ *
+ * Input that looks like an address (lib/addresses.js) is only ever matched
+ * as an address, and is rejected if its checksum is wrong.
+ * Anything else is tried as the user's own contact alias first, then as a
+ * username, so a contact called "sam" wins over the user "sam".
+ */
+
+const { getStorage } = require('../storage');
+const { looksLikeAddress, validateAddress } = require('./addresses');
+
+const ALIAS_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} .'_-]{0,31}$/u;
+
+class RecipientError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'RecipientError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Validate a contact alias; returns the trimmed alias or null
+ * Aliases cannot look like addresses, or they could never be resolved
+ */
+function normalizeAlias(value) {
+    const alias = String(value ?? '').trim().replace(/\s+/g, ' ');
+    if (!ALIAS_PATTERN.test(alias) || looksLikeAddress(alias)) return null;
+    return alias;
+}
+
+/**
+ * Key aliases are unique and looked up by (case and spacing insensitive)
+ */
+function aliasKey(alias) {
+    return String(alias).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Public view of a wallet for the person sending to it
+ */
+function recipientView(wallet, matchedBy, alias = null) {
+    return { username: wallet.username, address: wallet.address, matchedBy, alias };
+}
+
+/**
+ * Resolve an address, username or contact alias for `owner`
+ * Returns { username, address, matchedBy: 'address' | 'contact' | 'username', alias };
+ * throws RecipientError when nothing matches or the match is `owner` itself
+ */
+async function resolveRecipient(owner, input) {
+    const query = String(input ?? '').trim();
+    if (!query) {
+        throw new RecipientError('Enter a wallet address, username or contact');
+    }
+
+    const storage = getStorage();
+    let recipient = null;
+
+    if (looksLikeAddress(query)) {
+        const address = validateAddress(query);
+        if (!address.valid) throw new RecipientError(address.error);
+
+        const { data: wallet, error } = await storage.wallets.findByAddress(address.address);
+        if (error) throw error;
+        if (!wallet) throw new RecipientError('No wallet has this address', 404);
+        recipient = recipientView(wallet, 'address');
+    } else {
+        const { data: contact, error: contactError } = await storage.contacts.findByAlias(owner, aliasKey(query));
+        if (contactError) throw contactError;
+
+        const username = contact ? contact.contactUsername : query;
+        const { data: wallet, error } = await storage.wallets.findByUsername(username);
+        if (error) throw error;
+        if (!wallet) throw new RecipientError('Recipient not found', 404);
+        recipient = contact
+            ? recipientView(wallet, 'contact', contact.alias)
+            : recipientView(wallet, 'username');
+    }
+
+    if (recipient.username === owner) {
+        throw new RecipientError('Cannot send money to yourself');
+    }
+    return recipient;
+}
+
+module.exports = {
+    RecipientError,
+    normalizeAlias,
+    aliasKey,
+    resolveRecipient,
+};
@@ -0,0 +1,82 @@
+/**
+ * WebAuthn Relying Party Settings
+ *
+ * Works out the RP ID and allowed origins for a request. Shared by the
+ * login/registration endpoints and the step-up ceremonies for transfers.
+ */
+
+/**
+ * Get the effective domain for WebAuthn RP ID
+ * WebAuthn requires rp.id to match the origin domain
+ */
+function getEffectiveDomain(req) {
+    // Allow override via environment variable (for production deployments)
+    if (process.env.WEBAUTHN_RP_ID) {
+        console.log('RP ID from env:', process.env.WEBAUTHN_RP_ID);
+        return process.env.WEBAUTHN_RP_ID;
+    }
+
+    const host = req.get('host') || 'localhost';
+    const origin = req.get('origin');
+    
+    console.log('🔍 WebAuthn RP ID Debug:');
+    console.log('   Host header:', host);
+    console.log('   Origin header:', origin);
+    
+    // Try to extract domain from Origin header first (most reliable)
+    if (origin) {
+        try {
+            const url = new URL(origin);
+            const domain = url.hostname;
+            
+            // For localhost, explicitly allow both HTTP and HTTPS
+            if (domain === 'localhost' || domain === '127.0.0.1') {
+                console.log('   Using localhost RP ID:', domain);
+                return domain;
+            }
+            
+            // For production domains, use hostname from origin
+            let rpId = domain;
+            if (domain.startsWith('www.')) {
+                rpId = domain.substring(4);
+            }
+            
+            console.log('   Using RP ID from Origin:', rpId);
+            return rpId;
+        } catch (err) {
+            console.log('   Could not parse Origin header:', err.message);
+        }
+    }
+    
+    // Fallback to Host header if no Origin
+    const domain = host.split(':')[0];
+    
+    // For localhost, use as-is
+    if (domain === 'localhost' || domain === '127.0.0.1') {
+        console.log('   Using localhost RP ID:', domain);
+        return domain;
+    }
+    
+    // For other domains, remove www if present
+    let rpId = domain;
+    if (domain.startsWith('www.')) {
+        rpId = domain.substring(4);
+    }
+    
+    console.log('   Using RP ID from Host:', rpId);
+    return rpId;
+}
+
+/**
+ * Origins allowed to complete WebAuthn ceremonies
+ * WEBAUTHN_ORIGIN may list several, comma-separated. When unset, any HTTPS
+ * origin on the RP ID (or http://localhost) is accepted.
+ */
+function getAllowedOrigins() {
+    return (process.env.WEBAUTHN_ORIGIN || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean);
+}
+
+module.exports = { getEffectiveDomain, getAllowedOrigins };
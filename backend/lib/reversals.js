@@ -0,0 +1,122 @@
+/**
+ * Refunds and Reversals
+ *
+ * A completed transfer between two wallets can be undone once, never by
+ * editing or deleting it: reverse_transaction books a compensating
+ * transaction from the receiver back to the sender and marks the original
+ * reversed.
+ *   refund    made by the receiver, confirmed with a fingerprint
+ *   reversal  made by an admin, with a reason (e.g. a disputed transfer)
+ * Both need the receiver to still hold the amount.
+ */
+
+const { getStorage } = require('../storage');
+const { recordSecurityEvent } = require('./securityEvents');
+const { recordTransactionAuthorization } = require('./stepUp');
+
+const MAX_REASON_LENGTH = 200;
+
+// reverse_transaction messages that are not the caller's input being wrong
+const NOT_FOUND_MESSAGES = ['Transaction not found', 'Wallet not found'];
+const CONFLICT_MESSAGES = ['Transaction was already reversed', 'Only completed transfers can be reversed'];
+
+class ReversalError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ReversalError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Details a refund confirmation is bound to; throws ReversalError unless
+ * `username` received the transaction and it can still be refunded
+ */
+async function refundDetails(transactionId, username) {
+    const { data: tx, error } = await getStorage().transactions.findById(transactionId);
+    if (error) throw error;
+    if (!tx || tx.receiver !== username) throw new ReversalError('Transaction not found', 404);
+    if (tx.type !== 'transfer' || tx.sender.startsWith('system:')) {
+        throw new ReversalError('Only transfers between wallets can be reversed');
+    }
+    if (tx.status !== 'completed') {
+        throw new ReversalError(tx.status === 'reversed' ? 'Transaction was already reversed' : 'Only completed transfers can be reversed', 409);
+    }
+    return { transactionId: tx.id, sender: tx.sender, receiver: username, amount: Number(tx.amount), currency: tx.currency };
+}
+
+/**
+ * Run reverse_transaction, turning the messages about the original
+ * transaction into ReversalErrors
+ */
+async function reverse({ transactionId, kind, actor, memo }) {
+    const { data: result, error } = await getStorage().transactions.reverse({ transactionId, kind, actor, memo });
+    if (error) throw error;
+
+    if (NOT_FOUND_MESSAGES.includes(result.message)) throw new ReversalError(result.message, 404);
+    if (CONFLICT_MESSAGES.includes(result.message)) throw new ReversalError(result.message, 409);
+    return result;
+}
+
+/**
+ * Send a received transfer back to its sender
+ * proof.details must be what refundDetails returned for it
+ */
+async function refundTransaction(transactionId, username, proof) {
+    const details = await refundDetails(transactionId, username);
+    if (proof.details.transactionId !== details.transactionId) {
+        throw new ReversalError('Confirmation was made for a different transaction');
+    }
+
+    const result = await reverse({ transactionId, kind: 'refund', actor: username, memo: `Refunded by ${username}` });
+    if (!result.success) return result;
+
+    await recordTransactionAuthorization(result.transaction_id, proof);
+    await recordSecurityEvent(details.sender, 'transfer_refunded', {
+        transactionId,
+        refundId: result.transaction_id,
+        by: username,
+        amount: details.amount,
+        currency: details.currency,
+    });
+    console.log(`Transaction ${transactionId} refunded by ${username}`);
+    return result;
+}
+
+/**
+ * Check an admin's reason for a reversal
+ */
+function parseReason(reason) {
+    if (typeof reason !== 'string' || !reason.trim()) {
+        throw new ReversalError('A reason is required to reverse a transfer');
+    }
+    if (reason.trim().length > MAX_REASON_LENGTH) {
+        throw new ReversalError(`Reason must be at most ${MAX_REASON_LENGTH} characters`);
+    }
+    return reason.trim();
+}
+
+/**
+ * Reverse a transfer as an admin; both parties get a security event
+ */
+async function reverseTransaction(transactionId, admin, reason) {
+    const memo = parseReason(reason);
+    const result = await reverse({ transactionId, kind: 'reversal', actor: admin, memo });
+    if (!result.success) return result;
+
+    const { data: tx, error } = await getStorage().transactions.findById(transactionId);
+    if (error) throw error;
+
+    const details = { transactionId, reversalId: result.transaction_id, by: admin, reason: memo, amount: Number(tx.amount), currency: tx.currency };
+    await recordSecurityEvent(tx.sender, 'transfer_reversed', details);
+    await recordSecurityEvent(tx.receiver, 'transfer_reversed', details);
+    console.log(`Transaction ${transactionId} reversed by ${admin}: ${memo}`);
+    return result;
+}
+
+module.exports = {
+    ReversalError,
+    refundDetails,
+    refundTransaction,
+    reverseTransaction,
+};
@@ -0,0 +1,414 @@
+/**
+ * Transfer Risk Scoring
+ *
+ * Each transfer sent with /api/transfer, each payment of a payment request
+ * and each scheduled transfer run is scored before any money moves.
+ * Signals are worked out from the sender's recent transfers and the device
+ * that confirmed it (for a schedule, the device that authorized it):
+ *   newRecipient        no transfer to this receiver in the history window
+ *   amountToAverage     amount / average earlier transfer in the currency
+ *                       (null with fewer than history.minTransfers of them)
+ *   recentTransfers     transfers sent in the last history.recentMinutes
+ *   credentialAgeHours  age of the confirming device (null for the device
+ *                       the account was registered with)
+ *   unusualHour         the sender has history but never sent within an
+ *                       hour (UTC) of this time of day
+ *
+ * Rules come from a JSON file (RISK_RULES_FILE, default
+ * backend/data/risk-rules.json); each one that matches adds its score, and
+ * the total picks the decision: allow, step_up (held until the sender
+ * confirms again with a fingerprint) or review (held until an admin
+ * approves it). Every assessment is stored with its reasons and signals;
+ * a held one also gets a pending transaction, which is completed when the
+ * transfer is released and failed when it is rejected or cancelled. A risky
+ * payment request payment is not held but blocked: nothing is sent and the
+ * request stays pending.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getStorage } = require('../storage');
+const { recordSecurityEvent } = require('./securityEvents');
+const { recordTransactionAuthorization } = require('./stepUp');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '../data/risk-rules.json');
+
+const SIGNALS = ['newRecipient', 'amountToAverage', 'recentTransfers', 'credentialAgeHours', 'unusualHour'];
+const OPERATORS = ['equals', 'atLeast', 'below'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class RiskError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'RiskError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Read and check a rules file
+ * { thresholds: { stepUp, review }, history: { days, minTransfers,
+ *   recentMinutes }, rules: [{ id, signal, equals | atLeast | below, score, reason }] }
+ */
+function loadRiskRules(file = DEFAULT_RULES_FILE) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const invalid = message => new Error(`Invalid risk rules in ${file}: ${message}`);
+
+    const { thresholds = {}, history = {}, rules } = config;
+    if (!(thresholds.stepUp > 0) || !(thresholds.review >= thresholds.stepUp)) {
+        throw invalid('thresholds.stepUp must be positive and thresholds.review at least as high');
+    }
+    for (const key of ['days', 'minTransfers', 'recentMinutes']) {
+        if (!Number.isInteger(history[key]) || history[key] <= 0) {
+            throw invalid(`history.${key} must be a positive whole number`);
+        }
+    }
+    if (!Array.isArray(rules)) throw invalid('rules must be a list');
+
+    const ids = new Set();
+    for (const rule of rules) {
+        if (!rule.id || ids.has(rule.id)) throw invalid('every rule needs a unique id');
+        ids.add(rule.id);
+        if (!SIGNALS.includes(rule.signal)) {
+            throw invalid(`rule ${rule.id} has unknown signal "${rule.signal}" (expected one of ${SIGNALS.join(', ')})`);
+        }
+        if (OPERATORS.filter(op => op in rule).length !== 1) {
+            throw invalid(`rule ${rule.id} needs exactly one of ${OPERATORS.join(', ')}`);
+        }
+        if (!Number.isInteger(rule.score)) throw invalid(`rule ${rule.id} needs a whole-number score`);
+        if (!rule.reason) throw invalid(`rule ${rule.id} needs a reason`);
+    }
+
+    return { thresholds, history, rules };
+}
+
+let sharedRules = null;
+
+/**
+ * The process-wide rules (read on first use)
+ */
+function getRiskRules() {
+    if (!sharedRules) {
+        const file = process.env.RISK_RULES_FILE ? path.resolve(process.env.RISK_RULES_FILE) : DEFAULT_RULES_FILE;
+        sharedRules = loadRiskRules(file);
+        console.log(`🛡️ Using risk rules from ${file}`);
+    }
+    return sharedRules;
+}
+
+/**
+ * Work out the signals for a transfer
+ * sent: the sender's transfers in the history window ({ receiver, amount,
+ * currency, createdAt }); credentials: the sender's devices, oldest first
+ */
+function computeSignals({ receiver, amount, currency, credentialId }, { sent, credentials }, history, now = new Date()) {
+    const sameCurrency = sent.filter(tx => tx.currency === currency);
+    const average = sameCurrency.reduce((sum, tx) => sum + Number(tx.amount), 0) / sameCurrency.length;
+
+    const credentialIndex = credentials.findIndex(cred => cred.credentialId === credentialId);
+    const credential = credentials[credentialIndex];
+
+    // Hours apart on a 24-hour clock, e.g. 23:30 and 00:10 are 0.67 apart
+    const hourOfDay = time => (time.getUTCHours() * 60 + time.getUTCMinutes()) / 60;
+    const hoursApart = (a, b) => {
+        const gap = Math.abs(a - b);
+        return Math.min(gap, 24 - gap);
+    };
+
+    return {
+        newRecipient: !sent.some(tx => tx.receiver === receiver),
+        amountToAverage: sameCurrency.length >= history.minTransfers && average > 0
+            ? Math.round(amount / average * 100) / 100
+            : null,
+        recentTransfers: sent.filter(tx => now - new Date(tx.createdAt) < history.recentMinutes * 60 * 1000).length,
+        credentialAgeHours: credentialIndex > 0 && credential.createdAt
+            ? Math.round((now - new Date(credential.createdAt)) / HOUR_MS * 100) / 100
+            : null,
+        unusualHour: sent.length >= history.minTransfers &&
+            sent.every(tx => hoursApart(hourOfDay(new Date(tx.createdAt)), hourOfDay(now)) > 1),
+    };
+}
+
+function ruleMatches(rule, value) {
+    if (value === null || value === undefined) return false;
+    if ('equals' in rule) return value === rule.equals;
+    if ('atLeast' in rule) return value >= rule.atLeast;
+    return value < rule.below;
+}
+
+/**
+ * Score signals against the rules
+ * Returns { score, decision, reasons: [{ rule, reason, score }] }
+ */
+function scoreSignals(signals, { thresholds, rules }) {
+    const reasons = rules
+        .filter(rule => ruleMatches(rule, signals[rule.signal]))
+        .map(rule => ({ rule: rule.id, reason: rule.reason, score: rule.score }));
+    const score = reasons.reduce((sum, reason) => sum + reason.score, 0);
+    const decision = score >= thresholds.review ? 'review' : score >= thresholds.stepUp ? 'step_up' : 'allow';
+    return { score, decision, reasons };
+}
+
+/**
+ * Public view of an assessment (without the stored authorization)
+ */
+function assessmentView(row) {
+    return {
+        id: row.id,
+        sender: row.sender,
+        receiver: row.receiver,
+        amount: Number(row.amount),
+        currency: row.currency,
+        score: row.score,
+        decision: row.decision,
+        reasons: row.reasons,
+        signals: row.signals,
+        status: row.status,
+        message: row.message || null,
+        reviewedBy: row.reviewedBy || null,
+        transactionId: row.transactionId || null,
+        createdAt: row.createdAt,
+        decidedAt: row.decidedAt || null,
+    };
+}
+
+/**
+ * Score a transfer without storing anything
+ * Returns { score, decision, reasons, signals }
+ */
+async function scoreTransfer(transfer, authorization, now = new Date()) {
+    const storage = getStorage();
+    const config = getRiskRules();
+
+    const [{ data: sent, error }, { data: credentials, error: credentialsError }] = await Promise.all([
+        storage.transactions.listSentSince(transfer.sender, new Date(now - config.history.days * 24 * HOUR_MS).toISOString()),
+        storage.credentials.listByUsername(transfer.sender),
+    ]);
+    if (error) throw error;
+    if (credentialsError) throw credentialsError;
+
+    const signals = computeSignals(
+        { ...transfer, credentialId: authorization.credentialId },
+        { sent, credentials },
+        config.history,
+        now
+    );
+    return { ...scoreSignals(signals, config), signals };
+}
+
+/**
+ * Store a scored transfer as an assessment with `status`, and record a
+ * security event for one that was held or blocked. A held transfer's
+ * pending transaction is failed if the assessment cannot be stored, since
+ * nobody could release or cancel it without one
+ */
+async function storeAssessment(transfer, authorization, { score, decision, reasons, signals }, { status, transactionId = null, now = new Date() }) {
+    const storage = getStorage();
+    const { data: row, error } = await storage.riskAssessments.create({
+        sender: transfer.sender,
+        receiver: transfer.receiver,
+        amount: transfer.amount,
+        currency: transfer.currency,
+        score,
+        decision,
+        reasons,
+        signals,
+        status,
+        authorization,
+        transactionId,
+        createdAt: now.toISOString(),
+    });
+    if (error) {
+        if (status === 'held' && transactionId) {
+            const { error: failError } = await storage.transactions.failPending(transactionId, 'Risk assessment could not be stored');
+            if (failError) console.error('Storage error failing held transfer:', failError);
+        }
+        throw error;
+    }
+
+    console.log(`Risk ${decision} (score ${score}) for ${transfer.sender} → ${transfer.receiver}, ` +
+        `${transfer.amount} ${transfer.currency}${reasons.length ? `: ${reasons.map(r => r.rule).join(', ')}` : ''}`);
+
+    if (status === 'held' || status === 'blocked') {
+        await recordSecurityEvent(transfer.sender, status === 'held' ? 'transfer_held' : 'transfer_blocked', {
+            assessmentId: row.id,
+            decision,
+            receiver: transfer.receiver,
+            amount: transfer.amount,
+            currency: transfer.currency,
+            reasons: reasons.map(r => r.reason),
+        });
+    }
+
+    return assessmentView(row);
+}
+
+/**
+ * Score a confirmed transfer and store the assessment
+ * transfer: { sender, receiver, amount, currency }; authorization: the
+ * verified step-up proof. A transfer that is not allowed is held, or with
+ * { block: true } stored as blocked and not sent at all.
+ */
+async function assessTransfer(transfer, authorization, { block = false } = {}) {
+    const now = new Date();
+    const scored = await scoreTransfer(transfer, authorization, now);
+    if (scored.decision === 'allow') {
+        return storeAssessment(transfer, authorization, scored, { status: 'allowed', now });
+    }
+    if (block) {
+        return storeAssessment(transfer, authorization, scored, { status: 'blocked', now });
+    }
+
+    // A held transfer is kept as a pending transaction until it is released
+    const { data: pending, error } = await getStorage().transactions.createPending(transfer);
+    if (error) throw error;
+    return storeAssessment(transfer, authorization, scored, { status: 'held', transactionId: pending.id, now });
+}
+
+/**
+ * Link an allowed assessment to the transaction transfer_funds booked for it
+ * Only for transfers that went through; a refused one books nothing
+ */
+async function recordAllowedOutcome(assessmentId, { message, transaction_id }) {
+    const { error } = await getStorage().riskAssessments.update(
+        assessmentId,
+        {
+            message,
+            transactionId: transaction_id,
+            decidedAt: new Date().toISOString(),
+        },
+        { status: 'allowed' }
+    );
+    if (error) {
+        console.error('Storage error recording risk outcome:', error);
+    }
+}
+
+/**
+ * The stored assessment `id`; throws RiskError (404) unless it exists, was
+ * sent by `sender` (when given) and has `decision` (when given)
+ */
+async function findAssessment(id, { sender, decision } = {}) {
+    const { data: row, error } = await getStorage().riskAssessments.findById(id);
+    if (error) throw error;
+    if (!row || (sender && row.sender !== sender) || (decision && row.decision !== decision)) {
+        throw new RiskError('Held transfer not found', 404);
+    }
+    return row;
+}
+
+/**
+ * The sender's assessments that were held, newest first
+ */
+async function listHeldTransfers(sender) {
+    const { data, error } = await getStorage().riskAssessments.listForSender(sender, { limit: 50 });
+    if (error) throw error;
+    return data.filter(row => row.decision !== 'allow').map(assessmentView);
+}
+
+/**
+ * Transfers waiting for an admin, oldest first
+ */
+async function listReviewQueue() {
+    const { data, error } = await getStorage().riskAssessments.listHeld('review', { limit: 100 });
+    if (error) throw error;
+    return data.map(assessmentView);
+}
+
+/**
+ * Details a step-up confirmation for a held transfer is bound to
+ */
+async function stepUpDetails(id, sender) {
+    const row = await findAssessment(id, { sender, decision: 'step_up' });
+    if (row.status !== 'held') throw new RiskError('Transfer is no longer held', 409);
+    return { assessmentId: row.id, sender, receiver: row.receiver, amount: Number(row.amount), currency: row.currency };
+}
+
+/**
+ * Run a held transfer through release_held_transfer and store the
+ * authorizations that cover it
+ */
+async function releaseHeldTransfer(row, { reviewer = null, stepUpProof = null } = {}) {
+    const { data: result, error } = await getStorage().transactions.releaseHeldTransfer({
+        assessmentId: row.id,
+        decision: row.decision,
+        reviewer,
+    });
+    if (error) throw error;
+
+    if (result.success) {
+        await recordTransactionAuthorization(result.transaction_id, row.authorization);
+        if (stepUpProof) await recordTransactionAuthorization(result.transaction_id, stepUpProof);
+    } else if (['Held transfer not found', 'Transfer is no longer held'].includes(result.message)) {
+        throw new RiskError(result.message, result.message === 'Held transfer not found' ? 404 : 409);
+    }
+
+    console.log(`Held transfer ${row.id} released${reviewer ? ` by ${reviewer}` : ' with a step-up'}: ${result.message}`);
+    return result;
+}
+
+/**
+ * Release a step_up hold with the sender's second confirmation
+ * proof.details must be what stepUpDetails returned for it
+ */
+async function confirmHeldTransfer(id, sender, proof) {
+    const row = await findAssessment(id, { sender, decision: 'step_up' });
+    if (proof.details.assessmentId !== row.id) {
+        throw new RiskError('Confirmation was made for a different transfer');
+    }
+    return releaseHeldTransfer(row, { stepUpProof: proof });
+}
+
+/**
+ * Approve a transfer held for review
+ */
+async function approveHeldTransfer(id, reviewer) {
+    const row = await findAssessment(id, { decision: 'review' });
+    const result = await releaseHeldTransfer(row, { reviewer });
+    await recordSecurityEvent(row.sender, 'held_transfer_approved', { assessmentId: row.id, reviewer, message: result.message });
+    return result;
+}
+
+/**
+ * Close a held transfer without sending it: rejected by a reviewer or
+ * cancelled by the sender
+ */
+async function closeHeldTransfer(id, { sender = null, reviewer = null }) {
+    const row = await findAssessment(id, reviewer ? { decision: 'review' } : { sender });
+    if (row.decision === 'allow') throw new RiskError('Held transfer not found', 404);
+
+    const fields = { status: reviewer ? 'rejected' : 'cancelled', reviewedBy: reviewer, decidedAt: new Date().toISOString() };
+    const { data: updated, error } = await getStorage().riskAssessments.update(row.id, fields, { status: 'held' });
+    if (error) throw error;
+    if (!updated || updated.length === 0) throw new RiskError('Transfer is no longer held', 409);
+
+    if (row.transactionId) {
+        const { error: failError } = await getStorage().transactions.failPending(
+            row.transactionId,
+            reviewer ? 'Rejected in review' : 'Cancelled by sender'
+        );
+        if (failError) throw failError;
+    }
+
+    if (reviewer) {
+        await recordSecurityEvent(row.sender, 'held_transfer_rejected', { assessmentId: row.id, reviewer });
+    }
+    return assessmentView({ ...row, ...fields });
+}
+
+module.exports = {
+    RiskError,
+    loadRiskRules,
+    getRiskRules,
+    scoreTransfer,
+    storeAssessment,
+    assessTransfer,
+    recordAllowedOutcome,
+    listHeldTransfers,
+    listReviewQueue,
+    stepUpDetails,
+    confirmHeldTransfer,
+    approveHeldTransfer,
+    closeHeldTransfer,
+};
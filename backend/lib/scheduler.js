@@ -0,0 +1,52 @@
+/**
+ * Scheduler
+ *
+ * Runs due scheduled transfers (lib/schedules.js) every
+ * SCHEDULER_INTERVAL_SECONDS (default 30; 0 turns it off). Several server
+ * instances may run it at once: each attempt is booked at most once by
+ * runScheduledTransfer, so the worst case is wasted work.
+ */
+
+const { runDueSchedules } = require('./schedules');
+
+const SCHEDULER_INTERVAL_SECONDS = Number(process.env.SCHEDULER_INTERVAL_SECONDS ?? 30);
+
+if (!Number.isInteger(SCHEDULER_INTERVAL_SECONDS) || SCHEDULER_INTERVAL_SECONDS < 0) {
+    throw new Error('SCHEDULER_INTERVAL_SECONDS must be a whole number of seconds (0 disables the scheduler)');
+}
+
+let timer = null;
+let running = false;
+
+/**
+ * One pass over the due schedules; skipped if the previous one is still going
+ */
+async function tick() {
+    if (running) return;
+    running = true;
+    try {
+        await runDueSchedules();
+    } catch (error) {
+        console.error('Scheduler error:', error);
+    } finally {
+        running = false;
+    }
+}
+
+function startScheduler() {
+    if (timer || SCHEDULER_INTERVAL_SECONDS === 0) return;
+    timer = setInterval(tick, SCHEDULER_INTERVAL_SECONDS * 1000);
+    // Do not keep the process alive just for the scheduler
+    timer.unref();
+    console.log(`⏰ Scheduled transfers run every ${SCHEDULER_INTERVAL_SECONDS}s`);
+}
+
+function stopScheduler() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    startScheduler,
+    stopScheduler,
+};
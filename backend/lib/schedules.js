@@ -0,0 +1,360 @@
+/**
+ * Scheduled Transfers
+ *
+ * A schedule sends a fixed amount from its sender to one receiver, either
+ * once at `runAt` or on every occurrence of a cron rule (lib/cron.js, UTC).
+ * It is authorized with a fingerprint when it is created or edited; that
+ * signed confirmation covers every transfer it makes and is stored as the
+ * authorization of each one.
+ *
+ * runDueSchedules() (see lib/scheduler.js) books each due occurrence with
+ * runScheduledTransfer (run_scheduled_transfer in Supabase), which runs
+ * transfer_funds and records the run in one database transaction, at most
+ * once per occurrence and attempt. Each attempt is scored first
+ * (lib/risk.js); a risky one is held as a pending transaction for the
+ * sender or a reviewer to release, and the schedule moves on as if it had
+ * run. An attempt that fails for lack of funds is retried after each delay
+ * in SCHEDULE_RETRY_DELAYS_MINUTES (default 60,360,1440) unless the next
+ * occurrence comes first. Other failures and exhausted retries skip the
+ * occurrence; a one-off schedule then ends as `failed`. Occurrences missed
+ * while the server was down run once, not once each.
+ */
+
+const { getStorage } = require('../storage');
+const { recordTransactionAuthorization } = require('./stepUp');
+const { CronError, validateCron, nextOccurrence } = require('./cron');
+const { scoreTransfer, storeAssessment } = require('./risk');
+
+// Only failures that can fix themselves are worth retrying
+const RETRYABLE_MESSAGES = new Set(['Insufficient balance']);
+
+// runScheduledTransfer messages for attempts that did not run at all
+const NOT_RUN_MESSAGES = new Set(['Schedule not found', 'Schedule is not due']);
+
+// runScheduledTransfer message for an attempt held by the risk checks
+const HELD_MESSAGE = 'Transfer held by risk checks';
+
+const RETRY_DELAYS_MS = parseRetryDelays(process.env.SCHEDULE_RETRY_DELAYS_MINUTES ?? '60,360,1440');
+
+class ScheduleError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ScheduleError';
+        this.statusCode = statusCode;
+    }
+}
+
+function parseRetryDelays(text) {
+    if (!text.trim()) return [];
+    const minutes = text.split(',').map(value => Number(value.trim()));
+    if (!minutes.every(value => Number.isInteger(value) && value > 0)) {
+        throw new Error('SCHEDULE_RETRY_DELAYS_MINUTES must be a comma-separated list of whole minutes');
+    }
+    return minutes.map(value => value * 60 * 1000);
+}
+
+/**
+ * Validate when a schedule runs: exactly one of a cron rule or a future
+ * runAt time. Returns { cron, runAt } (one of them null); throws
+ * ScheduleError otherwise
+ */
+function parseTiming({ cron, runAt }, now = new Date()) {
+    const hasCron = cron != null && String(cron).trim() !== '';
+    const hasRunAt = runAt != null && runAt !== '';
+    if (hasCron === hasRunAt) {
+        throw new ScheduleError('Provide either runAt (one-off) or cron (recurring)');
+    }
+
+    if (hasCron) {
+        try {
+            return { cron: validateCron(cron, now), runAt: null };
+        } catch (error) {
+            if (error instanceof CronError) throw new ScheduleError(error.message);
+            throw error;
+        }
+    }
+
+    const time = new Date(runAt);
+    if (Number.isNaN(time.getTime())) {
+        throw new ScheduleError('runAt must be a date and time');
+    }
+    if (time <= now) {
+        throw new ScheduleError('runAt must be in the future');
+    }
+    return { cron: null, runAt: time.toISOString() };
+}
+
+/**
+ * First occurrence to run from `now`: the next cron match, or runAt (which
+ * may already have passed, in which case it runs right away)
+ */
+function firstDueAt({ cron, runAt }, now = new Date()) {
+    return cron ? nextOccurrence(cron, now).toISOString() : runAt;
+}
+
+/**
+ * Public view of a schedule (without the stored authorization)
+ */
+function scheduleView(schedule) {
+    return {
+        id: schedule.id,
+        sender: schedule.sender,
+        receiver: schedule.receiver,
+        amount: Number(schedule.amount),
+        currency: schedule.currency,
+        memo: schedule.memo || null,
+        cron: schedule.cron || null,
+        runAt: schedule.cron ? null : schedule.dueAt,
+        status: schedule.status,
+        dueAt: schedule.dueAt || null,
+        nextRunAt: schedule.status === 'active' ? schedule.nextRunAt : null,
+        attempt: schedule.attempt,
+        lastRunAt: schedule.lastRunAt || null,
+        createdAt: schedule.createdAt,
+        updatedAt: schedule.updatedAt,
+    };
+}
+
+function runView(run) {
+    return {
+        id: run.id,
+        dueAt: run.dueAt,
+        attempt: run.attempt,
+        status: run.status,
+        message: run.message,
+        transactionId: run.transactionId || null,
+        ranAt: run.ranAt,
+    };
+}
+
+/**
+ * Create a schedule from fingerprint-confirmed details
+ * details: { sender, receiver, amount, currency, memo, cron, runAt }
+ */
+async function createSchedule(details, authorization) {
+    const now = new Date();
+    const dueAt = firstDueAt(details, now);
+    const { data, error } = await getStorage().scheduledTransfers.create({
+        sender: details.sender,
+        receiver: details.receiver,
+        amount: details.amount,
+        currency: details.currency,
+        memo: details.memo || null,
+        cron: details.cron,
+        dueAt,
+        nextRunAt: dueAt,
+        authorization,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+    });
+    if (error) throw error;
+    return scheduleView(data);
+}
+
+async function listSchedules(sender) {
+    const { data, error } = await getStorage().scheduledTransfers.listForSender(sender);
+    if (error) throw error;
+    return data.map(scheduleView);
+}
+
+/**
+ * The stored schedule `id` if it belongs to `sender`; throws ScheduleError
+ * (404) otherwise
+ */
+async function findOwnSchedule(id, sender) {
+    const { data: schedule, error } = await getStorage().scheduledTransfers.findById(id);
+    if (error) throw error;
+    if (!schedule || schedule.sender !== sender) {
+        throw new ScheduleError('Schedule not found', 404);
+    }
+    return schedule;
+}
+
+async function getSchedule(id, sender) {
+    return scheduleView(await findOwnSchedule(id, sender));
+}
+
+/**
+ * Run history of a schedule, newest first
+ */
+async function listRuns(id, sender) {
+    await findOwnSchedule(id, sender);
+    const { data, error } = await getStorage().scheduledTransfers.listRuns(id, { limit: 100 });
+    if (error) throw error;
+    return data.map(runView);
+}
+
+/**
+ * Apply `fields` to a schedule in one of `statuses`, unless it changed
+ * since it was read
+ */
+async function changeSchedule(schedule, statuses, fields) {
+    if (!statuses.includes(schedule.status)) {
+        throw new ScheduleError(`Schedule is ${schedule.status}`, 409);
+    }
+
+    const storage = getStorage();
+    const { data: updated, error } = await storage.scheduledTransfers.update(
+        schedule.id,
+        { ...fields, updatedAt: new Date().toISOString() },
+        { status: schedule.status, revision: schedule.revision }
+    );
+    if (error) throw error;
+    if (!updated || updated.length === 0) {
+        throw new ScheduleError('Schedule changed, please reload it', 409);
+    }
+
+    const { data, error: findError } = await storage.scheduledTransfers.findById(schedule.id);
+    if (findError) throw findError;
+    return scheduleView(data);
+}
+
+/**
+ * Replace an active or paused schedule's details with newly confirmed ones
+ * The occurrence being retried, if any, is dropped
+ */
+async function updateSchedule(id, details, authorization) {
+    const schedule = await findOwnSchedule(id, details.sender);
+    const dueAt = firstDueAt(details, new Date());
+    return changeSchedule(schedule, ['active', 'paused'], {
+        receiver: details.receiver,
+        amount: details.amount,
+        currency: details.currency,
+        memo: details.memo || null,
+        cron: details.cron,
+        dueAt,
+        nextRunAt: dueAt,
+        attempt: 0,
+        revision: schedule.revision + 1,
+        authorization,
+    });
+}
+
+async function pauseSchedule(id, sender) {
+    return changeSchedule(await findOwnSchedule(id, sender), ['active'], { status: 'paused' });
+}
+
+/**
+ * Resume a paused schedule; recurring occurrences missed while it was
+ * paused are skipped, a one-off transfer that is overdue runs right away
+ */
+async function resumeSchedule(id, sender) {
+    const schedule = await findOwnSchedule(id, sender);
+    const dueAt = schedule.cron ? firstDueAt(schedule, new Date()) : schedule.dueAt;
+    return changeSchedule(schedule, ['paused'], {
+        status: 'active',
+        dueAt,
+        nextRunAt: dueAt,
+        attempt: 0,
+        revision: schedule.revision + 1,
+    });
+}
+
+async function cancelSchedule(id, sender) {
+    return changeSchedule(await findOwnSchedule(id, sender), ['active', 'paused'], { status: 'cancelled', nextRunAt: null });
+}
+
+/**
+ * Where a schedule goes after an attempt: a retry of the same occurrence,
+ * the next occurrence, or the end (completed or failed)
+ */
+function nextState(schedule, { success, message }, now) {
+    const following = schedule.cron
+        ? nextOccurrence(schedule.cron, new Date(Math.max(now.getTime(), new Date(schedule.dueAt).getTime())))
+        : null;
+
+    if (!success && RETRYABLE_MESSAGES.has(message) && schedule.attempt < RETRY_DELAYS_MS.length) {
+        const retryAt = new Date(now.getTime() + RETRY_DELAYS_MS[schedule.attempt]);
+        if (!following || retryAt < following) {
+            return { attempt: schedule.attempt + 1, nextRunAt: retryAt.toISOString() };
+        }
+    }
+
+    if (following) {
+        return { dueAt: following.toISOString(), nextRunAt: following.toISOString(), attempt: 0 };
+    }
+    return { status: success ? 'completed' : 'failed', nextRunAt: null };
+}
+
+/**
+ * Run one attempt of a due schedule and move it on
+ */
+async function runSchedule(schedule) {
+    const storage = getStorage();
+    const { revision, dueAt, attempt } = schedule;
+    const transfer = {
+        sender: schedule.sender,
+        receiver: schedule.receiver,
+        amount: Number(schedule.amount),
+        currency: schedule.currency,
+    };
+
+    const scored = await scoreTransfer(transfer, schedule.authorization);
+    const hold = scored.decision !== 'allow';
+
+    const { data: result, error } = await storage.transactions.runScheduledTransfer({
+        scheduleId: schedule.id,
+        revision,
+        dueAt,
+        attempt,
+        hold,
+    });
+    if (error) throw error;
+    if (!result.ran && NOT_RUN_MESSAGES.has(result.message)) return null;
+
+    if (result.ran) {
+        await storeAssessment(transfer, schedule.authorization, scored, {
+            status: hold ? 'held' : 'allowed',
+            transactionId: result.transaction_id,
+        });
+    }
+    if (result.ran && result.success) {
+        await recordTransactionAuthorization(result.transaction_id, schedule.authorization);
+    }
+
+    // A held attempt is done with; the held transfer is released or closed on its own
+    const outcome = { ...result, success: result.success || result.message === HELD_MESSAGE };
+    const now = new Date();
+    const { error: updateError } = await storage.scheduledTransfers.update(
+        schedule.id,
+        { ...nextState(schedule, outcome, now), updatedAt: now.toISOString() },
+        { status: 'active', revision, dueAt, attempt }
+    );
+    if (updateError) throw updateError;
+
+    console.log(`Scheduled transfer ${schedule.id} (${schedule.sender} → ${schedule.receiver}, ` +
+        `${schedule.amount} ${schedule.currency}) attempt ${attempt + 1}: ${result.message}`);
+    return result;
+}
+
+/**
+ * Run every schedule that is due now; returns the number of attempts made
+ */
+async function runDueSchedules(now = new Date()) {
+    const { data: due, error } = await getStorage().scheduledTransfers.listDue(now, { limit: 100 });
+    if (error) throw error;
+
+    let attempts = 0;
+    for (const schedule of due) {
+        try {
+            if (await runSchedule(schedule)) attempts++;
+        } catch (runError) {
+            console.error(`Error running scheduled transfer ${schedule.id}:`, runError);
+        }
+    }
+    return attempts;
+}
+
+module.exports = {
+    ScheduleError,
+    parseTiming,
+    createSchedule,
+    listSchedules,
+    getSchedule,
+    listRuns,
+    updateSchedule,
+    pauseSchedule,
+    resumeSchedule,
+    cancelSchedule,
+    runDueSchedules,
+};
@@ -0,0 +1,35 @@
+/**
+ * Security Event Log
+ *
+ * Records account-level security events (e.g. a suspected cloned
+ * authenticator) so they can be shown to the user on the Settings page.
+ */
+
+const { getStorage } = require('../storage');
+
+/**
+ * Record a security event for a user
+ * Failures are logged but never thrown: an audit write must not turn a
+ * rejected login into a server error.
+ */
+async function recordSecurityEvent(username, type, details = {}) {
+    const { error } = await getStorage().securityEvents.create({
+        username,
+        type,
+        details,
+        createdAt: new Date().toISOString(),
+    });
+    if (error) {
+        console.error('Error recording security event:', error);
+    }
+}
+
+/**
+ * List the most recent security events for a user
+ */
+async function listSecurityEvents(username, limit = 20) {
+    const { data, error } = await getStorage().securityEvents.listForUser(username, limit);
+    return { data: data || [], error };
+}
+
+module.exports = { recordSecurityEvent, listSecurityEvents };
@@ -0,0 +1,172 @@
+/**
+ * Server-Issued Sessions
+ *
+ * After a successful fingerprint login the server creates a session row and
+ * hands the browser a signed token in an HTTP-only cookie. Tokens have the
+ * form `<sessionId>.<hmac>`; only a SHA-256 hash of the session ID is stored,
+ * so a leaked sessions table cannot be replayed as cookies.
+ *
+ * Sessions expire after SESSION_TTL_MINUTES of inactivity (refresh extends
+ * them) and can never outlive SESSION_MAX_AGE_HOURS from the original login.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+
+const COOKIE_NAME = 'fw_session';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_MINUTES) || 30) * 60 * 1000;
+const SESSION_MAX_AGE_MS = (Number(process.env.SESSION_MAX_AGE_HOURS) || 12) * 60 * 60 * 1000;
+
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  SESSION_SECRET is not set - using a random secret.');
+    console.warn('   Sessions will not survive a restart or be shared between instances.');
+}
+
+function sign(sessionId) {
+    return crypto.createHmac('sha256', sessionSecret).update(sessionId).digest('base64url');
+}
+
+function hashId(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('hex');
+}
+
+/**
+ * Check a token's signature and return its session ID (or null)
+ */
+function parseToken(token) {
+    if (typeof token !== 'string') return null;
+    const [sessionId, signature] = token.split('.');
+    if (!sessionId || !signature) return null;
+
+    const expected = Buffer.from(sign(sessionId));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    return sessionId;
+}
+
+function expiryFor(authenticatedAt) {
+    const idleExpiry = Date.now() + SESSION_TTL_MS;
+    const hardExpiry = new Date(authenticatedAt).getTime() + SESSION_MAX_AGE_MS;
+    return new Date(Math.min(idleExpiry, hardExpiry)).toISOString();
+}
+
+/**
+ * Create a session for a freshly authenticated user
+ * authenticatedAt is carried over when a session is refreshed so the
+ * absolute lifetime is measured from the fingerprint login
+ */
+async function createSession(username, { userAgent, authenticatedAt } = {}) {
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    const now = new Date().toISOString();
+    const session = {
+        id: hashId(sessionId),
+        username,
+        authenticatedAt: authenticatedAt || now,
+        createdAt: now,
+        expiresAt: expiryFor(authenticatedAt || now),
+        revokedAt: null,
+        userAgent: userAgent ? String(userAgent).slice(0, 256) : null,
+    };
+
+    const { error } = await getStorage().sessions.create(session);
+    if (error) throw error;
+
+    return { token: `${sessionId}.${sign(sessionId)}`, session };
+}
+
+/**
+ * Look up the active session for a token
+ * Returns null for bad signatures, unknown, revoked or expired sessions
+ */
+async function getSession(token) {
+    const sessionId = parseToken(token);
+    if (!sessionId) return null;
+
+    const { data: session, error } = await getStorage().sessions.findById(hashId(sessionId));
+    if (error) throw error;
+
+    if (!session || session.revokedAt) return null;
+    if (new Date(session.expiresAt).getTime() <= Date.now()) return null;
+    return session;
+}
+
+async function revokeSession(session) {
+    const { error } = await getStorage().sessions.revoke(session.id, new Date().toISOString());
+    if (error) throw error;
+}
+
+/**
+ * Rotate a session: issue a new token with a fresh idle timeout and revoke
+ * the old one. Fails once the absolute lifetime has been reached.
+ */
+async function refreshSession(session, { userAgent } = {}) {
+    const hardExpiry = new Date(session.authenticatedAt).getTime() + SESSION_MAX_AGE_MS;
+    if (hardExpiry <= Date.now()) return null;
+
+    const refreshed = await createSession(session.username, {
+        userAgent,
+        authenticatedAt: session.authenticatedAt,
+    });
+    await revokeSession(session);
+    return refreshed;
+}
+
+/**
+ * Read the session token from the cookie (browsers) or an
+ * `Authorization: Bearer` header (API clients)
+ */
+function readToken(req) {
+    const auth = req.get('authorization');
+    if (auth && auth.startsWith('Bearer ')) {
+        return auth.slice(7).trim();
+    }
+
+    const cookies = req.get('cookie') || '';
+    for (const part of cookies.split(';')) {
+        const [name, ...rest] = part.trim().split('=');
+        if (name === COOKIE_NAME) return decodeURIComponent(rest.join('='));
+    }
+    return null;
+}
+
+function isSecureRequest(req) {
+    return req.secure || req.get('x-forwarded-proto') === 'https';
+}
+
+function setSessionCookie(req, res, token, expiresAt) {
+    const attributes = [
+        `${COOKIE_NAME}=${encodeURIComponent(token)}`,
+        'Path=/api',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Expires=${new Date(expiresAt).toUTCString()}`,
+    ];
+    if (isSecureRequest(req)) attributes.push('Secure');
+    res.setHeader('Set-Cookie', attributes.join('; '));
+}
+
+function clearSessionCookie(req, res) {
+    const attributes = [
+        `${COOKIE_NAME}=`,
+        'Path=/api',
+        'HttpOnly',
+        'SameSite=Strict',
+        'Expires=Thu, 01 Jan 1970 00:00:00 GMT',
+    ];
+    if (isSecureRequest(req)) attributes.push('Secure');
+    res.setHeader('Set-Cookie', attributes.join('; '));
+}
+
+module.exports = {
+    createSession,
+    getSession,
+    revokeSession,
+    refreshSession,
+    readToken,
+    setSessionCookie,
+    clearSessionCookie,
+};
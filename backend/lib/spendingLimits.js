@@ -0,0 +1,263 @@
+/**
+ * Spending Limits
+ *
+ * Every outgoing transfer (sent now, scheduled or paying a request) is
+ * checked by transfer_funds against the sender's limits, under the same
+ * lock as the balance check, so parallel requests cannot slip past them:
+ *   perTransaction   largest single transfer, per currency
+ *   daily            total sent in the last 24 hours, per currency
+ *   monthly          total sent in the last 30 days, per currency
+ *   transfersPerHour number of transfers in the last hour, all currencies
+ *
+ * Lowering a limit applies at once. Raising one needs a fingerprint
+ * confirmation and only applies after SPENDING_LIMIT_COOLING_OFF_HOURS
+ * (default 24), so a hijacked session cannot lift the limits and drain the
+ * wallet straight away; the user sees the pending raise and can cancel it.
+ */
+
+const { getStorage } = require('../storage');
+const { minorUnits, normalizeCurrency } = require('./currencies');
+const { recordSecurityEvent } = require('./securityEvents');
+
+const LIMIT_TYPES = ['perTransaction', 'daily', 'monthly', 'transfersPerHour'];
+const AMOUNT_LIMIT_TYPES = ['perTransaction', 'daily', 'monthly'];
+
+// Limits for users who have not set their own; amounts are in US dollars
+// and converted with DEFAULT_LIMIT_RATES for other currencies. Keep in step
+// with default_spending_limit() in migrations/0015_currency_default_limits.sql
+const DEFAULT_LIMITS = {
+    perTransaction: 2000,
+    daily: 5000,
+    monthly: 20000,
+    transfersPerHour: 10,
+};
+
+// Units of each currency per US dollar, to two significant figures. Fixed
+// rather than read from the rate provider so the database computes the same
+// defaults; they only need to be the right size, not track the market.
+const DEFAULT_LIMIT_RATES = {
+    AED: 3.7, ARS: 1400, AUD: 1.5, BDT: 120, BHD: 0.38, BRL: 5.4, CAD: 1.4,
+    CHF: 0.8, CLP: 950, CNY: 7.1, CZK: 21, DKK: 6.4, EGP: 48, EUR: 0.85,
+    GBP: 0.74, HKD: 7.8, HUF: 340, IDR: 16000, ILS: 3.3, INR: 88, IQD: 1300,
+    ISK: 120, JOD: 0.71, JPY: 150, KES: 130, KRW: 1400, KWD: 0.31, LYD: 5.4,
+    MXN: 18, MYR: 4.2, NGN: 1500, NOK: 10, NZD: 1.7, OMR: 0.39, PHP: 57,
+    PKR: 280, PLN: 3.6, QAR: 3.6, SAR: 3.8, SEK: 9.4, SGD: 1.3, THB: 32,
+    TND: 2.9, TRY: 42, TWD: 30, UGX: 3500, USD: 1, VND: 26000, XAF: 560,
+    XOF: 560, ZAR: 17,
+};
+
+// Window each total is counted over
+const LIMIT_WINDOWS_MS = {
+    daily: 24 * 60 * 60 * 1000,
+    monthly: 30 * 24 * 60 * 60 * 1000,
+    transfersPerHour: 60 * 60 * 1000,
+};
+
+const COOLING_OFF_HOURS = Number(process.env.SPENDING_LIMIT_COOLING_OFF_HOURS ?? 24);
+
+if (!(COOLING_OFF_HOURS >= 0)) {
+    throw new Error('SPENDING_LIMIT_COOLING_OFF_HOURS must be a number of hours (0 or more)');
+}
+
+class SpendingLimitError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'SpendingLimitError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Currency column of a limit: '' for the count limit, which covers all
+ * currencies
+ */
+function limitCurrency(limitType, currency) {
+    return AMOUNT_LIMIT_TYPES.includes(limitType) ? currency : '';
+}
+
+/**
+ * Default limit in minor units of `currency` (or the default count)
+ */
+function defaultLimit(limitType, currency) {
+    if (!AMOUNT_LIMIT_TYPES.includes(limitType)) return DEFAULT_LIMITS[limitType];
+    const rate = DEFAULT_LIMIT_RATES[currency] ?? 1;
+    return Math.round(DEFAULT_LIMITS[limitType] * rate * 10 ** minorUnits(currency));
+}
+
+/**
+ * Limit in force at `now` for a stored row (or the default if there is none)
+ */
+function effectiveLimit(row, limitType, currency, now = new Date()) {
+    if (!row) return defaultLimit(limitType, currency);
+    if (row.pendingValue != null && new Date(row.effectiveAt) <= now) return Number(row.pendingValue);
+    return Number(row.value);
+}
+
+/**
+ * First limit a transfer would break, as transfer_funds reports it, or null
+ * sent: the sender's transfers from the last 30 days ({ amount, currency, createdAt })
+ */
+function checkSpendingLimits({ rows, sent, amount, currency, now = new Date() }) {
+    const limit = limitType => effectiveLimit(
+        rows.find(row => row.limitType === limitType && row.currency === limitCurrency(limitType, currency)),
+        limitType,
+        currency,
+        now
+    );
+    const since = limitType => sent.filter(tx => now - new Date(tx.createdAt) < LIMIT_WINDOWS_MS[limitType]);
+    const total = limitType => since(limitType)
+        .filter(tx => tx.currency === currency)
+        .reduce((sum, tx) => sum + Number(tx.amount), 0);
+
+    if (amount > limit('perTransaction')) return 'Amount is over your per-transaction limit';
+    if (since('transfersPerHour').length + 1 > limit('transfersPerHour')) return 'Too many transfers in the last hour';
+    if (total('daily') + amount > limit('daily')) return 'Amount is over your daily spending limit';
+    if (total('monthly') + amount > limit('monthly')) return 'Amount is over your monthly spending limit';
+    return null;
+}
+
+function limitView(row, limitType, currency, now) {
+    const pending = row && row.pendingValue != null && new Date(row.effectiveAt) > now;
+    return {
+        value: effectiveLimit(row, limitType, currency, now),
+        isDefault: !row,
+        pending: pending ? { value: Number(row.pendingValue), effectiveAt: row.effectiveAt } : null,
+    };
+}
+
+/**
+ * The user's limits for `currencies`, with what has been used of each
+ * Returns { coolingOffHours, transfersPerHour, currencies: [{ currency,
+ * perTransaction, daily, monthly }] }; each limit is { value, isDefault,
+ * pending: { value, effectiveAt } | null } plus `used` for the totals
+ */
+async function getLimits(username, currencies) {
+    const storage = getStorage();
+    const now = new Date();
+    const [{ data: rows, error }, { data: sent, error: sentError }] = await Promise.all([
+        storage.spendingLimits.listForUser(username),
+        storage.transactions.listSentSince(username, new Date(now - LIMIT_WINDOWS_MS.monthly).toISOString()),
+    ]);
+    if (error) throw error;
+    if (sentError) throw sentError;
+
+    const find = (limitType, currency) =>
+        rows.find(row => row.limitType === limitType && row.currency === limitCurrency(limitType, currency));
+    const since = limitType => sent.filter(tx => now - new Date(tx.createdAt) < LIMIT_WINDOWS_MS[limitType]);
+    const used = (limitType, currency) => since(limitType)
+        .filter(tx => tx.currency === currency)
+        .reduce((sum, tx) => sum + Number(tx.amount), 0);
+
+    // Currencies with a stored limit are listed too
+    const codes = [...new Set([...currencies, ...rows.map(row => row.currency)].filter(Boolean))].sort();
+
+    return {
+        coolingOffHours: COOLING_OFF_HOURS,
+        transfersPerHour: {
+            ...limitView(find('transfersPerHour', ''), 'transfersPerHour', '', now),
+            used: since('transfersPerHour').length,
+        },
+        currencies: codes.map(currency => ({
+            currency,
+            perTransaction: limitView(find('perTransaction', currency), 'perTransaction', currency, now),
+            daily: { ...limitView(find('daily', currency), 'daily', currency, now), used: used('daily', currency) },
+            monthly: { ...limitView(find('monthly', currency), 'monthly', currency, now), used: used('monthly', currency) },
+        })),
+    };
+}
+
+/**
+ * The limit in force now for one limit type (and currency)
+ */
+async function currentLimit(username, limitType, currency) {
+    const { data: rows, error } = await getStorage().spendingLimits.listForUser(username);
+    if (error) throw error;
+    const row = rows.find(r => r.limitType === limitType && r.currency === limitCurrency(limitType, currency));
+    return { row, value: effectiveLimit(row, limitType, currency) };
+}
+
+/**
+ * Validate a limit change from a request body
+ * Returns { limitType, currency, value } (currency '' for transfersPerHour);
+ * throws SpendingLimitError otherwise
+ */
+function parseLimitChange({ limitType, currency, value }) {
+    if (!LIMIT_TYPES.includes(limitType)) {
+        throw new SpendingLimitError(`limitType must be one of ${LIMIT_TYPES.join(', ')}`);
+    }
+
+    let code = '';
+    if (AMOUNT_LIMIT_TYPES.includes(limitType)) {
+        code = normalizeCurrency(currency);
+        if (!code) throw new SpendingLimitError(`Unsupported currency: ${currency}`);
+    }
+
+    const number = Number(value);
+    if (value === '' || value == null || !Number.isSafeInteger(number) || number < 0) {
+        throw new SpendingLimitError(AMOUNT_LIMIT_TYPES.includes(limitType)
+            ? 'value must be a whole number of minor units (0 or more)'
+            : 'value must be a whole number of transfers (0 or more)');
+    }
+
+    return { limitType, currency: code, value: number };
+}
+
+/**
+ * Whether `value` would raise the limit in force
+ */
+async function isRaise(username, { limitType, currency, value }) {
+    const { value: current } = await currentLimit(username, limitType, currency);
+    return value > current;
+}
+
+/**
+ * Set a limit. A lower (or equal) value applies now and drops any pending
+ * raise; a higher one needs `confirmed` (a verified fingerprint) and is
+ * stored as pending until the cooling-off period is over.
+ * Returns the limit's view
+ */
+async function setLimit(username, { limitType, currency, value }, { confirmed = false } = {}) {
+    const now = new Date();
+    const { row: existing, value: current } = await currentLimit(username, limitType, currency);
+    const raise = value > current;
+    if (raise && !confirmed) {
+        throw new SpendingLimitError('Raising a limit needs a fingerprint confirmation', 403);
+    }
+
+    const row = {
+        username,
+        limitType,
+        currency,
+        value: raise ? current : value,
+        pendingValue: raise ? value : null,
+        effectiveAt: raise ? new Date(now.getTime() + COOLING_OFF_HOURS * 60 * 60 * 1000).toISOString() : null,
+        updatedAt: now.toISOString(),
+    };
+    const { error } = await getStorage().spendingLimits.upsert(row);
+    if (error) throw error;
+
+    const hadPending = existing && existing.pendingValue != null && new Date(existing.effectiveAt) > now;
+    if (raise || value !== current || hadPending) {
+        await recordSecurityEvent(username, raise ? 'spending_limit_raise_requested' : 'spending_limit_lowered', {
+            limitType,
+            currency: currency || null,
+            from: current,
+            to: value,
+            effectiveAt: row.effectiveAt,
+        });
+    }
+
+    return limitView(row, limitType, currency, now);
+}
+
+module.exports = {
+    LIMIT_TYPES,
+    DEFAULT_LIMITS,
+    DEFAULT_LIMIT_RATES,
+    SpendingLimitError,
+    checkSpendingLimits,
+    getLimits,
+    parseLimitChange,
+    isRaise,
+    setLimit,
+};
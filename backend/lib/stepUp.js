@@ -0,0 +1,146 @@
+/**
+ * Step-Up Fingerprint Confirmation
+ *
+ * Sensitive actions (sending money) need a fresh fingerprint on top of the
+ * session. The server issues a challenge derived from the action's details
+ * and a random nonce, the browser signs it with navigator.credentials.get,
+ * and the action only runs once that signature verifies. Because the
+ * challenge is a hash of the details, an assertion made for one transfer
+ * cannot authorize a different receiver or amount.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+const { VerificationError } = require('./webauthn');
+const credentials = require('./credentials');
+const { getChallengeStore, WEBAUTHN_TIMEOUT_MS } = require('./challengeStore');
+
+const CEREMONY_TYPE = 'step-up';
+
+/**
+ * JSON with sorted keys, so the same details always hash the same way
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Challenge bound to an action: base64url(SHA-256(canonical binding))
+ */
+function bindingChallenge({ purpose, username, details, nonce }) {
+    const binding = canonicalJson({ purpose, username, details, nonce });
+    return crypto.createHash('sha256').update(binding).digest('base64url');
+}
+
+/**
+ * Start a step-up ceremony for the session user
+ * Returns the ceremony ID plus the options for navigator.credentials.get
+ */
+async function startStepUp({ username, rpId, purpose, details }) {
+    const { data, error } = await credentials.listCredentials(username);
+    if (error) throw error;
+    if (data.length === 0) {
+        throw new VerificationError('No registered devices for this user');
+    }
+    const userCredentials = credentials.usableCredentials(data);
+    if (userCredentials.length === 0) {
+        throw new VerificationError('All your devices are flagged as possible clones');
+    }
+
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const ceremony = await getChallengeStore().issue({
+        type: CEREMONY_TYPE,
+        username,
+        rpId,
+        data: { purpose, details, nonce },
+        challenge: bindingChallenge({ purpose, username, details, nonce }),
+    });
+
+    return {
+        ceremonyId: ceremony.id,
+        nonce,
+        publicKey: {
+            challenge: ceremony.challenge,
+            rpId,
+            allowCredentials: userCredentials.map(cred => ({
+                id: cred.credentialId,
+                type: 'public-key',
+                transports: cred.transports || [],
+            })),
+            userVerification: 'required',
+            timeout: WEBAUTHN_TIMEOUT_MS,
+        },
+    };
+}
+
+/**
+ * Verify a step-up assertion
+ *
+ * Consumes the ceremony, checks it was issued to this user for this purpose
+ * and that its challenge still matches the bound details, then verifies the
+ * signature (including the counter check). Returns the bound details and a
+ * proof record that can be stored alongside the action.
+ */
+async function verifyStepUp({ username, purpose, ceremonyId, assertion, allowedOrigins }) {
+    const ceremony = await getChallengeStore().consume(ceremonyId, CEREMONY_TYPE);
+    if (!ceremony || ceremony.username !== username || ceremony.data?.purpose !== purpose) {
+        throw new VerificationError('Invalid or expired confirmation');
+    }
+
+    const { details, nonce } = ceremony.data;
+    if (ceremony.challenge !== bindingChallenge({ purpose, username, details, nonce })) {
+        throw new VerificationError('Confirmation does not match the requested action');
+    }
+
+    const credential = await credentials.verifyUserAssertion({
+        username,
+        credential: assertion,
+        expectedChallenge: ceremony.challenge,
+        rpId: ceremony.rpId,
+        allowedOrigins,
+    });
+
+    return {
+        details,
+        proof: {
+            username,
+            purpose,
+            credentialId: credential.credentialId,
+            nonce,
+            challenge: ceremony.challenge,
+            details,
+            clientDataJSON: assertion.response.clientDataJSON,
+            authenticatorData: assertion.response.authenticatorData,
+            signature: assertion.response.signature,
+            signCount: credential.signCount,
+            verifiedAt: new Date().toISOString(),
+        },
+    };
+}
+
+/**
+ * Store the proof of authorization for a completed transaction
+ * Anyone holding the credential's public key can re-verify the signature
+ * over authenticatorData || SHA-256(clientDataJSON) later on.
+ */
+async function recordTransactionAuthorization(transactionId, proof) {
+    const { error } = await getStorage().transactionAuthorizations.create({ transactionId, ...proof });
+    if (error) {
+        console.error('Storage error storing transaction authorization:', error);
+    }
+    return { error };
+}
+
+module.exports = {
+    bindingChallenge,
+    startStepUp,
+    verifyStepUp,
+    recordTransactionAuthorization,
+};
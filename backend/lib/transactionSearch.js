@@ -0,0 +1,192 @@
+/**
+ * Transaction Search
+ *
+ * GET /api/transactions/:username returns one page of the user's
+ * transactions, newest first, narrowed by optional query parameters:
+ *   from, to            createdAt range (ISO date or timestamp; a date-only
+ *                       `to` includes that whole day, UTC)
+ *   direction           sent or received (conversions are neither)
+ *   counterparty        the other party's username or wallet address
+ *   currency            ISO code; required with minAmount / maxAmount
+ *   minAmount, maxAmount  inclusive bounds in minor units
+ *   status              pending, completed, failed or reversed
+ *   q                   text the memo contains (case-insensitive)
+ *   limit               page size, 1-100 (default 50)
+ *   cursor              nextCursor of the previous page
+ *
+ * Pages are keyed on ("createdAt", id), so rows added while paging never
+ * shift or repeat the pages already read; rows without a createdAt come
+ * last. The cursor is opaque to clients: base64url JSON of the last row's
+ * createdAt and id.
+ */
+
+const { getStorage } = require('../storage');
+const { looksLikeAddress, validateAddress } = require('./addresses');
+const { normalizeCurrency } = require('./currencies');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const MAX_TEXT_LENGTH = 100;
+const DIRECTIONS = ['sent', 'received'];
+const STATUSES = ['pending', 'completed', 'failed', 'reversed'];
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TransactionQueryError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'TransactionQueryError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * A single query parameter as a trimmed string, or null when absent
+ * Repeated parameters (?status=a&status=b) are rejected rather than guessed
+ */
+function param(query, name) {
+    const value = query[name];
+    if (value === undefined || value === '') return null;
+    if (typeof value !== 'string') throw new TransactionQueryError(`${name} must be given once`);
+    return value.trim() || null;
+}
+
+/**
+ * ISO string for a from/to bound; `to` given as a date covers that day
+ */
+function parseDate(value, name, endOfDay = false) {
+    if (value === null) return null;
+    const time = Date.parse(DATE_ONLY_PATTERN.test(value) ? `${value}T00:00:00Z` : value);
+    if (Number.isNaN(time)) throw new TransactionQueryError(`Invalid ${name} date`);
+    return new Date(endOfDay && DATE_ONLY_PATTERN.test(value) ? time + DAY_MS : time).toISOString();
+}
+
+/**
+ * A non-negative amount bound in minor units
+ */
+function parseAmount(value, name) {
+    if (value === null) return null;
+    if (!/^\d+$/.test(value) || !Number.isSafeInteger(Number(value))) {
+        throw new TransactionQueryError(`${name} must be a whole number of minor units`);
+    }
+    return Number(value);
+}
+
+function encodeCursor(row) {
+    return Buffer.from(JSON.stringify([row.createdAt, row.id])).toString('base64url');
+}
+
+function decodeCursor(value) {
+    if (value === null) return null;
+    try {
+        const [createdAt, id] = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+        // createdAt is null after a row stored without one (listed last)
+        const validDate = createdAt === null || (typeof createdAt === 'string' && !Number.isNaN(Date.parse(createdAt)));
+        if (validDate && UUID_PATTERN.test(id)) {
+            return { createdAt, id };
+        }
+    } catch {
+        // fall through
+    }
+    throw new TransactionQueryError('Invalid cursor');
+}
+
+/**
+ * Username of the counterparty filter: an address is looked up, anything
+ * else is taken as a username
+ */
+async function resolveCounterparty(value) {
+    if (value === null) return null;
+    if (!looksLikeAddress(value)) return value;
+
+    const address = validateAddress(value);
+    if (!address.valid) throw new TransactionQueryError(address.error);
+    const { data: wallet, error } = await getStorage().wallets.findByAddress(address.address);
+    if (error) throw error;
+    if (!wallet) throw new TransactionQueryError('No wallet has this address');
+    return wallet.username;
+}
+
+/**
+ * Validate the query parameters of a search
+ * Returns { filters, limit, after }; throws TransactionQueryError
+ */
+async function parseTransactionQuery(query = {}) {
+    const direction = param(query, 'direction');
+    if (direction !== null && direction !== 'all' && !DIRECTIONS.includes(direction)) {
+        throw new TransactionQueryError(`direction must be one of: ${DIRECTIONS.join(', ')}`);
+    }
+
+    const status = param(query, 'status');
+    if (status !== null && !STATUSES.includes(status)) {
+        throw new TransactionQueryError(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+
+    const from = parseDate(param(query, 'from'), 'from');
+    const to = parseDate(param(query, 'to'), 'to', true);
+    if (from && to && from >= to) throw new TransactionQueryError('from must be before to');
+
+    const currencyParam = param(query, 'currency');
+    const currency = currencyParam === null ? null : normalizeCurrency(currencyParam);
+    if (currencyParam !== null && !currency) throw new TransactionQueryError('Unsupported currency');
+
+    const minAmount = parseAmount(param(query, 'minAmount'), 'minAmount');
+    const maxAmount = parseAmount(param(query, 'maxAmount'), 'maxAmount');
+    if ((minAmount !== null || maxAmount !== null) && !currency) {
+        throw new TransactionQueryError('Choose a currency to filter by amount');
+    }
+    if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+        throw new TransactionQueryError('minAmount cannot be more than maxAmount');
+    }
+
+    const text = param(query, 'q');
+    if (text !== null && text.length > MAX_TEXT_LENGTH) {
+        throw new TransactionQueryError(`q must be at most ${MAX_TEXT_LENGTH} characters`);
+    }
+
+    const limitParam = param(query, 'limit');
+    const limit = limitParam === null ? DEFAULT_PAGE_SIZE : Number(limitParam);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new TransactionQueryError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    return {
+        filters: {
+            direction: direction === 'all' ? null : direction,
+            counterparty: await resolveCounterparty(param(query, 'counterparty')),
+            from,
+            to,
+            currency,
+            minAmount,
+            maxAmount,
+            status,
+            text,
+        },
+        limit,
+        after: decodeCursor(param(query, 'cursor')),
+    };
+}
+
+/**
+ * One page of `username`'s transactions matching `query`
+ * Returns { transactions, nextCursor } (nextCursor is null on the last page)
+ */
+async function searchTransactions(username, query) {
+    const { filters, limit, after } = await parseTransactionQuery(query);
+
+    // One extra row tells whether there is another page
+    const { data, error } = await getStorage().transactions.search(username, filters, { limit: limit + 1, after });
+    if (error) throw error;
+
+    const transactions = (data || []).slice(0, limit);
+    const nextCursor = data && data.length > limit ? encodeCursor(transactions[transactions.length - 1]) : null;
+    return { transactions, nextCursor };
+}
+
+module.exports = {
+    TransactionQueryError,
+    parseTransactionQuery,
+    searchTransactions,
+};
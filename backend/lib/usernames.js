@@ -0,0 +1,29 @@
+/**
+ * Usernames
+ *
+ * New usernames are 3-32 characters of letters, digits, "_", "." and "-",
+ * starting with a letter or digit. Usernames end up in URLs, wallet
+ * addresses and database filters, so nothing outside that set is accepted
+ * at registration. A username cannot look like a wallet address, or
+ * sending to it by name would be read as an address.
+ */
+
+const { looksLikeAddress } = require('./addresses');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{2,31}$/;
+
+/**
+ * Check a username for a new account
+ * Returns an error message, or null if it can be registered
+ */
+function usernameError(username) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        return 'Username must be 3-32 characters: letters, digits, "_", "." or "-", starting with a letter or digit';
+    }
+    if (looksLikeAddress(username)) {
+        return 'Username cannot look like a wallet address';
+    }
+    return null;
+}
+
+module.exports = { usernameError };
@@ -0,0 +1,376 @@
+/**
+ * WebAuthn Response Verification
+ *
+ * Implements the relying-party checks from the WebAuthn Level 2 spec:
+ * - Registration: clientDataJSON, CBOR attestation object, COSE public key
+ * - Authentication: clientDataJSON, authenticatorData and the assertion signature
+ *
+ * Supported algorithms match the pubKeyCredParams we advertise:
+ * ES256 (-7) and RS256 (-257).
+ */
+
+const crypto = require('crypto');
+const cbor = require('./cbor');
+
+const COSE_ALG_ES256 = -7;
+const COSE_ALG_RS256 = -257;
+const SUPPORTED_ALGORITHMS = [COSE_ALG_ES256, COSE_ALG_RS256];
+
+// authenticatorData flag bits
+const FLAG_UP = 0x01;
+const FLAG_UV = 0x04;
+const FLAG_BE = 0x08;
+const FLAG_BS = 0x10;
+const FLAG_AT = 0x40;
+const FLAG_ED = 0x80;
+
+/**
+ * Raised when a client response fails verification
+ * Route handlers map this to a 4xx response; anything else is a server error
+ */
+class VerificationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VerificationError';
+    }
+}
+
+function fail(message) {
+    throw new VerificationError(message);
+}
+
+function fromBase64url(value, field) {
+    if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value)) {
+        fail(`${field} must be a base64url string`);
+    }
+    return Buffer.from(value, 'base64url');
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest();
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.isBuffer(a) ? a : Buffer.from(String(a));
+    const bufB = Buffer.isBuffer(b) ? b : Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Check an origin against the relying party
+ * With an explicit allow-list only listed origins pass. Otherwise the origin's
+ * host must be the RP ID (or a subdomain of it) over HTTPS, with plain HTTP
+ * permitted for localhost development.
+ */
+function isOriginAllowed(origin, rpId, allowedOrigins) {
+    if (allowedOrigins && allowedOrigins.length > 0) {
+        return allowedOrigins.includes(origin);
+    }
+
+    let url;
+    try {
+        url = new URL(origin);
+    } catch (err) {
+        return false;
+    }
+
+    const host = url.hostname;
+    if (host !== rpId && !host.endsWith(`.${rpId}`)) return false;
+
+    if (url.protocol === 'https:') return true;
+    return url.protocol === 'http:' && (host === 'localhost' || host === '127.0.0.1');
+}
+
+/**
+ * Decode and check clientDataJSON
+ */
+function verifyClientData(clientDataJSON, { type, expectedChallenge, rpId, allowedOrigins }) {
+    const raw = fromBase64url(clientDataJSON, 'clientDataJSON');
+
+    let clientData;
+    try {
+        clientData = JSON.parse(raw.toString('utf8'));
+    } catch (err) {
+        fail('clientDataJSON is not valid JSON');
+    }
+    if (clientData === null || typeof clientData !== 'object' || Array.isArray(clientData)) {
+        fail('clientDataJSON is not an object');
+    }
+
+    if (clientData.type !== type) {
+        fail(`Unexpected client data type: ${clientData.type}`);
+    }
+    if (!expectedChallenge || !safeEqual(clientData.challenge || '', expectedChallenge)) {
+        fail('Challenge mismatch');
+    }
+    if (!isOriginAllowed(clientData.origin, rpId, allowedOrigins)) {
+        fail(`Unexpected origin: ${clientData.origin}`);
+    }
+    if (clientData.crossOrigin === true) {
+        fail('Cross-origin ceremonies are not allowed');
+    }
+
+    return { clientData, hash: sha256(raw) };
+}
+
+/**
+ * Parse the binary authenticatorData structure
+ */
+function parseAuthenticatorData(authData) {
+    if (authData.length < 37) {
+        fail('authenticatorData is too short');
+    }
+
+    const flagsByte = authData.readUInt8(32);
+    const parsed = {
+        rpIdHash: authData.subarray(0, 32),
+        flags: {
+            userPresent: !!(flagsByte & FLAG_UP),
+            userVerified: !!(flagsByte & FLAG_UV),
+            backupEligible: !!(flagsByte & FLAG_BE),
+            backedUp: !!(flagsByte & FLAG_BS),
+            attestedCredentialData: !!(flagsByte & FLAG_AT),
+            extensionData: !!(flagsByte & FLAG_ED),
+        },
+        signCount: authData.readUInt32BE(33),
+    };
+
+    if (parsed.flags.attestedCredentialData) {
+        let offset = 37;
+        if (authData.length < offset + 18) {
+            fail('Attested credential data is truncated');
+        }
+        const aaguid = authData.subarray(offset, offset + 16);
+        offset += 16;
+        const idLength = authData.readUInt16BE(offset);
+        offset += 2;
+        if (authData.length < offset + idLength) {
+            fail('Credential ID is truncated');
+        }
+        const credentialId = authData.subarray(offset, offset + idLength);
+        offset += idLength;
+
+        let keyLength;
+        try {
+            keyLength = cbor.decodeFirst(authData.subarray(offset)).length;
+        } catch (err) {
+            fail(`Credential public key is not valid CBOR: ${err.message}`);
+        }
+
+        parsed.attestedCredentialData = {
+            aaguid,
+            credentialId,
+            credentialPublicKey: authData.subarray(offset, offset + keyLength),
+        };
+    }
+
+    return parsed;
+}
+
+function checkAuthenticatorData(parsed, rpId, requireUserVerification) {
+    if (!safeEqual(parsed.rpIdHash, sha256(rpId))) {
+        fail('RP ID hash mismatch');
+    }
+    if (!parsed.flags.userPresent) {
+        fail('User presence flag not set');
+    }
+    if (requireUserVerification && !parsed.flags.userVerified) {
+        fail('User verification flag not set');
+    }
+}
+
+/**
+ * Convert a COSE_Key (RFC 9053) into a Node.js KeyObject
+ */
+function coseToKeyObject(coseBytes) {
+    let key;
+    try {
+        key = cbor.decode(coseBytes);
+    } catch (err) {
+        fail(`COSE key is not valid CBOR: ${err.message}`);
+    }
+    if (!(key instanceof Map)) {
+        fail('COSE key must be a map');
+    }
+
+    const kty = key.get(1);
+    const alg = key.get(3);
+    if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+        fail(`Unsupported COSE algorithm: ${alg}`);
+    }
+
+    let jwk;
+    if (alg === COSE_ALG_ES256) {
+        const crv = key.get(-1);
+        const x = key.get(-2);
+        const y = key.get(-3);
+        if (kty !== 2 || crv !== 1 || !Buffer.isBuffer(x) || !Buffer.isBuffer(y)) {
+            fail('Malformed ES256 COSE key');
+        }
+        jwk = { kty: 'EC', crv: 'P-256', x: x.toString('base64url'), y: y.toString('base64url') };
+    } else {
+        const n = key.get(-1);
+        const e = key.get(-2);
+        if (kty !== 3 || !Buffer.isBuffer(n) || !Buffer.isBuffer(e)) {
+            fail('Malformed RS256 COSE key');
+        }
+        jwk = { kty: 'RSA', n: n.toString('base64url'), e: e.toString('base64url') };
+    }
+
+    try {
+        return { alg, keyObject: crypto.createPublicKey({ key: jwk, format: 'jwk' }) };
+    } catch (err) {
+        fail(`Invalid public key: ${err.message}`);
+    }
+}
+
+function verifySignature(alg, keyObject, data, signature) {
+    const key = alg === COSE_ALG_ES256 ? { key: keyObject, dsaEncoding: 'der' } : keyObject;
+    try {
+        return crypto.verify('sha256', data, key, signature);
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Verify the attestation statement
+ * We request attestation 'none', so only 'none' and 'packed' (which some
+ * platform authenticators still return) are accepted. Packed certificates are
+ * checked for a valid signature but not chained to a trust anchor.
+ */
+function verifyAttestationStatement(fmt, attStmt, authData, clientDataHash, credentialKey) {
+    if (!(attStmt instanceof Map)) {
+        fail('Attestation statement must be a map');
+    }
+
+    if (fmt === 'none') {
+        if (attStmt.size !== 0) fail('Attestation statement for "none" must be empty');
+        return;
+    }
+
+    if (fmt === 'packed') {
+        const alg = attStmt.get('alg');
+        const sig = attStmt.get('sig');
+        const x5c = attStmt.get('x5c');
+        if (!Buffer.isBuffer(sig)) fail('Packed attestation is missing a signature');
+
+        const signedData = Buffer.concat([authData, clientDataHash]);
+        let ok;
+        if (Array.isArray(x5c) && x5c.length > 0) {
+            let certKey;
+            try {
+                certKey = new crypto.X509Certificate(x5c[0]).publicKey;
+            } catch (err) {
+                fail('Packed attestation certificate is invalid');
+            }
+            ok = verifySignature(alg, certKey, signedData, sig);
+        } else {
+            if (alg !== credentialKey.alg) fail('Self attestation algorithm mismatch');
+            ok = verifySignature(alg, credentialKey.keyObject, signedData, sig);
+        }
+        if (!ok) fail('Attestation signature is invalid');
+        return;
+    }
+
+    fail(`Unsupported attestation format: ${fmt}`);
+}
+
+/**
+ * Verify a registration (navigator.credentials.create) response
+ * Returns the credential data to persist: ID, COSE public key and counter
+ */
+function verifyRegistrationResponse({ credential, expectedChallenge, rpId, allowedOrigins, requireUserVerification = true }) {
+    if (!credential || credential.type !== 'public-key' || !credential.response) {
+        fail('Malformed credential');
+    }
+
+    const { hash: clientDataHash } = verifyClientData(credential.response.clientDataJSON, {
+        type: 'webauthn.create',
+        expectedChallenge,
+        rpId,
+        allowedOrigins,
+    });
+
+    let attestation;
+    try {
+        attestation = cbor.decode(fromBase64url(credential.response.attestationObject, 'attestationObject'));
+    } catch (err) {
+        if (err instanceof VerificationError) throw err;
+        fail(`attestationObject is not valid CBOR: ${err.message}`);
+    }
+    if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+        fail('Malformed attestation object');
+    }
+
+    const authData = attestation.get('authData');
+    const parsed = parseAuthenticatorData(authData);
+    checkAuthenticatorData(parsed, rpId, requireUserVerification);
+
+    const attested = parsed.attestedCredentialData;
+    if (!attested) {
+        fail('Attested credential data missing');
+    }
+
+    const rawId = fromBase64url(credential.rawId || credential.id, 'rawId');
+    if (!safeEqual(rawId, attested.credentialId) || credential.id !== attested.credentialId.toString('base64url')) {
+        fail('Credential ID does not match authenticator data');
+    }
+
+    const credentialKey = coseToKeyObject(attested.credentialPublicKey);
+    verifyAttestationStatement(attestation.get('fmt'), attestation.get('attStmt'), authData, clientDataHash, credentialKey);
+
+    return {
+        credentialId: attested.credentialId.toString('base64url'),
+        publicKey: attested.credentialPublicKey.toString('base64url'),
+        alg: credentialKey.alg,
+        signCount: parsed.signCount,
+        aaguid: attested.aaguid.toString('hex'),
+        userVerified: parsed.flags.userVerified,
+        backedUp: parsed.flags.backedUp,
+        fmt: attestation.get('fmt'),
+    };
+}
+
+/**
+ * Verify an authentication (navigator.credentials.get) assertion
+ * publicKey is the base64url COSE key stored at registration
+ */
+function verifyAuthenticationResponse({ credential, expectedChallenge, rpId, allowedOrigins, publicKey, requireUserVerification = true }) {
+    if (!credential || credential.type !== 'public-key' || !credential.response) {
+        fail('Malformed credential');
+    }
+
+    const { hash: clientDataHash } = verifyClientData(credential.response.clientDataJSON, {
+        type: 'webauthn.get',
+        expectedChallenge,
+        rpId,
+        allowedOrigins,
+    });
+
+    const authData = fromBase64url(credential.response.authenticatorData, 'authenticatorData');
+    const parsed = parseAuthenticatorData(authData);
+    checkAuthenticatorData(parsed, rpId, requireUserVerification);
+
+    const { alg, keyObject } = coseToKeyObject(fromBase64url(publicKey, 'publicKey'));
+    const signature = fromBase64url(credential.response.signature, 'signature');
+    if (!verifySignature(alg, keyObject, Buffer.concat([authData, clientDataHash]), signature)) {
+        fail('Signature verification failed');
+    }
+
+    return {
+        signCount: parsed.signCount,
+        userVerified: parsed.flags.userVerified,
+        backedUp: parsed.flags.backedUp,
+    };
+}
+
+module.exports = {
+    COSE_ALG_ES256,
+    COSE_ALG_RS256,
+    VerificationError,
+    isOriginAllowed,
+    parseAuthenticatorData,
+    verifyRegistrationResponse,
+    verifyAuthenticationResponse,
+};
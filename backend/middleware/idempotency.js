@@ -0,0 +1,92 @@
+/**
+ * Idempotency Middleware
+ *
+ * idempotent(scope) makes an endpoint safe to retry. When a request carries
+ * an `Idempotency-Key` header:
+ *   - the first request runs normally and a successful (2xx) response is stored
+ *   - a retry with the same key and payload gets the stored response back
+ *   - a retry with the same key but a different payload is rejected (422);
+ *     the payload includes the route parameters, so the same key sent to
+ *     /transactions/A/refund and /transactions/B/refund is two requests
+ *   - a retry while the first request is still running is rejected (409)
+ * Failed requests release the key, so the client can retry after fixing
+ * the problem. Must run after requireSession; keys are scoped per user.
+ */
+
+const crypto = require('crypto');
+const { createIdempotencyStore } = require('../lib/idempotencyStore');
+
+const MAX_KEY_LENGTH = 255;
+
+// Fields that change on every attempt but do not change what the request does
+const VOLATILE_FIELDS = ['ceremonyId', 'assertion'];
+
+const store = createIdempotencyStore();
+
+const sortedEntries = object => Object.keys(object).sort().map(key => [key, object[key]]);
+
+/**
+ * Hash of the scope, the route parameters (e.g. the :id being refunded) and
+ * the business fields of the request body
+ */
+function fingerprintRequest(scope, { params, body }) {
+    const payload = { ...(body || {}) };
+    for (const field of VOLATILE_FIELDS) delete payload[field];
+
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([scope, sortedEntries(params || {}), sortedEntries(payload)]))
+        .digest('hex');
+}
+
+function idempotent(scope) {
+    return async (req, res, next) => {
+        const key = req.get('idempotency-key');
+        if (key === undefined) return next();
+
+        if (!key || key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({ error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters` });
+        }
+
+        const fingerprint = fingerprintRequest(scope, req);
+        let claimed;
+        try {
+            claimed = await store.begin({ username: req.session.username, key, fingerprint });
+        } catch (err) {
+            console.error('Idempotency store error:', err);
+            return res.status(500).json({ error: 'Internal error' });
+        }
+
+        const { record, created } = claimed;
+        if (!created) {
+            if (record.fingerprint !== fingerprint) {
+                return res.status(422).json({
+                    error: 'Idempotency-Key reused with a different request',
+                    details: 'Use a new Idempotency-Key for a different transfer',
+                });
+            }
+            if (record.status !== 'completed') {
+                return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(record.statusCode).json(record.body);
+        }
+
+        // Store the response (or release the key) before it is sent, so an
+        // immediate retry already sees the final outcome
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const outcome = res.statusCode >= 200 && res.statusCode < 300
+                ? store.complete(record, { statusCode: res.statusCode, body })
+                : store.release(record);
+            outcome
+                .catch(err => console.error('Idempotency store error:', err))
+                .then(() => json(body));
+            return res;
+        };
+
+        next();
+    };
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,59 @@
+/**
+ * Session Middleware
+ *
+ * requireSession rejects requests without a valid session and exposes the
+ * authenticated user as req.session. requireOwner additionally checks that a
+ * username in the path or body belongs to that user, so a logged-in user
+ * cannot act on someone else's wallet by editing the URL. requireAdmin
+ * only lets through the users listed in ADMIN_USERNAMES (comma-separated).
+ */
+
+const sessions = require('../lib/sessions');
+
+const ADMIN_USERNAMES = new Set(
+    (process.env.ADMIN_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean)
+);
+
+function isAdmin(username) {
+    return ADMIN_USERNAMES.has(username);
+}
+
+async function requireSession(req, res, next) {
+    try {
+        const session = await sessions.getSession(sessions.readToken(req));
+        if (!session) {
+            return res.status(401).json({ error: 'Not authenticated. Please log in again.' });
+        }
+        req.session = session;
+        next();
+    } catch (err) {
+        console.error('Session lookup error:', err);
+        res.status(500).json({ error: 'Internal error' });
+    }
+}
+
+/**
+ * Build a middleware that checks req.params[field] (or req.body[field])
+ * matches the session user. Must run after requireSession.
+ */
+function requireOwner(field = 'username') {
+    return (req, res, next) => {
+        const claimed = req.params[field] !== undefined ? req.params[field] : req.body?.[field];
+        if (claimed !== undefined && claimed !== req.session.username) {
+            return res.status(403).json({ error: 'You can only access your own wallet' });
+        }
+        next();
+    };
+}
+
+/**
+ * Reject users who are not admins. Must run after requireSession.
+ */
+function requireAdmin(req, res, next) {
+    if (!isAdmin(req.session.username)) {
+        return res.status(403).json({ error: 'Only admins can do this' });
+    }
+    next();
+}
+
+module.exports = { requireSession, requireOwner, requireAdmin };
@@ -0,0 +1,132 @@
+-- Initial schema: users, devices, wallets, the ledger and session state.
+--
+-- camelCase columns are quoted so they keep the exact names the API uses.
+-- Every statement is IF NOT EXISTS, so this also runs cleanly against a
+-- database that was set up by hand from the old integration guide.
+
+CREATE TABLE IF NOT EXISTS users (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  username TEXT UNIQUE NOT NULL,
+  "registeredAt" TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS wallets (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  username TEXT UNIQUE NOT NULL REFERENCES users(username),
+  balance BIGINT NOT NULL DEFAULT 0,  -- snapshot, kept in step with ledger_entries
+  address TEXT,
+  "createdAt" TIMESTAMP WITH TIME ZONE,
+  "updatedAt" TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS transactions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  sender TEXT NOT NULL,
+  receiver TEXT NOT NULL,
+  amount BIGINT NOT NULL,
+  memo TEXT,
+  "createdAt" TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS transactions_sender_idx ON transactions (sender);
+CREATE INDEX IF NOT EXISTS transactions_receiver_idx ON transactions (receiver);
+
+-- Double-entry ledger: every transaction has a debit and a matching credit
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  "transactionId" uuid NOT NULL REFERENCES transactions(id),
+  account TEXT NOT NULL,             -- wallet username, or system:issuance
+  direction TEXT NOT NULL CHECK (direction IN ('debit', 'credit')),
+  amount BIGINT NOT NULL CHECK (amount > 0),
+  "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS ledger_entries_account_idx ON ledger_entries (account);
+CREATE INDEX IF NOT EXISTS ledger_entries_tx_idx ON ledger_entries ("transactionId");
+
+-- WebAuthn credentials, one row per registered device
+CREATE TABLE IF NOT EXISTS credentials (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  username TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+  "credentialId" TEXT UNIQUE NOT NULL,
+  "publicKey" TEXT NOT NULL,
+  "signCount" BIGINT NOT NULL DEFAULT 0,
+  transports JSONB DEFAULT '[]'::jsonb,
+  nickname TEXT,
+  suspect BOOLEAN NOT NULL DEFAULT false,
+  "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  "lastUsedAt" TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS credentials_username_idx ON credentials (username);
+
+CREATE TABLE IF NOT EXISTS security_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  username TEXT NOT NULL REFERENCES users(username),
+  type TEXT NOT NULL,
+  details JSONB DEFAULT '{}'::jsonb,
+  "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS security_events_username_idx ON security_events (username);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,               -- SHA-256 of the session ID in the cookie
+  username TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+  "authenticatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+  "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  "expiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+  "revokedAt" TIMESTAMP WITH TIME ZONE,
+  "userAgent" TEXT
+);
+
+CREATE INDEX IF NOT EXISTS sessions_username_idx ON sessions (username);
+
+-- Only used with CHALLENGE_STORE=supabase
+CREATE TABLE IF NOT EXISTS webauthn_challenges (
+  id TEXT PRIMARY KEY,               -- ceremony ID returned by the */start endpoints
+  challenge TEXT NOT NULL,
+  type TEXT NOT NULL,                -- registration | authentication | add-device | step-up
+  username TEXT,
+  "rpId" TEXT,
+  data JSONB DEFAULT '{}'::jsonb,
+  "expiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+  "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS webauthn_challenges_expires_idx ON webauthn_challenges ("expiresAt");
+
+-- Fingerprint confirmation stored with each transfer
+CREATE TABLE IF NOT EXISTS transaction_authorizations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  "transactionId" UUID REFERENCES transactions(id),
+  username TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+  purpose TEXT NOT NULL,             -- transfer
+  "credentialId" TEXT NOT NULL,
+  nonce TEXT NOT NULL,
+  challenge TEXT NOT NULL,           -- base64url(SHA-256(canonical purpose/username/details/nonce))
+  details JSONB NOT NULL,            -- { sender, receiver, amount }
+  "clientDataJSON" TEXT NOT NULL,
+  "authenticatorData" TEXT NOT NULL,
+  signature TEXT NOT NULL,
+  "signCount" BIGINT,
+  "verifiedAt" TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS transaction_authorizations_tx_idx ON transaction_authorizations ("transactionId");
+
+-- Only used with IDEMPOTENCY_STORE=supabase
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  username TEXT NOT NULL,
+  key TEXT NOT NULL,                 -- Idempotency-Key header
+  fingerprint TEXT NOT NULL,         -- SHA-256 of the request's business fields
+  status TEXT NOT NULL,              -- in_progress | completed
+  "statusCode" INTEGER,
+  body JSONB,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+  "expiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+  PRIMARY KEY (username, key)
+);
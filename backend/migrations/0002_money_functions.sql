@@ -0,0 +1,91 @@
+-- Atomic money movements used by the transfer routes (storage/supabase.js).
+--
+-- transfer_funds locks both wallets, checks the amount and balance, moves
+-- the money and writes the transaction with its debit/credit entries, all in
+-- the caller's transaction. issue_funds is the only way new money enters the
+-- system; it is debited from the system:issuance account.
+
+CREATE OR REPLACE FUNCTION transfer_funds(p_sender TEXT, p_receiver TEXT, p_amount BIGINT)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_sender_balance BIGINT;
+  v_transaction_id UUID;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RETURN QUERY SELECT false, 'Amount must be positive', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF p_sender = p_receiver THEN
+    RETURN QUERY SELECT false, 'Cannot send money to yourself', NULL::UUID;
+    RETURN;
+  END IF;
+
+  -- Lock both wallets in username order so concurrent transfers cannot deadlock
+  PERFORM 1 FROM wallets
+    WHERE username IN (p_sender, p_receiver)
+    ORDER BY username
+    FOR UPDATE;
+
+  SELECT balance INTO v_sender_balance FROM wallets WHERE username = p_sender;
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT false, 'Sender wallet not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM wallets WHERE username = p_receiver) THEN
+    RETURN QUERY SELECT false, 'Recipient wallet not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF v_sender_balance < p_amount THEN
+    RETURN QUERY SELECT false, 'Insufficient balance', NULL::UUID;
+    RETURN;
+  END IF;
+
+  UPDATE wallets SET balance = balance - p_amount, "updatedAt" = now() WHERE username = p_sender;
+  UPDATE wallets SET balance = balance + p_amount, "updatedAt" = now() WHERE username = p_receiver;
+
+  INSERT INTO transactions (sender, receiver, amount, "createdAt")
+    VALUES (p_sender, p_receiver, p_amount, now())
+    RETURNING id INTO v_transaction_id;
+
+  INSERT INTO ledger_entries ("transactionId", account, direction, amount) VALUES
+    (v_transaction_id, p_sender, 'debit', p_amount),
+    (v_transaction_id, p_receiver, 'credit', p_amount);
+
+  RETURN QUERY SELECT true, 'Transfer completed', v_transaction_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION issue_funds(p_receiver TEXT, p_amount BIGINT, p_memo TEXT DEFAULT NULL)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_transaction_id UUID;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RETURN QUERY SELECT false, 'Amount must be positive', NULL::UUID;
+    RETURN;
+  END IF;
+
+  UPDATE wallets SET balance = balance + p_amount, "updatedAt" = now() WHERE username = p_receiver;
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT false, 'Recipient wallet not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  INSERT INTO transactions (sender, receiver, amount, memo, "createdAt")
+    VALUES ('system:issuance', p_receiver, p_amount, p_memo, now())
+    RETURNING id INTO v_transaction_id;
+
+  INSERT INTO ledger_entries ("transactionId", account, direction, amount) VALUES
+    (v_transaction_id, 'system:issuance', 'debit', p_amount),
+    (v_transaction_id, p_receiver, 'credit', p_amount);
+
+  RETURN QUERY SELECT true, 'Funds issued', v_transaction_id;
+END;
+$$;
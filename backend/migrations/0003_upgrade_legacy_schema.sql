@@ -0,0 +1,64 @@
+-- Brings a database that was set up from the old integration guide in line
+-- with 0001. On a fresh database every step is a no-op.
+
+-- The per-wallet JSON history drifted from the transactions table and has
+-- been replaced by the ledger
+ALTER TABLE wallets DROP COLUMN IF EXISTS transactions;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS memo TEXT;
+
+-- One wallet per user; later tables reference wallets(username)
+CREATE UNIQUE INDEX IF NOT EXISTS wallets_username_key ON wallets (username);
+
+-- Credentials used to live on the users row (one device per user). Those
+-- rows hold the raw client value or 'stored', not a COSE key, so they cannot
+-- be verified and are not copied into credentials; the user is flagged to
+-- register the device again instead (see server.js, /api/register/complete)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS "reenrollRequired" BOOLEAN NOT NULL DEFAULT false;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'credentialId'
+  ) THEN
+    EXECUTE $sql$
+      UPDATE users SET "reenrollRequired" = true
+      WHERE "credentialId" IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM credentials c WHERE c.username = users.username)
+    $sql$;
+
+    ALTER TABLE users
+      DROP COLUMN "credentialId",
+      DROP COLUMN IF EXISTS "publicKey",
+      DROP COLUMN IF EXISTS "signCount",
+      DROP COLUMN IF EXISTS "credentialSuspect";
+  END IF;
+END $$;
+
+-- Backfill the ledger from transfers made before it existed, booking each
+-- wallet's remaining balance as an opening balance from system:issuance
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM ledger_entries) THEN
+    INSERT INTO ledger_entries ("transactionId", account, direction, amount, "createdAt")
+    SELECT id, sender, 'debit', amount, COALESCE("createdAt", now()) FROM transactions WHERE amount > 0
+    UNION ALL
+    SELECT id, receiver, 'credit', amount, COALESCE("createdAt", now()) FROM transactions WHERE amount > 0;
+
+    WITH opening AS (
+      SELECT w.username,
+             w.balance - COALESCE(SUM(CASE WHEN e.direction = 'credit' THEN e.amount ELSE -e.amount END), 0) AS amount
+      FROM wallets w
+      LEFT JOIN ledger_entries e ON e.account = w.username
+      GROUP BY w.username, w.balance
+    ), issued AS (
+      INSERT INTO transactions (sender, receiver, amount, memo, "createdAt")
+      SELECT 'system:issuance', username, amount, 'Opening balance', now() FROM opening WHERE amount > 0
+      RETURNING id, receiver, amount
+    )
+    INSERT INTO ledger_entries ("transactionId", account, direction, amount)
+    SELECT id, 'system:issuance', 'debit', amount FROM issued
+    UNION ALL
+    SELECT id, receiver, 'credit', amount FROM issued;
+  END IF;
+END $$;
@@ -0,0 +1,145 @@
+-- Multi-currency wallets.
+--
+-- A wallet holds one balance per ISO 4217 currency in wallet_balances, and
+-- every transaction and ledger entry is tagged with its currency. Existing
+-- balances and history are USD, which was the only currency until now.
+
+CREATE TABLE IF NOT EXISTS wallet_balances (
+  username TEXT NOT NULL REFERENCES wallets(username) ON DELETE CASCADE,
+  currency TEXT NOT NULL,
+  balance BIGINT NOT NULL DEFAULT 0 CHECK (balance >= 0),  -- snapshot, kept in step with ledger_entries
+  "updatedAt" TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  PRIMARY KEY (username, currency)
+);
+
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS "displayCurrency" TEXT NOT NULL DEFAULT 'USD';
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'USD';
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'USD';
+
+CREATE INDEX IF NOT EXISTS ledger_entries_account_currency_idx ON ledger_entries (account, currency);
+
+-- Move the single balance into wallet_balances
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'wallets' AND column_name = 'balance'
+  ) THEN
+    EXECUTE $sql$
+      INSERT INTO wallet_balances (username, currency, balance, "updatedAt")
+      SELECT username, 'USD', balance, COALESCE("updatedAt", now()) FROM wallets
+      ON CONFLICT (username, currency) DO NOTHING
+    $sql$;
+    ALTER TABLE wallets DROP COLUMN balance;
+  END IF;
+END $$;
+
+-- The money functions now take a currency
+DROP FUNCTION IF EXISTS transfer_funds(TEXT, TEXT, BIGINT);
+DROP FUNCTION IF EXISTS issue_funds(TEXT, BIGINT, TEXT);
+
+CREATE OR REPLACE FUNCTION transfer_funds(p_sender TEXT, p_receiver TEXT, p_amount BIGINT, p_currency TEXT)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_sender_balance BIGINT;
+  v_transaction_id UUID;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RETURN QUERY SELECT false, 'Amount must be positive', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF p_currency IS NULL OR p_currency !~ '^[A-Z]{3}$' THEN
+    RETURN QUERY SELECT false, 'Invalid currency', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF p_sender = p_receiver THEN
+    RETURN QUERY SELECT false, 'Cannot send money to yourself', NULL::UUID;
+    RETURN;
+  END IF;
+
+  -- Lock both wallets in username order so concurrent transfers cannot deadlock
+  PERFORM 1 FROM wallets
+    WHERE username IN (p_sender, p_receiver)
+    ORDER BY username
+    FOR UPDATE;
+
+  IF NOT EXISTS (SELECT 1 FROM wallets WHERE username = p_sender) THEN
+    RETURN QUERY SELECT false, 'Sender wallet not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM wallets WHERE username = p_receiver) THEN
+    RETURN QUERY SELECT false, 'Recipient wallet not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  SELECT balance INTO v_sender_balance FROM wallet_balances
+    WHERE username = p_sender AND currency = p_currency;
+  IF COALESCE(v_sender_balance, 0) < p_amount THEN
+    RETURN QUERY SELECT false, 'Insufficient balance', NULL::UUID;
+    RETURN;
+  END IF;
+
+  UPDATE wallet_balances SET balance = balance - p_amount, "updatedAt" = now()
+    WHERE username = p_sender AND currency = p_currency;
+  INSERT INTO wallet_balances (username, currency, balance, "updatedAt")
+    VALUES (p_receiver, p_currency, p_amount, now())
+    ON CONFLICT (username, currency)
+    DO UPDATE SET balance = wallet_balances.balance + EXCLUDED.balance, "updatedAt" = now();
+  UPDATE wallets SET "updatedAt" = now() WHERE username IN (p_sender, p_receiver);
+
+  INSERT INTO transactions (sender, receiver, amount, currency, "createdAt")
+    VALUES (p_sender, p_receiver, p_amount, p_currency, now())
+    RETURNING id INTO v_transaction_id;
+
+  INSERT INTO ledger_entries ("transactionId", account, direction, amount, currency) VALUES
+    (v_transaction_id, p_sender, 'debit', p_amount, p_currency),
+    (v_transaction_id, p_receiver, 'credit', p_amount, p_currency);
+
+  RETURN QUERY SELECT true, 'Transfer completed', v_transaction_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION issue_funds(p_receiver TEXT, p_amount BIGINT, p_currency TEXT, p_memo TEXT DEFAULT NULL)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_transaction_id UUID;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RETURN QUERY SELECT false, 'Amount must be positive', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF p_currency IS NULL OR p_currency !~ '^[A-Z]{3}$' THEN
+    RETURN QUERY SELECT false, 'Invalid currency', NULL::UUID;
+    RETURN;
+  END IF;
+
+  UPDATE wallets SET "updatedAt" = now() WHERE username = p_receiver;
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT false, 'Recipient wallet not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  INSERT INTO wallet_balances (username, currency, balance, "updatedAt")
+    VALUES (p_receiver, p_currency, p_amount, now())
+    ON CONFLICT (username, currency)
+    DO UPDATE SET balance = wallet_balances.balance + EXCLUDED.balance, "updatedAt" = now();
+
+  INSERT INTO transactions (sender, receiver, amount, currency, memo, "createdAt")
+    VALUES ('system:issuance', p_receiver, p_amount, p_currency, p_memo, now())
+    RETURNING id INTO v_transaction_id;
+
+  INSERT INTO ledger_entries ("transactionId", account, direction, amount, currency) VALUES
+    (v_transaction_id, 'system:issuance', 'debit', p_amount, p_currency),
+    (v_transaction_id, p_receiver, 'credit', p_amount, p_currency);
+
+  RETURN QUERY SELECT true, 'Funds issued', v_transaction_id;
+END;
+$$;
@@ -0,0 +1,98 @@
+-- Currency conversion (lib/conversion.js).
+--
+-- POST /api/convert/quote stores a priced quote; POST /api/convert executes
+-- it once, before it expires, through convert_funds. The conversion is one
+-- transaction of type 'conversion' whose ledger entries record the rate.
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS type TEXT NOT NULL DEFAULT 'transfer';
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS rate NUMERIC(30, 12);  -- conversions only
+
+CREATE TABLE IF NOT EXISTS conversion_quotes (
+  id uuid PRIMARY KEY,
+  username TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+  "fromCurrency" TEXT NOT NULL,
+  "toCurrency" TEXT NOT NULL,
+  "fromAmount" BIGINT NOT NULL CHECK ("fromAmount" > 0),
+  "toAmount" BIGINT NOT NULL CHECK ("toAmount" > 0),
+  rate NUMERIC(30, 12) NOT NULL,      -- offered rate: to units per from unit, after the spread
+  "midRate" NUMERIC(30, 12) NOT NULL,  -- provider rate before the spread
+  "spreadBps" INTEGER NOT NULL,
+  "rateSource" TEXT,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+  "expiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+  "executedAt" TIMESTAMP WITH TIME ZONE,
+  "transactionId" uuid REFERENCES transactions(id)
+);
+
+CREATE INDEX IF NOT EXISTS conversion_quotes_username_idx ON conversion_quotes (username);
+
+CREATE OR REPLACE FUNCTION convert_funds(p_quote_id UUID, p_username TEXT)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_quote conversion_quotes%ROWTYPE;
+  v_balance BIGINT;
+  v_transaction_id UUID;
+BEGIN
+  -- Locking the quote makes a second execution wait and then see executedAt
+  SELECT * INTO v_quote FROM conversion_quotes
+    WHERE id = p_quote_id AND username = p_username
+    FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT false, 'Quote not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF v_quote."executedAt" IS NOT NULL THEN
+    RETURN QUERY SELECT false, 'Quote already used', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF v_quote."expiresAt" <= now() THEN
+    RETURN QUERY SELECT false, 'Quote expired', NULL::UUID;
+    RETURN;
+  END IF;
+
+  -- Same wallet lock as transfer_funds
+  PERFORM 1 FROM wallets WHERE username = p_username FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT false, 'Wallet not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  SELECT balance INTO v_balance FROM wallet_balances
+    WHERE username = p_username AND currency = v_quote."fromCurrency";
+  IF COALESCE(v_balance, 0) < v_quote."fromAmount" THEN
+    RETURN QUERY SELECT false, 'Insufficient balance', NULL::UUID;
+    RETURN;
+  END IF;
+
+  UPDATE wallet_balances SET balance = balance - v_quote."fromAmount", "updatedAt" = now()
+    WHERE username = p_username AND currency = v_quote."fromCurrency";
+  INSERT INTO wallet_balances (username, currency, balance, "updatedAt")
+    VALUES (p_username, v_quote."toCurrency", v_quote."toAmount", now())
+    ON CONFLICT (username, currency)
+    DO UPDATE SET balance = wallet_balances.balance + EXCLUDED.balance, "updatedAt" = now();
+  UPDATE wallets SET "updatedAt" = now() WHERE username = p_username;
+
+  INSERT INTO transactions (sender, receiver, amount, currency, type, memo, "createdAt")
+    VALUES (
+      p_username, p_username, v_quote."fromAmount", v_quote."fromCurrency", 'conversion',
+      format('Converted %s %s to %s %s', v_quote."fromAmount", v_quote."fromCurrency", v_quote."toAmount", v_quote."toCurrency"),
+      now()
+    )
+    RETURNING id INTO v_transaction_id;
+
+  INSERT INTO ledger_entries ("transactionId", account, direction, amount, currency, rate) VALUES
+    (v_transaction_id, p_username, 'debit', v_quote."fromAmount", v_quote."fromCurrency", v_quote.rate),
+    (v_transaction_id, 'system:exchange', 'credit', v_quote."fromAmount", v_quote."fromCurrency", v_quote.rate),
+    (v_transaction_id, 'system:exchange', 'debit', v_quote."toAmount", v_quote."toCurrency", v_quote.rate),
+    (v_transaction_id, p_username, 'credit', v_quote."toAmount", v_quote."toCurrency", v_quote.rate);
+
+  UPDATE conversion_quotes SET "executedAt" = now(), "transactionId" = v_transaction_id
+    WHERE id = p_quote_id;
+
+  RETURN QUERY SELECT true, 'Conversion completed', v_transaction_id;
+END;
+$$;
@@ -0,0 +1,124 @@
+-- Integer minor units (lib/money.js).
+--
+-- Amounts used to be whole currency units, so 10.75 could not be stored.
+-- From now on every amount is an integer number of the currency's minor
+-- units (cents for USD, yen for JPY, fils for KWD), so existing rows are
+-- multiplied by 10^minor units of their currency. The confirmed details in
+-- transaction_authorizations keep the amounts that were signed.
+
+-- ISO 4217 minor units for the currencies in lib/currencies.js
+CREATE OR REPLACE FUNCTION currency_minor_units(p_currency TEXT)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN p_currency IN ('CLP', 'ISK', 'JPY', 'KRW', 'UGX', 'VND', 'XAF', 'XOF') THEN 0
+    WHEN p_currency IN ('BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND') THEN 3
+    ELSE 2
+  END
+$$;
+
+-- Minor units -> decimal text in major units, e.g. 1075 USD -> '10.75'
+CREATE OR REPLACE FUNCTION format_minor_units(p_amount BIGINT, p_currency TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT round(
+    p_amount::NUMERIC / power(10::NUMERIC, currency_minor_units(p_currency)),
+    currency_minor_units(p_currency)
+  )::TEXT
+$$;
+
+UPDATE wallet_balances
+  SET balance = balance * power(10, currency_minor_units(currency))::BIGINT;
+UPDATE transactions
+  SET amount = amount * power(10, currency_minor_units(currency))::BIGINT;
+UPDATE ledger_entries
+  SET amount = amount * power(10, currency_minor_units(currency))::BIGINT;
+UPDATE conversion_quotes
+  SET "fromAmount" = "fromAmount" * power(10, currency_minor_units("fromCurrency"))::BIGINT,
+      "toAmount" = "toAmount" * power(10, currency_minor_units("toCurrency"))::BIGINT;
+
+-- Existing conversion memos quoted whole units; restate them in decimals
+UPDATE transactions t
+  SET memo = format('Converted %s %s to %s %s',
+    format_minor_units(q."fromAmount", q."fromCurrency"), q."fromCurrency",
+    format_minor_units(q."toAmount", q."toCurrency"), q."toCurrency")
+  FROM conversion_quotes q
+  WHERE q."transactionId" = t.id;
+
+-- Same as 0005 apart from the memo, which now shows decimal amounts
+CREATE OR REPLACE FUNCTION convert_funds(p_quote_id UUID, p_username TEXT)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_quote conversion_quotes%ROWTYPE;
+  v_balance BIGINT;
+  v_transaction_id UUID;
+BEGIN
+  -- Locking the quote makes a second execution wait and then see executedAt
+  SELECT * INTO v_quote FROM conversion_quotes
+    WHERE id = p_quote_id AND username = p_username
+    FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT false, 'Quote not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF v_quote."executedAt" IS NOT NULL THEN
+    RETURN QUERY SELECT false, 'Quote already used', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF v_quote."expiresAt" <= now() THEN
+    RETURN QUERY SELECT false, 'Quote expired', NULL::UUID;
+    RETURN;
+  END IF;
+
+  -- Same wallet lock as transfer_funds
+  PERFORM 1 FROM wallets WHERE username = p_username FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT false, 'Wallet not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  SELECT balance INTO v_balance FROM wallet_balances
+    WHERE username = p_username AND currency = v_quote."fromCurrency";
+  IF COALESCE(v_balance, 0) < v_quote."fromAmount" THEN
+    RETURN QUERY SELECT false, 'Insufficient balance', NULL::UUID;
+    RETURN;
+  END IF;
+
+  UPDATE wallet_balances SET balance = balance - v_quote."fromAmount", "updatedAt" = now()
+    WHERE username = p_username AND currency = v_quote."fromCurrency";
+  INSERT INTO wallet_balances (username, currency, balance, "updatedAt")
+    VALUES (p_username, v_quote."toCurrency", v_quote."toAmount", now())
+    ON CONFLICT (username, currency)
+    DO UPDATE SET balance = wallet_balances.balance + EXCLUDED.balance, "updatedAt" = now();
+  UPDATE wallets SET "updatedAt" = now() WHERE username = p_username;
+
+  INSERT INTO transactions (sender, receiver, amount, currency, type, memo, "createdAt")
+    VALUES (
+      p_username, p_username, v_quote."fromAmount", v_quote."fromCurrency", 'conversion',
+      format('Converted %s %s to %s %s',
+        format_minor_units(v_quote."fromAmount", v_quote."fromCurrency"), v_quote."fromCurrency",
+        format_minor_units(v_quote."toAmount", v_quote."toCurrency"), v_quote."toCurrency"),
+      now()
+    )
+    RETURNING id INTO v_transaction_id;
+
+  INSERT INTO ledger_entries ("transactionId", account, direction, amount, currency, rate) VALUES
+    (v_transaction_id, p_username, 'debit', v_quote."fromAmount", v_quote."fromCurrency", v_quote.rate),
+    (v_transaction_id, 'system:exchange', 'credit', v_quote."fromAmount", v_quote."fromCurrency", v_quote.rate),
+    (v_transaction_id, 'system:exchange', 'debit', v_quote."toAmount", v_quote."toCurrency", v_quote.rate),
+    (v_transaction_id, p_username, 'credit', v_quote."toAmount", v_quote."toCurrency", v_quote.rate);
+
+  UPDATE conversion_quotes SET "executedAt" = now(), "transactionId" = v_transaction_id
+    WHERE id = p_quote_id;
+
+  RETURN QUERY SELECT true, 'Conversion completed', v_transaction_id;
+END;
+$$;
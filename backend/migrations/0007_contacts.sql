@@ -0,0 +1,17 @@
+-- Recipient resolution (lib/recipients.js).
+--
+-- Transfers can be addressed by wallet address, username or a contact
+-- alias. Addresses identify wallets, so they become unique; contacts are
+-- per-user aliases for another wallet, unique per owner ignoring case.
+
+CREATE UNIQUE INDEX IF NOT EXISTS wallets_address_key ON wallets (address);
+
+CREATE TABLE IF NOT EXISTS contacts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+  alias TEXT NOT NULL,
+  "aliasKey" TEXT NOT NULL,  -- lower-case alias, used for lookups
+  "contactUsername" TEXT NOT NULL REFERENCES wallets(username) ON DELETE CASCADE,
+  "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  CONSTRAINT "contacts_owner_aliasKey_key" UNIQUE (owner, "aliasKey")
+);
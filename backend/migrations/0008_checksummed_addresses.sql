@@ -0,0 +1,76 @@
+-- Checksummed, deterministic wallet addresses (lib/addresses.js).
+--
+-- Addresses used to be a hash of the username and the creation time with
+-- no checksum. They are now Bech32 ("fw1…") over the first 20 bytes of
+-- SHA-256('fw-address:' || username), so every wallet's address can be
+-- recomputed and typos are detected. wallet_address() must stay in step
+-- with deriveAddress() in lib/addresses.js.
+
+-- BIP-173 checksum over 5-bit values
+CREATE OR REPLACE FUNCTION bech32_polymod(p_values INTEGER[])
+RETURNS INTEGER
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  v_generator INTEGER[] := ARRAY[996825010, 642813549, 513874426, 1027748829, 705979059];
+  v_checksum INTEGER := 1;
+  v_top INTEGER;
+  v_value INTEGER;
+BEGIN
+  FOREACH v_value IN ARRAY p_values LOOP
+    v_top := v_checksum >> 25;
+    v_checksum := ((v_checksum & 33554431) << 5) # v_value;
+    FOR i IN 0..4 LOOP
+      IF ((v_top >> i) & 1) = 1 THEN
+        v_checksum := v_checksum # v_generator[i + 1];
+      END IF;
+    END LOOP;
+  END LOOP;
+  RETURN v_checksum;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION wallet_address(p_username TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  v_charset CONSTANT TEXT := 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+  v_hash BYTEA := substring(sha256(convert_to('fw-address:' || p_username, 'UTF8')) FROM 1 FOR 20);
+  v_data INTEGER[] := ARRAY[0];  -- address version
+  v_acc INTEGER := 0;
+  v_bits INTEGER := 0;
+  v_checksum INTEGER;
+  v_address TEXT := 'fw1';
+BEGIN
+  -- 20 bytes regrouped into 32 five-bit values (no padding needed)
+  FOR i IN 0..19 LOOP
+    v_acc := ((v_acc << 8) | get_byte(v_hash, i)) & 4095;
+    v_bits := v_bits + 8;
+    WHILE v_bits >= 5 LOOP
+      v_bits := v_bits - 5;
+      v_data := v_data || ((v_acc >> v_bits) & 31);
+    END LOOP;
+  END LOOP;
+
+  -- ARRAY[3, 3, 0, 6, 23] is the expanded prefix 'fw'
+  v_checksum := bech32_polymod(ARRAY[3, 3, 0, 6, 23] || v_data || ARRAY[0, 0, 0, 0, 0, 0]) # 1;
+  FOR i IN 0..5 LOOP
+    v_data := v_data || ((v_checksum >> (5 * (5 - i))) & 31);
+  END LOOP;
+
+  FOR i IN 1..array_length(v_data, 1) LOOP
+    v_address := v_address || substr(v_charset, v_data[i] + 1, 1);
+  END LOOP;
+  RETURN v_address;
+END;
+$$;
+
+UPDATE wallets SET address = wallet_address(username);
+
+-- wallets_address_key (0007) keeps addresses unique
+ALTER TABLE wallets ALTER COLUMN address SET NOT NULL;
+ALTER TABLE wallets ADD CONSTRAINT wallets_address_format
+  CHECK (address ~ '^fw1[qpzry9x8gf2tvdw0s3jn54khce6mua7l]{39}$');
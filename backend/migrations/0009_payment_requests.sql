@@ -0,0 +1,73 @@
+-- Payment requests (lib/paymentRequests.js).
+--
+-- A requester asks a payer for an amount. The payer approves it with a
+-- fingerprint (pay_payment_request) or declines it; the requester can
+-- cancel it while it is pending. A pending request whose "expiresAt" has
+-- passed is reported as expired and can no longer be paid. A paid request
+-- points at the transfer that settled it.
+
+CREATE TABLE IF NOT EXISTS payment_requests (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  requester TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,  -- is paid
+  payer TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,      -- pays
+  amount BIGINT NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL,
+  memo TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'declined', 'cancelled')),
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  "expiresAt" TIMESTAMP WITH TIME ZONE,
+  "respondedAt" TIMESTAMP WITH TIME ZONE,
+  "transactionId" uuid REFERENCES transactions(id),
+  CHECK (requester <> payer)
+);
+
+CREATE INDEX IF NOT EXISTS payment_requests_payer_idx ON payment_requests (payer, "createdAt" DESC);
+CREATE INDEX IF NOT EXISTS payment_requests_requester_idx ON payment_requests (requester, "createdAt" DESC);
+
+-- Pay a pending request: transfer_funds from the payer to the requester and
+-- mark the request paid, in one transaction
+CREATE OR REPLACE FUNCTION pay_payment_request(p_request_id UUID, p_payer TEXT)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_request payment_requests%ROWTYPE;
+  v_success BOOLEAN;
+  v_message TEXT;
+  v_transaction_id UUID;
+BEGIN
+  -- Locking the request makes a second approval wait and then see it paid
+  SELECT * INTO v_request FROM payment_requests
+    WHERE id = p_request_id AND payer = p_payer
+    FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT false, 'Payment request not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF v_request.status <> 'pending' THEN
+    RETURN QUERY SELECT false, 'Payment request is no longer pending', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF v_request."expiresAt" IS NOT NULL AND v_request."expiresAt" <= now() THEN
+    RETURN QUERY SELECT false, 'Payment request expired', NULL::UUID;
+    RETURN;
+  END IF;
+
+  SELECT t.success, t.message, t.transaction_id INTO v_success, v_message, v_transaction_id
+    FROM transfer_funds(p_payer, v_request.requester, v_request.amount, v_request.currency) t;
+  IF NOT v_success THEN
+    RETURN QUERY SELECT false, v_message, NULL::UUID;
+    RETURN;
+  END IF;
+
+  UPDATE transactions SET memo = COALESCE(v_request.memo, 'Payment request')
+    WHERE id = v_transaction_id;
+  UPDATE payment_requests
+    SET status = 'paid', "respondedAt" = now(), "transactionId" = v_transaction_id
+    WHERE id = p_request_id;
+
+  RETURN QUERY SELECT true, 'Payment request paid', v_transaction_id;
+END;
+$$;
@@ -0,0 +1,101 @@
+-- Scheduled and recurring transfers (lib/schedules.js).
+--
+-- A schedule sends a fixed amount from "sender" to "receiver" once (cron is
+-- NULL) or on every occurrence of a UTC cron rule. "dueAt" is the
+-- occurrence being worked on and "nextRunAt" when to try it next (later
+-- than "dueAt" while retrying a failed attempt). "revision" goes up
+-- whenever the schedule is edited or resumed, so a run started before the
+-- change cannot book the old occurrence. "authorization" holds the signed
+-- fingerprint confirmation covering every transfer the schedule makes.
+
+CREATE TABLE IF NOT EXISTS scheduled_transfers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  sender TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+  receiver TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+  amount BIGINT NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL,
+  memo TEXT,
+  cron TEXT,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'completed', 'cancelled', 'failed')),
+  revision INTEGER NOT NULL DEFAULT 1,
+  "dueAt" TIMESTAMP WITH TIME ZONE,
+  "nextRunAt" TIMESTAMP WITH TIME ZONE,
+  attempt INTEGER NOT NULL DEFAULT 0,
+  "lastRunAt" TIMESTAMP WITH TIME ZONE,
+  "authorization" JSONB NOT NULL,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  CHECK (sender <> receiver)
+);
+
+CREATE INDEX IF NOT EXISTS scheduled_transfers_sender_idx ON scheduled_transfers (sender, "createdAt" DESC);
+CREATE INDEX IF NOT EXISTS scheduled_transfers_due_idx ON scheduled_transfers ("nextRunAt") WHERE status = 'active';
+
+-- One row per attempt at an occurrence
+CREATE TABLE IF NOT EXISTS scheduled_transfer_runs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  "scheduleId" uuid NOT NULL REFERENCES scheduled_transfers(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  "dueAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+  attempt INTEGER NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('succeeded', 'failed')),
+  message TEXT NOT NULL,
+  "transactionId" uuid REFERENCES transactions(id),
+  "ranAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  UNIQUE ("scheduleId", revision, "dueAt", attempt)
+);
+
+CREATE INDEX IF NOT EXISTS scheduled_transfer_runs_schedule_idx ON scheduled_transfer_runs ("scheduleId", "ranAt" DESC);
+
+-- Run one attempt of a due occurrence: transfer_funds and the run record in
+-- one transaction. Returns ran = false with the recorded outcome if this
+-- attempt already ran (e.g. the caller crashed before moving the schedule
+-- on), and success = false with no run if the schedule is not due in this
+-- revision/occurrence/attempt any more.
+CREATE OR REPLACE FUNCTION run_scheduled_transfer(p_schedule_id UUID, p_revision INTEGER, p_due_at TIMESTAMPTZ, p_attempt INTEGER)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID, ran BOOLEAN)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_schedule scheduled_transfers%ROWTYPE;
+  v_run scheduled_transfer_runs%ROWTYPE;
+  v_success BOOLEAN;
+  v_message TEXT;
+  v_transaction_id UUID;
+BEGIN
+  -- Locking the schedule serializes schedulers and edits
+  SELECT * INTO v_schedule FROM scheduled_transfers WHERE id = p_schedule_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT false, 'Schedule not found', NULL::UUID, false;
+    RETURN;
+  END IF;
+
+  SELECT * INTO v_run FROM scheduled_transfer_runs
+    WHERE "scheduleId" = p_schedule_id AND revision = p_revision AND "dueAt" = p_due_at AND attempt = p_attempt;
+  IF FOUND THEN
+    RETURN QUERY SELECT v_run.status = 'succeeded', v_run.message, v_run."transactionId", false;
+    RETURN;
+  END IF;
+
+  IF v_schedule.status <> 'active' OR v_schedule.revision <> p_revision
+     OR v_schedule."dueAt" IS DISTINCT FROM p_due_at OR v_schedule.attempt <> p_attempt
+     OR v_schedule."nextRunAt" > now() THEN
+    RETURN QUERY SELECT false, 'Schedule is not due', NULL::UUID, false;
+    RETURN;
+  END IF;
+
+  SELECT t.success, t.message, t.transaction_id INTO v_success, v_message, v_transaction_id
+    FROM transfer_funds(v_schedule.sender, v_schedule.receiver, v_schedule.amount, v_schedule.currency) t;
+  IF v_success THEN
+    UPDATE transactions SET memo = COALESCE(v_schedule.memo, 'Scheduled transfer')
+      WHERE id = v_transaction_id;
+  END IF;
+
+  INSERT INTO scheduled_transfer_runs ("scheduleId", revision, "dueAt", attempt, status, message, "transactionId")
+    VALUES (p_schedule_id, p_revision, p_due_at, p_attempt,
+            CASE WHEN v_success THEN 'succeeded' ELSE 'failed' END, v_message, v_transaction_id);
+  UPDATE scheduled_transfers SET "lastRunAt" = now() WHERE id = p_schedule_id;
+
+  RETURN QUERY SELECT v_success, v_message, v_transaction_id, true;
+END;
+$$;
@@ -0,0 +1,166 @@
+-- Spending limits and velocity controls (lib/spendingLimits.js).
+--
+-- transfer_funds now refuses a transfer that would break one of the
+-- sender's limits, checked under the same wallet lock as the balance:
+--   perTransaction   largest single transfer, per currency
+--   daily            total sent in the last 24 hours, per currency
+--   monthly          total sent in the last 30 days, per currency
+--   transfersPerHour number of transfers in the last hour, all currencies
+-- Users without a spending_limits row get default_spending_limit(). A
+-- raised limit is stored as "pendingValue" and only applies from
+-- "effectiveAt" (after the cooling-off period); lowering applies at once.
+
+CREATE TABLE IF NOT EXISTS spending_limits (
+  username TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+  "limitType" TEXT NOT NULL CHECK ("limitType" IN ('perTransaction', 'daily', 'monthly', 'transfersPerHour')),
+  currency TEXT NOT NULL DEFAULT '',   -- '' for transfersPerHour
+  value BIGINT NOT NULL CHECK (value >= 0),  -- minor units, or a count
+  "pendingValue" BIGINT CHECK ("pendingValue" >= 0),
+  "effectiveAt" TIMESTAMP WITH TIME ZONE,
+  "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  PRIMARY KEY (username, "limitType", currency)
+);
+
+CREATE INDEX IF NOT EXISTS transactions_sender_created_idx ON transactions (sender, "createdAt" DESC);
+
+-- Limits for users who have not set their own; amounts are in major units
+-- of whichever currency is sent. Keep in step with DEFAULT_LIMITS in
+-- lib/spendingLimits.js.
+CREATE OR REPLACE FUNCTION default_spending_limit(p_limit_type TEXT, p_currency TEXT)
+RETURNS BIGINT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE p_limit_type
+    WHEN 'perTransaction' THEN 2000 * power(10::NUMERIC, currency_minor_units(p_currency))
+    WHEN 'daily' THEN 5000 * power(10::NUMERIC, currency_minor_units(p_currency))
+    WHEN 'monthly' THEN 20000 * power(10::NUMERIC, currency_minor_units(p_currency))
+    WHEN 'transfersPerHour' THEN 10
+  END::BIGINT;
+$$;
+
+CREATE OR REPLACE FUNCTION spending_limit(p_username TEXT, p_limit_type TEXT, p_currency TEXT)
+RETURNS BIGINT
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(
+    (SELECT CASE WHEN "pendingValue" IS NOT NULL AND "effectiveAt" <= now() THEN "pendingValue" ELSE value END
+       FROM spending_limits
+       WHERE username = p_username AND "limitType" = p_limit_type
+         AND currency = CASE WHEN p_limit_type = 'transfersPerHour' THEN '' ELSE p_currency END),
+    default_spending_limit(p_limit_type, p_currency)
+  );
+$$;
+
+-- Message for the first limit a transfer would break, or NULL. Call with the
+-- sender's wallet locked so concurrent transfers are counted.
+CREATE OR REPLACE FUNCTION check_spending_limits(p_sender TEXT, p_amount BIGINT, p_currency TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_count BIGINT;
+  v_daily BIGINT;
+  v_monthly BIGINT;
+BEGIN
+  IF p_amount > spending_limit(p_sender, 'perTransaction', p_currency) THEN
+    RETURN 'Amount is over your per-transaction limit';
+  END IF;
+
+  SELECT count(*) INTO v_count FROM transactions
+    WHERE sender = p_sender AND type = 'transfer' AND "createdAt" > now() - interval '1 hour';
+  IF v_count + 1 > spending_limit(p_sender, 'transfersPerHour', p_currency) THEN
+    RETURN 'Too many transfers in the last hour';
+  END IF;
+
+  SELECT COALESCE(sum(amount) FILTER (WHERE "createdAt" > now() - interval '24 hours'), 0),
+         COALESCE(sum(amount), 0)
+    INTO v_daily, v_monthly
+    FROM transactions
+    WHERE sender = p_sender AND currency = p_currency AND type = 'transfer'
+      AND "createdAt" > now() - interval '30 days';
+  IF v_daily + p_amount > spending_limit(p_sender, 'daily', p_currency) THEN
+    RETURN 'Amount is over your daily spending limit';
+  END IF;
+  IF v_monthly + p_amount > spending_limit(p_sender, 'monthly', p_currency) THEN
+    RETURN 'Amount is over your monthly spending limit';
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+-- transfer_funds from 0004_multi_currency.sql plus the limit check
+CREATE OR REPLACE FUNCTION transfer_funds(p_sender TEXT, p_receiver TEXT, p_amount BIGINT, p_currency TEXT)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_sender_balance BIGINT;
+  v_limit_error TEXT;
+  v_transaction_id UUID;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RETURN QUERY SELECT false, 'Amount must be positive', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF p_currency IS NULL OR p_currency !~ '^[A-Z]{3}$' THEN
+    RETURN QUERY SELECT false, 'Invalid currency', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF p_sender = p_receiver THEN
+    RETURN QUERY SELECT false, 'Cannot send money to yourself', NULL::UUID;
+    RETURN;
+  END IF;
+
+  -- Lock both wallets in username order so concurrent transfers cannot deadlock
+  PERFORM 1 FROM wallets
+    WHERE username IN (p_sender, p_receiver)
+    ORDER BY username
+    FOR UPDATE;
+
+  IF NOT EXISTS (SELECT 1 FROM wallets WHERE username = p_sender) THEN
+    RETURN QUERY SELECT false, 'Sender wallet not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM wallets WHERE username = p_receiver) THEN
+    RETURN QUERY SELECT false, 'Recipient wallet not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  v_limit_error := check_spending_limits(p_sender, p_amount, p_currency);
+  IF v_limit_error IS NOT NULL THEN
+    RETURN QUERY SELECT false, v_limit_error, NULL::UUID;
+    RETURN;
+  END IF;
+
+  SELECT balance INTO v_sender_balance FROM wallet_balances
+    WHERE username = p_sender AND currency = p_currency;
+  IF COALESCE(v_sender_balance, 0) < p_amount THEN
+    RETURN QUERY SELECT false, 'Insufficient balance', NULL::UUID;
+    RETURN;
+  END IF;
+
+  UPDATE wallet_balances SET balance = balance - p_amount, "updatedAt" = now()
+    WHERE username = p_sender AND currency = p_currency;
+  INSERT INTO wallet_balances (username, currency, balance, "updatedAt")
+    VALUES (p_receiver, p_currency, p_amount, now())
+    ON CONFLICT (username, currency)
+    DO UPDATE SET balance = wallet_balances.balance + EXCLUDED.balance, "updatedAt" = now();
+  UPDATE wallets SET "updatedAt" = now() WHERE username IN (p_sender, p_receiver);
+
+  INSERT INTO transactions (sender, receiver, amount, currency, "createdAt")
+    VALUES (p_sender, p_receiver, p_amount, p_currency, now())
+    RETURNING id INTO v_transaction_id;
+
+  INSERT INTO ledger_entries ("transactionId", account, direction, amount, currency) VALUES
+    (v_transaction_id, p_sender, 'debit', p_amount, p_currency),
+    (v_transaction_id, p_receiver, 'credit', p_amount, p_currency);
+
+  RETURN QUERY SELECT true, 'Transfer completed', v_transaction_id;
+END;
+$$;
@@ -0,0 +1,76 @@
+-- Risk scoring of transfers (lib/risk.js).
+--
+-- Every transfer sent with /api/transfer is scored against the rules in
+-- RISK_RULES_FILE before transfer_funds runs, and the outcome is kept here
+-- with the score, the reasons (the rules that matched) and the signals they
+-- were computed from. A transfer the rules let through is booked straight
+-- away ("status" allowed). One scored for a fingerprint step-up or manual
+-- review is held: it only moves money once release_held_transfer runs it,
+-- after the sender's second confirmation or a reviewer's approval.
+-- "authorization" is the signed confirmation the sender made for it.
+
+CREATE TABLE IF NOT EXISTS risk_assessments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  sender TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+  receiver TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+  amount BIGINT NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL,
+  score INTEGER NOT NULL,
+  decision TEXT NOT NULL CHECK (decision IN ('allow', 'step_up', 'review')),
+  reasons JSONB NOT NULL DEFAULT '[]',
+  signals JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL CHECK (status IN ('allowed', 'held', 'released', 'rejected', 'cancelled', 'failed')),
+  "authorization" JSONB,
+  message TEXT,
+  "reviewedBy" TEXT,
+  "transactionId" uuid REFERENCES transactions(id),
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  "decidedAt" TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS risk_assessments_sender_idx ON risk_assessments (sender, "createdAt" DESC);
+CREATE INDEX IF NOT EXISTS risk_assessments_held_idx ON risk_assessments (decision, "createdAt") WHERE status = 'held';
+
+-- Run a held transfer: transfer_funds and the new status in one
+-- transaction. p_reviewer is NULL when the sender released it with a
+-- step-up confirmation. A transfer that transfer_funds refuses ends as
+-- failed, with its message.
+CREATE OR REPLACE FUNCTION release_held_transfer(p_assessment_id UUID, p_decision TEXT, p_reviewer TEXT)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_assessment risk_assessments%ROWTYPE;
+  v_success BOOLEAN;
+  v_message TEXT;
+  v_transaction_id UUID;
+BEGIN
+  -- Locking the assessment makes a second release wait and then see it done
+  SELECT * INTO v_assessment FROM risk_assessments
+    WHERE id = p_assessment_id
+    FOR UPDATE;
+
+  IF NOT FOUND OR v_assessment.decision <> p_decision THEN
+    RETURN QUERY SELECT false, 'Held transfer not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF v_assessment.status <> 'held' THEN
+    RETURN QUERY SELECT false, 'Transfer is no longer held', NULL::UUID;
+    RETURN;
+  END IF;
+
+  SELECT t.success, t.message, t.transaction_id INTO v_success, v_message, v_transaction_id
+    FROM transfer_funds(v_assessment.sender, v_assessment.receiver, v_assessment.amount, v_assessment.currency) AS t;
+
+  UPDATE risk_assessments
+    SET status = CASE WHEN v_success THEN 'released' ELSE 'failed' END,
+        message = v_message,
+        "reviewedBy" = p_reviewer,
+        "transactionId" = v_transaction_id,
+        "decidedAt" = now()
+    WHERE id = p_assessment_id;
+
+  RETURN QUERY SELECT v_success, v_message, v_transaction_id;
+END;
+$$;
@@ -0,0 +1,328 @@
+-- Transaction states, refunds and reversals (lib/reversals.js).
+--
+-- A transaction is pending, completed, failed or reversed:
+--   pending   held by the risk checks (0012); no money has moved and it
+--             has no ledger entries yet
+--   completed booked, with its ledger entries
+--   failed    a pending transfer that was refused ("statusReason" says why)
+--   reversed  a completed transfer that was refunded or reversed
+-- Nothing is deleted to undo a transfer. reverse_transaction books a
+-- compensating transaction of type refund (made by the receiver) or
+-- reversal (made by an admin), from the receiver back to the sender, with
+-- its own ledger entries and "reversalOf" pointing at the original.
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'completed';
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS "statusReason" TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS "reversalOf" uuid REFERENCES transactions(id);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS "updatedAt" TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE transactions ADD CONSTRAINT transactions_status_check
+  CHECK (status IN ('pending', 'completed', 'failed', 'reversed'));
+
+-- A transaction can be undone once
+CREATE UNIQUE INDEX IF NOT EXISTS transactions_reversal_of_idx ON transactions ("reversalOf") WHERE "reversalOf" IS NOT NULL;
+
+-- Transfers held before this migration get their pending transaction
+DO $$
+DECLARE
+  v_assessment risk_assessments%ROWTYPE;
+  v_transaction_id UUID;
+BEGIN
+  FOR v_assessment IN SELECT * FROM risk_assessments WHERE status = 'held' AND "transactionId" IS NULL LOOP
+    INSERT INTO transactions (sender, receiver, amount, currency, status, "createdAt")
+      VALUES (v_assessment.sender, v_assessment.receiver, v_assessment.amount, v_assessment.currency, 'pending', v_assessment."createdAt")
+      RETURNING id INTO v_transaction_id;
+    UPDATE risk_assessments SET "transactionId" = v_transaction_id WHERE id = v_assessment.id;
+  END LOOP;
+END;
+$$;
+
+-- check_spending_limits from 0011_spending_limits.sql, counting only
+-- transfers that moved money (pending and failed ones did not)
+CREATE OR REPLACE FUNCTION check_spending_limits(p_sender TEXT, p_amount BIGINT, p_currency TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_count BIGINT;
+  v_daily BIGINT;
+  v_monthly BIGINT;
+BEGIN
+  IF p_amount > spending_limit(p_sender, 'perTransaction', p_currency) THEN
+    RETURN 'Amount is over your per-transaction limit';
+  END IF;
+
+  SELECT count(*) INTO v_count FROM transactions
+    WHERE sender = p_sender AND type = 'transfer' AND status IN ('completed', 'reversed')
+      AND "createdAt" > now() - interval '1 hour';
+  IF v_count + 1 > spending_limit(p_sender, 'transfersPerHour', p_currency) THEN
+    RETURN 'Too many transfers in the last hour';
+  END IF;
+
+  SELECT COALESCE(sum(amount) FILTER (WHERE "createdAt" > now() - interval '24 hours'), 0),
+         COALESCE(sum(amount), 0)
+    INTO v_daily, v_monthly
+    FROM transactions
+    WHERE sender = p_sender AND currency = p_currency AND type = 'transfer'
+      AND status IN ('completed', 'reversed')
+      AND "createdAt" > now() - interval '30 days';
+  IF v_daily + p_amount > spending_limit(p_sender, 'daily', p_currency) THEN
+    RETURN 'Amount is over your daily spending limit';
+  END IF;
+  IF v_monthly + p_amount > spending_limit(p_sender, 'monthly', p_currency) THEN
+    RETURN 'Amount is over your monthly spending limit';
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+-- The checks of transfer_funds (0011): lock both wallets in username order
+-- so concurrent transfers cannot deadlock, then return why the transfer
+-- cannot be booked, or NULL if it can
+CREATE OR REPLACE FUNCTION lock_and_check_transfer(p_sender TEXT, p_receiver TEXT, p_amount BIGINT, p_currency TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_sender_balance BIGINT;
+  v_limit_error TEXT;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RETURN 'Amount must be positive';
+  END IF;
+
+  IF p_currency IS NULL OR p_currency !~ '^[A-Z]{3}$' THEN
+    RETURN 'Invalid currency';
+  END IF;
+
+  IF p_sender = p_receiver THEN
+    RETURN 'Cannot send money to yourself';
+  END IF;
+
+  PERFORM 1 FROM wallets
+    WHERE username IN (p_sender, p_receiver)
+    ORDER BY username
+    FOR UPDATE;
+
+  IF NOT EXISTS (SELECT 1 FROM wallets WHERE username = p_sender) THEN
+    RETURN 'Sender wallet not found';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM wallets WHERE username = p_receiver) THEN
+    RETURN 'Recipient wallet not found';
+  END IF;
+
+  v_limit_error := check_spending_limits(p_sender, p_amount, p_currency);
+  IF v_limit_error IS NOT NULL THEN
+    RETURN v_limit_error;
+  END IF;
+
+  SELECT balance INTO v_sender_balance FROM wallet_balances
+    WHERE username = p_sender AND currency = p_currency;
+  IF COALESCE(v_sender_balance, 0) < p_amount THEN
+    RETURN 'Insufficient balance';
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+-- Move the money of a booked transaction and write its ledger entries.
+-- Call with both wallets locked and the balance checked.
+CREATE OR REPLACE FUNCTION apply_transfer(p_transaction_id UUID, p_sender TEXT, p_receiver TEXT, p_amount BIGINT, p_currency TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE wallet_balances SET balance = balance - p_amount, "updatedAt" = now()
+    WHERE username = p_sender AND currency = p_currency;
+  INSERT INTO wallet_balances (username, currency, balance, "updatedAt")
+    VALUES (p_receiver, p_currency, p_amount, now())
+    ON CONFLICT (username, currency)
+    DO UPDATE SET balance = wallet_balances.balance + EXCLUDED.balance, "updatedAt" = now();
+  UPDATE wallets SET "updatedAt" = now() WHERE username IN (p_sender, p_receiver);
+
+  INSERT INTO ledger_entries ("transactionId", account, direction, amount, currency) VALUES
+    (p_transaction_id, p_sender, 'debit', p_amount, p_currency),
+    (p_transaction_id, p_receiver, 'credit', p_amount, p_currency);
+END;
+$$;
+
+-- transfer_funds from 0011_spending_limits.sql, built on the two helpers
+CREATE OR REPLACE FUNCTION transfer_funds(p_sender TEXT, p_receiver TEXT, p_amount BIGINT, p_currency TEXT)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_error TEXT;
+  v_transaction_id UUID;
+BEGIN
+  v_error := lock_and_check_transfer(p_sender, p_receiver, p_amount, p_currency);
+  IF v_error IS NOT NULL THEN
+    RETURN QUERY SELECT false, v_error, NULL::UUID;
+    RETURN;
+  END IF;
+
+  INSERT INTO transactions (sender, receiver, amount, currency, status, "createdAt")
+    VALUES (p_sender, p_receiver, p_amount, p_currency, 'completed', now())
+    RETURNING id INTO v_transaction_id;
+
+  PERFORM apply_transfer(v_transaction_id, p_sender, p_receiver, p_amount, p_currency);
+
+  RETURN QUERY SELECT true, 'Transfer completed', v_transaction_id;
+END;
+$$;
+
+-- Complete a pending transfer, or fail it with the reason transfer_funds
+-- would have given
+CREATE OR REPLACE FUNCTION settle_pending_transfer(p_transaction_id UUID)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_transaction transactions%ROWTYPE;
+  v_error TEXT;
+BEGIN
+  SELECT * INTO v_transaction FROM transactions
+    WHERE id = p_transaction_id
+    FOR UPDATE;
+
+  IF NOT FOUND OR v_transaction.type <> 'transfer' THEN
+    RETURN QUERY SELECT false, 'Transaction not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF v_transaction.status <> 'pending' THEN
+    RETURN QUERY SELECT false, 'Transaction is not pending', p_transaction_id;
+    RETURN;
+  END IF;
+
+  v_error := lock_and_check_transfer(v_transaction.sender, v_transaction.receiver, v_transaction.amount, v_transaction.currency);
+  IF v_error IS NOT NULL THEN
+    UPDATE transactions SET status = 'failed', "statusReason" = v_error, "updatedAt" = now()
+      WHERE id = p_transaction_id;
+    RETURN QUERY SELECT false, v_error, p_transaction_id;
+    RETURN;
+  END IF;
+
+  PERFORM apply_transfer(p_transaction_id, v_transaction.sender, v_transaction.receiver, v_transaction.amount, v_transaction.currency);
+  UPDATE transactions SET status = 'completed', "updatedAt" = now()
+    WHERE id = p_transaction_id;
+
+  RETURN QUERY SELECT true, 'Transfer completed', p_transaction_id;
+END;
+$$;
+
+-- release_held_transfer from 0012_risk_assessments.sql, settling the held
+-- transfer's pending transaction instead of booking a new one
+CREATE OR REPLACE FUNCTION release_held_transfer(p_assessment_id UUID, p_decision TEXT, p_reviewer TEXT)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_assessment risk_assessments%ROWTYPE;
+  v_success BOOLEAN;
+  v_message TEXT;
+BEGIN
+  -- Locking the assessment makes a second release wait and then see it done
+  SELECT * INTO v_assessment FROM risk_assessments
+    WHERE id = p_assessment_id
+    FOR UPDATE;
+
+  IF NOT FOUND OR v_assessment.decision <> p_decision THEN
+    RETURN QUERY SELECT false, 'Held transfer not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF v_assessment.status <> 'held' THEN
+    RETURN QUERY SELECT false, 'Transfer is no longer held', NULL::UUID;
+    RETURN;
+  END IF;
+
+  SELECT t.success, t.message INTO v_success, v_message
+    FROM settle_pending_transfer(v_assessment."transactionId") AS t;
+
+  UPDATE risk_assessments
+    SET status = CASE WHEN v_success THEN 'released' ELSE 'failed' END,
+        message = v_message,
+        "reviewedBy" = p_reviewer,
+        "decidedAt" = now()
+    WHERE id = p_assessment_id;
+
+  RETURN QUERY SELECT v_success, v_message, v_assessment."transactionId";
+END;
+$$;
+
+-- Undo a completed transfer between two wallets by sending the amount back
+-- from its receiver. p_kind is refund (p_actor must be the receiver) or
+-- reversal (checked to be an admin by the caller); p_memo goes on the
+-- compensating transaction and is kept as the original's "statusReason".
+CREATE OR REPLACE FUNCTION reverse_transaction(p_transaction_id UUID, p_kind TEXT, p_actor TEXT, p_memo TEXT)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_original transactions%ROWTYPE;
+  v_balance BIGINT;
+  v_transaction_id UUID;
+BEGIN
+  IF p_kind NOT IN ('refund', 'reversal') THEN
+    RETURN QUERY SELECT false, 'Invalid reversal type', NULL::UUID;
+    RETURN;
+  END IF;
+
+  -- Locking the original makes a second refund wait and then see it reversed
+  SELECT * INTO v_original FROM transactions
+    WHERE id = p_transaction_id
+    FOR UPDATE;
+
+  IF NOT FOUND OR (p_kind = 'refund' AND v_original.receiver <> p_actor) THEN
+    RETURN QUERY SELECT false, 'Transaction not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF v_original.type <> 'transfer' OR v_original.sender LIKE 'system:%' THEN
+    RETURN QUERY SELECT false, 'Only transfers between wallets can be reversed', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF v_original.status = 'reversed' THEN
+    RETURN QUERY SELECT false, 'Transaction was already reversed', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF v_original.status <> 'completed' THEN
+    RETURN QUERY SELECT false, 'Only completed transfers can be reversed', NULL::UUID;
+    RETURN;
+  END IF;
+
+  PERFORM 1 FROM wallets
+    WHERE username IN (v_original.sender, v_original.receiver)
+    ORDER BY username
+    FOR UPDATE;
+
+  IF (SELECT count(*) FROM wallets WHERE username IN (v_original.sender, v_original.receiver)) < 2 THEN
+    RETURN QUERY SELECT false, 'Wallet not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  SELECT balance INTO v_balance FROM wallet_balances
+    WHERE username = v_original.receiver AND currency = v_original.currency;
+  IF COALESCE(v_balance, 0) < v_original.amount THEN
+    RETURN QUERY SELECT false, 'Insufficient balance', NULL::UUID;
+    RETURN;
+  END IF;
+
+  INSERT INTO transactions (sender, receiver, amount, currency, type, memo, status, "reversalOf", "createdAt")
+    VALUES (v_original.receiver, v_original.sender, v_original.amount, v_original.currency, p_kind, p_memo, 'completed', v_original.id, now())
+    RETURNING id INTO v_transaction_id;
+
+  PERFORM apply_transfer(v_transaction_id, v_original.receiver, v_original.sender, v_original.amount, v_original.currency);
+
+  UPDATE transactions SET status = 'reversed', "statusReason" = p_memo, "updatedAt" = now()
+    WHERE id = v_original.id;
+
+  RETURN QUERY SELECT true, CASE p_kind WHEN 'refund' THEN 'Refund completed' ELSE 'Transfer reversed' END, v_transaction_id;
+END;
+$$;
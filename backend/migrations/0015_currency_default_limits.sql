@@ -0,0 +1,82 @@
+-- Per-currency default spending limits (lib/spendingLimits.js).
+--
+-- default_spending_limit() used the same number of major units for every
+-- currency, so the default per-transaction limit was 2000 US dollars but
+-- also 2000 yen or 2000 Kuwaiti dinars. Defaults are now set in US dollars
+-- and converted with default_limit_rate(): units of the currency per
+-- dollar, to two significant figures. Keep both in step with
+-- DEFAULT_LIMITS and DEFAULT_LIMIT_RATES.
+
+CREATE OR REPLACE FUNCTION default_limit_rate(p_currency TEXT)
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE p_currency
+    WHEN 'AED' THEN 3.7
+    WHEN 'ARS' THEN 1400
+    WHEN 'AUD' THEN 1.5
+    WHEN 'BDT' THEN 120
+    WHEN 'BHD' THEN 0.38
+    WHEN 'BRL' THEN 5.4
+    WHEN 'CAD' THEN 1.4
+    WHEN 'CHF' THEN 0.8
+    WHEN 'CLP' THEN 950
+    WHEN 'CNY' THEN 7.1
+    WHEN 'CZK' THEN 21
+    WHEN 'DKK' THEN 6.4
+    WHEN 'EGP' THEN 48
+    WHEN 'EUR' THEN 0.85
+    WHEN 'GBP' THEN 0.74
+    WHEN 'HKD' THEN 7.8
+    WHEN 'HUF' THEN 340
+    WHEN 'IDR' THEN 16000
+    WHEN 'ILS' THEN 3.3
+    WHEN 'INR' THEN 88
+    WHEN 'IQD' THEN 1300
+    WHEN 'ISK' THEN 120
+    WHEN 'JOD' THEN 0.71
+    WHEN 'JPY' THEN 150
+    WHEN 'KES' THEN 130
+    WHEN 'KRW' THEN 1400
+    WHEN 'KWD' THEN 0.31
+    WHEN 'LYD' THEN 5.4
+    WHEN 'MXN' THEN 18
+    WHEN 'MYR' THEN 4.2
+    WHEN 'NGN' THEN 1500
+    WHEN 'NOK' THEN 10
+    WHEN 'NZD' THEN 1.7
+    WHEN 'OMR' THEN 0.39
+    WHEN 'PHP' THEN 57
+    WHEN 'PKR' THEN 280
+    WHEN 'PLN' THEN 3.6
+    WHEN 'QAR' THEN 3.6
+    WHEN 'SAR' THEN 3.8
+    WHEN 'SEK' THEN 9.4
+    WHEN 'SGD' THEN 1.3
+    WHEN 'THB' THEN 32
+    WHEN 'TND' THEN 2.9
+    WHEN 'TRY' THEN 42
+    WHEN 'TWD' THEN 30
+    WHEN 'UGX' THEN 3500
+    WHEN 'USD' THEN 1
+    WHEN 'VND' THEN 26000
+    WHEN 'XAF' THEN 560
+    WHEN 'XOF' THEN 560
+    WHEN 'ZAR' THEN 17
+    ELSE 1
+  END::NUMERIC
+$$;
+
+CREATE OR REPLACE FUNCTION default_spending_limit(p_limit_type TEXT, p_currency TEXT)
+RETURNS BIGINT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE p_limit_type
+    WHEN 'perTransaction' THEN round(2000 * default_limit_rate(p_currency) * power(10::NUMERIC, currency_minor_units(p_currency)))
+    WHEN 'daily' THEN round(5000 * default_limit_rate(p_currency) * power(10::NUMERIC, currency_minor_units(p_currency)))
+    WHEN 'monthly' THEN round(20000 * default_limit_rate(p_currency) * power(10::NUMERIC, currency_minor_units(p_currency)))
+    WHEN 'transfersPerHour' THEN 10
+  END::BIGINT;
+$$;
@@ -0,0 +1,77 @@
+-- Risk checks for payment requests and scheduled transfers (lib/risk.js).
+--
+-- Paying a payment request and running a scheduled transfer are scored like
+-- /api/transfer. A risky payment is refused and its assessment stored as
+-- "blocked"; the request stays pending. A risky scheduled run is held: the
+-- run is recorded as "held" with a pending transaction, which the sender
+-- or a reviewer releases like any held transfer, and the schedule moves on.
+
+ALTER TABLE risk_assessments DROP CONSTRAINT IF EXISTS risk_assessments_status_check;
+ALTER TABLE risk_assessments ADD CONSTRAINT risk_assessments_status_check
+  CHECK (status IN ('allowed', 'held', 'blocked', 'released', 'rejected', 'cancelled', 'failed'));
+
+ALTER TABLE scheduled_transfer_runs DROP CONSTRAINT IF EXISTS scheduled_transfer_runs_status_check;
+ALTER TABLE scheduled_transfer_runs ADD CONSTRAINT scheduled_transfer_runs_status_check
+  CHECK (status IN ('succeeded', 'failed', 'held'));
+
+-- run_scheduled_transfer from 0010_scheduled_transfers.sql; with p_hold the
+-- attempt books a pending transaction instead of running transfer_funds
+DROP FUNCTION IF EXISTS run_scheduled_transfer(UUID, INTEGER, TIMESTAMPTZ, INTEGER);
+
+CREATE OR REPLACE FUNCTION run_scheduled_transfer(p_schedule_id UUID, p_revision INTEGER, p_due_at TIMESTAMPTZ, p_attempt INTEGER, p_hold BOOLEAN DEFAULT false)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID, ran BOOLEAN)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_schedule scheduled_transfers%ROWTYPE;
+  v_run scheduled_transfer_runs%ROWTYPE;
+  v_success BOOLEAN;
+  v_message TEXT;
+  v_transaction_id UUID;
+BEGIN
+  -- Locking the schedule serializes schedulers and edits
+  SELECT * INTO v_schedule FROM scheduled_transfers WHERE id = p_schedule_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT false, 'Schedule not found', NULL::UUID, false;
+    RETURN;
+  END IF;
+
+  SELECT * INTO v_run FROM scheduled_transfer_runs
+    WHERE "scheduleId" = p_schedule_id AND revision = p_revision AND "dueAt" = p_due_at AND attempt = p_attempt;
+  IF FOUND THEN
+    RETURN QUERY SELECT v_run.status = 'succeeded', v_run.message, v_run."transactionId", false;
+    RETURN;
+  END IF;
+
+  IF v_schedule.status <> 'active' OR v_schedule.revision <> p_revision
+     OR v_schedule."dueAt" IS DISTINCT FROM p_due_at OR v_schedule.attempt <> p_attempt
+     OR v_schedule."nextRunAt" > now() THEN
+    RETURN QUERY SELECT false, 'Schedule is not due', NULL::UUID, false;
+    RETURN;
+  END IF;
+
+  IF p_hold THEN
+    INSERT INTO transactions (sender, receiver, amount, currency, type, status, memo, "createdAt")
+      VALUES (v_schedule.sender, v_schedule.receiver, v_schedule.amount, v_schedule.currency, 'transfer', 'pending',
+              COALESCE(v_schedule.memo, 'Scheduled transfer'), now())
+      RETURNING id INTO v_transaction_id;
+    v_success := false;
+    v_message := 'Transfer held by risk checks';
+  ELSE
+    SELECT t.success, t.message, t.transaction_id INTO v_success, v_message, v_transaction_id
+      FROM transfer_funds(v_schedule.sender, v_schedule.receiver, v_schedule.amount, v_schedule.currency) t;
+    IF v_success THEN
+      UPDATE transactions SET memo = COALESCE(v_schedule.memo, 'Scheduled transfer')
+        WHERE id = v_transaction_id;
+    END IF;
+  END IF;
+
+  INSERT INTO scheduled_transfer_runs ("scheduleId", revision, "dueAt", attempt, status, message, "transactionId")
+    VALUES (p_schedule_id, p_revision, p_due_at, p_attempt,
+            CASE WHEN p_hold THEN 'held' WHEN v_success THEN 'succeeded' ELSE 'failed' END,
+            v_message, v_transaction_id);
+  UPDATE scheduled_transfers SET "lastRunAt" = now() WHERE id = p_schedule_id;
+
+  RETURN QUERY SELECT v_success, v_message, v_transaction_id, true;
+END;
+$$;
@@ -0,0 +1,63 @@
+-- Creation time of held transfers (lib/risk.js).
+--
+-- Pending transactions for held transfers were inserted without
+-- "createdAt", which has no default, so they were stored with NULL. Once
+-- released they were left out of check_spending_limits and the risk
+-- history (both filter on "createdAt") and broke the search cursor.
+-- "createdAt" now defaults to now(), and settle_pending_transfer sets it
+-- when it completes a transfer, so a released transfer counts from the time
+-- it was sent.
+
+ALTER TABLE transactions ALTER COLUMN "createdAt" SET DEFAULT now();
+
+-- Rows stored without one: a completed transfer was sent when it was
+-- released ("updatedAt"); a pending or failed one dates from its
+-- assessment
+UPDATE transactions t
+  SET "createdAt" = COALESCE(
+    CASE WHEN t.status = 'completed' THEN t."updatedAt" END,
+    (SELECT r."createdAt" FROM risk_assessments r WHERE r."transactionId" = t.id LIMIT 1),
+    t."updatedAt",
+    now()
+  )
+  WHERE t."createdAt" IS NULL;
+
+-- settle_pending_transfer from 0013_transaction_status.sql, dating the
+-- completed transfer from its release
+CREATE OR REPLACE FUNCTION settle_pending_transfer(p_transaction_id UUID)
+RETURNS TABLE (success BOOLEAN, message TEXT, transaction_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_transaction transactions%ROWTYPE;
+  v_error TEXT;
+BEGIN
+  SELECT * INTO v_transaction FROM transactions
+    WHERE id = p_transaction_id
+    FOR UPDATE;
+
+  IF NOT FOUND OR v_transaction.type <> 'transfer' THEN
+    RETURN QUERY SELECT false, 'Transaction not found', NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF v_transaction.status <> 'pending' THEN
+    RETURN QUERY SELECT false, 'Transaction is not pending', p_transaction_id;
+    RETURN;
+  END IF;
+
+  v_error := lock_and_check_transfer(v_transaction.sender, v_transaction.receiver, v_transaction.amount, v_transaction.currency);
+  IF v_error IS NOT NULL THEN
+    UPDATE transactions SET status = 'failed', "statusReason" = v_error, "updatedAt" = now()
+      WHERE id = p_transaction_id;
+    RETURN QUERY SELECT false, v_error, p_transaction_id;
+    RETURN;
+  END IF;
+
+  PERFORM apply_transfer(p_transaction_id, v_transaction.sender, v_transaction.receiver, v_transaction.amount, v_transaction.currency);
+  UPDATE transactions SET status = 'completed', "createdAt" = now(), "updatedAt" = now()
+    WHERE id = p_transaction_id;
+
+  RETURN QUERY SELECT true, 'Transfer completed', p_transaction_id;
+END;
+$$;
@@ -0,0 +1,58 @@
+-- Transactions without "createdAt" in search_transactions.
+--
+-- 0017 gives new transactions a "createdAt", but the column still allows
+-- NULL. search_transactions from 0014 listed such rows first (DESC puts
+-- NULLs first) and the ("createdAt", id) comparison never matched them, so
+-- a page ending on one restarted from the top and later ones were skipped.
+-- Undated rows now come last, ordered by id, and the cursor is keyed on
+-- p_after_id so it can carry a NULL "createdAt" (lib/transactionSearch.js).
+
+DROP INDEX IF EXISTS transactions_sender_page_idx;
+DROP INDEX IF EXISTS transactions_receiver_page_idx;
+CREATE INDEX transactions_sender_page_idx ON transactions (sender, "createdAt" DESC NULLS LAST, id DESC);
+CREATE INDEX transactions_receiver_page_idx ON transactions (receiver, "createdAt" DESC NULLS LAST, id DESC);
+
+CREATE OR REPLACE FUNCTION search_transactions(
+  p_username TEXT,
+  p_direction TEXT,
+  p_counterparty TEXT,
+  p_from TIMESTAMP WITH TIME ZONE,
+  p_to TIMESTAMP WITH TIME ZONE,
+  p_currency TEXT,
+  p_min_amount BIGINT,
+  p_max_amount BIGINT,
+  p_status TEXT,
+  p_text TEXT,
+  p_after_created_at TIMESTAMP WITH TIME ZONE,
+  p_after_id UUID,
+  p_limit INTEGER
+)
+RETURNS SETOF transactions
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT t.* FROM transactions t
+    WHERE (t.sender = p_username OR t.receiver = p_username)
+      -- Conversions (sender = receiver) are neither sent nor received
+      AND (p_direction IS NULL
+        OR (p_direction = 'sent' AND t.sender = p_username AND t.receiver <> p_username)
+        OR (p_direction = 'received' AND t.receiver = p_username AND t.sender <> p_username))
+      AND (p_counterparty IS NULL
+        OR CASE WHEN t.sender = p_username THEN t.receiver ELSE t.sender END = p_counterparty)
+      AND (p_from IS NULL OR t."createdAt" >= p_from)
+      AND (p_to IS NULL OR t."createdAt" < p_to)
+      AND (p_currency IS NULL OR t.currency = p_currency)
+      AND (p_min_amount IS NULL OR t.amount >= p_min_amount)
+      AND (p_max_amount IS NULL OR t.amount <= p_max_amount)
+      AND (p_status IS NULL OR t.status = p_status)
+      AND (p_text IS NULL
+        OR t.memo ILIKE '%' || replace(replace(replace(p_text, '\', '\\'), '%', '\%'), '_', '\_') || '%')
+      -- After a dated row: older rows, then every undated one; after an
+      -- undated row: the undated rows with a smaller id
+      AND (p_after_id IS NULL
+        OR (p_after_created_at IS NOT NULL
+          AND (t."createdAt" IS NULL OR (t."createdAt", t.id) < (p_after_created_at, p_after_id)))
+        OR (p_after_created_at IS NULL AND t."createdAt" IS NULL AND t.id < p_after_id))
+    ORDER BY t."createdAt" DESC NULLS LAST, t.id DESC
+    LIMIT LEAST(GREATEST(p_limit, 1), 101);
+$$;
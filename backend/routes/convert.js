@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const { requireSession } = require('../middleware/session');
+const { idempotent } = require('../middleware/idempotency');
+const { normalizeCurrency } = require('../lib/currencies');
+const { parseMinorUnits } = require('../lib/money');
+const { RateUnavailableError } = require('../lib/exchangeRates');
+const { ConversionError, createQuote, executeQuote } = require('../lib/conversion');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Validate a quote request body (amount in minor units of `from`)
+ * Returns { fromCurrency, toCurrency, fromAmount } or { error }
+ */
+function parseQuoteRequest(body) {
+  const { from, to, amount } = body || {};
+
+  if (!from || !to || amount == null) {
+    return { error: 'Missing required fields: from, to, amount' };
+  }
+
+  const fromCurrency = normalizeCurrency(from);
+  const toCurrency = normalizeCurrency(to);
+  if (!fromCurrency || !toCurrency) {
+    return { error: `Unsupported currency: ${fromCurrency ? to : from}` };
+  }
+  if (fromCurrency === toCurrency) {
+    return { error: 'Cannot convert a currency into itself' };
+  }
+
+  const fromAmount = parseMinorUnits(amount);
+  if (fromAmount === null) {
+    return { error: 'Amount must be a positive integer in minor units (e.g. 1075 for 10.75 USD)' };
+  }
+
+  return { fromCurrency, toCurrency, fromAmount };
+}
+
+/**
+ * Public view of a stored quote
+ */
+function quoteResponse(quote) {
+  return {
+    quoteId: quote.id,
+    fromCurrency: quote.fromCurrency,
+    fromAmount: Number(quote.fromAmount),
+    toCurrency: quote.toCurrency,
+    toAmount: Number(quote.toAmount),
+    rate: String(quote.rate),
+    midRate: String(quote.midRate),
+    spreadBps: quote.spreadBps,
+    expiresAt: quote.expiresAt
+  };
+}
+
+// Quote a conversion of the session user's balance; the quote is held for a short time
+router.post('/convert/quote', requireSession, async (req, res) => {
+  try {
+    const request = parseQuoteRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    const quote = await createQuote({ username: req.session.username, ...request });
+    return res.json({ success: true, ...quoteResponse(quote) });
+
+  } catch (error) {
+    if (error instanceof RateUnavailableError || error instanceof ConversionError) {
+      return res.status(error.statusCode || 400).json({ error: error.message });
+    }
+    console.error('Conversion quote error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Execute a quote at exactly the quoted amounts (convert_funds in Supabase)
+// A quote can only be used once, so retries cannot convert twice
+router.post('/convert', requireSession, idempotent('convert'), async (req, res) => {
+  try {
+    const { quoteId } = req.body || {};
+    if (!quoteId) {
+      return res.status(400).json({ error: 'Missing required field: quoteId' });
+    }
+    if (!UUID_PATTERN.test(String(quoteId))) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    const { transactionId, quote } = await executeQuote({ username: req.session.username, quoteId: String(quoteId) });
+    console.log(`Conversion: ${quote.username} ${quote.fromAmount} ${quote.fromCurrency} → ${quote.toAmount} ${quote.toCurrency} @ ${quote.rate}`);
+
+    return res.json({
+      success: true,
+      message: 'Conversion completed',
+      transactionId,
+      ...quoteResponse(quote)
+    });
+
+  } catch (error) {
+    if (error instanceof ConversionError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Conversion error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+module.exports = router;
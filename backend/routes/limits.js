@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { requireSession } = require('../middleware/session');
+const { getStorage } = require('../storage');
+const { VerificationError } = require('../lib/webauthn');
+const { startStepUp, verifyStepUp } = require('../lib/stepUp');
+const { getEffectiveDomain, getAllowedOrigins } = require('../lib/relyingParty');
+const { DEFAULT_CURRENCY } = require('../lib/currencies');
+const {
+  SpendingLimitError,
+  getLimits,
+  parseLimitChange,
+  isRaise,
+  setLimit
+} = require('../lib/spendingLimits');
+
+/**
+ * Reply for the errors the limit helpers throw on purpose
+ */
+function handleKnownError(res, error) {
+  if (error instanceof SpendingLimitError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  return null;
+}
+
+// The session user's limits for the currencies they hold or display
+router.get('/limits', requireSession, async (req, res) => {
+  try {
+    const { data: wallet, error } = await getStorage().wallets.findByUsername(req.session.username);
+    if (error) throw error;
+
+    const currencies = new Set([DEFAULT_CURRENCY]);
+    if (wallet) {
+      currencies.add(wallet.displayCurrency);
+      wallet.balances.forEach(({ currency }) => currencies.add(currency));
+    }
+
+    return res.json({ success: true, ...await getLimits(req.session.username, [...currencies]) });
+  } catch (error) {
+    console.error('Error listing spending limits:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Start raising a limit: a fingerprint challenge bound to the new value
+router.post('/limits/authorize', requireSession, async (req, res) => {
+  try {
+    const username = req.session.username;
+    const change = parseLimitChange(req.body || {});
+    if (!await isRaise(username, change)) {
+      return res.status(400).json({ error: 'Only raising a limit needs a fingerprint confirmation' });
+    }
+
+    const stepUp = await startStepUp({
+      username,
+      rpId: getEffectiveDomain(req),
+      purpose: 'spending_limit',
+      details: { username, ...change }
+    });
+
+    return res.json({
+      ceremonyId: stepUp.ceremonyId,
+      limit: change,
+      nonce: stepUp.nonce,
+      ...stepUp.publicKey
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Spending limit authorization error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Set a limit. Lowering applies now; raising needs the signed confirmation
+// from /limits/authorize and applies after the cooling-off period
+router.put('/limits', requireSession, async (req, res) => {
+  try {
+    const username = req.session.username;
+    const change = parseLimitChange(req.body || {});
+
+    let confirmed = false;
+    const { ceremonyId, assertion } = req.body;
+    if (ceremonyId || assertion) {
+      if (!ceremonyId || !assertion) {
+        return res.status(400).json({ error: 'Missing fingerprint confirmation: ceremonyId, assertion' });
+      }
+
+      let authorization;
+      try {
+        authorization = await verifyStepUp({
+          username,
+          purpose: 'spending_limit',
+          ceremonyId,
+          assertion,
+          allowedOrigins: getAllowedOrigins()
+        });
+      } catch (error) {
+        if (error instanceof VerificationError) {
+          console.warn('Spending limit confirmation rejected:', error.message);
+          return res.status(401).json({ error: 'Spending limit confirmation failed', details: error.message });
+        }
+        throw error;
+      }
+
+      const signed = authorization.details;
+      if (signed.limitType !== change.limitType || signed.currency !== change.currency || signed.value !== change.value) {
+        return res.status(400).json({ error: 'Confirmation was made for a different limit' });
+      }
+      confirmed = true;
+    }
+
+    const limit = await setLimit(username, change, { confirmed });
+    const message = limit.pending
+      ? `Limit raise takes effect at ${limit.pending.effectiveAt}`
+      : 'Limit updated';
+    return res.json({ success: true, message, limitType: change.limitType, currency: change.currency || null, limit });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Spending limit update error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+module.exports = router;
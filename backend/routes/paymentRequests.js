@@ -0,0 +1,242 @@
+const express = require('express');
+const router = express.Router();
+const { requireSession } = require('../middleware/session');
+const { idempotent } = require('../middleware/idempotency');
+const { VerificationError } = require('../lib/webauthn');
+const { startStepUp, verifyStepUp, recordTransactionAuthorization } = require('../lib/stepUp');
+const { getEffectiveDomain, getAllowedOrigins } = require('../lib/relyingParty');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('../lib/currencies');
+const { parseMinorUnits } = require('../lib/money');
+const { MAX_MEMO_LENGTH } = require('../lib/paymentUri');
+const { RecipientError, resolveRecipient } = require('../lib/recipients');
+const { assessTransfer, recordAllowedOutcome } = require('../lib/risk');
+const {
+  PaymentRequestError,
+  createRequest,
+  listRequests,
+  getPendingRequest,
+  payRequest,
+  closeRequest
+} = require('../lib/paymentRequests');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_EXPIRY_MINUTES = 7 * 24 * 60;
+
+/**
+ * Validate a new request body (amount in minor units of currency)
+ * Returns { payer, amount, currency, memo, expiresAt } or { error }
+ */
+function parseNewRequest(body) {
+  const { payer, amount, memo, expiresInMinutes } = body || {};
+
+  if (!payer || amount == null) {
+    return { error: 'Missing required fields: payer, amount' };
+  }
+
+  const parsedAmount = parseMinorUnits(amount);
+  if (parsedAmount === null) {
+    return { error: 'Amount must be a positive integer in minor units (e.g. 1075 for 10.75 USD)' };
+  }
+
+  const currency = body.currency == null ? DEFAULT_CURRENCY : normalizeCurrency(body.currency);
+  if (!currency) {
+    return { error: `Unsupported currency: ${body.currency}` };
+  }
+
+  const note = memo == null ? null : String(memo).trim() || null;
+  if (note && note.length > MAX_MEMO_LENGTH) {
+    return { error: `Memo must be at most ${MAX_MEMO_LENGTH} characters` };
+  }
+
+  let expiresAt = null;
+  if (expiresInMinutes != null && expiresInMinutes !== '') {
+    const minutes = Number(expiresInMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_EXPIRY_MINUTES) {
+      return { error: `expiresInMinutes must be a whole number from 1 to ${MAX_EXPIRY_MINUTES}` };
+    }
+    expiresAt = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+  }
+
+  return { payer: String(payer), amount: parsedAmount, currency, memo: note, expiresAt };
+}
+
+/**
+ * Reply for the errors the payment request helpers throw on purpose
+ */
+function handleKnownError(res, error) {
+  if (error instanceof PaymentRequestError || error instanceof RecipientError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (error instanceof VerificationError) {
+    return res.status(400).json({ error: error.message });
+  }
+  return null;
+}
+
+// Reject ids that cannot exist before touching storage
+function requireRequestId(req, res, next) {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Payment request not found' });
+  }
+  next();
+}
+
+// Requests the session user has to pay (incoming) and has sent (outgoing)
+router.get('/payment-requests', requireSession, async (req, res) => {
+  try {
+    const requests = await listRequests(req.session.username);
+    return res.json({ success: true, ...requests });
+  } catch (error) {
+    console.error('Error listing payment requests:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Ask another user (address, username or contact alias) for money
+router.post('/payment-requests', requireSession, async (req, res) => {
+  try {
+    const details = parseNewRequest(req.body);
+    if (details.error) {
+      return res.status(400).json({ error: details.error });
+    }
+
+    const payer = await resolveRecipient(req.session.username, details.payer);
+    const request = await createRequest({ ...details, requester: req.session.username, payer: payer.username });
+    console.log(`Payment request: ${request.requester} asks ${request.payer} for ${request.amount} ${request.currency}`);
+
+    return res.json({ success: true, request });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Payment request error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Start paying a request: a fingerprint challenge bound to the request and its transfer
+router.post('/payment-requests/:id/authorize', requireSession, requireRequestId, async (req, res) => {
+  try {
+    const payer = req.session.username;
+    const request = await getPendingRequest(req.params.id, payer, 'payer');
+
+    const stepUp = await startStepUp({
+      username: payer,
+      rpId: getEffectiveDomain(req),
+      purpose: 'payment_request',
+      details: {
+        requestId: request.id,
+        sender: payer,
+        receiver: request.requester,
+        amount: request.amount,
+        currency: request.currency
+      }
+    });
+
+    return res.json({
+      ceremonyId: stepUp.ceremonyId,
+      request,
+      nonce: stepUp.nonce,
+      ...stepUp.publicKey
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Payment request authorization error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Pay a request with the signed confirmation from /authorize (pay_payment_request in Supabase)
+// The request can only be paid once, so retries cannot pay twice
+router.post('/payment-requests/:id/approve', requireSession, requireRequestId, idempotent('payment-request'), async (req, res) => {
+  try {
+    const payer = req.session.username;
+    const { ceremonyId, assertion } = req.body || {};
+
+    if (!ceremonyId || !assertion) {
+      return res.status(400).json({
+        error: 'Missing fingerprint confirmation: ceremonyId, assertion'
+      });
+    }
+
+    let authorization;
+    try {
+      authorization = await verifyStepUp({
+        username: payer,
+        purpose: 'payment_request',
+        ceremonyId,
+        assertion,
+        allowedOrigins: getAllowedOrigins()
+      });
+    } catch (error) {
+      if (error instanceof VerificationError) {
+        console.warn('Payment request confirmation rejected:', error.message);
+        return res.status(401).json({ error: 'Payment confirmation failed', details: error.message });
+      }
+      throw error;
+    }
+
+    if (authorization.details.requestId !== req.params.id) {
+      return res.status(400).json({ error: 'Confirmation was made for a different payment request' });
+    }
+
+    // Score the payment like a transfer; a risky one is blocked rather than
+    // held, and the request stays pending
+    const pending = await getPendingRequest(req.params.id, payer, 'payer');
+    const assessment = await assessTransfer(
+      { sender: payer, receiver: pending.requester, amount: pending.amount, currency: pending.currency },
+      authorization.proof,
+      { block: true }
+    );
+    if (assessment.decision !== 'allow') {
+      return res.status(403).json({
+        error: 'Payment blocked by risk checks',
+        details: assessment.reasons.map(r => r.reason).join('; '),
+        assessment
+      });
+    }
+
+    const { transactionId, request } = await payRequest({ id: req.params.id, payer });
+    await recordAllowedOutcome(assessment.id, { message: 'Payment request paid', transaction_id: transactionId });
+    await recordTransactionAuthorization(transactionId, authorization.proof);
+    console.log(`Payment request ${request.id} paid: ${payer} → ${request.requester}, ${request.amount} ${request.currency}`);
+
+    return res.json({
+      success: true,
+      message: 'Payment request paid',
+      transactionId,
+      request
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Payment request approval error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Refuse a request addressed to the session user
+router.post('/payment-requests/:id/decline', requireSession, requireRequestId, async (req, res) => {
+  try {
+    const request = await closeRequest({ id: req.params.id, username: req.session.username, role: 'payer', status: 'declined' });
+    return res.json({ success: true, message: 'Payment request declined', request });
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Payment request decline error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Withdraw a request the session user sent
+router.post('/payment-requests/:id/cancel', requireSession, requireRequestId, async (req, res) => {
+  try {
+    const request = await closeRequest({ id: req.params.id, username: req.session.username, role: 'requester', status: 'cancelled' });
+    return res.json({ success: true, message: 'Payment request cancelled', request });
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Payment request cancel error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+module.exports = router;
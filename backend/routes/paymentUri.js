@@ -0,0 +1,99 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const router = express.Router();
+const { getStorage } = require('../storage');
+const { requireSession } = require('../middleware/session');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('../lib/currencies');
+const { parseMinorUnits } = require('../lib/money');
+const { MAX_MEMO_LENGTH, PaymentUriError, buildPaymentUri, parsePaymentUri } = require('../lib/paymentUri');
+
+const MAX_EXPIRY_MINUTES = 7 * 24 * 60;
+
+/**
+ * Validate the optional request details for a receive QR code
+ * amount is in minor units; Returns { amount, currency, memo, expiresAt } or { error }
+ */
+function parseReceiveRequest(body) {
+  const { amount, memo, expiresInMinutes } = body || {};
+
+  const currency = body?.currency == null ? null : normalizeCurrency(body.currency);
+  if (body?.currency != null && !currency) {
+    return { error: `Unsupported currency: ${body.currency}` };
+  }
+
+  let parsedAmount = null;
+  if (amount != null && amount !== '') {
+    parsedAmount = parseMinorUnits(amount);
+    if (parsedAmount === null) {
+      return { error: 'Amount must be a positive integer in minor units (e.g. 1075 for 10.75 USD)' };
+    }
+  }
+
+  const note = memo == null ? null : String(memo).trim() || null;
+  if (note && note.length > MAX_MEMO_LENGTH) {
+    return { error: `Memo must be at most ${MAX_MEMO_LENGTH} characters` };
+  }
+
+  let expiresAt = null;
+  if (expiresInMinutes != null && expiresInMinutes !== '') {
+    const minutes = Number(expiresInMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_EXPIRY_MINUTES) {
+      return { error: `expiresInMinutes must be a whole number from 1 to ${MAX_EXPIRY_MINUTES}` };
+    }
+    expiresAt = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+  }
+
+  return {
+    amount: parsedAmount,
+    currency: currency || (parsedAmount === null ? null : DEFAULT_CURRENCY),
+    memo: note,
+    expiresAt
+  };
+}
+
+// Payment URI and QR code (SVG) for the session user's wallet, optionally
+// asking for an amount, with a memo and an expiry
+router.post('/receive/qr', requireSession, async (req, res) => {
+  try {
+    const request = parseReceiveRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    const { data: wallet, error } = await getStorage().wallets.findByUsername(req.session.username);
+    if (error) {
+      console.error('Storage error fetching wallet:', error);
+      return res.status(500).json({ error: 'Internal error' });
+    }
+    if (!wallet) return res.status(404).json({ error: 'Wallet not found' });
+
+    const uri = buildPaymentUri({ address: wallet.address, ...request });
+    const svg = await QRCode.toString(uri, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 });
+
+    return res.json({ success: true, uri, svg, ...request });
+
+  } catch (error) {
+    console.error('Receive QR error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Decode a pasted or scanned payment URI (or bare address) to pre-fill the Send form
+router.post('/payment-uri/decode', (req, res) => {
+  const { uri } = req.body || {};
+  if (!uri) {
+    return res.status(400).json({ error: 'Missing required field: uri' });
+  }
+
+  try {
+    return res.json({ success: true, ...parsePaymentUri(uri) });
+  } catch (error) {
+    if (error instanceof PaymentUriError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Payment URI decode error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+module.exports = router;
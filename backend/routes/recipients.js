@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const { getStorage } = require('../storage');
+const { requireSession } = require('../middleware/session');
+const { RecipientError, normalizeAlias, aliasKey, resolveRecipient } = require('../lib/recipients');
+const { validateAddress } = require('../lib/addresses');
+
+/**
+ * Public view of a stored contact
+ */
+function contactResponse(contact) {
+  return {
+    alias: contact.alias,
+    username: contact.contactUsername,
+    address: contact.wallet ? contact.wallet.address : null,
+    createdAt: contact.createdAt
+  };
+}
+
+// Check an address's format and checksum (does not look the wallet up)
+router.get('/address/validate', (req, res) => {
+  const { address } = req.query;
+  if (!address) {
+    return res.status(400).json({ error: 'Missing required parameter: address' });
+  }
+  return res.json({ success: true, ...validateAddress(address) });
+});
+
+// Resolve an address, username or contact alias to the wallet it names
+router.get('/recipients/resolve', requireSession, async (req, res) => {
+  try {
+    const recipient = await resolveRecipient(req.session.username, req.query.q);
+    return res.json({ success: true, recipient });
+
+  } catch (error) {
+    if (error instanceof RecipientError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Recipient resolution error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// The session user's saved contacts, by alias
+router.get('/contacts', requireSession, async (req, res) => {
+  const { data: contacts, error } = await getStorage().contacts.listForOwner(req.session.username);
+  if (error) {
+    console.error('Storage error listing contacts:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+  return res.json({ success: true, contacts: contacts.map(contactResponse) });
+});
+
+// Save a contact: an alias for a recipient given by address, username or another alias
+router.post('/contacts', requireSession, async (req, res) => {
+  try {
+    const { alias: rawAlias, recipient: query } = req.body || {};
+    if (!rawAlias || !query) {
+      return res.status(400).json({ error: 'Missing required fields: alias, recipient' });
+    }
+
+    const alias = normalizeAlias(rawAlias);
+    if (!alias) {
+      return res.status(400).json({
+        error: 'Invalid alias',
+        details: 'Use up to 32 letters, digits, spaces or . \' _ - (and not a wallet address)'
+      });
+    }
+
+    const recipient = await resolveRecipient(req.session.username, query);
+    const { data: contact, error } = await getStorage().contacts.create({
+      owner: req.session.username,
+      alias,
+      aliasKey: aliasKey(alias),
+      contactUsername: recipient.username,
+      createdAt: new Date().toISOString()
+    });
+    if (error && error.code === '23505') { // unique violation
+      return res.status(409).json({ error: `You already have a contact called "${alias}"` });
+    }
+    if (error) {
+      console.error('Storage error saving contact:', error);
+      return res.status(500).json({ error: 'Could not save contact' });
+    }
+
+    return res.json({ success: true, contact: contactResponse(contact) });
+
+  } catch (error) {
+    if (error instanceof RecipientError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Contact error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Delete one of the session user's contacts
+router.delete('/contacts/:alias', requireSession, async (req, res) => {
+  const { data: deleted, error } = await getStorage().contacts.delete(req.session.username, aliasKey(req.params.alias));
+  if (error) {
+    console.error('Storage error deleting contact:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+  if (!deleted || deleted.length === 0) {
+    return res.status(404).json({ error: 'Contact not found' });
+  }
+  return res.json({ success: true, message: 'Contact deleted' });
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const { requireSession, requireAdmin } = require('../middleware/session');
+const { idempotent } = require('../middleware/idempotency');
+const { VerificationError } = require('../lib/webauthn');
+const { startStepUp, verifyStepUp } = require('../lib/stepUp');
+const { getEffectiveDomain, getAllowedOrigins } = require('../lib/relyingParty');
+const {
+  ReversalError,
+  refundDetails,
+  refundTransaction,
+  reverseTransaction
+} = require('../lib/reversals');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Reply for the errors the reversal helpers throw on purpose
+ */
+function handleKnownError(res, error) {
+  if (error instanceof ReversalError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (error instanceof VerificationError) {
+    return res.status(400).json({ error: error.message });
+  }
+  return null;
+}
+
+// Reject ids that cannot exist before touching storage
+function requireTransactionId(req, res, next) {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Transaction not found' });
+  }
+  next();
+}
+
+/**
+ * Reply for the outcome of reverse_transaction
+ */
+function reversalReply(res, result) {
+  if (!result.success) {
+    return res.status(400).json({ error: result.message });
+  }
+  return res.json({ success: true, message: result.message, transactionId: result.transaction_id });
+}
+
+// Start refunding a received transfer: a fingerprint challenge bound to it
+router.post('/transactions/:id/refund/authorize', requireSession, requireTransactionId, async (req, res) => {
+  try {
+    const username = req.session.username;
+    const details = await refundDetails(req.params.id, username);
+
+    const stepUp = await startStepUp({
+      username,
+      rpId: getEffectiveDomain(req),
+      purpose: 'refund',
+      details
+    });
+
+    return res.json({
+      ceremonyId: stepUp.ceremonyId,
+      refund: details,
+      nonce: stepUp.nonce,
+      ...stepUp.publicKey
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Refund authorization error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Send a received transfer back with the signed confirmation from
+// /transactions/:id/refund/authorize
+router.post('/transactions/:id/refund', requireSession, requireTransactionId, idempotent('refund'), async (req, res) => {
+  try {
+    const username = req.session.username;
+    const { ceremonyId, assertion } = req.body || {};
+    if (!ceremonyId || !assertion) {
+      return res.status(400).json({ error: 'Missing fingerprint confirmation: ceremonyId, assertion' });
+    }
+
+    let authorization;
+    try {
+      authorization = await verifyStepUp({
+        username,
+        purpose: 'refund',
+        ceremonyId,
+        assertion,
+        allowedOrigins: getAllowedOrigins()
+      });
+    } catch (error) {
+      if (error instanceof VerificationError) {
+        console.warn('Refund confirmation rejected:', error.message);
+        return res.status(401).json({ error: 'Refund confirmation failed', details: error.message });
+      }
+      throw error;
+    }
+
+    const result = await refundTransaction(req.params.id, username, authorization.proof);
+    return reversalReply(res, result);
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Refund error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Reverse any completed transfer between wallets, with a reason (admins only)
+router.post('/transactions/:id/reverse', requireSession, requireAdmin, requireTransactionId, async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const result = await reverseTransaction(req.params.id, req.session.username, reason);
+    return reversalReply(res, result);
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Reversal error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const { requireSession, requireAdmin } = require('../middleware/session');
+const { idempotent } = require('../middleware/idempotency');
+const { VerificationError } = require('../lib/webauthn');
+const { startStepUp, verifyStepUp } = require('../lib/stepUp');
+const { getEffectiveDomain, getAllowedOrigins } = require('../lib/relyingParty');
+const {
+  RiskError,
+  listHeldTransfers,
+  listReviewQueue,
+  stepUpDetails,
+  confirmHeldTransfer,
+  approveHeldTransfer,
+  closeHeldTransfer
+} = require('../lib/risk');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Reply for the errors the risk helpers throw on purpose
+ */
+function handleKnownError(res, error) {
+  if (error instanceof RiskError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (error instanceof VerificationError) {
+    return res.status(400).json({ error: error.message });
+  }
+  return null;
+}
+
+// Reject ids that cannot exist before touching storage
+function requireAssessmentId(req, res, next) {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Held transfer not found' });
+  }
+  next();
+}
+
+/**
+ * Reply for the outcome of releasing a held transfer
+ */
+function releaseReply(res, result, message) {
+  if (!result.success) {
+    return res.status(400).json({ error: result.message });
+  }
+  return res.json({ success: true, message, transactionId: result.transaction_id });
+}
+
+// The session user's held transfers (and what became of them), newest first
+router.get('/transfer/held', requireSession, async (req, res) => {
+  try {
+    return res.json({ success: true, transfers: await listHeldTransfers(req.session.username) });
+  } catch (error) {
+    console.error('Error listing held transfers:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Start confirming a transfer held for a step-up: a fingerprint challenge
+// bound to the held transfer
+router.post('/transfer/held/:id/authorize', requireSession, requireAssessmentId, async (req, res) => {
+  try {
+    const username = req.session.username;
+    const details = await stepUpDetails(req.params.id, username);
+
+    const stepUp = await startStepUp({
+      username,
+      rpId: getEffectiveDomain(req),
+      purpose: 'held_transfer',
+      details
+    });
+
+    return res.json({
+      ceremonyId: stepUp.ceremonyId,
+      transfer: details,
+      nonce: stepUp.nonce,
+      ...stepUp.publicKey
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Held transfer authorization error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Send a transfer held for a step-up with the signed confirmation from
+// /transfer/held/:id/authorize
+router.post('/transfer/held/:id/confirm', requireSession, requireAssessmentId, idempotent('held-transfer'), async (req, res) => {
+  try {
+    const username = req.session.username;
+    const { ceremonyId, assertion } = req.body || {};
+    if (!ceremonyId || !assertion) {
+      return res.status(400).json({ error: 'Missing fingerprint confirmation: ceremonyId, assertion' });
+    }
+
+    let authorization;
+    try {
+      authorization = await verifyStepUp({
+        username,
+        purpose: 'held_transfer',
+        ceremonyId,
+        assertion,
+        allowedOrigins: getAllowedOrigins()
+      });
+    } catch (error) {
+      if (error instanceof VerificationError) {
+        console.warn('Held transfer confirmation rejected:', error.message);
+        return res.status(401).json({ error: 'Transfer confirmation failed', details: error.message });
+      }
+      throw error;
+    }
+
+    const result = await confirmHeldTransfer(req.params.id, username, authorization.proof);
+    return releaseReply(res, result, result.message);
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Held transfer confirmation error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Drop one of the session user's held transfers
+router.post('/transfer/held/:id/cancel', requireSession, requireAssessmentId, async (req, res) => {
+  try {
+    const transfer = await closeHeldTransfer(req.params.id, { sender: req.session.username });
+    return res.json({ success: true, message: 'Held transfer cancelled', transfer });
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Held transfer cancel error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Transfers waiting for manual review, oldest first (admins only)
+router.get('/risk/reviews', requireSession, requireAdmin, async (req, res) => {
+  try {
+    return res.json({ success: true, transfers: await listReviewQueue() });
+  } catch (error) {
+    console.error('Error listing risk reviews:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Approve (send) or reject a transfer held for review (admins only)
+router.post('/risk/reviews/:id/approve', requireSession, requireAdmin, requireAssessmentId, async (req, res) => {
+  try {
+    const result = await approveHeldTransfer(req.params.id, req.session.username);
+    return releaseReply(res, result, 'Transfer approved and sent');
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Risk review approve error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+router.post('/risk/reviews/:id/reject', requireSession, requireAdmin, requireAssessmentId, async (req, res) => {
+  try {
+    const transfer = await closeHeldTransfer(req.params.id, { reviewer: req.session.username });
+    return res.json({ success: true, message: 'Transfer rejected', transfer });
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Risk review reject error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const { requireSession } = require('../middleware/session');
+const { idempotent } = require('../middleware/idempotency');
+const { VerificationError } = require('../lib/webauthn');
+const { startStepUp, verifyStepUp } = require('../lib/stepUp');
+const { getEffectiveDomain, getAllowedOrigins } = require('../lib/relyingParty');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('../lib/currencies');
+const { parseMinorUnits } = require('../lib/money');
+const { MAX_MEMO_LENGTH } = require('../lib/paymentUri');
+const { RecipientError, resolveRecipient } = require('../lib/recipients');
+const {
+  ScheduleError,
+  parseTiming,
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  listRuns,
+  updateSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  cancelSchedule
+} = require('../lib/schedules');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Validate schedule details from a request body (amount in minor units)
+ * Returns { receiver, amount, currency, memo, cron, runAt } or { error };
+ * throws ScheduleError for invalid timing
+ */
+function parseScheduleDetails(body) {
+  const { receiver, amount, memo } = body || {};
+
+  if (!receiver || amount == null) {
+    return { error: 'Missing required fields: receiver, amount' };
+  }
+
+  const parsedAmount = parseMinorUnits(amount);
+  if (parsedAmount === null) {
+    return { error: 'Amount must be a positive integer in minor units (e.g. 1075 for 10.75 USD)' };
+  }
+
+  const currency = body.currency == null ? DEFAULT_CURRENCY : normalizeCurrency(body.currency);
+  if (!currency) {
+    return { error: `Unsupported currency: ${body.currency}` };
+  }
+
+  const note = memo == null ? null : String(memo).trim() || null;
+  if (note && note.length > MAX_MEMO_LENGTH) {
+    return { error: `Memo must be at most ${MAX_MEMO_LENGTH} characters` };
+  }
+
+  return { receiver: String(receiver), amount: parsedAmount, currency, memo: note, ...parseTiming(body) };
+}
+
+/**
+ * Reply for the errors the schedule helpers throw on purpose
+ */
+function handleKnownError(res, error) {
+  if (error instanceof ScheduleError || error instanceof RecipientError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (error instanceof VerificationError) {
+    return res.status(400).json({ error: error.message });
+  }
+  return null;
+}
+
+// Reject ids that cannot exist before touching storage
+function requireScheduleId(req, res, next) {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  next();
+}
+
+/**
+ * Verify the fingerprint confirmation from /schedules/authorize
+ * Returns the confirmed details and proof, or null after replying 401
+ */
+async function verifyScheduleConfirmation(req, res) {
+  const { ceremonyId, assertion } = req.body || {};
+  if (!ceremonyId || !assertion) {
+    res.status(400).json({ error: 'Missing fingerprint confirmation: ceremonyId, assertion' });
+    return null;
+  }
+
+  try {
+    return await verifyStepUp({
+      username: req.session.username,
+      purpose: 'schedule',
+      ceremonyId,
+      assertion,
+      allowedOrigins: getAllowedOrigins()
+    });
+  } catch (error) {
+    if (error instanceof VerificationError) {
+      console.warn('Schedule confirmation rejected:', error.message);
+      res.status(401).json({ error: 'Schedule confirmation failed', details: error.message });
+      return null;
+    }
+    throw error;
+  }
+}
+
+// The session user's schedules, newest first
+router.get('/schedules', requireSession, async (req, res) => {
+  try {
+    return res.json({ success: true, schedules: await listSchedules(req.session.username) });
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Run history of one schedule, newest first
+router.get('/schedules/:id/runs', requireSession, requireScheduleId, async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.id, req.session.username);
+    const runs = await listRuns(req.params.id, req.session.username);
+    return res.json({ success: true, schedule, runs });
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Error listing schedule runs:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Start creating (or, with scheduleId, editing) a schedule: a fingerprint
+// challenge bound to the receiver, amount, currency, memo and timing
+router.post('/schedules/authorize', requireSession, async (req, res) => {
+  try {
+    const sender = req.session.username;
+    const details = parseScheduleDetails(req.body);
+    if (details.error) {
+      return res.status(400).json({ error: details.error });
+    }
+
+    const scheduleId = req.body.scheduleId || null;
+    if (scheduleId) {
+      if (!UUID_PATTERN.test(scheduleId)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+      const schedule = await getSchedule(scheduleId, sender);
+      if (!['active', 'paused'].includes(schedule.status)) {
+        return res.status(409).json({ error: `Schedule is ${schedule.status}` });
+      }
+    }
+
+    const recipient = await resolveRecipient(sender, details.receiver);
+    const confirmed = { ...details, scheduleId, sender, receiver: recipient.username };
+
+    const stepUp = await startStepUp({
+      username: sender,
+      rpId: getEffectiveDomain(req),
+      purpose: 'schedule',
+      details: confirmed
+    });
+
+    return res.json({
+      ceremonyId: stepUp.ceremonyId,
+      schedule: confirmed,
+      nonce: stepUp.nonce,
+      ...stepUp.publicKey
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Schedule authorization error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Create a schedule with the signed confirmation from /schedules/authorize
+router.post('/schedules', requireSession, idempotent('schedule'), async (req, res) => {
+  try {
+    const authorization = await verifyScheduleConfirmation(req, res);
+    if (!authorization) return;
+
+    if (authorization.details.scheduleId) {
+      return res.status(400).json({ error: 'Confirmation was made for editing a schedule' });
+    }
+
+    const schedule = await createSchedule(authorization.details, authorization.proof);
+    console.log(`Schedule created: ${schedule.sender} → ${schedule.receiver}, ${schedule.amount} ${schedule.currency}, ${schedule.cron || schedule.runAt}`);
+
+    return res.json({ success: true, message: 'Transfer scheduled', schedule });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Schedule creation error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Replace a schedule's details with the signed confirmation from /schedules/authorize
+router.put('/schedules/:id', requireSession, requireScheduleId, async (req, res) => {
+  try {
+    const authorization = await verifyScheduleConfirmation(req, res);
+    if (!authorization) return;
+
+    if (authorization.details.scheduleId !== req.params.id) {
+      return res.status(400).json({ error: 'Confirmation was made for a different schedule' });
+    }
+
+    const schedule = await updateSchedule(req.params.id, authorization.details, authorization.proof);
+    return res.json({ success: true, message: 'Schedule updated', schedule });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Schedule update error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Pause, resume or cancel one of the session user's schedules
+const STATUS_ACTIONS = {
+  pause: [pauseSchedule, 'Schedule paused'],
+  resume: [resumeSchedule, 'Schedule resumed'],
+  cancel: [cancelSchedule, 'Schedule cancelled']
+};
+
+router.post('/schedules/:id/:action(pause|resume|cancel)', requireSession, requireScheduleId, async (req, res) => {
+  try {
+    const [action, message] = STATUS_ACTIONS[req.params.action];
+    const schedule = await action(req.params.id, req.session.username);
+    return res.json({ success: true, message, schedule });
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error(`Schedule ${req.params.action} error:`, error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+module.exports = router;
@@ -1,51 +1,163 @@
 const express = require('express');
 const router = express.Router();
-const supabase = require('../config/supabase');
+const { getStorage } = require('../storage');
+const { requireSession, requireOwner, requireAdmin } = require('../middleware/session');
+const { idempotent } = require('../middleware/idempotency');
+const { VerificationError } = require('../lib/webauthn');
+const { startStepUp, verifyStepUp, recordTransactionAuthorization } = require('../lib/stepUp');
+const { getEffectiveDomain, getAllowedOrigins } = require('../lib/relyingParty');
+const { DEFAULT_CURRENCY, normalizeCurrency, listCurrencies } = require('../lib/currencies');
+const { parseMinorUnits } = require('../lib/money');
+const { assessTransfer, recordAllowedOutcome } = require('../lib/risk');
+const { TransactionQueryError, searchTransactions } = require('../lib/transactionSearch');
+
+/**
+ * Validate transfer details from a request body
+ * amount is in the currency's minor units (1075 = 10.75 USD); currency
+ * defaults to DEFAULT_CURRENCY for clients that do not send one
+ * Returns { receiver, amount, currency } or { error }
+ */
+function parseTransferDetails(sender, body) {
+  const { receiver, amount } = body || {};
+
+  if (!receiver || amount == null) {
+    return { error: 'Missing required fields: receiver, amount' };
+  }
+
+  const parsedAmount = parseMinorUnits(amount);
+  if (parsedAmount === null) {
+    return { error: 'Amount must be a positive integer in minor units (e.g. 1075 for 10.75 USD)' };
+  }
+
+  const currency = body.currency == null ? DEFAULT_CURRENCY : normalizeCurrency(body.currency);
+  if (!currency) {
+    return { error: `Unsupported currency: ${body.currency}` };
+  }
+
+  if (receiver === sender) {
+    return { error: 'Cannot send money to yourself' };
+  }
+
+  return { receiver: String(receiver), amount: parsedAmount, currency };
+}
+
+// Supported currencies and their ISO 4217 minor units
+router.get('/currencies', (req, res) => {
+  res.json({ success: true, defaultCurrency: DEFAULT_CURRENCY, currencies: listCurrencies() });
+});
+
+// Start a transfer: issue a fingerprint challenge bound to receiver, amount, currency and a nonce
+router.post('/transfer/authorize', requireSession, requireOwner('sender'), async (req, res) => {
+  try {
+    const sender = req.session.username;
+    const details = parseTransferDetails(sender, req.body);
+    if (details.error) {
+      return res.status(400).json({ error: details.error });
+    }
+
+    const stepUp = await startStepUp({
+      username: sender,
+      rpId: getEffectiveDomain(req),
+      purpose: 'transfer',
+      details: { sender, receiver: details.receiver, amount: details.amount, currency: details.currency }
+    });
+
+    return res.json({
+      ceremonyId: stepUp.ceremonyId,
+      transfer: { receiver: details.receiver, amount: details.amount, currency: details.currency, nonce: stepUp.nonce },
+      ...stepUp.publicKey
+    });
+
+  } catch (error) {
+    if (error instanceof VerificationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Transfer authorization error:', error);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
 
-// Transfer funds endpoint
-router.post('/transfer', async (req, res) => {
+// Transfer funds endpoint (the sender is always the logged-in user)
+// Requires the signed assertion from /transfer/authorize; funds only move
+// after it verifies against the bound receiver, amount and currency.
+// /wallet/send is the older name for the same operation; both go through
+// the atomic transfer_funds function. Send an Idempotency-Key header to
+// make retries safe. The transfer is scored by lib/risk.js first; a risky
+// one is answered with 202 and held instead of sent
+router.post(['/transfer', '/wallet/send'], requireSession, requireOwner('sender'), idempotent('transfer'), async (req, res) => {
   try {
-    const { sender, receiver, amount } = req.body;
+    const sender = req.session.username;
+    const { ceremonyId, assertion } = req.body;
 
-    // Validate input
-    if (!sender || !receiver || amount == null) {
+    if (!ceremonyId || !assertion) {
       return res.status(400).json({
-        error: 'Missing required fields: sender, receiver, amount'
+        error: 'Missing fingerprint confirmation: ceremonyId, assertion'
       });
     }
 
-    if (Number(amount) <= 0) {
-      return res.status(400).json({
-        error: 'Amount must be positive'
+    let authorization;
+    try {
+      authorization = await verifyStepUp({
+        username: sender,
+        purpose: 'transfer',
+        ceremonyId,
+        assertion,
+        allowedOrigins: getAllowedOrigins()
       });
+    } catch (error) {
+      if (error instanceof VerificationError) {
+        console.warn('Transfer confirmation rejected:', error.message);
+        return res.status(401).json({ error: 'Transfer confirmation failed', details: error.message });
+      }
+      throw error;
     }
 
-    console.log(`Transfer request: ${sender} → ${receiver}, amount: ${amount}`);
+    // The signed details are authoritative; a body that disagrees with
+    // them means the client is not showing what the user approved
+    const { receiver, amount, currency } = authorization.details;
+    if ((req.body.receiver != null && req.body.receiver !== receiver) ||
+        (req.body.amount != null && parseMinorUnits(req.body.amount) !== amount) ||
+        (req.body.currency != null && normalizeCurrency(req.body.currency) !== currency)) {
+      return res.status(400).json({ error: 'Transfer details do not match the confirmed transfer' });
+    }
 
-    // Call the SQL function
-    const { data, error } = await supabase.rpc('transfer_funds', {
-      p_sender: sender,
-      p_receiver: receiver,
-      p_amount: parseInt(amount, 10)
-    });
+    console.log(`Transfer request: ${sender} → ${receiver}, amount: ${amount} ${currency}`);
+
+    // Score the transfer first; a risky one is held (see routes/risk.js)
+    // instead of sent
+    const assessment = await assessTransfer({ sender, receiver, amount, currency }, authorization.proof);
+    if (assessment.decision !== 'allow') {
+      return res.status(202).json({
+        success: false,
+        held: true,
+        message: assessment.decision === 'review'
+          ? 'Transfer held for review'
+          : 'Transfer held: confirm it again with your fingerprint',
+        assessment
+      });
+    }
+
+    // Atomic transfer (transfer_funds in Supabase)
+    const { data: result, error } = await getStorage().transactions.transferFunds({ sender, receiver, amount, currency });
 
     if (error) {
-      console.error('Supabase RPC error:', error);
+      console.error('Storage error during transfer:', error);
       return res.status(500).json({ error: error.message });
     }
 
-    console.log('Transfer result:', data);
-
-    const result = Array.isArray(data) ? data[0] : data;
+    console.log('Transfer result:', result);
 
     if (!result || !result.success) {
       return res.status(400).json({ error: result ? result.message : 'Transfer failed' });
     }
 
+    await recordAllowedOutcome(assessment.id, result);
+    await recordTransactionAuthorization(result.transaction_id, authorization.proof);
+
     return res.json({
       success: true,
       message: result.message,
-      transactionId: result.transaction_id || result.transaction_id
+      transactionId: result.transaction_id
     });
 
   } catch (error) {
@@ -56,47 +168,39 @@ router.post('/transfer', async (req, res) => {
   }
 });
 
-// Get transaction history
-router.get('/transactions/:username', async (req, res) => {
+// Get transaction history, filtered and paged by the query parameters
+// (see lib/transactionSearch.js)
+router.get('/transactions/:username', requireSession, requireOwner(), async (req, res) => {
   try {
     const { username } = req.params;
 
-    const { data, error } = await supabase
-      .from('transactions')
-      .select('*')
-      .or(`sender.eq.${username},receiver.eq.${username}`)
-      .order('createdAt', { ascending: false })
-      .limit(50);
-
-    if (error) throw error;
+    const { transactions, nextCursor } = await searchTransactions(username, req.query);
 
     res.json({
       success: true,
-      transactions: data || []
+      transactions,
+      nextCursor
     });
 
   } catch (error) {
+    if (error instanceof TransactionQueryError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Error fetching transactions:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // Get wallet balance
-router.get('/wallet/:username', async (req, res) => {
+router.get('/wallet/:username', requireSession, requireOwner(), async (req, res) => {
   try {
     const { username } = req.params;
 
-    const { data, error } = await supabase
-      .from('wallets')
-      .select('*')
-      .eq('username', username)
-      .single();
+    const { data, error } = await getStorage().wallets.findByUsername(username);
 
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({ error: 'Wallet not found' });
-      }
-      throw error;
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'Wallet not found' });
     }
 
     res.json({
@@ -110,19 +214,16 @@ router.get('/wallet/:username', async (req, res) => {
   }
 });
 
-// Get all wallets (for testing)
-router.get('/wallets', async (req, res) => {
+// Get all wallets with their balances (admins only)
+router.get('/wallets', requireSession, requireAdmin, async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('wallets')
-      .select('username, balance, createdAt')
-      .order('createdAt', { ascending: false });
+    const { data, error } = await getStorage().wallets.list();
 
     if (error) throw error;
 
     res.json({
       success: true,
-      wallets: data || []
+      wallets: (data || []).map(({ username, balances, createdAt }) => ({ username, balances, createdAt }))
     });
 
   } catch (error) {
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * Migration Runner
+ *
+ * Applies pending migrations from backend/migrations to the Postgres
+ * database in DATABASE_URL (for Supabase: Project Settings -> Database ->
+ * Connection string). Each migration runs in its own transaction and is
+ * recorded in `schema_migrations`. An advisory lock keeps two deployments
+ * from migrating at the same time.
+ *
+ * Usage:
+ *   npm run migrate              apply pending migrations
+ *   npm run migrate -- --status  list applied and pending migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Same .env lookup as server.js
+const envPath = path.resolve(__dirname, '../../.env');
+if (fs.existsSync(envPath)) {
+    require('dotenv').config({ path: envPath });
+}
+
+const { Client } = require('pg');
+const { listMigrations } = require('../lib/migrations');
+
+// Arbitrary constant identifying this application's migration lock
+const LOCK_ID = 7286341;
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            checksum TEXT NOT NULL,
+            "appliedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+        )
+    `);
+}
+
+async function appliedMigrations(client) {
+    const { rows } = await client.query('SELECT version, name, checksum, "appliedAt" FROM schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row]));
+}
+
+async function main() {
+    const statusOnly = process.argv.includes('--status');
+
+    if (!process.env.DATABASE_URL) {
+        console.error('❌ DATABASE_URL is not set');
+        console.error('   Use the Postgres connection string from Supabase (Project Settings -> Database).');
+        process.exit(1);
+    }
+
+    const migrations = listMigrations();
+    const client = new Client({ connectionString: process.env.DATABASE_URL });
+    await client.connect();
+
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+        await ensureMigrationsTable(client);
+        const applied = await appliedMigrations(client);
+
+        // An applied migration that was edited afterwards would leave databases
+        // with different schemas under the same version
+        const changed = migrations.filter(m => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum);
+        for (const migration of changed) {
+            console.error(`❌ ${migration.file} was modified after it was applied`);
+        }
+        if (changed.length > 0) {
+            console.error('   Add a new migration instead of editing an applied one.');
+            process.exitCode = 1;
+            return;
+        }
+
+        const pending = migrations.filter(m => !applied.has(m.version));
+
+        if (statusOnly) {
+            for (const migration of migrations) {
+                const row = applied.get(migration.version);
+                console.log(row
+                    ? `✅ ${migration.file} (applied ${new Date(row.appliedAt).toISOString()})`
+                    : `⏳ ${migration.file} (pending)`);
+            }
+            return;
+        }
+
+        if (pending.length === 0) {
+            console.log('✅ Database schema is up to date');
+            return;
+        }
+
+        for (const migration of pending) {
+            console.log(`⏳ Applying ${migration.file}...`);
+            try {
+                await client.query('BEGIN');
+                await client.query(migration.sql);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                    [migration.version, migration.name, migration.checksum]
+                );
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                console.error(`❌ ${migration.file} failed: ${err.message}`);
+                process.exitCode = 1;
+                return;
+            }
+        }
+
+        console.log(`✅ Applied ${pending.length} migration(s); schema is at version ${pending[pending.length - 1].version}`);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]).catch(() => {});
+        await client.end();
+    }
+}
+
+main().catch(err => {
+    console.error('Migration failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Ledger Reconciliation
+ *
+ * Recomputes every wallet's balance from `ledger_entries` and reports
+ * wallets whose stored balance disagrees, transactions whose debits and
+ * credits do not cancel out, and malformed entries.
+ *
+ * Usage: npm run reconcile
+ * Exits with status 1 when any discrepancy is found, so it can run as a
+ * scheduled job that alerts on failure.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Same .env lookup as server.js
+const envPath = path.resolve(__dirname, '../../.env');
+if (fs.existsSync(envPath)) {
+    require('dotenv').config({ path: envPath });
+}
+
+const { reconcileLedger } = require('../lib/ledger');
+const { formatDecimal } = require('../lib/money');
+
+async function main() {
+    const report = await reconcileLedger();
+    console.log(`📒 Checked ${report.walletCount} wallets against ${report.entryCount} ledger entries`);
+
+    for (const mismatch of report.mismatches) {
+        console.error(
+            `❌ ${mismatch.username} (${mismatch.currency}): stored balance ${formatDecimal(mismatch.storedBalance, mismatch.currency)}, ` +
+            `ledger balance ${formatDecimal(mismatch.ledgerBalance, mismatch.currency)} ` +
+            `(difference ${formatDecimal(mismatch.difference, mismatch.currency)})`
+        );
+    }
+    for (const tx of report.unbalanced) {
+        console.error(`❌ Transaction ${tx.transactionId} is unbalanced by ${formatDecimal(tx.difference, tx.currency)} ${tx.currency}`);
+    }
+    for (const id of report.invalidEntries) {
+        console.error(`❌ Ledger entry ${id} has an invalid direction or amount`);
+    }
+
+    const problems = report.mismatches.length + report.unbalanced.length + report.invalidEntries.length;
+    if (problems > 0) {
+        console.error(`❌ Reconciliation found ${problems} problem(s)`);
+        process.exit(1);
+    }
+    console.log('✅ Ledger and wallet balances agree');
+}
+
+main().catch(err => {
+    console.error('Reconciliation failed:', err);
+    process.exit(1);
+});
@@ -28,7 +28,24 @@ try {
     // Silent fail - environment variables may be set by platform
 }
 
-const { supabase } = require('./supabase');
+const { supabaseUrl, supabaseKey } = require('./supabase');
+const { getStorage } = require('./storage');
+const { verifyRegistrationResponse, VerificationError } = require('./lib/webauthn');
+const { recordSecurityEvent, listSecurityEvents } = require('./lib/securityEvents');
+const credentials = require('./lib/credentials');
+const ledger = require('./lib/ledger');
+const { latestVersion } = require('./lib/migrations');
+const { normalizeCurrency } = require('./lib/currencies');
+const { deriveAddress } = require('./lib/addresses');
+const { usernameError } = require('./lib/usernames');
+const { getRateProvider } = require('./lib/exchangeRates');
+const { getRiskRules } = require('./lib/risk');
+const { startScheduler } = require('./lib/scheduler');
+const sessions = require('./lib/sessions');
+const { startStepUp, verifyStepUp } = require('./lib/stepUp');
+const { requireSession, requireOwner } = require('./middleware/session');
+const { getChallengeStore, WEBAUTHN_TIMEOUT_MS } = require('./lib/challengeStore');
+const { getEffectiveDomain, getAllowedOrigins } = require('./lib/relyingParty');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -37,6 +54,8 @@ const PORT = process.env.PORT || 3000;
 app.use(cors()); // Allow frontend to access backend
 app.use(express.json()); // Parse JSON requests
 app.use(express.static(path.join(__dirname, '../frontend'))); // Serve frontend files
+// QR decoder for scanning payment codes on the Send page
+app.get('/vendor/jsQR.js', (req, res) => res.sendFile(require.resolve('jsqr/dist/jsQR.js')));
 
 // Mount transfer routes (payments, wallets, transactions)
 try {
@@ -46,89 +65,91 @@ try {
     console.warn('Transfer routes not available:', err.message);
 }
 
-// Helper: get user from Supabase
+// Mount currency conversion routes (quote, execute)
+app.use('/api', require('./routes/convert'));
+
+// Mount recipient resolution and contact routes
+app.use('/api', require('./routes/recipients'));
+
+// Mount payment URI routes (receive QR codes, decoding for the Send page)
+app.use('/api', require('./routes/paymentUri'));
+
+// Mount payment request routes (ask, pay with a fingerprint, decline, cancel)
+app.use('/api', require('./routes/paymentRequests'));
+
+// Mount scheduled transfer routes (create, edit, pause, resume, cancel, run history)
+app.use('/api', require('./routes/schedules'));
+
+// Mount spending limit routes (limits and usage, lowering, fingerprint-confirmed raises)
+app.use('/api', require('./routes/limits'));
+
+// Mount risk routes (held transfers, step-up release, manual review for admins)
+app.use('/api', require('./routes/risk'));
+
+// Mount refund and reversal routes (fingerprint-confirmed refunds, admin reversals)
+app.use('/api', require('./routes/reversals'));
+
+// Helper: get user from storage (data is null if there is no such user)
 async function getUserByUsername(username) {
-    try {
-        const { data, error } = await supabase
-            .from('users')
-            .select('*')
-            .eq('username', username)
-            .maybeSingle(); // Returns null if no rows, doesn't throw error
-        return { data, error };
-    } catch (err) {
-        console.error('Error fetching user:', err);
-        return { data: null, error: err };
-    }
+    return getStorage().users.findByUsername(username);
 }
 
 /**
- * Generate a random challenge for WebAuthn
- * Challenges prevent replay attacks
+ * WebAuthn challenges
+ * Each ceremony gets its own ID and random challenge, which expires with the
+ * WebAuthn timeout and can only be used once (prevents replay attacks)
  */
-function generateChallenge() {
-    return crypto.randomBytes(32).toString('base64url');
-}
+const challengeStore = getChallengeStore();
 
 /**
- * Get the effective domain for WebAuthn RP ID
- * WebAuthn requires rp.id to match the origin domain
+ * Consume a ceremony's challenge
+ * Returns null if it is unknown, expired, already used, of a different
+ * type or was issued for another user
  */
-function getEffectiveDomain(req) {
-    // Allow override via environment variable (for production deployments)
-    if (process.env.WEBAUTHN_RP_ID) {
-        console.log('RP ID from env:', process.env.WEBAUTHN_RP_ID);
-        return process.env.WEBAUTHN_RP_ID;
-    }
+async function consumeCeremony(ceremonyId, type, username) {
+    const ceremony = await challengeStore.consume(ceremonyId, type);
+    if (!ceremony || ceremony.username !== username) return null;
+    return ceremony;
+}
 
-    const host = req.get('host') || 'localhost';
-    const origin = req.get('origin');
-    
-    console.log('🔍 WebAuthn RP ID Debug:');
-    console.log('   Host header:', host);
-    console.log('   Origin header:', origin);
-    
-    // Try to extract domain from Origin header first (most reliable)
-    if (origin) {
-        try {
-            const url = new URL(origin);
-            const domain = url.hostname;
-            
-            // For localhost, explicitly allow both HTTP and HTTPS
-            if (domain === 'localhost' || domain === '127.0.0.1') {
-                console.log('   Using localhost RP ID:', domain);
-                return domain;
-            }
-            
-            // For production domains, use hostname from origin
-            let rpId = domain;
-            if (domain.startsWith('www.')) {
-                rpId = domain.substring(4);
-            }
-            
-            console.log('   Using RP ID from Origin:', rpId);
-            return rpId;
-        } catch (err) {
-            console.log('   Could not parse Origin header:', err.message);
-        }
-    }
-    
-    // Fallback to Host header if no Origin
-    const domain = host.split(':')[0];
-    
-    // For localhost, use as-is
-    if (domain === 'localhost' || domain === '127.0.0.1') {
-        console.log('   Using localhost RP ID:', domain);
-        return domain;
-    }
-    
-    // For other domains, remove www if present
-    let rpId = domain;
-    if (domain.startsWith('www.')) {
-        rpId = domain.substring(4);
-    }
-    
-    console.log('   Using RP ID from Host:', rpId);
-    return rpId;
+/**
+ * Build WebAuthn registration options
+ * excludeCredentials stops an authenticator from registering twice for one user
+ */
+function buildRegistrationOptions(rpId, username, challenge, excludeCredentials = []) {
+    // WebAuthn registration options
+    // authenticatorSelection.authenticatorAttachment: 'platform' = use built-in fingerprint scanner
+    // authenticatorSelection.userVerification: 'required' = must verify with fingerprint
+    // Note: challenge and user.id are sent as base64url strings, frontend will convert to ArrayBuffer
+    return {
+        challenge: challenge, // Send as base64url string, frontend converts to ArrayBuffer
+        rp: {
+            name: 'Fingerprint Wallet',
+            id: rpId, // Dynamically set based on the domain being accessed
+        },
+        user: {
+            id: credentials.userHandleFor(username), // Returned as userHandle in passkey logins
+            name: username,
+            displayName: username,
+        },
+        pubKeyCredParams: [
+            { alg: -7, type: 'public-key' }, // ES256
+            { alg: -257, type: 'public-key' }, // RS256
+        ],
+        authenticatorSelection: {
+            authenticatorAttachment: 'platform', // Use built-in fingerprint scanner
+            userVerification: 'required', // Require fingerprint verification
+            residentKey: 'required', // Discoverable credential (passkey) for usernameless login
+            requireResidentKey: true,
+        },
+        timeout: WEBAUTHN_TIMEOUT_MS, // 60 seconds timeout
+        attestation: 'none', // We don't need attestation for basic auth
+        excludeCredentials: excludeCredentials.map(cred => ({
+            id: cred.credentialId,
+            type: 'public-key',
+            transports: cred.transports || [],
+        })),
+    };
 }
 
 /**
@@ -141,11 +162,15 @@ app.post('/api/register/start', async (req, res) => {
     if (!username) {
         return res.status(400).json({ error: 'Username is required' });
     }
+    const invalidUsername = usernameError(username);
+    if (invalidUsername) {
+        return res.status(400).json({ error: invalidUsername });
+    }
 
     // Check if user already exists in Supabase
     const { data: existingUser, error: existingError } = await getUserByUsername(username);
     if (existingError) {
-        console.error('❌ Supabase error checking user:', existingError.message);
+        console.error('❌ Storage error checking user:', existingError.message);
         // Check if error is "no rows returned" (table missing or user not found)
         if (existingError.code === 'PGRST116' || existingError.message.includes('no rows')) {
             // This is expected for new users, continue
@@ -161,80 +186,150 @@ app.post('/api/register/start', async (req, res) => {
             return res.status(500).json({ error: 'Database error: ' + existingError.message });
         }
     }
-    if (existingUser) {
+    // An account upgraded from the single-device schema registers its device again
+    if (existingUser && !existingUser.reenrollRequired) {
         return res.status(400).json({ error: 'Username already exists' });
     }
 
-    // Generate a random challenge
-    const challenge = generateChallenge();
-
-    // Store challenge temporarily (in production, use Redis or session)
-    if (!global.challenges) global.challenges = {};
-    global.challenges[username] = challenge;
-
     // Get effective domain for WebAuthn
     const rpId = getEffectiveDomain(req);
 
-    // WebAuthn registration options
-    // authenticatorSelection.authenticatorAttachment: 'platform' = use built-in fingerprint scanner
-    // authenticatorSelection.userVerification: 'required' = must verify with fingerprint
-    // Note: challenge and user.id are sent as base64url strings, frontend will convert to ArrayBuffer
-    const registrationOptions = {
-        challenge: challenge, // Send as base64url string, frontend converts to ArrayBuffer
-        rp: {
-            name: 'Fingerprint Wallet',
-            id: rpId, // Dynamically set based on the domain being accessed
-        },
-        user: {
-            id: Buffer.from(username, 'utf8').toString('base64url'), // Convert to base64url for JSON
-            name: username,
-            displayName: username,
-        },
-        pubKeyCredParams: [
-            { alg: -7, type: 'public-key' }, // ES256
-            { alg: -257, type: 'public-key' }, // RS256
-        ],
-        authenticatorSelection: {
-            authenticatorAttachment: 'platform', // Use built-in fingerprint scanner
-            userVerification: 'required', // Require fingerprint verification
-            requireResidentKey: false,
-        },
-        timeout: 60000, // 60 seconds timeout
-        attestation: 'none', // We don't need attestation for basic auth
-    };
+    // Start a registration ceremony with its own single-use challenge
+    let ceremony;
+    try {
+        ceremony = await challengeStore.issue({ type: 'registration', username, rpId });
+    } catch (error) {
+        console.error('Challenge store error:', error);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+
+    const registrationOptions = buildRegistrationOptions(rpId, username, ceremony.challenge);
 
-    res.json(registrationOptions);
+    res.json({ ceremonyId: ceremony.id, ...registrationOptions });
 });
 
+/**
+ * Undo a registration that failed part-way, newest row first, so the
+ * username can be registered again. Failures are logged, not thrown: the
+ * caller is already replying with the original error.
+ */
+async function rollBackRegistration(username, credentialId = null, { wallet = false } = {}) {
+    const storage = getStorage();
+    const steps = [
+        wallet && ['wallet', () => storage.wallets.delete(username)],
+        credentialId && ['credential', () => storage.credentials.delete(username, credentialId)],
+        ['user', () => storage.users.delete(username)],
+    ].filter(Boolean);
+
+    for (const [row, remove] of steps) {
+        const { error } = await remove();
+        if (error) {
+            console.error(`Storage error removing ${row} of failed registration for ${username}:`, error);
+        }
+    }
+}
+
+/**
+ * Re-enrollment
+ * Accounts upgraded from the single-device schema had no verifiable key
+ * (0003_upgrade_legacy_schema.sql); registering again adds the new device
+ * and keeps the existing wallet and balance
+ */
+async function completeReenrollment(res, username, verified, transports) {
+    const storage = getStorage();
+    const { error: insertCredentialError } = await credentials.addCredential(username, verified, {
+        nickname: 'Primary device',
+        transports,
+    });
+    if (insertCredentialError) {
+        console.error('❌ Error storing re-enrolled credential:', insertCredentialError);
+        return res.status(500).json({
+            error: 'Registration failed - credential insert',
+            details: insertCredentialError.message
+        });
+    }
+
+    const { error: updateError } = await storage.users.update(username, { reenrollRequired: false });
+    if (updateError) {
+        console.error('❌ Error clearing re-enrollment flag:', updateError);
+        const { error: removeError } = await storage.credentials.delete(username, verified.credentialId);
+        if (removeError) {
+            console.error(`Storage error removing credential of failed re-enrollment for ${username}:`, removeError);
+        }
+        return res.status(500).json({
+            error: 'Registration failed - user update',
+            details: updateError.message
+        });
+    }
+
+    console.log('✅ User re-enrolled successfully:', username);
+    res.json({
+        success: true,
+        message: 'Fingerprint registered successfully! Your wallet is unchanged.',
+        username,
+    });
+}
+
 /**
  * Registration Endpoint
  * Step 2: Verify and store the credential
  */
 app.post('/api/register/complete', async (req, res) => {
-    const { username, credential } = req.body;
+    const { username, credential, ceremonyId } = req.body;
 
     if (!username || !credential) {
         return res.status(400).json({ error: 'Username and credential are required' });
     }
+    const invalidUsername = usernameError(username);
+    if (invalidUsername) {
+        return res.status(400).json({ error: invalidUsername });
+    }
 
-    // Verify challenge (in production, check expiration too)
-    const storedChallenge = global.challenges?.[username];
-    if (!storedChallenge) {
+    // Consume the ceremony's challenge (single-use, whether or not verification succeeds)
+    let ceremony;
+    try {
+        ceremony = await consumeCeremony(ceremonyId, 'registration', username);
+    } catch (error) {
+        console.error('Challenge store error:', error);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+    if (!ceremony) {
         return res.status(400).json({ error: 'Invalid or expired challenge' });
     }
 
-    // For academic purposes, we'll do simplified verification
-    // In production, you'd verify the attestation and signature properly
+    // Verify clientDataJSON, the attestation object and the credential public key
+    let verified;
+    try {
+        verified = verifyRegistrationResponse({
+            credential,
+            expectedChallenge: ceremony.challenge,
+            rpId: ceremony.rpId,
+            allowedOrigins: getAllowedOrigins(),
+        });
+    } catch (error) {
+        if (error instanceof VerificationError) {
+            console.error('❌ Registration verification failed:', error.message);
+            return res.status(400).json({ error: 'Registration verification failed', details: error.message });
+        }
+        console.error('Registration verification error:', error);
+        return res.status(500).json({ error: 'Registration failed', details: error.message });
+    }
+
     try {
-        // Insert user into Supabase users table
-        const { data: userData, error: insertUserError } = await supabase.from('users').insert([
-            {
-                username,
-                credentialId: credential.id,
-                publicKey: credential.response?.publicKey || 'stored',
-                registeredAt: new Date().toISOString(),
-            },
-        ]).select();
+        const { data: existingUser, error: existingError } = await getUserByUsername(username);
+        if (existingError) {
+            console.error('Storage error fetching user:', existingError);
+            return res.status(500).json({ error: 'Internal error' });
+        }
+        if (existingUser?.reenrollRequired) {
+            return completeReenrollment(res, username, verified, credential.response?.transports);
+        }
+
+        // Insert user into the users table
+        const { error: insertUserError } = await getStorage().users.create({
+            username,
+            registeredAt: new Date().toISOString(),
+        });
 
         if (insertUserError) {
             console.error('❌ Error inserting user:', {
@@ -264,17 +359,29 @@ app.post('/api/register/complete', async (req, res) => {
             });
         }
 
-        // Create a default wallet for the user
-        const { data: walletData, error: insertWalletError } = await supabase.from('wallets').insert([
-            {
-                username,
-                balance: 10000,
-                address: generateWalletAddress(username),
-                transactions: [],
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString(),
-            },
-        ]).select();
+        // Store the verified credential as the user's first device
+        const { error: insertCredentialError } = await credentials.addCredential(username, verified, {
+            nickname: 'Primary device',
+            transports: credential.response?.transports,
+        });
+
+        if (insertCredentialError) {
+            console.error('❌ Error storing credential:', insertCredentialError);
+            // Remove the user row so the username can be registered again
+            await rollBackRegistration(username);
+            return res.status(500).json({
+                error: 'Registration failed - credential insert',
+                details: insertCredentialError.message
+            });
+        }
+
+        // Create an empty wallet; the starting balance is issued through the ledger below
+        const { error: insertWalletError } = await getStorage().wallets.create({
+            username,
+            address: deriveAddress(username),
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+        });
 
         if (insertWalletError) {
             console.error('❌ Error creating wallet:', {
@@ -283,7 +390,8 @@ app.post('/api/register/complete', async (req, res) => {
                 details: insertWalletError.details,
                 hint: insertWalletError.hint,
             });
-            
+            await rollBackRegistration(username, verified.credentialId);
+
             if (insertWalletError.message.includes('relation') && insertWalletError.message.includes('does not exist')) {
                 return res.status(500).json({ 
                     error: 'Database tables not initialized',
@@ -303,8 +411,15 @@ app.post('/api/register/complete', async (req, res) => {
             });
         }
 
-        // Clean up challenge
-        delete global.challenges[username];
+        const { error: issueError } = await ledger.issueFunds(username, ledger.STARTING_BALANCE);
+        if (issueError) {
+            console.error('❌ Error issuing starting balance:', issueError);
+            await rollBackRegistration(username, verified.credentialId, { wallet: true });
+            return res.status(500).json({
+                error: 'Registration failed - starting balance',
+                details: issueError.message
+            });
+        }
 
         console.log('✅ User registered successfully:', username);
         res.json({
@@ -328,42 +443,64 @@ app.post('/api/register/complete', async (req, res) => {
 app.post('/api/login/start', async (req, res) => {
     const { username } = req.body;
 
-    if (!username) {
-        return res.status(400).json({ error: 'Username is required' });
-    }
+    // Without a username this is a passkey (usernameless) login: the
+    // authenticator offers its discoverable credentials and the user is
+    // resolved from the assertion's userHandle
+    let userCredentials = [];
+    if (username) {
+        const { data: user, error } = await getUserByUsername(username);
+        if (error) {
+            console.error('Storage error fetching user:', error);
+            return res.status(500).json({ error: 'Internal error' });
+        }
 
-    const { data: user, error } = await getUserByUsername(username);
-    if (error) {
-        console.error('Supabase error fetching user:', error);
-        return res.status(500).json({ error: 'Internal error' });
-    }
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.reenrollRequired) {
+            return res.status(403).json({
+                error: 'This account needs its fingerprint registered again. Register with the same username to keep your wallet.'
+            });
+        }
 
-    if (!user) {
-        return res.status(404).json({ error: 'User not found' });
+        const { data, error: credentialsError } = await credentials.listCredentials(username);
+        if (credentialsError) {
+            console.error('Storage error fetching credentials:', credentialsError);
+            return res.status(500).json({ error: 'Internal error' });
+        }
+        if (data.length === 0) {
+            return res.status(400).json({ error: 'No registered devices for this user' });
+        }
+        userCredentials = credentials.usableCredentials(data);
+        if (userCredentials.length === 0) {
+            return res.status(403).json({ error: 'All devices for this user are flagged as possible clones' });
+        }
     }
 
-    // Generate challenge for login
-    const challenge = generateChallenge();
-
-    // Store challenge
-    if (!global.challenges) global.challenges = {};
-    global.challenges[username] = challenge;
-
     // Get effective domain for WebAuthn
     const rpId = getEffectiveDomain(req);
 
+    // Start an authentication ceremony with its own single-use challenge
+    let ceremony;
+    try {
+        ceremony = await challengeStore.issue({ type: 'authentication', username: username || null, rpId });
+    } catch (error) {
+        console.error('Challenge store error:', error);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+
     // WebAuthn authentication options
     const authOptions = {
-        challenge: challenge,
+        ceremonyId: ceremony.id,
+        challenge: ceremony.challenge,
         rpId: rpId,
-        allowCredentials: [
-            {
-                id: user.credentialId,
-                type: 'public-key',
-            },
-        ],
+        allowCredentials: userCredentials.map(cred => ({
+            id: cred.credentialId,
+            type: 'public-key',
+            transports: cred.transports || [],
+        })),
         userVerification: 'required',
-        timeout: 60000,
+        timeout: WEBAUTHN_TIMEOUT_MS,
     };
 
     res.json(authOptions);
@@ -374,49 +511,120 @@ app.post('/api/login/start', async (req, res) => {
  * Step 2: Verify the authentication response
  */
 app.post('/api/login/complete', async (req, res) => {
-    const { username, credential } = req.body;
+    const { username, credential, ceremonyId } = req.body;
 
-    if (!username || !credential) {
-        return res.status(400).json({ error: 'Username and credential are required' });
+    if (!credential) {
+        return res.status(400).json({ error: 'Credential is required' });
     }
 
-    const { data: user, error: userError } = await getUserByUsername(username);
-    if (userError) {
-        console.error('Supabase error fetching user:', userError);
+    // Consume the ceremony's challenge (single-use, whether or not verification succeeds)
+    let ceremony;
+    try {
+        ceremony = await consumeCeremony(ceremonyId, 'authentication', username || null);
+    } catch (error) {
+        console.error('Challenge store error:', error);
         return res.status(500).json({ error: 'Internal error' });
     }
-
-    if (!user) {
-        return res.status(404).json({ error: 'User not found' });
-    }
-
-    // Verify challenge
-    const storedChallenge = global.challenges?.[username];
-    if (!storedChallenge) {
+    if (!ceremony) {
         return res.status(400).json({ error: 'Invalid or expired challenge' });
     }
 
-    // Verify credential ID matches
-    if (credential.id !== user.credentialId) {
-        return res.status(401).json({ error: 'Authentication failed' });
-    }
-
-    // For academic purposes, simplified verification
-    // In production, you'd cryptographically verify the signature
+    // Verify the assertion against the user's stored credential,
+    // including the signature counter
     try {
-        // Clean up challenge
-        delete global.challenges[username];
+        // Passkey login: work out who is signing in from the credential
+        const loginUsername = ceremony.username || await credentials.resolveDiscoverableUser(credential);
+
+        const { data: user, error: userError } = await getUserByUsername(loginUsername);
+        if (userError) throw userError;
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await credentials.verifyUserAssertion({
+            username: loginUsername,
+            credential,
+            expectedChallenge: ceremony.challenge,
+            rpId: ceremony.rpId,
+            allowedOrigins: getAllowedOrigins(),
+        });
+
+        // Issue a server-side session in an HTTP-only cookie
+        const { token, session } = await sessions.createSession(loginUsername, {
+            userAgent: req.get('user-agent'),
+        });
+        sessions.setSessionCookie(req, res, token, session.expiresAt);
 
         res.json({
             success: true,
             message: 'Login successful!',
-            username,
-            loginTime: new Date().toISOString(),
+            username: loginUsername,
+            loginTime: session.authenticatedAt,
+            expiresAt: session.expiresAt,
         });
     } catch (error) {
+        if (error instanceof VerificationError) {
+            console.error('❌ Login verification failed:', error.message);
+            return res.status(401).json({ error: 'Authentication failed', details: error.message });
+        }
         console.error('Login error:', error);
-        res.status(401).json({ error: 'Authentication failed' });
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+});
+
+/**
+ * Session Endpoints
+ */
+
+/**
+ * Get the current session (used to restore the wallet on page load)
+ */
+app.get('/api/session', requireSession, (req, res) => {
+    res.json({
+        success: true,
+        username: req.session.username,
+        loginTime: req.session.authenticatedAt,
+        expiresAt: req.session.expiresAt,
+    });
+});
+
+/**
+ * Refresh the current session
+ * Rotates the token and extends the idle timeout, up to the maximum
+ * session age measured from the fingerprint login
+ */
+app.post('/api/session/refresh', requireSession, async (req, res) => {
+    try {
+        const refreshed = await sessions.refreshSession(req.session, {
+            userAgent: req.get('user-agent'),
+        });
+        if (!refreshed) {
+            sessions.clearSessionCookie(req, res);
+            return res.status(401).json({ error: 'Session has reached its maximum age. Please log in again.' });
+        }
+
+        sessions.setSessionCookie(req, res, refreshed.token, refreshed.session.expiresAt);
+        res.json({ success: true, expiresAt: refreshed.session.expiresAt });
+    } catch (error) {
+        console.error('Session refresh error:', error);
+        res.status(500).json({ error: 'Could not refresh session' });
+    }
+});
+
+/**
+ * Logout: revoke the session on the server and clear the cookie
+ */
+app.post('/api/logout', async (req, res) => {
+    try {
+        const session = await sessions.getSession(sessions.readToken(req));
+        if (session) await sessions.revokeSession(session);
+    } catch (error) {
+        console.error('Logout error:', error);
+        return res.status(500).json({ error: 'Could not log out' });
     }
+
+    sessions.clearSessionCookie(req, res);
+    res.json({ success: true, message: 'Logged out' });
 });
 
 /**
@@ -426,7 +634,7 @@ app.get('/api/user/:username', async (req, res) => {
     const { username } = req.params;
     const { data: user, error } = await getUserByUsername(username);
     if (error) {
-        console.error('Supabase error fetching user:', error);
+        console.error('Storage error fetching user:', error);
         return res.status(500).json({ error: 'Internal error' });
     }
     if (!user) return res.status(404).json({ error: 'User not found' });
@@ -435,179 +643,360 @@ app.get('/api/user/:username', async (req, res) => {
 });
 
 /**
- * Wallet Endpoints
+ * Get recent security events for a user (shown on the Settings page)
  */
+app.get('/api/security/events/:username', requireSession, requireOwner(), async (req, res) => {
+    const { username } = req.params;
+    const { data: user, error: userError } = await getUserByUsername(username);
+    if (userError) {
+        console.error('Storage error fetching user:', userError);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+    if (!user) return res.status(404).json({ error: 'User not found' });
 
-// Helper: get wallet from Supabase
-async function getWalletByUsername(username) {
-    try {
-        const { data, error } = await supabase
-            .from('wallets')
-            .select('*')
-            .eq('username', username)
-            .maybeSingle(); // Returns null if no rows, doesn't throw error
-        return { data, error };
-    } catch (err) {
-        console.error('Error fetching wallet:', err);
-        return { data: null, error: err };
+    const { data: events, error } = await listSecurityEvents(username);
+    if (error) {
+        console.error('Storage error fetching security events:', error);
+        return res.status(500).json({ error: 'Internal error' });
     }
-}
+
+    res.json({ success: true, events });
+});
+
+/**
+ * Device (Credential) Management Endpoints
+ */
 
 /**
- * Get wallet data
+ * List the devices registered to a user
  */
-app.get('/api/wallet/:username', async (req, res) => {
+app.get('/api/credentials/:username', requireSession, requireOwner(), async (req, res) => {
     const { username } = req.params;
-    const { data: wallet, error } = await getWalletByUsername(username);
+    const { data: userCredentials, error } = await credentials.listCredentials(username);
     if (error) {
-        console.error('Supabase error fetching wallet:', error);
+        console.error('Storage error fetching credentials:', error);
         return res.status(500).json({ error: 'Internal error' });
     }
-    if (!wallet) return res.status(404).json({ error: 'Wallet not found' });
-    res.json(wallet);
+
+    res.json({ success: true, devices: userCredentials.map(credentials.toDevice) });
 });
 
 /**
- * Create new wallet
+ * Add a device
+ * Step 1: Generate challenge and return registration options
  */
-app.post('/api/wallet/create', async (req, res) => {
-    const { username, balance, address, transactions } = req.body;
+app.post('/api/credentials/add/start', requireSession, requireOwner(), async (req, res) => {
+    const { username } = req.body;
 
     if (!username) {
         return res.status(400).json({ error: 'Username is required' });
     }
 
-    const { data: existingWallet } = await getWalletByUsername(username);
-    if (existingWallet) return res.status(400).json({ error: 'Wallet already exists' });
+    const { data: user, error } = await getUserByUsername(username);
+    if (error) {
+        console.error('Storage error fetching user:', error);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+    if (!user) return res.status(404).json({ error: 'User not found' });
 
-    const { error } = await supabase.from('wallets').insert([
-        {
-            username,
-            balance: balance || 0,
-            address: address || generateWalletAddress(username),
-            transactions: transactions || [],
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-        },
-    ]);
+    const { data: userCredentials, error: credentialsError } = await credentials.listCredentials(username);
+    if (credentialsError) {
+        console.error('Storage error fetching credentials:', credentialsError);
+        return res.status(500).json({ error: 'Internal error' });
+    }
 
-    if (error) {
-        console.error('Supabase error creating wallet:', error);
-        return res.status(500).json({ error: 'Could not create wallet' });
+    const rpId = getEffectiveDomain(req);
+
+    let ceremony;
+    try {
+        ceremony = await challengeStore.issue({ type: 'add-device', username, rpId });
+    } catch (error) {
+        console.error('Challenge store error:', error);
+        return res.status(500).json({ error: 'Internal error' });
     }
 
-    const { data: wallet } = await getWalletByUsername(username);
-    res.json({ success: true, message: 'Wallet created successfully', wallet });
+    res.json({
+        ceremonyId: ceremony.id,
+        ...buildRegistrationOptions(rpId, username, ceremony.challenge, userCredentials),
+    });
 });
 
 /**
- * Update wallet data
+ * Add a device
+ * Step 2: Verify and store the new credential
  */
-app.put('/api/wallet/:username', async (req, res) => {
-    const { username } = req.params;
-    const { balance, address, transactions } = req.body;
+app.post('/api/credentials/add/complete', requireSession, requireOwner(), async (req, res) => {
+    const { username, credential, nickname, ceremonyId } = req.body;
 
-    const { data: wallet, error: fetchError } = await getWalletByUsername(username);
-    if (fetchError) {
-        console.error('Supabase error fetching wallet:', fetchError);
+    if (!username || !credential) {
+        return res.status(400).json({ error: 'Username and credential are required' });
+    }
+
+    let ceremony;
+    try {
+        ceremony = await consumeCeremony(ceremonyId, 'add-device', username);
+    } catch (error) {
+        console.error('Challenge store error:', error);
         return res.status(500).json({ error: 'Internal error' });
     }
-    if (!wallet) return res.status(404).json({ error: 'Wallet not found' });
+    if (!ceremony) {
+        return res.status(400).json({ error: 'Invalid or expired challenge' });
+    }
 
-    const updates = {};
-    if (balance !== undefined) updates.balance = balance;
-    if (address) updates.address = address;
-    if (transactions) updates.transactions = transactions;
-    updates.updatedAt = new Date().toISOString();
+    let verified;
+    try {
+        verified = verifyRegistrationResponse({
+            credential,
+            expectedChallenge: ceremony.challenge,
+            rpId: ceremony.rpId,
+            allowedOrigins: getAllowedOrigins(),
+        });
+    } catch (error) {
+        if (error instanceof VerificationError) {
+            console.error('❌ Device verification failed:', error.message);
+            return res.status(400).json({ error: 'Device verification failed', details: error.message });
+        }
+        console.error('Device verification error:', error);
+        return res.status(500).json({ error: 'Could not add device', details: error.message });
+    }
 
-    const { error: updateError } = await supabase
-        .from('wallets')
-        .update(updates)
-        .eq('username', username);
+    const { data: existing, error: lookupError } = await credentials.getCredentialById(verified.credentialId);
+    if (lookupError) {
+        console.error('Storage error fetching credential:', lookupError);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+    if (existing) {
+        return res.status(400).json({ error: 'This device is already registered' });
+    }
 
-    if (updateError) {
-        console.error('Supabase error updating wallet:', updateError);
-        return res.status(500).json({ error: 'Could not update wallet' });
+    const { data: added, error: insertError } = await credentials.addCredential(username, verified, {
+        nickname,
+        transports: credential.response?.transports,
+    });
+    if (insertError) {
+        console.error('Storage error storing credential:', insertError);
+        return res.status(500).json({ error: 'Could not add device' });
     }
 
-    const { data: updatedWallet } = await getWalletByUsername(username);
-    res.json({ success: true, message: 'Wallet updated successfully', wallet: updatedWallet });
+    await recordSecurityEvent(username, 'credential_added', {
+        credentialId: added.credentialId,
+        nickname: added.nickname,
+    });
+
+    console.log('✅ Device added for', username);
+    res.json({ success: true, message: 'Device added successfully', device: credentials.toDevice(added) });
 });
 
 /**
- * Send money endpoint
- * Body: { sender, receiver, amount }
+ * Revoke a device
+ * The last remaining device cannot be revoked, or the wallet would be locked
  */
-app.post('/api/wallet/send', async (req, res) => {
-    const { sender, receiver, amount } = req.body;
-    if (!sender || !receiver || !amount) return res.status(400).json({ error: 'sender, receiver and amount are required' });
-
-    // Fetch sender balance
-    const { data: senderWallet, error: senderError } = await supabase
-        .from('wallets')
-        .select('balance')
-        .eq('username', sender)
-        .single();
-    if (senderError) {
-        console.error('Error fetching sender wallet:', senderError);
+app.delete('/api/credentials/:username/:credentialId', requireSession, requireOwner(), async (req, res) => {
+    const { username, credentialId } = req.params;
+
+    const { data: userCredentials, error } = await credentials.listCredentials(username);
+    if (error) {
+        console.error('Storage error fetching credentials:', error);
         return res.status(500).json({ error: 'Internal error' });
     }
 
-    if (!senderWallet || senderWallet.balance < amount) {
-        return res.status(400).json({ error: 'Insufficient balance' });
+    const target = userCredentials.find(cred => cred.credentialId === credentialId);
+    if (!target) return res.status(404).json({ error: 'Device not found' });
+    if (userCredentials.length === 1) {
+        return res.status(400).json({ error: 'Cannot revoke your only device. Add another device first.' });
     }
 
-    // Deduct from sender
-    const { error: deductError } = await supabase
-        .from('wallets')
-        .update({ balance: senderWallet.balance - amount })
-        .eq('username', sender);
-    if (deductError) {
-        console.error('Error deducting sender balance:', deductError);
-        return res.status(500).json({ error: 'Could not update sender balance' });
+    const { deleted, error: deleteError } = await credentials.deleteCredential(username, credentialId);
+    if (deleteError) {
+        console.error('Storage error deleting credential:', deleteError);
+        return res.status(500).json({ error: 'Could not revoke device' });
     }
+    if (!deleted) return res.status(404).json({ error: 'Device not found' });
 
-    // Add to receiver (get current balance first)
-    const { data: receiverWallet, error: receiverError } = await supabase
-        .from('wallets')
-        .select('balance')
-        .eq('username', receiver)
-        .single();
-    if (receiverError) {
-        console.error('Error fetching receiver wallet:', receiverError);
-        return res.status(500).json({ error: 'Internal error' });
+    await recordSecurityEvent(username, 'credential_revoked', {
+        credentialId,
+        nickname: target.nickname,
+    });
+
+    res.json({ success: true, message: 'Device revoked' });
+});
+
+// Helper: a user's credential that is flagged as suspect, or an error reply
+async function findSuspectCredential(username, credentialId, res) {
+    const { data: target, error } = await credentials.getCredentialById(credentialId);
+    if (error) {
+        console.error('Storage error fetching credential:', error);
+        res.status(500).json({ error: 'Internal error' });
+        return null;
+    }
+    if (!target || target.username !== username) {
+        res.status(404).json({ error: 'Device not found' });
+        return null;
+    }
+    if (!target.suspect) {
+        res.status(400).json({ error: 'This device is not flagged' });
+        return null;
+    }
+    return target;
+}
+
+/**
+ * Clear the suspect flag on a device
+ * Step 1: fingerprint challenge for the confirmation, which must come from
+ * another (unflagged) device
+ */
+app.post('/api/credentials/:username/:credentialId/clear/authorize', requireSession, requireOwner(), async (req, res) => {
+    const { username, credentialId } = req.params;
+    const target = await findSuspectCredential(username, credentialId, res);
+    if (!target) return;
+
+    try {
+        const stepUp = await startStepUp({
+            username,
+            rpId: getEffectiveDomain(req),
+            purpose: 'clear_device',
+            details: { credentialId },
+        });
+        res.json({ ceremonyId: stepUp.ceremonyId, nonce: stepUp.nonce, ...stepUp.publicKey });
+    } catch (error) {
+        if (error instanceof VerificationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Clear device authorization error:', error);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+/**
+ * Clear the suspect flag on a device
+ * Step 2: verify the confirmation and let the device sign in again
+ */
+app.post('/api/credentials/:username/:credentialId/clear', requireSession, requireOwner(), async (req, res) => {
+    const { username, credentialId } = req.params;
+    const { ceremonyId, assertion } = req.body || {};
+    if (!ceremonyId || !assertion) {
+        return res.status(400).json({ error: 'Missing fingerprint confirmation: ceremonyId, assertion' });
     }
 
-    const newReceiverBalance = (receiverWallet?.balance || 0) + amount;
-    const { error: addError } = await supabase
-        .from('wallets')
-        .update({ balance: newReceiverBalance })
-        .eq('username', receiver);
-    if (addError) {
-        console.error('Error adding to receiver balance:', addError);
-        return res.status(500).json({ error: 'Could not update receiver balance' });
+    try {
+        const { details } = await verifyStepUp({
+            username,
+            purpose: 'clear_device',
+            ceremonyId,
+            assertion,
+            allowedOrigins: getAllowedOrigins(),
+        });
+        if (details.credentialId !== credentialId) {
+            return res.status(400).json({ error: 'Confirmation was made for a different device' });
+        }
+    } catch (error) {
+        if (error instanceof VerificationError) {
+            console.warn('Clear device confirmation rejected:', error.message);
+            return res.status(401).json({ error: 'Device confirmation failed', details: error.message });
+        }
+        console.error('Clear device error:', error);
+        return res.status(500).json({ error: 'Internal error' });
     }
 
-    // Record transaction
-    const { error: txError } = await supabase.from('transactions').insert([
-        { sender, receiver, amount, createdAt: new Date().toISOString() },
-    ]);
-    if (txError) {
-        console.error('Error inserting transaction:', txError);
+    const target = await findSuspectCredential(username, credentialId, res);
+    if (!target) return;
+
+    const { error } = await credentials.clearSuspectCredential(target);
+    if (error) {
+        console.error('Storage error clearing credential:', error);
+        return res.status(500).json({ error: 'Could not clear device' });
     }
 
-    res.json({ success: true, message: 'Transfer completed' });
+    res.json({ success: true, message: 'Device flag cleared' });
 });
 
 /**
- * Generate wallet address (simplified for demo)
+ * Wallet Endpoints
  */
-function generateWalletAddress(username) {
-    const crypto = require('crypto');
-    const hash = crypto.createHash('sha256').update(username + Date.now()).digest('hex');
-    return `0x${hash.substring(0, 40).toUpperCase()}`;
+
+// Helper: get wallet from storage (data is null if there is no wallet)
+async function getWalletByUsername(username) {
+    return getStorage().wallets.findByUsername(username);
 }
 
+/**
+ * Create new wallet
+ * New wallets start empty; money only arrives through transfers
+ * (GET /api/wallet/:username is served by routes/transfer.js)
+ */
+app.post('/api/wallet/create', requireSession, requireOwner(), async (req, res) => {
+    const { username } = req.body;
+
+    if (!username) {
+        return res.status(400).json({ error: 'Username is required' });
+    }
+
+    const { data: existingWallet } = await getWalletByUsername(username);
+    if (existingWallet) return res.status(400).json({ error: 'Wallet already exists' });
+
+    const { error } = await getStorage().wallets.create({
+        username,
+        address: deriveAddress(username),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+    });
+
+    if (error) {
+        console.error('Storage error creating wallet:', error);
+        return res.status(500).json({ error: 'Could not create wallet' });
+    }
+
+    const { data: wallet } = await getWalletByUsername(username);
+    res.json({ success: true, message: 'Wallet created successfully', wallet });
+});
+
+/**
+ * Update wallet data (display currency)
+ * Balances and history are owned by the server and only change through
+ * POST /api/transfer, so clients cannot set them here. The address
+ * identifies the wallet to senders (lib/recipients.js) and never changes.
+ */
+app.put('/api/wallet/:username', requireSession, requireOwner(), async (req, res) => {
+    const { username } = req.params;
+    const { displayCurrency } = req.body;
+
+    if (req.body.balance !== undefined || req.body.balances !== undefined || req.body.transactions !== undefined) {
+        return res.status(400).json({
+            error: 'Balance and transactions cannot be updated directly',
+            details: 'Use POST /api/transfer to move funds',
+        });
+    }
+    if (req.body.address !== undefined) {
+        return res.status(400).json({ error: 'Wallet addresses are assigned by the server' });
+    }
+
+    const currency = displayCurrency === undefined ? undefined : normalizeCurrency(displayCurrency);
+    if (currency === null) {
+        return res.status(400).json({ error: 'Unsupported currency', details: `${displayCurrency} is not a supported ISO 4217 code` });
+    }
+
+    const { data: wallet, error: fetchError } = await getWalletByUsername(username);
+    if (fetchError) {
+        console.error('Storage error fetching wallet:', fetchError);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+    if (!wallet) return res.status(404).json({ error: 'Wallet not found' });
+
+    const updates = {};
+    if (currency) updates.displayCurrency = currency;
+    updates.updatedAt = new Date().toISOString();
+
+    const { error: updateError } = await getStorage().wallets.update(username, updates);
+
+    if (updateError) {
+        console.error('Storage error updating wallet:', updateError);
+        return res.status(500).json({ error: 'Could not update wallet' });
+    }
+
+    const { data: updatedWallet } = await getWalletByUsername(username);
+    res.json({ success: true, message: 'Wallet updated successfully', wallet: updatedWallet });
+});
+
 // Debug endpoint - shows how the browser is connecting
 app.get('/api/debug', (req, res) => {
     const host = req.get('host') || '?';
@@ -641,35 +1030,27 @@ app.get('/api/debug', (req, res) => {
 // Database diagnostic endpoint
 app.get('/api/health/database', async (req, res) => {
     console.log('Checking database health...');
-    
-    const checkTable = async (tableName) => {
-        try {
-            const { data, error } = await supabase
-                .from(tableName)
-                .select('count', { count: 'exact', head: true });
-            
-            if (error) {
-                if (error.message.includes('does not exist') || error.message.includes('relation')) {
-                    return { status: '❌ MISSING', message: `Table "${tableName}" does not exist` };
-                }
-                if (error.message.includes('permission denied')) {
-                    return { status: '⚠️  EXISTS BUT NO ACCESS', message: `Cannot read from "${tableName}". Check RLS policies.` };
-                }
-                return { status: '❌ ERROR', message: error.message };
-            }
-            return { status: '✅ OK', count: data?.length || 0 };
-        } catch (err) {
-            return { status: '❌ ERROR', message: err.message };
-        }
-    };
-    
+
+    const storage = getStorage();
+    const { data: health, error } = await storage.checkHealth();
+    if (error) {
+        console.error('Storage health check error:', error);
+        return res.status(500).json({ error: 'Health check failed', details: error.message });
+    }
+
+    // A missing schema_migrations table just means `npm run migrate` never ran
+    const { data: currentVersion } = await storage.getSchemaVersion();
+    const latest = latestVersion();
+
     const results = {
-        supabaseConnection: supabaseUrl ? '✅ Connected' : '❌ No URL',
-        tables: {
-            users: await checkTable('users'),
-            wallets: await checkTable('wallets'),
-            transactions: await checkTable('transactions'),
+        storage: storage.backend,
+        supabaseConnection: storage.backend === 'supabase' ? '✅ Connected' : '➖ Not used',
+        schema: {
+            current: currentVersion || null,
+            latest,
+            upToDate: currentVersion === latest,
         },
+        tables: health.tables,
         setup: {
             dbURL: supabaseUrl ? 'Set' : 'Missing',
             dbKey: supabaseKey ? 'Set (hidden)' : 'Missing',
@@ -695,23 +1076,35 @@ app.get('/', (req, res) => {
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`\n`);
-    console.log(`🚀 WebAuthn Fingerprint Authentication Server running on http://localhost:${PORT}`);
-    console.log(`📱 Frontend available at http://localhost:${PORT}`);
-    console.log(`🔐 Using platform authenticator (fingerprint scanner)`);
-    console.log(`\n`);
-    console.log(`✅ Server is ready! You can now register and login.`);
-    console.log(`\n`);
-    console.log(`⚠️  IMPORTANT - WebAuthn RP ID Issue:`);
-    console.log(`   1. Access via HTTP (not HTTPS): http://localhost:${PORT}`);
-    console.log(`   2. Don't use: https://localhost:${PORT} (will cause RP ID error)`);
-    console.log(`   3. If browser redirects to HTTPS, bypass it by typing http:// explicitly`);
-    console.log(`\n`);
-    console.log(`❌ If you see "relying party ID" error:`);
-    console.log(`   - You're accessing via HTTPS when you should use HTTP`);
-    console.log(`   - Browser's address bar might auto-upgrade to HTTPS`);
-    console.log(`   - Solution: Clear browser history, type http://localhost:${PORT} directly`);
-    console.log(`\n`);
-});
+// Choose the storage backend, rate provider and risk rules now, so bad
+// settings stop startup
+getStorage();
+getRateProvider();
+getRiskRules();
+
+// Start server when run directly; tests load the app without listening
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`\n`);
+        console.log(`🚀 WebAuthn Fingerprint Authentication Server running on http://localhost:${PORT}`);
+        console.log(`📱 Frontend available at http://localhost:${PORT}`);
+        console.log(`🔐 Using platform authenticator (fingerprint scanner)`);
+        console.log(`\n`);
+        console.log(`✅ Server is ready! You can now register and login.`);
+        console.log(`\n`);
+        console.log(`⚠️  IMPORTANT - WebAuthn RP ID Issue:`);
+        console.log(`   1. Access via HTTP (not HTTPS): http://localhost:${PORT}`);
+        console.log(`   2. Don't use: https://localhost:${PORT} (will cause RP ID error)`);
+        console.log(`   3. If browser redirects to HTTPS, bypass it by typing http:// explicitly`);
+        console.log(`\n`);
+        console.log(`❌ If you see "relying party ID" error:`);
+        console.log(`   - You're accessing via HTTPS when you should use HTTP`);
+        console.log(`   - Browser's address bar might auto-upgrade to HTTPS`);
+        console.log(`   - Solution: Clear browser history, type http://localhost:${PORT} directly`);
+        console.log(`\n`);
+
+        startScheduler();
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,75 @@
+/**
+ * Storage Layer
+ *
+ * Routes and helpers never talk to the database directly; they go through
+ * the storage object returned by getStorage(). Every method resolves to
+ * { data, error } (the same shape as the Supabase client) and never throws.
+ *
+ *   users        findByUsername, create, update, delete
+ *   credentials  listByUsername, findById, create, update, delete, advanceSignCount
+ *   wallets      findByUsername, findByAddress, list, create, update, delete
+ *                (rows include balances: [{ currency, balance }])
+ *   transactions search, findById, listSentSince, transferFunds,
+ *                issueFunds, convertFunds, payPaymentRequest,
+ *                runScheduledTransfer, releaseHeldTransfer, reverse
+ *                (atomic, per currency; transfers check spending limits)
+ *                createPending, failPending (conditional)
+ *   ledger       listEntries
+ *   transactionAuthorizations  create
+ *   conversionQuotes           create, findById
+ *   contacts                   listForOwner, findByAlias, create, delete
+ *                              (rows include wallet: { address })
+ *   paymentRequests            create, findById, listForUser, respond
+ *   scheduledTransfers         create, findById, listForSender, listDue,
+ *                              update (conditional), listRuns
+ *   spendingLimits             listForUser, upsert
+ *   riskAssessments            create, findById, listForSender, listHeld,
+ *                              update (conditional)
+ *   securityEvents             create, listForUser
+ *   sessions                   create, findById, revoke
+ *   checkHealth()
+ *   getSchemaVersion()         newest applied migration (see lib/migrations.js)
+ *
+ * STORAGE_BACKEND selects the implementation:
+ *   supabase - the Supabase project in SUPABASE_URL (default when configured)
+ *   memory   - in-process tables for local development and tests
+ */
+
+const { supabase } = require('../supabase');
+
+let sharedStorage = null;
+
+/**
+ * Build the storage backend selected by STORAGE_BACKEND
+ */
+function createStorage() {
+    const requested = (process.env.STORAGE_BACKEND || '').toLowerCase();
+
+    if (requested === 'memory' || (!requested && !supabase)) {
+        if (!requested) {
+            console.warn('⚠️  Supabase is not configured - using in-memory storage.');
+            console.warn('   Data will be lost when the server stops. Set STORAGE_BACKEND=memory to silence this.');
+        }
+        console.log('🗄️  Using in-memory storage');
+        return require('./memory').createMemoryStorage();
+    }
+
+    if (requested && requested !== 'supabase') {
+        throw new Error(`Unknown STORAGE_BACKEND "${requested}" (expected "supabase" or "memory")`);
+    }
+    if (!supabase) {
+        throw new Error('STORAGE_BACKEND=supabase requires SUPABASE_URL and SUPABASE_KEY');
+    }
+    console.log('🗄️  Using Supabase storage');
+    return require('./supabase').createSupabaseStorage({ supabase });
+}
+
+/**
+ * The process-wide storage backend (created on first use)
+ */
+function getStorage() {
+    if (!sharedStorage) sharedStorage = createStorage();
+    return sharedStorage;
+}
+
+module.exports = { createStorage, getStorage };
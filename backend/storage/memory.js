@@ -0,0 +1,767 @@
+/**
+ * In-Memory Storage Backend
+ *
+ * Implements the storage interface (see storage/index.js) with plain Maps
+ * and arrays, for local development and tests without a database. Data is
+ * lost when the process exits.
+ *
+ * transferFunds and issueFunds do all their checks (spending limits
+ * included) and writes without awaiting anything, so on Node's single
+ * thread they are atomic just like the transfer_funds / issue_funds
+ * database functions.
+ */
+
+const crypto = require('crypto');
+const { latestVersion } = require('../lib/migrations');
+const { DEFAULT_CURRENCY } = require('../lib/currencies');
+const { formatDecimal } = require('../lib/money');
+const { checkSpendingLimits } = require('../lib/spendingLimits');
+
+const SYSTEM_ISSUANCE_ACCOUNT = 'system:issuance';
+const SYSTEM_EXCHANGE_ACCOUNT = 'system:exchange';
+
+function ok(data) {
+    return Promise.resolve({ data: data === undefined ? null : structuredClone(data), error: null });
+}
+
+function fail(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return Promise.resolve({ data: null, error });
+}
+
+// Same code Postgres uses, so callers can treat both backends alike
+const UNIQUE_VIOLATION = '23505';
+
+function byCreatedAt(a, b) {
+    return new Date(a.createdAt) - new Date(b.createdAt);
+}
+
+function createMemoryStorage() {
+    const tables = {
+        users: new Map(),                  // username -> row
+        credentials: new Map(),            // credentialId -> row
+        wallets: new Map(),                // username -> row
+        walletBalances: new Map(),         // username -> Map(currency -> balance)
+        transactions: [],
+        ledgerEntries: [],
+        transactionAuthorizations: [],
+        conversionQuotes: new Map(),       // id -> row
+        contacts: new Map(),               // owner + aliasKey -> row
+        paymentRequests: new Map(),        // id -> row
+        scheduledTransfers: new Map(),     // id -> row
+        scheduledTransferRuns: [],
+        spendingLimits: new Map(),         // username + limitType + currency -> row
+        riskAssessments: new Map(),        // id -> row
+        securityEvents: [],
+        sessions: new Map(),               // id -> row
+    };
+
+    const users = {
+        findByUsername: username => ok(tables.users.get(username)),
+
+        create(user) {
+            if (tables.users.has(user.username)) {
+                return fail('duplicate key value violates unique constraint "users_username_key"', UNIQUE_VIOLATION);
+            }
+            const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...user };
+            tables.users.set(row.username, row);
+            return ok(row);
+        },
+
+        update(username, fields) {
+            const row = tables.users.get(username);
+            if (row) Object.assign(row, fields);
+            return ok(null);
+        },
+
+        delete(username) {
+            tables.users.delete(username);
+            return ok(null);
+        },
+    };
+
+    const credentials = {
+        listByUsername: username => ok(
+            [...tables.credentials.values()].filter(row => row.username === username).sort(byCreatedAt)
+        ),
+
+        findById: credentialId => ok(tables.credentials.get(credentialId)),
+
+        create(credential) {
+            if (tables.credentials.has(credential.credentialId)) {
+                return fail('duplicate key value violates unique constraint "credentials_credentialId_key"', UNIQUE_VIOLATION);
+            }
+            const row = { id: crypto.randomUUID(), suspect: false, ...credential };
+            tables.credentials.set(row.credentialId, row);
+            return ok(row);
+        },
+
+        update(credentialId, fields) {
+            const row = tables.credentials.get(credentialId);
+            if (row) Object.assign(row, fields);
+            return ok(null);
+        },
+
+        delete(username, credentialId) {
+            const row = tables.credentials.get(credentialId);
+            if (!row || row.username !== username) return ok([]);
+            tables.credentials.delete(credentialId);
+            return ok([{ credentialId }]);
+        },
+
+        advanceSignCount(credentialId, { signCount, lastUsedAt, requireIncrease }) {
+            const row = tables.credentials.get(credentialId);
+            if (!row || (requireIncrease && !(Number(row.signCount) < signCount))) return ok([]);
+            Object.assign(row, { signCount, lastUsedAt });
+            return ok([{ credentialId }]);
+        },
+    };
+
+    /**
+     * Wallet row with its per-currency balances, like the Supabase embed
+     */
+    function withBalances(row) {
+        if (!row) return row;
+        const balances = [...(tables.walletBalances.get(row.username) || new Map())]
+            .map(([currency, balance]) => ({ currency, balance }));
+        return { ...row, balances };
+    }
+
+    function balanceOf(username, currency) {
+        return (tables.walletBalances.get(username) || new Map()).get(currency) || 0;
+    }
+
+    function adjustBalance(username, currency, delta) {
+        if (!tables.walletBalances.has(username)) tables.walletBalances.set(username, new Map());
+        const balances = tables.walletBalances.get(username);
+        balances.set(currency, (balances.get(currency) || 0) + delta);
+        tables.wallets.get(username).updatedAt = new Date().toISOString();
+    }
+
+    const wallets = {
+        findByUsername: username => ok(withBalances(tables.wallets.get(username))),
+
+        findByAddress: address => ok(withBalances(
+            [...tables.wallets.values()].find(row => row.address === address)
+        )),
+
+        list: () => ok([...tables.wallets.values()].sort(byCreatedAt).reverse().map(withBalances)),
+
+        create(wallet) {
+            if (tables.wallets.has(wallet.username)) {
+                return fail('duplicate key value violates unique constraint "wallets_username_key"', UNIQUE_VIOLATION);
+            }
+            if ([...tables.wallets.values()].some(row => row.address === wallet.address)) {
+                return fail('duplicate key value violates unique constraint "wallets_address_key"', UNIQUE_VIOLATION);
+            }
+            const row = { id: crypto.randomUUID(), displayCurrency: DEFAULT_CURRENCY, ...wallet };
+            tables.wallets.set(row.username, row);
+            return ok(withBalances(row));
+        },
+
+        update(username, fields) {
+            const row = tables.wallets.get(username);
+            if (row) Object.assign(row, fields);
+            return ok(null);
+        },
+
+        delete(username) {
+            tables.wallets.delete(username);
+            tables.walletBalances.delete(username);
+            return ok(null);
+        },
+    };
+
+    function addLedgerEntries({ id, sender, receiver, amount, currency }) {
+        const now = new Date().toISOString();
+        tables.ledgerEntries.push(
+            { id: crypto.randomUUID(), transactionId: id, account: sender, direction: 'debit', amount, currency, createdAt: now },
+            { id: crypto.randomUUID(), transactionId: id, account: receiver, direction: 'credit', amount, currency, createdAt: now },
+        );
+    }
+
+    function newTransaction(fields) {
+        return {
+            id: crypto.randomUUID(),
+            type: 'transfer',
+            memo: null,
+            status: 'completed',
+            statusReason: null,
+            reversalOf: null,
+            updatedAt: null,
+            createdAt: new Date().toISOString(),
+            ...fields,
+        };
+    }
+
+    /**
+     * Record a completed transaction with its debit and credit entries
+     */
+    function bookTransaction({ sender, receiver, amount, currency, memo = null, type = 'transfer', reversalOf = null }) {
+        const transaction = newTransaction({ sender, receiver, amount, currency, memo, type, reversalOf });
+        tables.transactions.push(transaction);
+        addLedgerEntries(transaction);
+        return transaction;
+    }
+
+    function result(success, message, transactionId = null) {
+        return ok({ success, message, transaction_id: transactionId });
+    }
+
+    // Transfers that moved money (pending and failed ones did not)
+    const movedMoney = tx => tx.type === 'transfer' && (tx.status === 'completed' || tx.status === 'reversed');
+
+    /**
+     * lock_and_check_transfer: why a transfer cannot be booked, or null
+     */
+    function transferError({ sender, receiver, amount, currency }) {
+        if (!Number.isInteger(amount) || amount <= 0) return 'Amount must be positive';
+        if (!/^[A-Z]{3}$/.test(currency || '')) return 'Invalid currency';
+        if (sender === receiver) return 'Cannot send money to yourself';
+
+        if (!tables.wallets.has(sender)) return 'Sender wallet not found';
+        if (!tables.wallets.has(receiver)) return 'Recipient wallet not found';
+
+        const limitError = checkSpendingLimits({
+            rows: [...tables.spendingLimits.values()].filter(row => row.username === sender),
+            sent: tables.transactions.filter(tx => tx.sender === sender && movedMoney(tx)),
+            amount,
+            currency,
+        });
+        if (limitError) return limitError;
+
+        if (balanceOf(sender, currency) < amount) return 'Insufficient balance';
+        return null;
+    }
+
+    /**
+     * transfer_funds: checks, balance moves and booking
+     */
+    function transfer({ sender, receiver, amount, currency, memo = null }) {
+        const error = transferError({ sender, receiver, amount, currency });
+        if (error) return { success: false, message: error };
+
+        adjustBalance(sender, currency, -amount);
+        adjustBalance(receiver, currency, amount);
+
+        const transaction = bookTransaction({ sender, receiver, amount, currency, memo });
+        return { success: true, message: 'Transfer completed', transactionId: transaction.id };
+    }
+
+    /**
+     * settle_pending_transfer: complete a pending transfer or fail it
+     */
+    function settlePending(transactionId) {
+        const transaction = tables.transactions.find(tx => tx.id === transactionId);
+        if (!transaction || transaction.type !== 'transfer') return { success: false, message: 'Transaction not found' };
+        if (transaction.status !== 'pending') return { success: false, message: 'Transaction is not pending', transactionId };
+
+        const updatedAt = new Date().toISOString();
+        const error = transferError(transaction);
+        if (error) {
+            Object.assign(transaction, { status: 'failed', statusReason: error, updatedAt });
+            return { success: false, message: error, transactionId };
+        }
+
+        adjustBalance(transaction.sender, transaction.currency, -transaction.amount);
+        adjustBalance(transaction.receiver, transaction.currency, transaction.amount);
+        addLedgerEntries(transaction);
+        // Counted from when it was released, like settle_pending_transfer
+        Object.assign(transaction, { status: 'completed', createdAt: updatedAt, updatedAt });
+        return { success: true, message: 'Transfer completed', transactionId };
+    }
+
+    /**
+     * search_transactions: does `tx` match the filters of lib/transactionSearch.js
+     */
+    function matchesSearch(tx, username, { direction, counterparty, from, to, currency, minAmount, maxAmount, status, text }) {
+        if (tx.sender !== username && tx.receiver !== username) return false;
+        if (direction === 'sent' && (tx.sender !== username || tx.receiver === username)) return false;
+        if (direction === 'received' && (tx.receiver !== username || tx.sender === username)) return false;
+        if (counterparty && (tx.sender === username ? tx.receiver : tx.sender) !== counterparty) return false;
+        if (from && new Date(tx.createdAt) < new Date(from)) return false;
+        if (to && new Date(tx.createdAt) >= new Date(to)) return false;
+        if (currency && tx.currency !== currency) return false;
+        if (minAmount !== null && minAmount !== undefined && tx.amount < minAmount) return false;
+        if (maxAmount !== null && maxAmount !== undefined && tx.amount > maxAmount) return false;
+        if (status && tx.status !== status) return false;
+        if (text && !(tx.memo || '').toLowerCase().includes(text.toLowerCase())) return false;
+        return true;
+    }
+
+    // Newest first, ties broken by id (the ("createdAt", id) order of search_transactions)
+    const newestFirst = (a, b) => (new Date(b.createdAt) - new Date(a.createdAt)) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+
+    const transactions = {
+        search: (username, filters = {}, { limit = 50, after = null } = {}) => ok(
+            tables.transactions
+                .filter(tx => matchesSearch(tx, username, filters))
+                .filter(tx => !after || newestFirst(tx, after) > 0)
+                .sort(newestFirst)
+                .slice(0, limit)
+        ),
+
+        findById: id => ok(tables.transactions.find(tx => tx.id === id)),
+
+        listSentSince: (sender, since) => ok(
+            tables.transactions.filter(tx => tx.sender === sender && movedMoney(tx) &&
+                new Date(tx.createdAt) >= new Date(since))
+        ),
+
+        createPending({ sender, receiver, amount, currency }) {
+            const transaction = newTransaction({ sender, receiver, amount, currency, status: 'pending' });
+            tables.transactions.push(transaction);
+            return ok(transaction);
+        },
+
+        /**
+         * Fail a pending transaction; data is the list of updated rows
+         * (empty if it was no longer pending)
+         */
+        failPending(id, statusReason) {
+            const transaction = tables.transactions.find(tx => tx.id === id);
+            if (!transaction || transaction.status !== 'pending') return ok([]);
+            Object.assign(transaction, { status: 'failed', statusReason, updatedAt: new Date().toISOString() });
+            return ok([{ id }]);
+        },
+
+        reverse({ transactionId, kind, actor, memo = null }) {
+            if (!['refund', 'reversal'].includes(kind)) return result(false, 'Invalid reversal type');
+            const original = tables.transactions.find(tx => tx.id === transactionId);
+            if (!original || (kind === 'refund' && original.receiver !== actor)) return result(false, 'Transaction not found');
+            if (original.type !== 'transfer' || original.sender.startsWith('system:')) {
+                return result(false, 'Only transfers between wallets can be reversed');
+            }
+            if (original.status === 'reversed') return result(false, 'Transaction was already reversed');
+            if (original.status !== 'completed') return result(false, 'Only completed transfers can be reversed');
+            if (!tables.wallets.has(original.sender) || !tables.wallets.has(original.receiver)) return result(false, 'Wallet not found');
+
+            const { sender, receiver, amount, currency } = original;
+            if (balanceOf(receiver, currency) < amount) return result(false, 'Insufficient balance');
+
+            adjustBalance(receiver, currency, -amount);
+            adjustBalance(sender, currency, amount);
+            const transaction = bookTransaction({ sender: receiver, receiver: sender, amount, currency, memo, type: kind, reversalOf: original.id });
+            Object.assign(original, { status: 'reversed', statusReason: memo, updatedAt: new Date().toISOString() });
+            return result(true, kind === 'refund' ? 'Refund completed' : 'Transfer reversed', transaction.id);
+        },
+
+        transferFunds({ sender, receiver, amount, currency }) {
+            const outcome = transfer({ sender, receiver, amount, currency });
+            return result(outcome.success, outcome.message, outcome.transactionId);
+        },
+
+        payPaymentRequest({ requestId, payer }) {
+            const request = tables.paymentRequests.get(requestId);
+            if (!request || request.payer !== payer) return result(false, 'Payment request not found');
+            if (request.status !== 'pending') return result(false, 'Payment request is no longer pending');
+            if (request.expiresAt && new Date(request.expiresAt).getTime() <= Date.now()) {
+                return result(false, 'Payment request expired');
+            }
+
+            const outcome = transfer({
+                sender: payer,
+                receiver: request.requester,
+                amount: request.amount,
+                currency: request.currency,
+                memo: request.memo || 'Payment request',
+            });
+            if (!outcome.success) return result(false, outcome.message);
+
+            Object.assign(request, { status: 'paid', respondedAt: new Date().toISOString(), transactionId: outcome.transactionId });
+            return result(true, 'Payment request paid', outcome.transactionId);
+        },
+
+        /**
+         * Run one attempt of a due schedule; with hold the transfer is kept
+         * as a pending transaction for the risk checks instead of sent
+         */
+        runScheduledTransfer({ scheduleId, revision, dueAt, attempt, hold = false }) {
+            const schedule = tables.scheduledTransfers.get(scheduleId);
+            if (!schedule) return ok({ success: false, message: 'Schedule not found', transaction_id: null, ran: false });
+
+            const sameTime = (a, b) => a != null && b != null && new Date(a).getTime() === new Date(b).getTime();
+            const previous = tables.scheduledTransferRuns.find(run => run.scheduleId === scheduleId &&
+                run.revision === revision && sameTime(run.dueAt, dueAt) && run.attempt === attempt);
+            if (previous) {
+                return ok({ success: previous.status === 'succeeded', message: previous.message, transaction_id: previous.transactionId, ran: false });
+            }
+
+            if (schedule.status !== 'active' || schedule.revision !== revision || !sameTime(schedule.dueAt, dueAt) ||
+                schedule.attempt !== attempt || new Date(schedule.nextRunAt).getTime() > Date.now()) {
+                return ok({ success: false, message: 'Schedule is not due', transaction_id: null, ran: false });
+            }
+
+            const details = {
+                sender: schedule.sender,
+                receiver: schedule.receiver,
+                amount: schedule.amount,
+                currency: schedule.currency,
+                memo: schedule.memo || 'Scheduled transfer',
+            };
+            let outcome;
+            if (hold) {
+                const pending = newTransaction({ ...details, status: 'pending' });
+                tables.transactions.push(pending);
+                outcome = { success: false, message: 'Transfer held by risk checks', transactionId: pending.id };
+            } else {
+                outcome = transfer(details);
+            }
+            const ranAt = new Date().toISOString();
+            tables.scheduledTransferRuns.push({
+                id: crypto.randomUUID(),
+                scheduleId,
+                revision,
+                dueAt,
+                attempt,
+                status: hold ? 'held' : outcome.success ? 'succeeded' : 'failed',
+                message: outcome.message,
+                transactionId: outcome.transactionId || null,
+                ranAt,
+            });
+            schedule.lastRunAt = ranAt;
+            return ok({ success: outcome.success, message: outcome.message, transaction_id: outcome.transactionId || null, ran: true });
+        },
+
+        releaseHeldTransfer({ assessmentId, decision, reviewer = null }) {
+            const assessment = tables.riskAssessments.get(assessmentId);
+            if (!assessment || assessment.decision !== decision) return result(false, 'Held transfer not found');
+            if (assessment.status !== 'held') return result(false, 'Transfer is no longer held');
+
+            const outcome = settlePending(assessment.transactionId);
+            Object.assign(assessment, {
+                status: outcome.success ? 'released' : 'failed',
+                message: outcome.message,
+                reviewedBy: reviewer,
+                decidedAt: new Date().toISOString(),
+            });
+            return result(outcome.success, outcome.message, assessment.transactionId);
+        },
+
+        issueFunds({ receiver, amount, currency, memo = null }) {
+            if (!Number.isInteger(amount) || amount <= 0) return result(false, 'Amount must be positive');
+            if (!/^[A-Z]{3}$/.test(currency || '')) return result(false, 'Invalid currency');
+            if (!tables.wallets.has(receiver)) return result(false, 'Recipient wallet not found');
+
+            adjustBalance(receiver, currency, amount);
+
+            const transaction = bookTransaction({ sender: SYSTEM_ISSUANCE_ACCOUNT, receiver, amount, currency, memo });
+            return result(true, 'Funds issued', transaction.id);
+        },
+
+        convertFunds({ quoteId, username }) {
+            const quote = tables.conversionQuotes.get(quoteId);
+            if (!quote || quote.username !== username) return result(false, 'Quote not found');
+            if (quote.executedAt) return result(false, 'Quote already used');
+            if (new Date(quote.expiresAt).getTime() <= Date.now()) return result(false, 'Quote expired');
+            if (!tables.wallets.has(username)) return result(false, 'Wallet not found');
+
+            const { fromCurrency, fromAmount, toCurrency, toAmount, rate } = quote;
+            if (balanceOf(username, fromCurrency) < fromAmount) return result(false, 'Insufficient balance');
+
+            adjustBalance(username, fromCurrency, -fromAmount);
+            adjustBalance(username, toCurrency, toAmount);
+
+            const now = new Date().toISOString();
+            const transaction = {
+                id: crypto.randomUUID(),
+                sender: username,
+                receiver: username,
+                amount: fromAmount,
+                currency: fromCurrency,
+                type: 'conversion',
+                memo: `Converted ${formatDecimal(fromAmount, fromCurrency)} ${fromCurrency} to ${formatDecimal(toAmount, toCurrency)} ${toCurrency}`,
+                status: 'completed',
+                statusReason: null,
+                reversalOf: null,
+                updatedAt: null,
+                createdAt: now,
+            };
+            tables.transactions.push(transaction);
+            const entry = (account, direction, amount, currency) => ({
+                id: crypto.randomUUID(), transactionId: transaction.id, account, direction, amount, currency, rate, createdAt: now,
+            });
+            tables.ledgerEntries.push(
+                entry(username, 'debit', fromAmount, fromCurrency),
+                entry(SYSTEM_EXCHANGE_ACCOUNT, 'credit', fromAmount, fromCurrency),
+                entry(SYSTEM_EXCHANGE_ACCOUNT, 'debit', toAmount, toCurrency),
+                entry(username, 'credit', toAmount, toCurrency),
+            );
+
+            Object.assign(quote, { executedAt: now, transactionId: transaction.id });
+            return result(true, 'Conversion completed', transaction.id);
+        },
+    };
+
+    const ledger = {
+        listEntries: () => ok(tables.ledgerEntries),
+    };
+
+    const transactionAuthorizations = {
+        create(authorization) {
+            tables.transactionAuthorizations.push({ id: crypto.randomUUID(), ...authorization });
+            return ok(null);
+        },
+    };
+
+    const conversionQuotes = {
+        create(quote) {
+            tables.conversionQuotes.set(quote.id, { executedAt: null, transactionId: null, ...quote });
+            return ok(null);
+        },
+
+        findById: id => ok(tables.conversionQuotes.get(id)),
+    };
+
+    const paymentRequests = {
+        create(request) {
+            const row = { id: crypto.randomUUID(), status: 'pending', respondedAt: null, transactionId: null, ...request };
+            tables.paymentRequests.set(row.id, row);
+            return ok(row);
+        },
+
+        findById: id => ok(tables.paymentRequests.get(id)),
+
+        listForUser: (username, { limit = 50 } = {}) => ok(
+            [...tables.paymentRequests.values()]
+                .filter(row => row.requester === username || row.payer === username)
+                .sort(byCreatedAt)
+                .reverse()
+                .slice(0, limit)
+        ),
+
+        /**
+         * Move a pending request to `status`; data is the list of updated rows
+         * (empty if it was no longer pending)
+         */
+        respond(id, { status, respondedAt }) {
+            const row = tables.paymentRequests.get(id);
+            if (!row || row.status !== 'pending') return ok([]);
+            Object.assign(row, { status, respondedAt });
+            return ok([{ id }]);
+        },
+    };
+
+    const scheduledTransfers = {
+        create(schedule) {
+            const row = { id: crypto.randomUUID(), status: 'active', revision: 1, attempt: 0, lastRunAt: null, ...schedule };
+            tables.scheduledTransfers.set(row.id, row);
+            return ok(row);
+        },
+
+        findById: id => ok(tables.scheduledTransfers.get(id)),
+
+        listForSender: sender => ok(
+            [...tables.scheduledTransfers.values()]
+                .filter(row => row.sender === sender)
+                .sort(byCreatedAt)
+                .reverse()
+        ),
+
+        listDue: (now, { limit = 50 } = {}) => ok(
+            [...tables.scheduledTransfers.values()]
+                .filter(row => row.status === 'active' && row.nextRunAt && new Date(row.nextRunAt) <= new Date(now))
+                .sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt))
+                .slice(0, limit)
+        ),
+
+        /**
+         * Update a schedule if its columns still equal `match`; data is the
+         * list of updated rows (empty if it changed in the meantime)
+         */
+        update(id, fields, match = {}) {
+            const row = tables.scheduledTransfers.get(id);
+            const matches = row && Object.entries(match).every(([column, value]) =>
+                column === 'dueAt' ? new Date(row.dueAt).getTime() === new Date(value).getTime() : row[column] === value);
+            if (!matches) return ok([]);
+            Object.assign(row, fields);
+            return ok([{ id }]);
+        },
+
+        listRuns: (scheduleId, { limit = 50 } = {}) => ok(
+            tables.scheduledTransferRuns
+                .filter(run => run.scheduleId === scheduleId)
+                .sort((a, b) => new Date(a.ranAt) - new Date(b.ranAt))
+                .reverse()
+                .slice(0, limit)
+        ),
+    };
+
+    const riskAssessments = {
+        create(assessment) {
+            const row = { id: crypto.randomUUID(), message: null, reviewedBy: null, transactionId: null, decidedAt: null, ...assessment };
+            tables.riskAssessments.set(row.id, row);
+            return ok(row);
+        },
+
+        findById: id => ok(tables.riskAssessments.get(id)),
+
+        listForSender: (sender, { limit = 50 } = {}) => ok(
+            [...tables.riskAssessments.values()]
+                .filter(row => row.sender === sender)
+                .sort(byCreatedAt)
+                .reverse()
+                .slice(0, limit)
+        ),
+
+        listHeld: (decision, { limit = 50 } = {}) => ok(
+            [...tables.riskAssessments.values()]
+                .filter(row => row.decision === decision && row.status === 'held')
+                .sort(byCreatedAt)
+                .slice(0, limit)
+        ),
+
+        /**
+         * Update an assessment if its columns still equal `match`; data is
+         * the list of updated rows (empty if it changed in the meantime)
+         */
+        update(id, fields, match = {}) {
+            const row = tables.riskAssessments.get(id);
+            if (!row || !Object.entries(match).every(([column, value]) => row[column] === value)) return ok([]);
+            Object.assign(row, fields);
+            return ok([{ id }]);
+        },
+    };
+
+    const limitKey = (username, limitType, currency) => `${username}\u0000${limitType}\u0000${currency}`;
+
+    const spendingLimits = {
+        listForUser: username => ok(
+            [...tables.spendingLimits.values()].filter(row => row.username === username)
+        ),
+
+        upsert(limit) {
+            tables.spendingLimits.set(limitKey(limit.username, limit.limitType, limit.currency), { ...limit });
+            return ok(null);
+        },
+    };
+
+    const contactKey = (owner, aliasKey) => `${owner}\u0000${aliasKey}`;
+
+    /**
+     * Contact row with the contact's wallet address, like the Supabase embed
+     */
+    function withWallet(row) {
+        if (!row) return row;
+        const wallet = tables.wallets.get(row.contactUsername);
+        return { ...row, wallet: wallet ? { address: wallet.address } : null };
+    }
+
+    const contacts = {
+        listForOwner: owner => ok(
+            [...tables.contacts.values()]
+                .filter(row => row.owner === owner)
+                .sort((a, b) => a.aliasKey.localeCompare(b.aliasKey))
+                .map(withWallet)
+        ),
+
+        findByAlias: (owner, aliasKey) => ok(withWallet(tables.contacts.get(contactKey(owner, aliasKey)))),
+
+        create(contact) {
+            const key = contactKey(contact.owner, contact.aliasKey);
+            if (tables.contacts.has(key)) {
+                return fail('duplicate key value violates unique constraint "contacts_owner_aliasKey_key"', UNIQUE_VIOLATION);
+            }
+            const row = { id: crypto.randomUUID(), ...contact };
+            tables.contacts.set(key, row);
+            return ok(withWallet(row));
+        },
+
+        /**
+         * Delete one of the owner's contacts; data is the list of deleted rows
+         */
+        delete(owner, aliasKey) {
+            const key = contactKey(owner, aliasKey);
+            const row = tables.contacts.get(key);
+            if (!row) return ok([]);
+            tables.contacts.delete(key);
+            return ok([{ id: row.id }]);
+        },
+    };
+
+    const securityEvents = {
+        create(event) {
+            tables.securityEvents.push({ id: crypto.randomUUID(), ...event });
+            return ok(null);
+        },
+
+        listForUser: (username, limit) => ok(
+            tables.securityEvents
+                .filter(event => event.username === username)
+                .sort(byCreatedAt)
+                .reverse()
+                .slice(0, limit)
+        ),
+    };
+
+    const sessions = {
+        create(session) {
+            tables.sessions.set(session.id, { ...session });
+            return ok(null);
+        },
+
+        findById: id => ok(tables.sessions.get(id)),
+
+        revoke(id, revokedAt) {
+            const row = tables.sessions.get(id);
+            if (row && !row.revokedAt) row.revokedAt = revokedAt;
+            return ok(null);
+        },
+    };
+
+    function checkHealth() {
+        const counts = {
+            users: tables.users.size,
+            credentials: tables.credentials.size,
+            wallets: tables.wallets.size,
+            wallet_balances: [...tables.walletBalances.values()].reduce((sum, balances) => sum + balances.size, 0),
+            transactions: tables.transactions.length,
+            ledger_entries: tables.ledgerEntries.length,
+            transaction_authorizations: tables.transactionAuthorizations.length,
+            conversion_quotes: tables.conversionQuotes.size,
+            contacts: tables.contacts.size,
+            payment_requests: tables.paymentRequests.size,
+            scheduled_transfers: tables.scheduledTransfers.size,
+            scheduled_transfer_runs: tables.scheduledTransferRuns.length,
+            spending_limits: tables.spendingLimits.size,
+            risk_assessments: tables.riskAssessments.size,
+            security_events: tables.securityEvents.length,
+            sessions: tables.sessions.size,
+        };
+        const result = {};
+        for (const [table, count] of Object.entries(counts)) {
+            result[table] = { status: '✅ OK', count };
+        }
+        return ok({ tables: result });
+    }
+
+    /**
+     * In-memory tables are always created at the newest schema
+     */
+    function getSchemaVersion() {
+        return ok(latestVersion());
+    }
+
+    return {
+        backend: 'memory',
+        users,
+        credentials,
+        wallets,
+        transactions,
+        ledger,
+        transactionAuthorizations,
+        conversionQuotes,
+        contacts,
+        paymentRequests,
+        scheduledTransfers,
+        spendingLimits,
+        riskAssessments,
+        securityEvents,
+        sessions,
+        checkHealth,
+        getSchemaVersion,
+    };
+}
+
+module.exports = { createMemoryStorage };
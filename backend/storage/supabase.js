@@ -0,0 +1,450 @@
+/**
+ * Supabase Storage Backend
+ *
+ * Implements the storage interface (see storage/index.js) on the Supabase
+ * tables described in SUPABASE_INTEGRATION.md. Money movements go through
+ * the transfer_funds / issue_funds database functions so they stay atomic.
+ */
+
+const TABLES = [
+    'users',
+    'credentials',
+    'wallets',
+    'wallet_balances',
+    'transactions',
+    'ledger_entries',
+    'transaction_authorizations',
+    'conversion_quotes',
+    'contacts',
+    'payment_requests',
+    'scheduled_transfers',
+    'scheduled_transfer_runs',
+    'spending_limits',
+    'risk_assessments',
+    'security_events',
+    'sessions',
+];
+
+/**
+ * Run a Supabase query and normalise the result to { data, error }
+ */
+async function run(label, query) {
+    try {
+        const { data, error } = await query;
+        return { data: data ?? null, error };
+    } catch (err) {
+        console.error(`Error in ${label}:`, err);
+        return { data: null, error: err };
+    }
+}
+
+/**
+ * Read every row of a query in pages (Supabase caps a single select)
+ * buildQuery() must return a fresh, ordered query each time
+ */
+async function selectAll(label, buildQuery, pageSize = 1000) {
+    const rows = [];
+    for (let from = 0; ; from += pageSize) {
+        const { data, error } = await run(label, buildQuery().range(from, from + pageSize - 1));
+        if (error) return { data: null, error };
+        rows.push(...data);
+        if (data.length < pageSize) return { data: rows, error: null };
+    }
+}
+
+/**
+ * Call a database function that returns { success, message, transaction_id }
+ */
+async function callMoneyFunction(supabase, name, params) {
+    const { data, error } = await run(name, supabase.rpc(name, params));
+    if (error) return { data: null, error };
+    const result = Array.isArray(data) ? data[0] : data;
+    return { data: result || { success: false, message: `${name} returned no result` }, error: null };
+}
+
+function createSupabaseStorage({ supabase }) {
+    const users = {
+        findByUsername: username => run('users.findByUsername',
+            supabase.from('users').select('*').eq('username', username).maybeSingle()),
+
+        create: user => run('users.create',
+            supabase.from('users').insert([user]).select().single()),
+
+        update: (username, fields) => run('users.update',
+            supabase.from('users').update(fields).eq('username', username)),
+
+        delete: username => run('users.delete',
+            supabase.from('users').delete().eq('username', username)),
+    };
+
+    const credentials = {
+        listByUsername: username => run('credentials.listByUsername',
+            supabase.from('credentials').select('*').eq('username', username)
+                .order('createdAt', { ascending: true })),
+
+        findById: credentialId => run('credentials.findById',
+            supabase.from('credentials').select('*').eq('credentialId', credentialId).maybeSingle()),
+
+        create: credential => run('credentials.create',
+            supabase.from('credentials').insert([credential]).select().single()),
+
+        update: (credentialId, fields) => run('credentials.update',
+            supabase.from('credentials').update(fields).eq('credentialId', credentialId)),
+
+        /**
+         * Delete a user's credential; data is the list of deleted rows
+         */
+        delete: (username, credentialId) => run('credentials.delete',
+            supabase.from('credentials').delete()
+                .eq('username', username).eq('credentialId', credentialId).select('credentialId')),
+
+        /**
+         * Store a new signature counter. With requireIncrease the update only
+         * applies if the stored counter is lower; data is the updated rows
+         */
+        advanceSignCount: (credentialId, { signCount, lastUsedAt, requireIncrease }) => {
+            let query = supabase
+                .from('credentials')
+                .update({ signCount, lastUsedAt })
+                .eq('credentialId', credentialId);
+            if (requireIncrease) query = query.lt('signCount', signCount);
+            return run('credentials.advanceSignCount', query.select('credentialId'));
+        },
+    };
+
+    // Wallet rows come back with their per-currency balances embedded
+    const WALLET_COLUMNS = '*, balances:wallet_balances(currency, balance)';
+
+    const wallets = {
+        findByUsername: username => run('wallets.findByUsername',
+            supabase.from('wallets').select(WALLET_COLUMNS).eq('username', username).maybeSingle()),
+
+        findByAddress: address => run('wallets.findByAddress',
+            supabase.from('wallets').select(WALLET_COLUMNS).eq('address', address).maybeSingle()),
+
+        list: () => selectAll('wallets.list', () =>
+            supabase.from('wallets').select(WALLET_COLUMNS).order('createdAt', { ascending: false })),
+
+        create: wallet => run('wallets.create',
+            supabase.from('wallets').insert([wallet]).select().single()),
+
+        update: (username, fields) => run('wallets.update',
+            supabase.from('wallets').update(fields).eq('username', username)),
+
+        // Only for undoing a registration; balances go with the wallet
+        delete: username => run('wallets.delete',
+            supabase.from('wallets').delete().eq('username', username)),
+    };
+
+    const transactions = {
+        // A database function, so no filter value is ever spliced into a
+        // PostgREST filter string
+        search: (username, filters = {}, { limit = 50, after = null } = {}) => run('transactions.search',
+            supabase.rpc('search_transactions', {
+                p_username: username,
+                p_direction: filters.direction ?? null,
+                p_counterparty: filters.counterparty ?? null,
+                p_from: filters.from ?? null,
+                p_to: filters.to ?? null,
+                p_currency: filters.currency ?? null,
+                p_min_amount: filters.minAmount ?? null,
+                p_max_amount: filters.maxAmount ?? null,
+                p_status: filters.status ?? null,
+                p_text: filters.text ?? null,
+                p_after_created_at: after ? after.createdAt : null,
+                p_after_id: after ? after.id : null,
+                p_limit: limit,
+            })),
+
+        findById: id => run('transactions.findById',
+            supabase.from('transactions').select('*').eq('id', id).maybeSingle()),
+
+        listSentSince: (sender, since) => run('transactions.listSentSince',
+            supabase.from('transactions').select('receiver, amount, currency, createdAt')
+                .eq('sender', sender).eq('type', 'transfer')
+                .in('status', ['completed', 'reversed'])
+                .gte('createdAt', since)),
+
+        createPending: ({ sender, receiver, amount, currency }) => run('transactions.createPending',
+            supabase.from('transactions')
+                .insert([{ sender, receiver, amount, currency, type: 'transfer', status: 'pending', createdAt: new Date().toISOString() }])
+                .select().single()),
+
+        failPending: (id, statusReason) => run('transactions.failPending',
+            supabase.from('transactions')
+                .update({ status: 'failed', statusReason, updatedAt: new Date().toISOString() })
+                .match({ id, status: 'pending' })
+                .select('id')),
+
+        transferFunds: ({ sender, receiver, amount, currency }) => callMoneyFunction(supabase, 'transfer_funds', {
+            p_sender: sender,
+            p_receiver: receiver,
+            p_amount: amount,
+            p_currency: currency,
+        }),
+
+        releaseHeldTransfer: ({ assessmentId, decision, reviewer = null }) => callMoneyFunction(supabase, 'release_held_transfer', {
+            p_assessment_id: assessmentId,
+            p_decision: decision,
+            p_reviewer: reviewer,
+        }),
+
+        reverse: ({ transactionId, kind, actor, memo = null }) => callMoneyFunction(supabase, 'reverse_transaction', {
+            p_transaction_id: transactionId,
+            p_kind: kind,
+            p_actor: actor,
+            p_memo: memo,
+        }),
+
+        issueFunds: ({ receiver, amount, currency, memo }) => callMoneyFunction(supabase, 'issue_funds', {
+            p_receiver: receiver,
+            p_amount: amount,
+            p_currency: currency,
+            p_memo: memo,
+        }),
+
+        convertFunds: ({ quoteId, username }) => callMoneyFunction(supabase, 'convert_funds', {
+            p_quote_id: quoteId,
+            p_username: username,
+        }),
+
+        payPaymentRequest: ({ requestId, payer }) => callMoneyFunction(supabase, 'pay_payment_request', {
+            p_request_id: requestId,
+            p_payer: payer,
+        }),
+
+        runScheduledTransfer: ({ scheduleId, revision, dueAt, attempt, hold = false }) => callMoneyFunction(supabase, 'run_scheduled_transfer', {
+            p_schedule_id: scheduleId,
+            p_revision: revision,
+            p_due_at: dueAt,
+            p_attempt: attempt,
+            p_hold: hold,
+        }),
+    };
+
+    const ledger = {
+        listEntries: () => selectAll('ledger.listEntries', () =>
+            supabase.from('ledger_entries')
+                .select('id, transactionId, account, direction, amount, currency')
+                .order('id', { ascending: true })),
+    };
+
+    const transactionAuthorizations = {
+        create: authorization => run('transactionAuthorizations.create',
+            supabase.from('transaction_authorizations').insert([authorization])),
+    };
+
+    const conversionQuotes = {
+        create: quote => run('conversionQuotes.create',
+            supabase.from('conversion_quotes').insert([quote])),
+
+        findById: id => run('conversionQuotes.findById',
+            supabase.from('conversion_quotes').select('*').eq('id', id).maybeSingle()),
+    };
+
+    const paymentRequests = {
+        create: request => run('paymentRequests.create',
+            supabase.from('payment_requests').insert([request]).select().single()),
+
+        findById: id => run('paymentRequests.findById',
+            supabase.from('payment_requests').select('*').eq('id', id).maybeSingle()),
+
+        /**
+         * Requests the user made or was asked to pay, newest first
+         * One .eq() query per side, merged here, rather than an .or() filter
+         * string the username would have to be spliced into
+         */
+        async listForUser(username, { limit = 50 } = {}) {
+            const side = column => run('paymentRequests.listForUser',
+                supabase.from('payment_requests').select('*')
+                    .eq(column, username)
+                    .order('createdAt', { ascending: false })
+                    .limit(limit));
+
+            const [made, owed] = await Promise.all([side('requester'), side('payer')]);
+            const error = made.error || owed.error;
+            if (error) return { data: null, error };
+
+            const rows = new Map([...made.data, ...owed.data].map(row => [row.id, row]));
+            const data = [...rows.values()]
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                .slice(0, limit);
+            return { data, error: null };
+        },
+
+        /**
+         * Move a pending request to `status`; data is the list of updated rows
+         * (empty if it was no longer pending)
+         */
+        respond: (id, { status, respondedAt }) => run('paymentRequests.respond',
+            supabase.from('payment_requests').update({ status, respondedAt })
+                .eq('id', id).eq('status', 'pending').select('id')),
+    };
+
+    const scheduledTransfers = {
+        create: schedule => run('scheduledTransfers.create',
+            supabase.from('scheduled_transfers').insert([schedule]).select().single()),
+
+        findById: id => run('scheduledTransfers.findById',
+            supabase.from('scheduled_transfers').select('*').eq('id', id).maybeSingle()),
+
+        listForSender: sender => run('scheduledTransfers.listForSender',
+            supabase.from('scheduled_transfers').select('*').eq('sender', sender)
+                .order('createdAt', { ascending: false })),
+
+        listDue: (now, { limit = 50 } = {}) => run('scheduledTransfers.listDue',
+            supabase.from('scheduled_transfers').select('*')
+                .eq('status', 'active')
+                .lte('nextRunAt', new Date(now).toISOString())
+                .order('nextRunAt', { ascending: true })
+                .limit(limit)),
+
+        /**
+         * Update a schedule if its columns still equal `match`; data is the
+         * list of updated rows (empty if it changed in the meantime)
+         */
+        update: (id, fields, match = {}) => run('scheduledTransfers.update',
+            supabase.from('scheduled_transfers').update(fields).match({ ...match, id }).select('id')),
+
+        listRuns: (scheduleId, { limit = 50 } = {}) => run('scheduledTransfers.listRuns',
+            supabase.from('scheduled_transfer_runs').select('*').eq('scheduleId', scheduleId)
+                .order('ranAt', { ascending: false })
+                .limit(limit)),
+    };
+
+    const riskAssessments = {
+        create: assessment => run('riskAssessments.create',
+            supabase.from('risk_assessments').insert([assessment]).select().single()),
+
+        findById: id => run('riskAssessments.findById',
+            supabase.from('risk_assessments').select('*').eq('id', id).maybeSingle()),
+
+        listForSender: (sender, { limit = 50 } = {}) => run('riskAssessments.listForSender',
+            supabase.from('risk_assessments').select('*').eq('sender', sender)
+                .order('createdAt', { ascending: false })
+                .limit(limit)),
+
+        listHeld: (decision, { limit = 50 } = {}) => run('riskAssessments.listHeld',
+            supabase.from('risk_assessments').select('*').eq('decision', decision).eq('status', 'held')
+                .order('createdAt', { ascending: true })
+                .limit(limit)),
+
+        /**
+         * Update an assessment if its columns still equal `match`; data is
+         * the list of updated rows (empty if it changed in the meantime)
+         */
+        update: (id, fields, match = {}) => run('riskAssessments.update',
+            supabase.from('risk_assessments').update(fields).match({ ...match, id }).select('id')),
+    };
+
+    const spendingLimits = {
+        listForUser: username => run('spendingLimits.listForUser',
+            supabase.from('spending_limits').select('*').eq('username', username)),
+
+        upsert: limit => run('spendingLimits.upsert',
+            supabase.from('spending_limits').upsert([limit], { onConflict: 'username,limitType,currency' })),
+    };
+
+    // Contacts come back with the contact's wallet address embedded
+    const CONTACT_COLUMNS = '*, wallet:wallets(address)';
+
+    const contacts = {
+        listForOwner: owner => run('contacts.listForOwner',
+            supabase.from('contacts').select(CONTACT_COLUMNS).eq('owner', owner)
+                .order('aliasKey', { ascending: true })),
+
+        findByAlias: (owner, aliasKey) => run('contacts.findByAlias',
+            supabase.from('contacts').select(CONTACT_COLUMNS)
+                .eq('owner', owner).eq('aliasKey', aliasKey).maybeSingle()),
+
+        create: contact => run('contacts.create',
+            supabase.from('contacts').insert([contact]).select(CONTACT_COLUMNS).single()),
+
+        /**
+         * Delete one of the owner's contacts; data is the list of deleted rows
+         */
+        delete: (owner, aliasKey) => run('contacts.delete',
+            supabase.from('contacts').delete()
+                .eq('owner', owner).eq('aliasKey', aliasKey).select('id')),
+    };
+
+    const securityEvents = {
+        create: event => run('securityEvents.create',
+            supabase.from('security_events').insert([event])),
+
+        listForUser: (username, limit) => run('securityEvents.listForUser',
+            supabase.from('security_events').select('*').eq('username', username)
+                .order('createdAt', { ascending: false })
+                .limit(limit)),
+    };
+
+    const sessions = {
+        create: session => run('sessions.create',
+            supabase.from('sessions').insert([session])),
+
+        findById: id => run('sessions.findById',
+            supabase.from('sessions').select('*').eq('id', id).maybeSingle()),
+
+        revoke: (id, revokedAt) => run('sessions.revoke',
+            supabase.from('sessions').update({ revokedAt }).eq('id', id).is('revokedAt', null)),
+    };
+
+    /**
+     * Check that every table exists and is readable
+     */
+    async function checkHealth() {
+        const tables = {};
+        for (const table of TABLES) {
+            const { count, error } = await supabase
+                .from(table)
+                .select('*', { count: 'exact', head: true })
+                .then(result => result, err => ({ error: err }));
+
+            if (!error) {
+                tables[table] = { status: '✅ OK', count: count || 0 };
+            } else if (error.message.includes('does not exist') || error.message.includes('relation')) {
+                tables[table] = { status: '❌ MISSING', message: `Table "${table}" does not exist` };
+            } else if (error.message.includes('permission denied')) {
+                tables[table] = { status: '⚠️  EXISTS BUT NO ACCESS', message: `Cannot read from "${table}". Check RLS policies.` };
+            } else {
+                tables[table] = { status: '❌ ERROR', message: error.message };
+            }
+        }
+        return { data: { tables }, error: null };
+    }
+
+    /**
+     * Newest migration recorded by `npm run migrate` (null before the first run)
+     */
+    async function getSchemaVersion() {
+        const { data, error } = await run('getSchemaVersion',
+            supabase.from('schema_migrations').select('version')
+                .order('version', { ascending: false })
+                .limit(1)
+                .maybeSingle());
+        if (error) return { data: null, error };
+        return { data: data ? data.version : null, error: null };
+    }
+
+    return {
+        backend: 'supabase',
+        users,
+        credentials,
+        wallets,
+        transactions,
+        ledger,
+        transactionAuthorizations,
+        conversionQuotes,
+        contacts,
+        paymentRequests,
+        scheduledTransfers,
+        spendingLimits,
+        riskAssessments,
+        securityEvents,
+        sessions,
+        checkHealth,
+        getSchemaVersion,
+    };
+}
+
+module.exports = { createSupabaseStorage };
@@ -15,22 +15,25 @@ try {
 const { createClient } = require('@supabase/supabase-js');
 
 const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
+// The service key bypasses row level security and is preferred on the server
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_KEY;
 
-if (!supabaseUrl || !supabaseKey) {
-    console.error('❌ Missing Supabase credentials in .env file');
-    console.error('   SUPABASE_URL:', supabaseUrl ? '✓ Set' : '✗ Missing');
-    console.error('   SUPABASE_KEY:', supabaseKey ? '✓ Set' : '✗ Missing');
-    console.error('\n   For Railway deployment:');
-    console.error('   1. Go to your Railway project dashboard');
-    console.error('   2. Add SUPABASE_URL and SUPABASE_KEY environment variables');
-    console.error('   3. Restart the deployment');
-    process.exit(1);
-}
-
-const supabase = createClient(supabaseUrl, supabaseKey);
+// Without credentials the client is null; storage/index.js falls back to
+// the in-memory backend (or refuses to start if Supabase was requested)
+let supabase = null;
 
-console.log('✅ Supabase client initialized');
-console.log('   Project: ' + supabaseUrl.replace('https://', '').split('.')[0]);
+if (supabaseUrl && supabaseKey) {
+    supabase = createClient(supabaseUrl, supabaseKey);
+    console.log('✅ Supabase client initialized');
+    console.log('   Project: ' + supabaseUrl.replace('https://', '').split('.')[0]);
+} else if (supabaseUrl || supabaseKey) {
+    console.warn('⚠️  Incomplete Supabase credentials');
+    console.warn('   SUPABASE_URL:', supabaseUrl ? '✓ Set' : '✗ Missing');
+    console.warn('   SUPABASE_KEY:', supabaseKey ? '✓ Set' : '✗ Missing');
+    console.warn('\n   For Railway deployment:');
+    console.warn('   1. Go to your Railway project dashboard');
+    console.warn('   2. Add SUPABASE_URL and SUPABASE_KEY environment variables');
+    console.warn('   3. Restart the deployment');
+}
 
-module.exports = { supabase };
+module.exports = { supabase, supabaseUrl, supabaseKey };
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { CronError, nextOccurrence, validateCron } = require('../lib/cron');
+
+function next(rule, after) {
+    const time = nextOccurrence(rule, new Date(after));
+    return time && time.toISOString();
+}
+
+test('a day of month that a month lacks skips that month', () => {
+    assert.strictEqual(next('0 9 31 * *', '2026-01-31T09:00:00Z'), '2026-03-31T09:00:00.000Z');
+    assert.strictEqual(next('0 9 31 * *', '2026-03-31T09:00:00Z'), '2026-05-31T09:00:00.000Z');
+    assert.strictEqual(next('0 0 30 * *', '2026-01-30T00:00:00Z'), '2026-03-30T00:00:00.000Z');
+});
+
+test('the 29th of February waits for a leap year', () => {
+    assert.strictEqual(next('0 0 29 2 *', '2026-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+    assert.strictEqual(next('0 0 29 * *', '2028-01-29T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+    assert.strictEqual(next('0 0 29 * *', '2027-01-29T00:00:00Z'), '2027-03-29T00:00:00.000Z');
+});
+
+test('runs roll over from the end of a month and of a year', () => {
+    assert.strictEqual(next('0 0 1 * *', '2026-12-31T23:59:00Z'), '2027-01-01T00:00:00.000Z');
+    assert.strictEqual(next('@monthly', '2026-01-31T12:00:00Z'), '2026-02-01T00:00:00.000Z');
+    assert.strictEqual(next('0 0 31 * *', '2026-12-31T00:00:00Z'), '2027-01-31T00:00:00.000Z');
+    assert.strictEqual(next('* * * * *', '2026-04-30T23:59:00Z'), '2026-05-01T00:00:00.000Z');
+    assert.strictEqual(next('30 23 28-31 * *', '2026-02-28T23:30:00Z'), '2026-03-28T23:30:00.000Z');
+    assert.strictEqual(next('0 12 * 1 *', '2026-02-01T00:00:00Z'), '2027-01-01T12:00:00.000Z');
+});
+
+test('the next run is strictly after the given time, at minute precision', () => {
+    assert.strictEqual(next('0 9 31 * *', '2026-01-31T08:59:30Z'), '2026-01-31T09:00:00.000Z');
+    assert.strictEqual(next('0 9 31 * *', '2026-01-31T09:00:30Z'), '2026-03-31T09:00:00.000Z');
+});
+
+test('with both day fields restricted, either one matches across a month end', () => {
+    // 2026-03-31 is a Tuesday; April has no 31st, so the next run is a Monday
+    assert.strictEqual(next('0 0 31 * MON', '2026-03-31T00:00:00Z'), '2026-04-06T00:00:00.000Z');
+});
+
+test('a date that never exists never runs', () => {
+    assert.strictEqual(next('0 0 30 2 *', '2026-01-01T00:00:00Z'), null);
+    assert.strictEqual(next('0 0 31 4,6,9,11 *', '2026-01-01T00:00:00Z'), null);
+    assert.throws(() => validateCron('0 0 30 2 *'), CronError);
+    assert.strictEqual(validateCron('0 0 31 1-12/2 *'), '0 0 31 1-12/2 *');
+});
@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createSupabaseStorage } = require('../storage/supabase');
+const { createTestDatabase, createFundedUsers } = require('./support/database');
+const { recordingClient } = require('./support/recordingClient');
+
+const CURRENCY = 'USD';
+
+let db;
+
+before(async () => {
+    db = await createTestDatabase();
+    await createFundedUsers(db, ['ada', 'bob'], 100000, CURRENCY);
+});
+
+after(() => db.close());
+
+test('held transfers are stored with their creation time', async () => {
+    const { calls, client } = recordingClient(() => ({ id: 'pending-1' }));
+    const storage = createSupabaseStorage({ supabase: client });
+
+    const { error } = await storage.transactions.createPending({ sender: 'ada', receiver: 'bob', amount: 500, currency: CURRENCY });
+    assert.ifError(error);
+
+    const [, [row]] = calls[0].chain.find(([method]) => method === 'insert');
+    assert.strictEqual(row.status, 'pending');
+    assert.ok(!Number.isNaN(Date.parse(row.createdAt)), `createdAt is ${row.createdAt}`);
+});
+
+test('a released held transfer counts toward the spending limits', async () => {
+    await db.query(`INSERT INTO spending_limits (username, "limitType", currency, value) VALUES ('ada', 'transfersPerHour', '', 1)`);
+
+    // Without "createdAt", as held transfers were stored before 0017
+    const { rows: [pending] } = await db.query(
+        `INSERT INTO transactions (sender, receiver, amount, currency, type, status)
+           VALUES ('ada', 'bob', 500, $1, 'transfer', 'pending') RETURNING id, "createdAt"`,
+        [CURRENCY]
+    );
+    assert.ok(pending.createdAt instanceof Date);
+
+    const { rows: [assessment] } = await db.query(
+        `INSERT INTO risk_assessments (sender, receiver, amount, currency, score, decision, status, "transactionId")
+           VALUES ('ada', 'bob', 500, $1, 40, 'step_up', 'held', $2) RETURNING id`,
+        [CURRENCY, pending.id]
+    );
+    const { rows: [released] } = await db.query('SELECT * FROM release_held_transfer($1, $2, NULL)', [assessment.id, 'step_up']);
+    assert.ok(released.success, released.message);
+
+    const { rows: [sent] } = await db.query('SELECT * FROM transfer_funds($1, $2, $3, $4)', ['ada', 'bob', 500, CURRENCY]);
+    assert.strictEqual(sent.success, false);
+    assert.strictEqual(sent.message, 'Too many transfers in the last hour');
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const { idempotent } = require('../middleware/idempotency');
+
+let server;
+let baseUrl;
+let handled = 0;
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.session = { username: 'alice' };
+        next();
+    });
+    app.post('/transactions/:id/refund', idempotent('refund'), (req, res) => {
+        handled++;
+        res.json({ success: true, refunded: req.params.id });
+    });
+    app.post('/transfer/held/:id/confirm', idempotent('held-transfer'), (req, res) => {
+        handled++;
+        res.json({ success: true, released: req.params.id });
+    });
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+async function post(path, key, body = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+        body: JSON.stringify(body),
+    });
+    return { status: response.status, replayed: response.headers.get('idempotent-replayed'), body: await response.json() };
+}
+
+const refund = (id, key, body) => post(`/transactions/${id}/refund`, key, body);
+
+test('a retry with the same key and route replays the stored response', async () => {
+    const first = await refund('tx-1', 'key-retry', { ceremonyId: 'a', assertion: {} });
+    const retry = await refund('tx-1', 'key-retry', { ceremonyId: 'b', assertion: {} });
+
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(retry.status, 200);
+    assert.strictEqual(retry.replayed, 'true');
+    assert.deepStrictEqual(retry.body, first.body);
+});
+
+test('the same key for another route parameter is rejected, not replayed', async () => {
+    const handledBefore = handled;
+    const first = await refund('tx-2', 'key-reused');
+    const other = await refund('tx-3', 'key-reused');
+
+    assert.strictEqual(first.body.refunded, 'tx-2');
+    assert.strictEqual(other.status, 422);
+    assert.strictEqual(other.replayed, null);
+    assert.strictEqual(handled, handledBefore + 1);
+});
+
+test('confirming a second held transfer with the same key does not replay the first', async () => {
+    const handledBefore = handled;
+    const first = await post('/transfer/held/held-1/confirm', 'key-held', { ceremonyId: 'a', assertion: {} });
+    const second = await post('/transfer/held/held-2/confirm', 'key-held', { ceremonyId: 'b', assertion: {} });
+
+    assert.strictEqual(first.body.released, 'held-1');
+    assert.strictEqual(second.status, 422);
+    assert.strictEqual(handled, handledBefore + 1);
+});
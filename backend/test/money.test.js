@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseMinorUnits, parseDecimal, formatDecimal } = require('../lib/money');
+
+test('amounts in minor units are positive safe integers', () => {
+    assert.strictEqual(parseMinorUnits(1075), 1075);
+    assert.strictEqual(parseMinorUnits('1075'), 1075);
+    assert.strictEqual(parseMinorUnits(Number.MAX_SAFE_INTEGER), Number.MAX_SAFE_INTEGER);
+    assert.strictEqual(parseMinorUnits(String(Number.MAX_SAFE_INTEGER)), Number.MAX_SAFE_INTEGER);
+});
+
+test('other amounts in minor units are refused', () => {
+    const rejected = [
+        0, '0', -5, '-5',
+        10.75, '10.75',
+        '1e3', '1E3', '0x10', '+5', ' 5', '',
+        NaN, Infinity,
+        Number.MAX_SAFE_INTEGER + 1, '9007199254740993',
+        null, undefined, true, [5], { amount: 5 },
+    ];
+    for (const value of rejected) {
+        assert.strictEqual(parseMinorUnits(value), null, String(value));
+    }
+});
+
+test('decimal amounts use the minor units of their currency', () => {
+    assert.strictEqual(parseDecimal('10.75', 'USD'), 1075);
+    assert.strictEqual(parseDecimal('10.7', 'USD'), 1070);
+    assert.strictEqual(parseDecimal('10', 'USD'), 1000);
+    assert.strictEqual(parseDecimal(' 0.05 ', 'USD'), 5);
+    assert.strictEqual(parseDecimal('500', 'JPY'), 500);
+    assert.strictEqual(parseDecimal('1.234', 'KWD'), 1234);
+    assert.strictEqual(parseDecimal('1.2', 'KWD'), 1200);
+    assert.strictEqual(parseDecimal('0', 'KWD'), 0);
+});
+
+test('decimal amounts with too many places are refused, not rounded', () => {
+    assert.strictEqual(parseDecimal('10.755', 'USD'), null);
+    assert.strictEqual(parseDecimal('500.5', 'JPY'), null);
+    assert.strictEqual(parseDecimal('500.0', 'JPY'), null);
+    assert.strictEqual(parseDecimal('1.2345', 'KWD'), null);
+});
+
+test('decimal amounts that are not plain non-negative numbers are refused', () => {
+    const rejected = ['-1', '-0.05', '1e3', '1.5e2', '1E-2', '.5', '10.', '1,000', '+1', '0x10', 'NaN', 'Infinity', ''];
+    for (const text of rejected) {
+        assert.strictEqual(parseDecimal(text, 'USD'), null, text);
+    }
+    assert.strictEqual(parseDecimal('90071992547409.91', 'USD'), Number.MAX_SAFE_INTEGER);
+    assert.strictEqual(parseDecimal('90071992547409.92', 'USD'), null);
+    assert.strictEqual(parseDecimal('9007199254740992', 'JPY'), null);
+});
+
+test('minor units format with the places of their currency', () => {
+    assert.strictEqual(formatDecimal(1075, 'USD'), '10.75');
+    assert.strictEqual(formatDecimal(5, 'USD'), '0.05');
+    assert.strictEqual(formatDecimal(0, 'USD'), '0.00');
+    assert.strictEqual(formatDecimal(-5, 'USD'), '-0.05');
+    assert.strictEqual(formatDecimal(-1075, 'USD'), '-10.75');
+    assert.strictEqual(formatDecimal(500, 'JPY'), '500');
+    assert.strictEqual(formatDecimal(0, 'JPY'), '0');
+    assert.strictEqual(formatDecimal(-500, 'JPY'), '-500');
+    assert.strictEqual(formatDecimal(1234, 'KWD'), '1.234');
+    assert.strictEqual(formatDecimal(7, 'KWD'), '0.007');
+    assert.strictEqual(formatDecimal(-7, 'KWD'), '-0.007');
+    assert.strictEqual(formatDecimal('1075', 'USD'), '10.75');
+    assert.strictEqual(formatDecimal(Number.MAX_SAFE_INTEGER, 'USD'), '90071992547409.91');
+    assert.strictEqual(formatDecimal(9007199254740993n, 'USD'), '90071992547409.93');
+});
+
+test('formatting and parsing round-trip', () => {
+    for (const [amount, currency] of [[1075, 'USD'], [5, 'USD'], [0, 'USD'], [500, 'JPY'], [1, 'KWD'], [Number.MAX_SAFE_INTEGER, 'KWD']]) {
+        assert.strictEqual(parseDecimal(formatDecimal(amount, currency), currency), amount, `${amount} ${currency}`);
+    }
+});
+
+test('unsupported currencies throw', () => {
+    assert.throws(() => parseDecimal('1.00', 'XYZ'), /Unsupported currency/);
+    assert.throws(() => formatDecimal(100, 'XYZ'), /Unsupported currency/);
+});
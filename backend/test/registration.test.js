@@ -0,0 +1,98 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createSoftAuthenticator } = require('./support/softAuthenticator');
+const { createTestDatabase } = require('./support/database');
+const { startTestServer } = require('./support/server');
+
+// Tables as created by the single-device version of the integration guide
+const LEGACY_SCHEMA = `
+    CREATE TABLE users (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      username TEXT UNIQUE NOT NULL,
+      "credentialId" TEXT NOT NULL,
+      "publicKey" TEXT,
+      "registeredAt" TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+    );
+    CREATE TABLE wallets (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      username TEXT NOT NULL REFERENCES users(username),
+      balance BIGINT DEFAULT 10000,
+      address TEXT,
+      transactions JSONB DEFAULT '[]'::jsonb,
+      "createdAt" TIMESTAMP WITH TIME ZONE,
+      "updatedAt" TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+    );
+    CREATE TABLE transactions (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      sender TEXT NOT NULL,
+      receiver TEXT NOT NULL,
+      amount BIGINT NOT NULL,
+      "createdAt" TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+    );
+    INSERT INTO users (username, "credentialId", "publicKey", "registeredAt") VALUES
+      ('ada', 'Y3JlZC1hZGE', 'stored', now()),
+      ('bob', 'Y3JlZC1ib2I', 'eyJ0eXBlIjoicHVibGljLWtleSJ9', now());
+`;
+
+let api;
+let storage;
+
+before(async () => {
+    api = await startTestServer();
+    storage = require('../storage').getStorage();
+});
+
+after(() => api.close());
+
+test('upgrading a single-device database marks its users for re-enrollment', async () => {
+    const db = await createTestDatabase({ setup: LEGACY_SCHEMA });
+    try {
+        const { rows: copied } = await db.query('SELECT username FROM credentials');
+        assert.deepStrictEqual(copied, []);
+
+        await db.query('INSERT INTO users (username) VALUES ($1)', ['cyd']);
+        const { rows } = await db.query('SELECT username, "reenrollRequired" FROM users ORDER BY username');
+        assert.deepStrictEqual(rows, [
+            { username: 'ada', reenrollRequired: true },
+            { username: 'bob', reenrollRequired: true },
+            { username: 'cyd', reenrollRequired: false },
+        ]);
+    } finally {
+        await db.close();
+    }
+});
+
+test('a user marked for re-enrollment registers again and keeps the wallet', async () => {
+    const ledger = require('../lib/ledger');
+    const username = 'legacy';
+    assert.ifError((await storage.users.create({ username, registeredAt: new Date().toISOString(), reenrollRequired: true })).error);
+    assert.ifError((await storage.wallets.create({ username, address: 'legacy-wallet', createdAt: new Date().toISOString() })).error);
+    assert.ifError((await ledger.issueFunds(username, 2500)).error);
+
+    const authenticator = createSoftAuthenticator();
+    const refused = await api.logIn(username, authenticator);
+    assert.strictEqual(refused.status, 403);
+    assert.match(refused.body.error, /registered again/);
+
+    const registered = await api.register(username, authenticator);
+    assert.strictEqual(registered.status, 200, JSON.stringify(registered.body));
+
+    const { data: user } = await storage.users.findByUsername(username);
+    assert.strictEqual(user.reenrollRequired, false);
+    const { data: wallet } = await storage.wallets.findByUsername(username);
+    assert.strictEqual(wallet.address, 'legacy-wallet');
+    assert.deepStrictEqual(wallet.balances.map(row => Number(row.balance)), [2500]);
+
+    const loggedIn = await api.logIn(username, authenticator);
+    assert.strictEqual(loggedIn.status, 200, JSON.stringify(loggedIn.body));
+
+    const again = await api.register(username, createSoftAuthenticator());
+    assert.strictEqual(again.status, 400);
+    assert.strictEqual(again.body.error, 'Username already exists');
+});
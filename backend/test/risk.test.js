@@ -0,0 +1,118 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getStorage } = require('../storage');
+const { issueFunds } = require('../lib/ledger');
+const { assessTransfer, listHeldTransfers, confirmHeldTransfer } = require('../lib/risk');
+const { createSchedule, listRuns, getSchedule, runDueSchedules } = require('../lib/schedules');
+
+const CURRENCY = 'USD';
+const AMOUNT = 500;   // minor units
+const AUTHORIZATION = { credentialId: 'cred-ada' };
+
+// Any transfer to someone the sender never paid before needs a step-up
+const RULES = {
+    thresholds: { stepUp: 10, review: 20 },
+    history: { days: 30, minTransfers: 3, recentMinutes: 60 },
+    rules: [{ id: 'new-recipient', signal: 'newRecipient', equals: true, score: 10, reason: 'First transfer to this recipient' }],
+};
+
+before(async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'risk-')), 'rules.json');
+    fs.writeFileSync(file, JSON.stringify(RULES));
+    process.env.RISK_RULES_FILE = file;
+
+    for (const username of ['ada', 'bob', 'cy']) {
+        const { error } = await getStorage().wallets.create({ username, address: `addr-${username}`, createdAt: new Date().toISOString() });
+        assert.ifError(error);
+    }
+    const { error } = await issueFunds('ada', 10000, CURRENCY);
+    assert.ifError(error);
+});
+
+async function balance(username) {
+    const { data: wallets, error } = await getStorage().wallets.list();
+    assert.ifError(error);
+    const wallet = wallets.find(row => row.username === username);
+    return Number((wallet.balances.find(row => row.currency === CURRENCY) || {}).balance || 0);
+}
+
+function scheduleNow(receiver) {
+    return createSchedule(
+        { sender: 'ada', receiver, amount: AMOUNT, currency: CURRENCY, cron: null, runAt: new Date(Date.now() - 1000).toISOString() },
+        AUTHORIZATION
+    );
+}
+
+test('a risky scheduled run is held until the sender confirms it', async () => {
+    const schedule = await scheduleNow('bob');
+    assert.strictEqual(await runDueSchedules(), 1);
+
+    assert.strictEqual(await balance('bob'), 0);
+    const [run] = await listRuns(schedule.id, 'ada');
+    assert.strictEqual(run.status, 'held');
+    assert.strictEqual((await getSchedule(schedule.id, 'ada')).status, 'completed');
+
+    const [held] = await listHeldTransfers('ada');
+    assert.strictEqual(held.status, 'held');
+    assert.strictEqual(held.decision, 'step_up');
+    assert.strictEqual(held.transactionId, run.transactionId);
+
+    const result = await confirmHeldTransfer(held.id, 'ada', { details: { assessmentId: held.id } });
+    assert.ok(result.success, result.message);
+    assert.strictEqual(await balance('bob'), AMOUNT);
+});
+
+test('a scheduled run the rules allow is sent', async () => {
+    const schedule = await scheduleNow('bob');
+    assert.strictEqual(await runDueSchedules(), 1);
+
+    const [run] = await listRuns(schedule.id, 'ada');
+    assert.strictEqual(run.status, 'succeeded');
+    assert.strictEqual(await balance('bob'), 2 * AMOUNT);
+
+    const { data: assessments, error } = await getStorage().riskAssessments.listForSender('ada');
+    assert.ifError(error);
+    const assessment = assessments.find(row => row.transactionId === run.transactionId);
+    assert.strictEqual(assessment.status, 'allowed');
+});
+
+test('a risky payment is blocked without a pending transaction', async () => {
+    const opening = await balance('ada');
+    const assessment = await assessTransfer({ sender: 'ada', receiver: 'cy', amount: AMOUNT, currency: CURRENCY }, AUTHORIZATION, { block: true });
+
+    assert.strictEqual(assessment.decision, 'step_up');
+    assert.strictEqual(assessment.status, 'blocked');
+    assert.strictEqual(assessment.transactionId, null);
+    assert.strictEqual(await balance('ada'), opening);
+
+    const { data: events, error } = await getStorage().securityEvents.listForUser('ada', 50);
+    assert.ifError(error);
+    assert.ok(events.some(event => event.type === 'transfer_blocked' && event.details.assessmentId === assessment.id));
+});
+
+test('a held transfer is failed when its assessment cannot be stored', async (t) => {
+    const storage = getStorage();
+    let pendingId;
+    const createPending = storage.transactions.createPending;
+    t.mock.method(storage.transactions, 'createPending', async (transfer) => {
+        const result = await createPending(transfer);
+        pendingId = result.data.id;
+        return result;
+    });
+    t.mock.method(storage.riskAssessments, 'create', async () => ({ data: null, error: new Error('connection lost') }));
+
+    await assert.rejects(
+        assessTransfer({ sender: 'ada', receiver: 'cy', amount: AMOUNT, currency: CURRENCY }, AUTHORIZATION),
+        /connection lost/
+    );
+
+    const { data: transaction, error } = await storage.transactions.findById(pendingId);
+    assert.ifError(error);
+    assert.strictEqual(transaction.status, 'failed');
+});
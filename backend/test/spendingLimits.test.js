@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { DEFAULT_LIMITS, DEFAULT_LIMIT_RATES, checkSpendingLimits } = require('../lib/spendingLimits');
+const { CURRENCIES, minorUnits } = require('../lib/currencies');
+
+const fixture = require('../data/exchange-rates.json');
+
+/**
+ * Largest single transfer the defaults allow, in minor units
+ */
+function defaultPerTransaction(currency) {
+    let low = 0;
+    let high = Number.MAX_SAFE_INTEGER;
+    while (low < high) {
+        const amount = Math.ceil((low + high) / 2);
+        if (checkSpendingLimits({ rows: [], sent: [], amount, currency })) high = amount - 1;
+        else low = amount;
+    }
+    return low;
+}
+
+test('every currency has a default limit rate', () => {
+    assert.deepStrictEqual(Object.keys(DEFAULT_LIMIT_RATES).sort(), Object.keys(CURRENCIES).sort());
+});
+
+test('default limits are worth about the same in every currency', () => {
+    for (const currency of Object.keys(CURRENCIES)) {
+        const limit = defaultPerTransaction(currency) / 10 ** minorUnits(currency);
+        const inDollars = limit / Number(fixture.rates[currency]);
+        const ratio = inDollars / DEFAULT_LIMITS.perTransaction;
+        assert.ok(ratio > 0.9 && ratio < 1.1, `${currency}: ${limit} is ${inDollars.toFixed(2)} USD`);
+    }
+    assert.strictEqual(defaultPerTransaction('USD'), 200000);
+    assert.strictEqual(defaultPerTransaction('JPY'), 300000);
+    assert.strictEqual(defaultPerTransaction('KWD'), 620000);
+});
+
+test('the database uses the same default limit rates', () => {
+    const sql = fs.readFileSync(path.join(__dirname, '../migrations/0015_currency_default_limits.sql'), 'utf8');
+    const rates = Object.fromEntries(
+        [...sql.matchAll(/WHEN '([A-Z]{3})' THEN ([\d.]+)/g)].map(([, currency, rate]) => [currency, Number(rate)])
+    );
+    assert.deepStrictEqual(rates, DEFAULT_LIMIT_RATES);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { createSupabaseStorage } = require('../storage/supabase');
+const { recordingClient } = require('./support/recordingClient');
+
+// Values that would change a PostgREST filter string if spliced into one
+const HOSTILE = 'alice,payer.neq.nobody';
+
+test('payment requests are listed with one equality filter per side', async () => {
+    const rows = (table, chain) => {
+        const [, column] = chain.find(([method]) => method === 'eq');
+        return [
+            { id: `${column}-old`, createdAt: '2026-01-01T00:00:00Z' },
+            { id: `${column}-new`, createdAt: '2026-03-01T00:00:00Z' },
+            { id: 'both', createdAt: '2026-02-01T00:00:00Z' },
+        ];
+    };
+    const { calls, client } = recordingClient(rows);
+    const storage = createSupabaseStorage({ supabase: client });
+
+    const { data, error } = await storage.paymentRequests.listForUser(HOSTILE, { limit: 4 });
+    assert.ifError(error);
+    assert.deepStrictEqual(data.map(row => row.id), ['requester-new', 'payer-new', 'both', 'requester-old']);
+
+    assert.strictEqual(calls.length, 2);
+    for (const { chain } of calls) {
+        const methods = chain.map(([method]) => method);
+        assert.ok(!methods.includes('or') && !methods.includes('filter'), methods.join(', '));
+        const [, column, value] = chain.find(([method]) => method === 'eq');
+        assert.ok(['requester', 'payer'].includes(column));
+        assert.strictEqual(value, HOSTILE);
+    }
+});
+
+test('transaction search passes every filter as a function parameter', async () => {
+    const { calls, client } = recordingClient();
+    const storage = createSupabaseStorage({ supabase: client });
+
+    const { error } = await storage.transactions.search(HOSTILE, { counterparty: HOSTILE, text: `%${HOSTILE})` });
+    assert.ifError(error);
+
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].table, 'rpc:search_transactions');
+    const [[, params]] = calls[0].chain;
+    assert.strictEqual(params.p_username, HOSTILE);
+    assert.strictEqual(params.p_counterparty, HOSTILE);
+    assert.strictEqual(params.p_text, `%${HOSTILE})`);
+});
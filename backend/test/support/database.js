@@ -0,0 +1,34 @@
+/**
+ * In-process Postgres (PGlite) with every migration applied, for testing the
+ * database functions the Supabase backend calls. `setup` is SQL run before
+ * the migrations, e.g. to start from an older schema.
+ */
+
+const { PGlite } = require('@electric-sql/pglite');
+const { listMigrations } = require('../../lib/migrations');
+
+async function createTestDatabase({ setup } = {}) {
+    const db = new PGlite();
+    if (setup) {
+        await db.exec(setup);
+    }
+    for (const migration of listMigrations()) {
+        await db.exec(migration.sql);
+    }
+    return db;
+}
+
+/**
+ * Users with wallets, each issued `amount` minor units of `currency`
+ */
+async function createFundedUsers(db, usernames, amount, currency) {
+    for (const username of usernames) {
+        await db.query('INSERT INTO users (username) VALUES ($1)', [username]);
+        await db.query('INSERT INTO wallets (username, address, "createdAt") VALUES ($1, wallet_address($1), now())', [username]);
+        if (amount > 0) {
+            await db.query('SELECT * FROM issue_funds($1, $2, $3)', [username, amount, currency]);
+        }
+    }
+}
+
+module.exports = { createTestDatabase, createFundedUsers };
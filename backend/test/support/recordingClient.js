@@ -0,0 +1,25 @@
+/**
+ * Supabase client stand-in that records every query builder call
+ * Each query resolves to { data: rows(table, chain), error: null }
+ */
+function recordingClient(rows = () => []) {
+    const calls = [];
+    const query = (table, chain = []) => new Proxy({}, {
+        get(target, method) {
+            if (method === 'then') {
+                calls.push({ table, chain });
+                return (resolve, reject) => Promise.resolve({ data: rows(table, chain), error: null }).then(resolve, reject);
+            }
+            return (...args) => query(table, [...chain, [method, ...args]]);
+        },
+    });
+    return {
+        calls,
+        client: {
+            from: table => query(table),
+            rpc: (name, params) => query(`rpc:${name}`, [['rpc', params]]),
+        },
+    };
+}
+
+module.exports = { recordingClient };
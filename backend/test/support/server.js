@@ -0,0 +1,58 @@
+/**
+ * The app listening on a free port, with helpers that call the API the way
+ * the frontend does. Set STORAGE_BACKEND before starting it.
+ */
+
+async function startTestServer() {
+    const app = require('../../server');
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    async function post(path, body, cookie) {
+        const response = await fetch(`${baseUrl}/api${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Origin: baseUrl, ...(cookie ? { Cookie: cookie } : {}) },
+            body: JSON.stringify(body),
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    }
+
+    // What a browser passes to the authenticator for a ceremony's options
+    const sign = options => ({ challenge: options.challenge, rpId: 'localhost', origin: baseUrl });
+
+    /**
+     * Register `username` with a software authenticator
+     * Resolves to the /api/register/complete response, or to the
+     * /api/register/start one if that was refused
+     */
+    async function register(username, authenticator) {
+        const registration = await post('/register/start', { username });
+        if (registration.status !== 200) return registration;
+        return post('/register/complete', {
+            username,
+            ceremonyId: registration.body.ceremonyId,
+            credential: authenticator.create({ ...sign(registration.body), userId: registration.body.user.id }),
+        });
+    }
+
+    /**
+     * Log `username` in with a software authenticator
+     * Resolves to the last response, with the session cookie if it succeeded
+     */
+    async function logIn(username, authenticator) {
+        const login = await post('/login/start', { username });
+        if (login.status !== 200) return login;
+        const loggedIn = await post('/login/complete', {
+            username,
+            ceremonyId: login.body.ceremonyId,
+            credential: authenticator.get(sign(login.body)),
+        });
+        const cookie = loggedIn.headers.get('set-cookie');
+        return { ...loggedIn, cookie: cookie && cookie.split(';')[0] };
+    }
+
+    return { baseUrl, post, sign, register, logIn, close: () => server.close() };
+}
+
+module.exports = { startTestServer };
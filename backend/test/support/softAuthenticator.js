@@ -0,0 +1,139 @@
+/**
+ * Software Authenticator (tests only)
+ *
+ * Stands in for a platform authenticator: it holds an ES256 or RS256 key
+ * pair and produces the same registration and assertion responses a
+ * browser returns from navigator.credentials.create() / .get(), so
+ * lib/webauthn.js can be exercised without hardware.
+ */
+
+const crypto = require('crypto');
+
+const COSE_ALG_ES256 = -7;
+const COSE_ALG_RS256 = -257;
+
+const FLAG_UP = 0x01;
+const FLAG_UV = 0x04;
+const FLAG_AT = 0x40;
+
+/**
+ * Minimal CBOR encoder for the values attestation objects use
+ */
+function encodeCbor(value) {
+    const head = (major, length) => {
+        if (length < 24) return Buffer.from([(major << 5) | length]);
+        if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+        if (length < 0x10000) {
+            const buf = Buffer.alloc(3);
+            buf[0] = (major << 5) | 25;
+            buf.writeUInt16BE(length, 1);
+            return buf;
+        }
+        const buf = Buffer.alloc(5);
+        buf[0] = (major << 5) | 26;
+        buf.writeUInt32BE(length, 1);
+        return buf;
+    };
+
+    if (typeof value === 'number') return value >= 0 ? head(0, value) : head(1, -1 - value);
+    if (Buffer.isBuffer(value)) return Buffer.concat([head(2, value.length), value]);
+    if (typeof value === 'string') {
+        const bytes = Buffer.from(value, 'utf8');
+        return Buffer.concat([head(3, bytes.length), bytes]);
+    }
+    if (Array.isArray(value)) return Buffer.concat([head(4, value.length), ...value.map(encodeCbor)]);
+    if (value instanceof Map) {
+        return Buffer.concat([head(5, value.size), ...[...value].flatMap(([k, v]) => [encodeCbor(k), encodeCbor(v)])]);
+    }
+    throw new Error(`Cannot CBOR-encode ${typeof value}`);
+}
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Create an authenticator holding one credential
+ * alg is COSE_ALG_ES256 (default) or COSE_ALG_RS256
+ */
+function createSoftAuthenticator({ alg = COSE_ALG_ES256 } = {}) {
+    const { publicKey, privateKey } = alg === COSE_ALG_ES256
+        ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+        : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwk = publicKey.export({ format: 'jwk' });
+    const coseKey = alg === COSE_ALG_ES256
+        ? new Map([[1, 2], [3, alg], [-1, 1], [-2, Buffer.from(jwk.x, 'base64url')], [-3, Buffer.from(jwk.y, 'base64url')]])
+        : new Map([[1, 3], [3, alg], [-1, Buffer.from(jwk.n, 'base64url')], [-2, Buffer.from(jwk.e, 'base64url')]]);
+
+    const credentialId = crypto.randomBytes(16);
+    let signCount = 0;
+    let userHandle = null;
+
+    const sign = data => crypto.sign('sha256', data, alg === COSE_ALG_ES256 ? { key: privateKey, dsaEncoding: 'der' } : privateKey);
+
+    function authenticatorData(rpId, flags, attested) {
+        const counter = Buffer.alloc(4);
+        counter.writeUInt32BE(signCount);
+        const parts = [sha256(rpId), Buffer.from([flags]), counter];
+        if (attested) {
+            const idLength = Buffer.alloc(2);
+            idLength.writeUInt16BE(credentialId.length);
+            parts.push(Buffer.alloc(16), idLength, credentialId, encodeCbor(coseKey));
+        }
+        return Buffer.concat(parts);
+    }
+
+    const clientData = (type, challenge, origin) => Buffer.from(JSON.stringify({ type, challenge, origin }));
+
+    return {
+        id: credentialId.toString('base64url'),
+
+        set signCount(value) {
+            signCount = value;
+        },
+
+        /**
+         * Registration response; fmt 'none' or 'packed' (self attestation)
+         */
+        create({ challenge, rpId, origin, userId, fmt = 'none', userVerified = true }) {
+            userHandle = userId;
+            const clientDataJSON = clientData('webauthn.create', challenge, origin);
+            const authData = authenticatorData(rpId, FLAG_UP | FLAG_AT | (userVerified ? FLAG_UV : 0), true);
+            const attStmt = fmt === 'packed'
+                ? new Map([['alg', alg], ['sig', sign(Buffer.concat([authData, sha256(clientDataJSON)]))]])
+                : new Map();
+            const attestationObject = encodeCbor(new Map([['fmt', fmt], ['attStmt', attStmt], ['authData', authData]]));
+            return {
+                id: credentialId.toString('base64url'),
+                rawId: credentialId.toString('base64url'),
+                type: 'public-key',
+                response: {
+                    clientDataJSON: clientDataJSON.toString('base64url'),
+                    attestationObject: attestationObject.toString('base64url'),
+                    transports: ['internal'],
+                },
+            };
+        },
+
+        /**
+         * Assertion response; the counter goes up by one unless told otherwise
+         */
+        get({ challenge, rpId, origin, userVerified = true, increment = 1 }) {
+            signCount += increment;
+            const clientDataJSON = clientData('webauthn.get', challenge, origin);
+            const authData = authenticatorData(rpId, FLAG_UP | (userVerified ? FLAG_UV : 0), false);
+            const signature = sign(Buffer.concat([authData, sha256(clientDataJSON)]));
+            return {
+                id: credentialId.toString('base64url'),
+                rawId: credentialId.toString('base64url'),
+                type: 'public-key',
+                response: {
+                    clientDataJSON: clientDataJSON.toString('base64url'),
+                    authenticatorData: authData.toString('base64url'),
+                    signature: signature.toString('base64url'),
+                    userHandle,
+                },
+            };
+        },
+    };
+}
+
+module.exports = { COSE_ALG_ES256, COSE_ALG_RS256, createSoftAuthenticator };
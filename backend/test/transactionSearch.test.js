@@ -0,0 +1,99 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { getStorage } = require('../storage');
+const { createSupabaseStorage } = require('../storage/supabase');
+const { parseTransactionQuery, searchTransactions, TransactionQueryError } = require('../lib/transactionSearch');
+const { createTestDatabase, createFundedUsers } = require('./support/database');
+
+const CURRENCY = 'USD';
+const ID = '0b8e6c2e-5f0a-4c7e-9d1a-3f2b7c4d5e6f';
+
+let db;
+
+before(async () => {
+    db = await createTestDatabase();
+    await createFundedUsers(db, ['ada', 'bob'], 0, CURRENCY);
+});
+
+after(() => db.close());
+
+/**
+ * Supabase storage whose database functions run in `db`
+ */
+function databaseStorage() {
+    const client = {
+        rpc: (name, params) => {
+            const args = Object.keys(params).map((key, i) => `${key} => $${i + 1}`).join(', ');
+            return db.query(`SELECT * FROM ${name}(${args})`, Object.values(params))
+                .then(({ rows }) => ({ data: rows, error: null }), error => ({ data: null, error }));
+        },
+    };
+    return createSupabaseStorage({ supabase: client });
+}
+
+/**
+ * The cursor searchTransactions hands out after a page ending on `row`
+ */
+async function cursorAfter(t, row) {
+    t.mock.method(getStorage().transactions, 'search', () => ({ data: [row, { id: ID, createdAt: null }], error: null }));
+    const { nextCursor } = await searchTransactions('ada', { limit: '1' });
+    t.mock.restoreAll();
+    return nextCursor;
+}
+
+test('a cursor reads back as the last row of its page', async t => {
+    const dated = { id: ID, createdAt: '2026-03-31T23:59:59.999Z' };
+    const { after: afterDated } = await parseTransactionQuery({ cursor: await cursorAfter(t, dated) });
+    assert.deepStrictEqual(afterDated, dated);
+
+    // Rows stored without a createdAt (held transfers before 0017)
+    const undated = { id: ID, createdAt: null };
+    const { after: afterUndated } = await parseTransactionQuery({ cursor: await cursorAfter(t, undated) });
+    assert.deepStrictEqual(afterUndated, undated);
+});
+
+test('a cursor that was not handed out is refused', async () => {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const cursors = [
+        'not-a-cursor',
+        encode(['yesterday', ID]),
+        encode([1774915199999, ID]),
+        encode(['2026-03-31T23:59:59.999Z', 'not-a-uuid']),
+        encode([null, null]),
+        encode({ createdAt: '2026-03-31T23:59:59.999Z', id: ID }),
+    ];
+    for (const cursor of cursors) {
+        await assert.rejects(parseTransactionQuery({ cursor }), TransactionQueryError, cursor);
+    }
+});
+
+test('paging through search_transactions lists every row once, undated rows last', async t => {
+    const { rows: inserted } = await db.query(
+        `INSERT INTO transactions (sender, receiver, amount, currency, type, status, "createdAt") VALUES
+           ('ada', 'bob', 1, $1, 'transfer', 'completed', '2026-03-01T00:00:00Z'),
+           ('ada', 'bob', 2, $1, 'transfer', 'completed', '2026-03-02T00:00:00Z'),
+           ('bob', 'ada', 3, $1, 'transfer', 'completed', '2026-03-02T00:00:00Z'),
+           ('ada', 'bob', 4, $1, 'transfer', 'pending', NULL),
+           ('ada', 'bob', 5, $1, 'transfer', 'failed', NULL)
+         RETURNING id, "createdAt"`,
+        [CURRENCY]
+    );
+    const expected = inserted
+        .sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0) || (a.id < b.id ? 1 : -1))
+        .map(row => row.id);
+
+    t.mock.method(getStorage().transactions, 'search', databaseStorage().transactions.search);
+    const seen = [];
+    let cursor;
+    do {
+        const page = await searchTransactions('ada', { limit: '1', ...(cursor ? { cursor } : {}) });
+        seen.push(...page.transactions.map(row => row.id));
+        cursor = page.nextCursor;
+        assert.ok(seen.length <= expected.length, 'paging did not stop');
+    } while (cursor);
+
+    assert.deepStrictEqual(seen, expected);
+});
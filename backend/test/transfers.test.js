@@ -0,0 +1,172 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createSoftAuthenticator } = require('./support/softAuthenticator');
+const { createTestDatabase, createFundedUsers } = require('./support/database');
+const { startTestServer } = require('./support/server');
+
+const CURRENCY = 'USD';
+const TRANSFER_AMOUNT = 400000;   // minor units; three of them are more than a starting balance
+const NO_LIMIT = 1e12;
+
+let api;
+let storage;
+let ledger;
+
+before(async () => {
+    // Let every transfer through the risk checks; only the balance can refuse one
+    const rulesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'transfers-')), 'rules.json');
+    fs.writeFileSync(rulesFile, JSON.stringify({
+        thresholds: { stepUp: 30, review: 70 },
+        history: { days: 90, minTransfers: 3, recentMinutes: 10 },
+        rules: [],
+    }));
+    process.env.RISK_RULES_FILE = rulesFile;
+
+    api = await startTestServer();
+    storage = require('../storage').getStorage();
+    ledger = require('../lib/ledger');
+});
+
+after(() => api.close());
+
+/**
+ * Register and log in `username` with a software authenticator
+ */
+async function signUp(username) {
+    const authenticator = createSoftAuthenticator();
+
+    const created = await api.register(username, authenticator);
+    assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+    const loggedIn = await api.logIn(username, authenticator);
+    assert.strictEqual(loggedIn.status, 200, JSON.stringify(loggedIn.body));
+
+    for (const limitType of ['perTransaction', 'daily', 'monthly', 'transfersPerHour']) {
+        const { error } = await storage.spendingLimits.upsert({
+            username,
+            limitType,
+            currency: limitType === 'transfersPerHour' ? '' : CURRENCY,
+            value: NO_LIMIT,
+            updatedAt: new Date().toISOString(),
+        });
+        assert.ifError(error);
+    }
+
+    return { username, authenticator, cookie: loggedIn.cookie };
+}
+
+async function balances(usernames) {
+    const { data: wallets, error } = await storage.wallets.list();
+    assert.ifError(error);
+    return wallets
+        .filter(wallet => usernames.includes(wallet.username))
+        .map(wallet => Number((wallet.balances.find(row => row.currency === CURRENCY) || {}).balance || 0));
+}
+
+test('parallel sends through /api/wallet/send keep the supply and never overdraw a wallet', async () => {
+    const users = [];
+    for (const username of ['ada', 'bob', 'cyd', 'dee']) users.push(await signUp(username));
+    const usernames = users.map(user => user.username);
+    const supply = (await balances(usernames)).reduce((sum, balance) => sum + balance, 0);
+
+    // Every user confirms a transfer to every other one, then all of them are sent at once
+    const sends = [];
+    for (const user of users) {
+        for (const receiver of usernames.filter(other => other !== user.username)) {
+            const body = { receiver, amount: TRANSFER_AMOUNT, currency: CURRENCY };
+            const authorize = await api.post('/transfer/authorize', body, user.cookie);
+            assert.strictEqual(authorize.status, 200, JSON.stringify(authorize.body));
+            const assertion = user.authenticator.get(api.sign(authorize.body));
+            sends.push(() => api.post('/wallet/send', { ...body, ceremonyId: authorize.body.ceremonyId, assertion }, user.cookie));
+        }
+    }
+    const results = await Promise.all(sends.map(send => send()));
+
+    const refused = results.filter(result => result.status !== 200);
+    for (const result of refused) {
+        assert.strictEqual(result.status, 400);
+        assert.strictEqual(result.body.error, 'Insufficient balance');
+    }
+    assert.ok(refused.length > 0, 'no send ran out of money');
+
+    const after = await balances(usernames);
+    assert.strictEqual(after.reduce((sum, balance) => sum + balance, 0), supply);
+    assert.ok(after.every(balance => balance >= 0), `balances: ${after.join(', ')}`);
+
+    const report = await ledger.reconcileLedger();
+    assert.deepStrictEqual(report.mismatches, []);
+    assert.deepStrictEqual(report.unbalanced, []);
+});
+
+test('transfer_funds locks both wallets before it checks the balance', async () => {
+    const db = await createTestDatabase();
+    try {
+        await createFundedUsers(db, ['ada', 'bob', 'cyd'], 1000, CURRENCY);
+
+        // A refused transfer writes nothing, so any lock left on the wallet
+        // rows inside the transaction was taken by lock_and_check_transfer
+        await db.query('BEGIN');
+        const { rows: [refused] } = await db.query('SELECT * FROM transfer_funds($1, $2, $3, $4)', ['ada', 'bob', 5000, CURRENCY]);
+        assert.strictEqual(refused.message, 'Insufficient balance');
+        const { rows } = await db.query(
+            'SELECT username, xmax::text = (txid_current() % 4294967296)::text AS locked FROM wallets ORDER BY username'
+        );
+        await db.query('ROLLBACK');
+
+        assert.deepStrictEqual(rows, [
+            { username: 'ada', locked: true },
+            { username: 'bob', locked: true },
+            { username: 'cyd', locked: false },
+        ]);
+    } finally {
+        await db.close();
+    }
+});
+
+test('parallel transfer_funds calls keep the supply in the database', async () => {
+    const db = await createTestDatabase();
+    try {
+        const usernames = ['ada', 'bob', 'cyd', 'dee'];
+        await createFundedUsers(db, usernames, 1000, CURRENCY);
+        for (const username of usernames) {
+            await db.query(
+                `INSERT INTO spending_limits (username, "limitType", currency, value) VALUES ($1, 'transfersPerHour', '', 100)`,
+                [username]
+            );
+        }
+
+        const sends = [];
+        for (const sender of usernames) {
+            for (const receiver of usernames.filter(other => other !== sender)) {
+                sends.push(db.query('SELECT * FROM transfer_funds($1, $2, $3, $4)', [sender, receiver, 400, CURRENCY]));
+            }
+        }
+        const results = (await Promise.all(sends)).map(({ rows: [row] }) => row);
+        for (const result of results.filter(row => !row.success)) {
+            assert.strictEqual(result.message, 'Insufficient balance');
+        }
+
+        const { rows: [totals] } = await db.query(
+            'SELECT sum(balance)::bigint AS supply, min(balance)::bigint AS lowest FROM wallet_balances WHERE currency = $1',
+            [CURRENCY]
+        );
+        assert.strictEqual(Number(totals.supply), usernames.length * 1000);
+        assert.ok(Number(totals.lowest) >= 0);
+
+        const { rows: mismatched } = await db.query(
+            `SELECT b.username FROM wallet_balances b
+               LEFT JOIN (SELECT account, sum(CASE WHEN direction = 'credit' THEN amount ELSE -amount END) AS net
+                            FROM ledger_entries WHERE currency = $1 GROUP BY account) e ON e.account = b.username
+              WHERE b.currency = $1 AND b.balance <> COALESCE(e.net, 0)`,
+            [CURRENCY]
+        );
+        assert.deepStrictEqual(mismatched, []);
+    } finally {
+        await db.close();
+    }
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { usernameError } = require('../lib/usernames');
+const { deriveAddress } = require('../lib/addresses');
+
+test('plain usernames can be registered', () => {
+    for (const username of ['alice', 'Bob_99', 'j.doe', 'x-y-z', 'a'.repeat(32)]) {
+        assert.strictEqual(usernameError(username), null, username);
+    }
+});
+
+test('usernames outside the allowed set are refused', () => {
+    const rejected = [
+        'ab',
+        'a'.repeat(33),
+        '_alice',
+        'alice,payer.eq.bob',
+        'alice)',
+        'a b',
+        'system:issuance',
+        'ålice',
+        '',
+        null,
+        ['alice'],
+    ];
+    for (const username of rejected) {
+        assert.ok(usernameError(username), String(username));
+    }
+});
+
+test('usernames that look like wallet addresses are refused', () => {
+    assert.match(usernameError('fw1qpzry9x8'), /wallet address/);
+    assert.ok(usernameError(deriveAddress('alice')));
+});
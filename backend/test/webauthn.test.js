@@ -0,0 +1,205 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const {
+    COSE_ALG_ES256,
+    COSE_ALG_RS256,
+    VerificationError,
+    verifyRegistrationResponse,
+    verifyAuthenticationResponse,
+} = require('../lib/webauthn');
+const {
+    userHandleFor,
+    addCredential,
+    getCredentialById,
+    clearSuspectCredential,
+    verifyUserAssertion,
+} = require('../lib/credentials');
+const { createSoftAuthenticator } = require('./support/softAuthenticator');
+
+const RP_ID = 'wallet.example';
+const ORIGIN = 'https://wallet.example';
+const ALLOWED_ORIGINS = [ORIGIN];
+
+const newChallenge = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Register a soft authenticator and return it with the verified credential
+ */
+function register(alg, { username = 'alice', fmt = 'none' } = {}) {
+    const authenticator = createSoftAuthenticator({ alg });
+    const challenge = newChallenge();
+    const credential = authenticator.create({ challenge, rpId: RP_ID, origin: ORIGIN, userId: userHandleFor(username), fmt });
+    const verified = verifyRegistrationResponse({ credential, expectedChallenge: challenge, rpId: RP_ID, allowedOrigins: ALLOWED_ORIGINS });
+    return { authenticator, verified };
+}
+
+/**
+ * Verify one assertion from `authenticator`; `tamper` may edit the
+ * response before it is checked
+ */
+function authenticate(authenticator, verified, { rpId = RP_ID, origin = ORIGIN, userVerified, tamper } = {}) {
+    const challenge = newChallenge();
+    const credential = authenticator.get({ challenge, rpId, origin, userVerified });
+    if (tamper) tamper(credential);
+    return verifyAuthenticationResponse({
+        credential,
+        expectedChallenge: challenge,
+        rpId: RP_ID,
+        allowedOrigins: ALLOWED_ORIGINS,
+        publicKey: verified.publicKey,
+    });
+}
+
+for (const [name, alg] of [['ES256', COSE_ALG_ES256], ['RS256', COSE_ALG_RS256]]) {
+    test(`${name}: registration and assertion verify`, () => {
+        const { authenticator, verified } = register(alg);
+        assert.strictEqual(verified.alg, alg);
+        assert.strictEqual(verified.credentialId, authenticator.id);
+        assert.strictEqual(verified.userVerified, true);
+
+        const assertion = authenticate(authenticator, verified);
+        assert.strictEqual(assertion.signCount, 1);
+        assert.strictEqual(assertion.userVerified, true);
+    });
+
+    test(`${name}: packed self attestation verifies`, () => {
+        const { verified } = register(alg, { fmt: 'packed' });
+        assert.strictEqual(verified.fmt, 'packed');
+    });
+}
+
+test('a bad signature is rejected', () => {
+    const { authenticator, verified } = register(COSE_ALG_ES256);
+    assert.throws(
+        () => authenticate(authenticator, verified, {
+            tamper: credential => {
+                const signature = Buffer.from(credential.response.signature, 'base64url');
+                signature[signature.length - 1] ^= 0xff;
+                credential.response.signature = signature.toString('base64url');
+            },
+        }),
+        { name: 'VerificationError', message: 'Signature verification failed' }
+    );
+});
+
+test('a signature from another key is rejected', () => {
+    const { verified } = register(COSE_ALG_RS256);
+    const other = createSoftAuthenticator({ alg: COSE_ALG_RS256 });
+    assert.throws(() => authenticate(other, verified), { message: 'Signature verification failed' });
+});
+
+test('a response from the wrong origin is rejected', () => {
+    const { authenticator, verified } = register(COSE_ALG_ES256);
+    assert.throws(
+        () => authenticate(authenticator, verified, { origin: 'https://evil.example' }),
+        error => error instanceof VerificationError && /Unexpected origin/.test(error.message)
+    );
+
+    const challenge = newChallenge();
+    const credential = createSoftAuthenticator().create({ challenge, rpId: RP_ID, origin: 'https://evil.example', userId: userHandleFor('alice') });
+    assert.throws(
+        () => verifyRegistrationResponse({ credential, expectedChallenge: challenge, rpId: RP_ID, allowedOrigins: ALLOWED_ORIGINS }),
+        /Unexpected origin/
+    );
+});
+
+test('authenticator data for another RP ID is rejected', () => {
+    const { authenticator, verified } = register(COSE_ALG_ES256);
+    assert.throws(() => authenticate(authenticator, verified, { rpId: 'evil.example' }), { message: 'RP ID hash mismatch' });
+
+    const challenge = newChallenge();
+    const credential = createSoftAuthenticator().create({ challenge, rpId: 'evil.example', origin: ORIGIN, userId: userHandleFor('alice') });
+    assert.throws(
+        () => verifyRegistrationResponse({ credential, expectedChallenge: challenge, rpId: RP_ID, allowedOrigins: ALLOWED_ORIGINS }),
+        { message: 'RP ID hash mismatch' }
+    );
+});
+
+test('a response without user verification is rejected', () => {
+    const { authenticator, verified } = register(COSE_ALG_ES256);
+    assert.throws(() => authenticate(authenticator, verified, { userVerified: false }), { message: 'User verification flag not set' });
+
+    const challenge = newChallenge();
+    const credential = createSoftAuthenticator().create({ challenge, rpId: RP_ID, origin: ORIGIN, userId: userHandleFor('alice'), userVerified: false });
+    assert.throws(
+        () => verifyRegistrationResponse({ credential, expectedChallenge: challenge, rpId: RP_ID, allowedOrigins: ALLOWED_ORIGINS }),
+        { message: 'User verification flag not set' }
+    );
+});
+
+test('a response to another challenge is rejected', () => {
+    const { authenticator, verified } = register(COSE_ALG_ES256);
+    const credential = authenticator.get({ challenge: newChallenge(), rpId: RP_ID, origin: ORIGIN });
+    assert.throws(
+        () => verifyAuthenticationResponse({
+            credential,
+            expectedChallenge: newChallenge(),
+            rpId: RP_ID,
+            allowedOrigins: ALLOWED_ORIGINS,
+            publicKey: verified.publicKey,
+        }),
+        { message: 'Challenge mismatch' }
+    );
+});
+
+test('client data that is not a JSON object is rejected, not a crash', () => {
+    const { authenticator, verified } = register(COSE_ALG_ES256);
+    for (const json of ['null', '42', '"webauthn.get"', '[]']) {
+        const clientDataJSON = Buffer.from(json).toString('base64url');
+        assert.throws(
+            () => authenticate(authenticator, verified, { tamper: credential => { credential.response.clientDataJSON = clientDataJSON; } }),
+            error => error instanceof VerificationError && error.message === 'clientDataJSON is not an object',
+            json
+        );
+
+        const credential = createSoftAuthenticator().create({ challenge: newChallenge(), rpId: RP_ID, origin: ORIGIN, userId: userHandleFor('alice') });
+        credential.response.clientDataJSON = clientDataJSON;
+        assert.throws(
+            () => verifyRegistrationResponse({ credential, expectedChallenge: newChallenge(), rpId: RP_ID, allowedOrigins: ALLOWED_ORIGINS }),
+            error => error instanceof VerificationError && error.message === 'clientDataJSON is not an object',
+            json
+        );
+    }
+});
+
+test('a signature counter that does not increase flags the credential', async () => {
+    const username = 'counter-user';
+    const { authenticator, verified } = register(COSE_ALG_ES256, { username });
+    const { error } = await addCredential(username, verified);
+    assert.ifError(error);
+
+    const login = () => {
+        const challenge = newChallenge();
+        return verifyUserAssertion({
+            username,
+            credential: authenticator.get({ challenge, rpId: RP_ID, origin: ORIGIN }),
+            expectedChallenge: challenge,
+            rpId: RP_ID,
+            allowedOrigins: ALLOWED_ORIGINS,
+        });
+    };
+
+    authenticator.signCount = 4;
+    const first = await login();
+    assert.strictEqual(first.signCount, 5);
+
+    // A clone still at the old count
+    authenticator.signCount = 4;
+    await assert.rejects(login, { name: 'VerificationError', message: /Signature counter did not increase/ });
+
+    const { data: stored } = await getCredentialById(authenticator.id);
+    assert.strictEqual(stored.suspect, true);
+    assert.strictEqual(Number(stored.signCount), 5);
+
+    // Flagged devices are refused even with a good counter, until cleared
+    authenticator.signCount = 9;
+    await assert.rejects(login, { message: /flagged as a possible clone/ });
+
+    assert.ifError((await clearSuspectCredential(stored)).error);
+    const cleared = await login();
+    assert.strictEqual(cleared.signCount, 11);
+});
@@ -27,11 +27,27 @@ if (window.location.hostname === 'localhost' || window.location.hostname === '12
 
 // Application State
 let currentUser = null;
-let walletData = {
-    balance: 0,
-    address: '',
-    transactions: []
-};
+let sessionRefreshTimer = null;
+// Pending passkey autofill request on the login form
+const conditionalLogin = { controller: null, timer: null };
+// Conversion quote shown on the wallet page and its expiry countdown
+const conversion = { quote: null, timer: null };
+// Recipient resolved for the Send form, shown for confirmation before sending
+const recipientPreview = { query: null, recipient: null };
+// Debounced format/checksum check of an address typed as the recipient
+const addressCheck = { timer: null, controller: null };
+// Expiry of the payment request loaded into the Send form, if any
+const loadedPaymentRequest = { expiresAt: null };
+// Transactions page: filter query, rows loaded so far and the next page's
+// cursor; `request` lets a newer search discard an older one's response
+const transactionHistory = { query: '', items: [], nextCursor: null, loading: false, request: 0, timer: null };
+// Scheduled transfer being edited in the Send form, if any
+const scheduleEdit = { id: null };
+// Payment link shown on the Receive page
+let receiveUri = '';
+let walletData = emptyWallet();
+// ISO 4217 currencies from GET /api/currencies: code -> { name, minorUnits }
+let currencyTable = { USD: { name: 'US Dollar', minorUnits: 2 } };
 
 // DOM Elements
 const welcomeSection = document.getElementById('welcomeSection');
@@ -63,9 +79,13 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Check server connection
     await checkServerConnection();
+    await loadCurrencies();
 
-    // Show registration form by default
-    showRegisterForm();
+    // Resume an existing session, otherwise show registration form by default
+    const restored = await restoreSession();
+    if (!restored) {
+        showRegisterForm();
+    }
 
     // Event listeners
     registerForm.addEventListener('submit', handleRegister);
@@ -126,9 +146,152 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (sendAmountInput) {
             sendAmountInput.addEventListener('input', updateSendTotal);
         }
+        const sendCurrencySelect = document.getElementById('sendCurrency');
+        if (sendCurrencySelect) {
+            sendCurrencySelect.addEventListener('change', updateSendTotal);
+        }
+        document.getElementById('recipientAddress').addEventListener('input', () => {
+            loadedPaymentRequest.expiresAt = null;
+            clearRecipientPreview();
+            scheduleAddressCheck();
+        });
+        document.getElementById('saveContactBtn').addEventListener('click', handleSaveContact);
+        document.getElementById('sendWhen').addEventListener('change', updateSendWhen);
+        document.getElementById('stopEditingScheduleBtn').addEventListener('click', stopEditingSchedule);
+        document.getElementById('schedulesList').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-schedule-action]');
+            if (btn) handleScheduleAction(btn.getAttribute('data-schedule-id'), btn.getAttribute('data-schedule-action'));
+        });
+        document.getElementById('heldTransfersList').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-held-action]');
+            if (btn) handleHeldTransferAction(btn.getAttribute('data-held-id'), btn.getAttribute('data-held-action'), btn);
+        });
+    }
+
+    const riskReviewList = document.getElementById('riskReviewList');
+    if (riskReviewList) {
+        riskReviewList.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-review-action]');
+            if (btn) handleRiskReview(btn.getAttribute('data-review-id'), btn.getAttribute('data-review-action'), btn);
+        });
+    }
+
+    const transactionsList = document.getElementById('transactionsList');
+    if (transactionsList) {
+        transactionsList.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-refund-id]');
+            if (btn) handleRefund(btn.getAttribute('data-refund-id'), btn);
+        });
+    }
+
+    // Transactions page: filters apply as they change; more pages load on
+    // scrolling to the end of the list (or with the Load more button)
+    const transactionFilters = document.getElementById('transactionFilters');
+    if (transactionFilters) {
+        transactionFilters.addEventListener('submit', (e) => e.preventDefault());
+        transactionFilters.addEventListener('input', () => {
+            clearTimeout(transactionHistory.timer);
+            transactionHistory.timer = setTimeout(reloadTransactionHistory, 400);
+        });
+        // Runs before the fields are cleared
+        transactionFilters.addEventListener('reset', () => {
+            clearTimeout(transactionHistory.timer);
+            setTimeout(reloadTransactionHistory, 0);
+        });
+    }
+
+    const transactionsMore = document.getElementById('transactionsMore');
+    if (transactionsMore) {
+        transactionsMore.addEventListener('click', (e) => {
+            if (e.target.closest('[data-load-more]')) loadMoreTransactions();
+        });
+        if ('IntersectionObserver' in window) {
+            new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting)) loadMoreTransactions();
+            }, { rootMargin: '200px' }).observe(transactionsMore);
+        }
+    }
+
+    const reverseTransferForm = document.getElementById('reverseTransferForm');
+    if (reverseTransferForm) {
+        reverseTransferForm.addEventListener('submit', handleReverseTransfer);
+    }
+
+    // Per-currency send/receive buttons on the wallet page
+    const walletAssets = document.getElementById('walletAssets');
+    if (walletAssets) {
+        walletAssets.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            if (btn.getAttribute('data-action') === 'send') {
+                document.getElementById('sendCurrency').value = btn.getAttribute('data-currency');
+                updateSendTotal();
+            }
+            navigateToPage(btn.getAttribute('data-action'));
+        });
+    }
+
+    // Currency conversion
+    const convertForm = document.getElementById('convertForm');
+    if (convertForm) {
+        convertForm.addEventListener('submit', handleConvert);
+        ['convertAmount', 'convertFrom', 'convertTo'].forEach(id => {
+            document.getElementById(id).addEventListener('input', clearConversionQuote);
+        });
+        document.getElementById('convertFrom').addEventListener('change', (e) => {
+            setAmountPlaceholder(document.getElementById('convertAmount'), e.target.value);
+        });
+    }
+
+    // Display currency preference
+    const displayCurrencySelect = document.getElementById('displayCurrencySelect');
+    if (displayCurrencySelect) {
+        displayCurrencySelect.addEventListener('change', () => handleDisplayCurrencyChange(displayCurrencySelect.value));
     }
     
     // Copy address buttons
+    // Receive page QR code and payment link
+    const receiveRequestForm = document.getElementById('receiveRequestForm');
+    if (receiveRequestForm) {
+        receiveRequestForm.addEventListener('submit', handleReceiveRequest);
+        document.getElementById('receiveCurrency').addEventListener('change', (e) => {
+            setAmountPlaceholder(document.getElementById('receiveAmount'), e.target.value);
+        });
+        document.getElementById('copyUriBtn').addEventListener('click', () => copyToClipboard(receiveUri));
+    }
+
+    // Payment links and QR images on the Send page
+    const paymentUriInput = document.getElementById('paymentUri');
+    if (paymentUriInput) {
+        paymentUriInput.addEventListener('change', () => {
+            if (paymentUriInput.value.trim()) loadPaymentUri(paymentUriInput.value);
+        });
+        document.getElementById('paymentQrImage').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) scanPaymentQrImage(file);
+        });
+    }
+
+    // Payment requests
+    const paymentRequestForm = document.getElementById('paymentRequestForm');
+    if (paymentRequestForm) {
+        paymentRequestForm.addEventListener('submit', handleCreatePaymentRequest);
+        document.getElementById('requestCurrency').addEventListener('change', (e) => {
+            setAmountPlaceholder(document.getElementById('requestAmount'), e.target.value);
+        });
+        document.getElementById('page-requests').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-request-action]');
+            if (!btn) return;
+            const id = btn.getAttribute('data-request-id');
+            if (btn.getAttribute('data-request-action') === 'pay') {
+                payPaymentRequest(id, btn);
+            } else {
+                closePaymentRequest(id, btn.getAttribute('data-request-action'));
+            }
+        });
+    }
+
     const copyAddressBtn = document.getElementById('copyAddressBtn');
     if (copyAddressBtn) {
         copyAddressBtn.addEventListener('click', () => {
@@ -142,6 +305,12 @@ document.addEventListener('DOMContentLoaded', async () => {
             copyToClipboard(walletData.address || document.getElementById('settingsWalletAddress').textContent);
         });
     }
+
+    // Device management
+    const addDeviceBtn = document.getElementById('addDeviceBtn');
+    if (addDeviceBtn) {
+        addDeviceBtn.addEventListener('click', handleAddDevice);
+    }
 });
 
 /**
@@ -196,10 +365,79 @@ async function checkServerConnection() {
     }
 }
 
+/**
+ * Call an authenticated API endpoint
+ * The session cookie is sent automatically; a 401 means the session
+ * expired or was revoked, so the user is returned to the login screen
+ */
+async function apiFetch(path, options = {}) {
+    const response = await fetch(`${API_BASE}${path}`, {
+        credentials: 'same-origin',
+        ...options,
+    });
+    if (response.status === 401 && currentUser) {
+        handleSessionExpired();
+    }
+    return response;
+}
+
+/**
+ * Resume the wallet if the browser still holds a valid session cookie
+ */
+async function restoreSession() {
+    try {
+        const response = await fetch(`${API_BASE}/session`, { credentials: 'same-origin' });
+        if (!response.ok) return false;
+        const data = await response.json();
+        await showWalletApp(data.username, data.loginTime, data.expiresAt);
+        return true;
+    } catch (error) {
+        console.warn('Could not restore session:', error);
+        return false;
+    }
+}
+
+/**
+ * Refresh the session one minute before it expires
+ */
+function scheduleSessionRefresh(expiresAt) {
+    clearTimeout(sessionRefreshTimer);
+    if (!expiresAt) return;
+
+    const delay = Math.max(new Date(expiresAt).getTime() - Date.now() - 60 * 1000, 5 * 1000);
+    sessionRefreshTimer = setTimeout(async () => {
+        try {
+            const response = await apiFetch('/session/refresh', { method: 'POST' });
+            if (!response.ok) return;
+            const data = await response.json();
+            scheduleSessionRefresh(data.expiresAt);
+        } catch (error) {
+            console.error('Session refresh failed:', error);
+        }
+    }, delay);
+}
+
+/**
+ * Return to the login screen after the server rejected the session
+ */
+function handleSessionExpired() {
+    clearTimeout(sessionRefreshTimer);
+    currentUser = null;
+    walletData = emptyWallet();
+    clearConversionQuote();
+    clearRecipientPreview();
+    clearTransactionHistory();
+    showLoginForm();
+    headerInfo.style.display = 'block';
+    userMenu.style.display = 'none';
+    showMessage('Your session has expired. Please log in again.', 'error');
+}
+
 /**
  * Show registration form
  */
 function showRegisterForm() {
+    cancelConditionalLogin();
     welcomeSection.style.display = 'none';
     authSection.style.display = 'block';
     registerCard.style.display = 'block';
@@ -216,13 +454,16 @@ function showLoginForm() {
     registerCard.style.display = 'none';
     loginCard.style.display = 'block';
     if (walletApp) walletApp.style.display = 'none';
+    startConditionalLogin();
 }
 
 /**
  * Show wallet application after successful login
  */
-async function showWalletApp(username, loginTime) {
+async function showWalletApp(username, loginTime, expiresAt) {
+    cancelConditionalLogin();
     currentUser = username;
+    scheduleSessionRefresh(expiresAt);
     welcomeSection.style.display = 'none';
     authSection.style.display = 'none';
     if (walletApp) walletApp.style.display = 'flex';
@@ -245,73 +486,221 @@ async function showWalletApp(username, loginTime) {
 
 /**
  * Initialize wallet data
+ * Balances and history always come from the server; the client never
+ * computes or stores them itself
  */
 async function initializeWallet(username) {
     try {
-        // Load wallet data from backend
-        const response = await fetch(`${API_BASE}/wallet/${username}`);
-        if (response.ok) {
-            const data = await response.json();
-            walletData = {
-                balance: data.balance || 0,
-                address: data.address || generateWalletAddress(username),
-                transactions: data.transactions || []
-            };
-        } else {
+        let response = await apiFetch(`/wallet/${username}`);
+        if (response.status === 404) {
             // Create new wallet if doesn't exist
-            walletData = {
-                balance: 1000.00, // Demo starting balance
-                address: generateWalletAddress(username),
-                transactions: []
-            };
-            await createWallet(username, walletData);
+            response = await createWallet(username);
         }
-        
-        updateWalletUI();
-    } catch (error) {
-        console.error('Error initializing wallet:', error);
-        // Use default values
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const wallet = data.wallet || data;
         walletData = {
-            balance: 1000.00,
-            address: generateWalletAddress(username),
-            transactions: []
+            balances: Object.fromEntries((wallet.balances || []).map(row => [row.currency, Number(row.balance) || 0])),
+            displayCurrency: wallet.displayCurrency || 'USD',
+            address: wallet.address,
+            ...await loadTransactions(username)
         };
-        updateWalletUI();
+    } catch (error) {
+        console.error('Error initializing wallet:', error);
+        showMessage('Could not load your wallet. Please refresh the page.', 'error');
+        walletData = emptyWallet();
+    }
+
+    updateWalletUI();
+    await loadContacts();
+}
+
+/**
+ * Load saved contacts into the recipient suggestions on the Send page
+ */
+async function loadContacts() {
+    const options = document.getElementById('contactOptions');
+    try {
+        const response = await apiFetch('/contacts');
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        const data = await response.json();
+        options.innerHTML = data.contacts
+            .map(contact => `<option value="${escapeHtml(contact.alias)}">${escapeHtml(contact.username)}</option>`)
+            .join('');
+    } catch (error) {
+        console.error('Error loading contacts:', error);
+        options.innerHTML = '';
     }
 }
 
 /**
- * Generate a wallet address (simplified for demo)
+ * Wallet state before anything is loaded
+ * balances maps currency code -> amount in minor units
+ */
+function emptyWallet() {
+    return { balances: {}, displayCurrency: 'USD', address: '', transactions: [], nextCursor: null };
+}
+
+/**
+ * Balance held in one currency (0 if the wallet has none)
  */
-function generateWalletAddress(username) {
-    // In production, use proper cryptographic address generation
-    const hash = btoa(username).replace(/[^a-zA-Z0-9]/g, '').substring(0, 16);
-    return `0x${hash}${Date.now().toString(16).substring(0, 24)}`.toUpperCase();
+function balanceIn(currency) {
+    return walletData.balances[currency] || 0;
 }
 
 /**
- * Create wallet on backend
+ * Load supported currencies and their minor units from the server
  */
-async function createWallet(username, walletData) {
+async function loadCurrencies() {
     try {
-        await fetch(`${API_BASE}/wallet/create`, {
-            method: 'POST',
+        const response = await apiFetch('/currencies');
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        const data = await response.json();
+        currencyTable = Object.fromEntries(data.currencies.map(({ code, ...currency }) => [code, currency]));
+    } catch (error) {
+        console.warn('Could not load currencies, showing USD only:', error);
+    }
+
+    const select = document.getElementById('displayCurrencySelect');
+    if (select) {
+        fillCurrencySelect(select, Object.keys(currencyTable), code => `${code} - ${currencyTable[code].name}`);
+    }
+}
+
+/**
+ * Replace the options of a currency <select>, keeping the selection if possible
+ */
+function fillCurrencySelect(select, codes, label = code => code) {
+    const selected = select.value;
+    select.innerHTML = codes
+        .map(code => `<option value="${escapeHtml(code)}">${escapeHtml(label(code))}</option>`)
+        .join('');
+    if (codes.includes(selected)) select.value = selected;
+}
+
+/**
+ * Save the display currency preference
+ */
+async function handleDisplayCurrencyChange(currency) {
+    const previous = walletData.displayCurrency;
+    try {
+        const response = await apiFetch(`/wallet/${encodeURIComponent(currentUser)}`, {
+            method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ username, ...walletData })
+            body: JSON.stringify({ displayCurrency: currency })
         });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.details || data.error || `Server error: ${response.status}`);
+        }
+        walletData.displayCurrency = data.wallet.displayCurrency;
+        updateWalletUI();
+        showMessage(`Display currency set to ${walletData.displayCurrency}`, 'success');
     } catch (error) {
-        console.error('Error creating wallet:', error);
+        console.error('Error saving display currency:', error);
+        document.getElementById('displayCurrencySelect').value = previous;
+        showMessage(`Could not change currency: ${error.message}`, 'error');
     }
 }
 
+/**
+ * Fetch one page of transaction history and map it to the list's display
+ * format; `query` holds the filters and cursor (see transactionFilterQuery)
+ * Returns { transactions, nextCursor }
+ */
+async function loadTransactions(username, query = '') {
+    const response = await apiFetch(`/transactions/${encodeURIComponent(username)}${query ? `?${query}` : ''}`);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Server error: ${response.status}`);
+    }
+
+    const transactions = (data.transactions || []).map(tx => ({
+        id: tx.id,
+        type: tx.sender === username ? 'send' : 'receive',
+        counterparty: tx.sender === username ? tx.receiver : tx.sender,
+        description: describeTransaction(tx, username),
+        amount: Number(tx.amount),
+        currency: tx.currency || 'USD',
+        timestamp: tx.createdAt || tx.created_at,
+        status: tx.status || 'completed',
+        statusReason: tx.statusReason || null,
+        // A completed transfer someone sent us can be sent back once
+        canRefund: tx.type === 'transfer' && tx.status === 'completed' &&
+            tx.receiver === username && !tx.sender.startsWith('system:')
+    }));
+    return { transactions, nextCursor: data.nextCursor || null };
+}
+
+const TRANSACTION_STATUS_LABELS = {
+    pending: 'Pending',
+    completed: 'Completed',
+    failed: 'Failed',
+    reversed: 'Reversed'
+};
+
+/**
+ * One-line description for the transaction list
+ * Issued funds (e.g. the opening balance) come from a system account
+ */
+function describeTransaction(tx, username) {
+    if (tx.type === 'conversion') return tx.memo || 'Currency conversion';
+    if (tx.type === 'refund') return tx.sender === username ? `Refunded to ${tx.receiver}` : `Refund from ${tx.sender}`;
+    if (tx.type === 'reversal') return tx.sender === username ? `Reversed transfer from ${tx.receiver}` : `Reversed transfer to ${tx.sender}`;
+    if (tx.sender === username) return `Sent to ${tx.receiver}`;
+    if (tx.sender.startsWith('system:')) return tx.memo || 'Funds issued';
+    return `Received from ${tx.sender}`;
+}
+
+/**
+ * Create wallet on backend (the server sets the balance and address)
+ */
+async function createWallet(username) {
+    return apiFetch('/wallet/create', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username })
+    });
+}
+
 /**
  * Update wallet UI with current data
  */
 function updateWalletUI() {
-    // Update balance
-    document.getElementById('totalBalance').textContent = formatCurrency(walletData.balance);
-    document.getElementById('usdBalance').textContent = formatCurrency(walletData.balance);
-    document.getElementById('availableBalance').textContent = formatCurrency(walletData.balance);
+    const displayCurrency = walletData.displayCurrency;
+
+    // Update balance (in the display currency)
+    document.getElementById('balanceLabel').textContent = `${displayCurrency} Balance`;
+    document.getElementById('totalBalance').textContent = formatCurrency(balanceIn(displayCurrency), displayCurrency);
+    document.getElementById('displayCurrencySelect').value = displayCurrency;
+    updateWalletAssets();
+
+    // Currencies that can be sent: everything held, plus the display currency
+    const sendable = Object.keys(walletData.balances).filter(code => balanceIn(code) > 0);
+    if (!sendable.includes(displayCurrency)) sendable.unshift(displayCurrency);
+    const sendCurrency = document.getElementById('sendCurrency');
+    fillCurrencySelect(sendCurrency, sendable.sort());
+    if (!sendable.includes(sendCurrency.value)) sendCurrency.value = displayCurrency;
+    updateSendTotal();
+    fillCurrencySelect(document.getElementById('convertFrom'), sendable);
+    setAmountPlaceholder(document.getElementById('convertAmount'), document.getElementById('convertFrom').value);
+    fillCurrencySelect(document.getElementById('convertTo'), Object.keys(currencyTable));
+    const receiveCurrency = document.getElementById('receiveCurrency');
+    fillCurrencySelect(receiveCurrency, Object.keys(currencyTable));
+    receiveCurrency.value = displayCurrency;
+    setAmountPlaceholder(document.getElementById('receiveAmount'), displayCurrency);
+    const requestCurrency = document.getElementById('requestCurrency');
+    fillCurrencySelect(requestCurrency, Object.keys(currencyTable));
+    requestCurrency.value = displayCurrency;
+    setAmountPlaceholder(document.getElementById('requestAmount'), displayCurrency);
+    fillCurrencySelect(document.getElementById('filterCurrency'), ['', ...Object.keys(currencyTable)], code => code || 'Any currency');
     
     // Update address
     document.getElementById('walletAddress').textContent = walletData.address;
@@ -328,18 +717,198 @@ function updateWalletUI() {
     document.getElementById('monthTransactions').textContent = thisMonth;
     
     // Update transactions list
-    updateTransactionsList();
+    reloadTransactionHistory();
+}
+
+/**
+ * One row per currency on the wallet page, display currency first
+ */
+function updateWalletAssets() {
+    const container = document.getElementById('walletAssets');
+    const displayCurrency = walletData.displayCurrency;
+    const codes = Object.keys(walletData.balances).filter(code => code !== displayCurrency).sort();
+    codes.unshift(displayCurrency);
+
+    container.innerHTML = codes.map(code => `
+        <div class="asset-item">
+            <div class="asset-icon">💰</div>
+            <div class="asset-info">
+                <div class="asset-name">${escapeHtml(code)} Balance</div>
+                <div class="asset-amount">${escapeHtml(formatCurrency(balanceIn(code), code))}</div>
+            </div>
+            <div class="asset-actions">
+                <button class="btn-icon" data-action="send" data-currency="${escapeHtml(code)}" title="Send">
+                    <svg width="18" height="18" viewBox="0 0 20 20" fill="none">
+                        <path d="M18 2L9 11M18 2L12 18L9 11M18 2L2 8L9 11" stroke="currentColor" stroke-width="2"/>
+                    </svg>
+                </button>
+                <button class="btn-icon" data-action="receive" title="Receive">
+                    <svg width="18" height="18" viewBox="0 0 20 20" fill="none">
+                        <path d="M2 18L9 9M2 18L8 2L9 9M2 18L18 12L9 9" stroke="currentColor" stroke-width="2"/>
+                    </svg>
+                </button>
+            </div>
+        </div>
+    `).join('');
 }
 
 /**
- * Format currency
+ * ISO 4217 minor units of a currency (2 for USD, 0 for JPY, 3 for KWD)
  */
-function formatCurrency(amount) {
+function minorUnitsOf(currency) {
+    return currencyTable[currency] ? currencyTable[currency].minorUnits : 2;
+}
+
+/**
+ * Format an amount in minor units (as held by the server) in a currency
+ * 1075 USD -> $10.75; defaults to the display currency
+ */
+function formatCurrency(amount, currency = walletData.displayCurrency) {
+    const digits = minorUnitsOf(currency);
     return new Intl.NumberFormat('en-US', {
         style: 'currency',
-        currency: 'USD',
-        minimumFractionDigits: 2
-    }).format(amount);
+        currency,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    }).format(amount / 10 ** digits);
+}
+
+/**
+ * Parse an amount typed in major units into minor units
+ * "10.75" USD -> { amount: 1075 }. Only plain decimals are accepted: no
+ * signs, exponents or more decimal places than the currency has.
+ * Returns { amount } or { error }
+ */
+function parseDecimalAmount(text, currency) {
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(String(text).trim());
+    if (!match) {
+        return { error: 'Please enter a valid amount' };
+    }
+    const digits = minorUnitsOf(currency);
+    const fraction = match[2] || '';
+    if (fraction.length > digits) {
+        return {
+            error: digits === 0
+                ? `${currency} amounts cannot have decimal places`
+                : `${currency} amounts can have at most ${digits} decimal places`
+        };
+    }
+    const amount = Number(match[1] + fraction.padEnd(digits, '0'));
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+        return { error: 'Please enter a valid amount' };
+    }
+    return { amount };
+}
+
+/**
+ * Amount input placeholder showing the currency's decimal places
+ */
+function setAmountPlaceholder(input, currency) {
+    const digits = minorUnitsOf(currency);
+    input.placeholder = digits > 0 ? `0.${'0'.repeat(digits)}` : '0';
+}
+
+/**
+ * Query string for the Transactions page filters (amounts in minor units,
+ * dates as local days)
+ * Returns { query } or { error }
+ */
+function transactionFilterQuery() {
+    const value = id => document.getElementById(id).value.trim();
+    const params = new URLSearchParams();
+
+    [['filterText', 'q'], ['filterDirection', 'direction'], ['filterStatus', 'status'], ['filterCounterparty', 'counterparty']]
+        .forEach(([id, name]) => {
+            if (value(id)) params.set(name, value(id));
+        });
+
+    if (value('filterFrom')) {
+        params.set('from', new Date(`${value('filterFrom')}T00:00`).toISOString());
+    }
+    if (value('filterTo')) {
+        const end = new Date(`${value('filterTo')}T00:00`);
+        end.setDate(end.getDate() + 1);
+        params.set('to', end.toISOString());
+    }
+
+    const currency = value('filterCurrency');
+    if (currency) params.set('currency', currency);
+    for (const [id, name] of [['filterMinAmount', 'minAmount'], ['filterMaxAmount', 'maxAmount']]) {
+        if (!value(id)) continue;
+        if (!currency) return { error: 'Choose a currency to filter by amount' };
+        const parsed = parseDecimalAmount(value(id), currency);
+        if (parsed.error) return parsed;
+        params.set(name, parsed.amount);
+    }
+    return { query: params.toString() };
+}
+
+/**
+ * Start the Transactions page over with the current filters
+ * Without filters the first page is the one loaded with the wallet
+ */
+async function reloadTransactionHistory() {
+    const filters = transactionFilterQuery();
+    if (filters.error) {
+        showMessage(filters.error, 'error');
+        return;
+    }
+
+    transactionHistory.query = filters.query;
+    if (!filters.query) {
+        transactionHistory.request++;
+        transactionHistory.loading = false;
+        transactionHistory.items = walletData.transactions;
+        transactionHistory.nextCursor = walletData.nextCursor;
+        updateTransactionsList();
+        return;
+    }
+    await loadMoreTransactions(true);
+}
+
+/**
+ * Forget the Transactions page filters and rows (on logout)
+ */
+function clearTransactionHistory() {
+    clearTimeout(transactionHistory.timer);
+    document.getElementById('transactionFilters').reset();
+    Object.assign(transactionHistory, { query: '', items: [], nextCursor: null, loading: false });
+    transactionHistory.request++;
+}
+
+/**
+ * Load the next page of the Transactions page (or its first, with `reset`)
+ */
+async function loadMoreTransactions(reset = false) {
+    if (!currentUser) return;
+    if (!reset && (transactionHistory.loading || !transactionHistory.nextCursor)) return;
+
+    const request = ++transactionHistory.request;
+    transactionHistory.loading = true;
+    if (reset) {
+        transactionHistory.items = [];
+        transactionHistory.nextCursor = null;
+    }
+    updateTransactionsList();
+
+    try {
+        const params = new URLSearchParams(transactionHistory.query);
+        if (!reset) params.set('cursor', transactionHistory.nextCursor);
+        const page = await loadTransactions(currentUser, params.toString());
+        if (request !== transactionHistory.request) return;
+
+        transactionHistory.items = transactionHistory.items.concat(page.transactions);
+        transactionHistory.nextCursor = page.nextCursor;
+    } catch (error) {
+        if (request !== transactionHistory.request) return;
+        console.error('Error loading transactions:', error);
+        showMessage(`Could not load transactions: ${error.message}`, 'error');
+    } finally {
+        if (request === transactionHistory.request) {
+            transactionHistory.loading = false;
+            updateTransactionsList();
+        }
+    }
 }
 
 /**
@@ -347,8 +916,27 @@ function formatCurrency(amount) {
  */
 function updateTransactionsList() {
     const list = document.getElementById('transactionsList');
-    
-    if (walletData.transactions.length === 0) {
+    const more = document.getElementById('transactionsMore');
+    const items = transactionHistory.items;
+
+    if (transactionHistory.loading) {
+        more.textContent = 'Loading transactions...';
+    } else if (transactionHistory.nextCursor) {
+        more.innerHTML = '<button type="button" class="btn-limit" data-load-more>Load more</button>';
+    } else {
+        more.textContent = items.length > 0 ? 'No more transactions' : '';
+    }
+
+    if (items.length === 0 && transactionHistory.query) {
+        list.innerHTML = transactionHistory.loading ? '' : `
+            <div class="empty-state">
+                <p>No transactions match these filters</p>
+            </div>
+        `;
+        return;
+    }
+
+    if (items.length === 0) {
         list.innerHTML = `
             <div class="empty-state">
                 <svg width="64" height="64" viewBox="0 0 64 64" fill="none">
@@ -362,25 +950,29 @@ function updateTransactionsList() {
         return;
     }
     
-    list.innerHTML = walletData.transactions
-        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    // Newest first, in the order the server paged them
+    list.innerHTML = items
         .map(tx => `
-            <div class="transaction-item">
+            <div class="transaction-item status-${tx.status}" title="Transaction ${escapeHtml(tx.id || '')}">
                 <div class="transaction-info">
                     <div class="transaction-icon ${tx.type}">
                         ${tx.type === 'send' ? '📤' : '📥'}
                     </div>
                     <div class="transaction-details">
-                        <div class="transaction-type">${tx.type === 'send' ? 'Sent' : 'Received'}</div>
+                        <div class="transaction-type">${escapeHtml(tx.description)}</div>
                         <div class="transaction-date">${new Date(tx.timestamp).toLocaleString()}</div>
+                        ${tx.statusReason ? `<div class="transaction-date">${escapeHtml(tx.statusReason)}</div>` : ''}
                     </div>
                 </div>
                 <div class="transaction-amount">
                     <div class="transaction-amount-value ${tx.type === 'send' ? 'negative' : 'positive'}">
-                        ${tx.type === 'send' ? '-' : '+'}${formatCurrency(Math.abs(tx.amount))}
+                        ${tx.type === 'send' ? '-' : '+'}${formatCurrency(Math.abs(tx.amount), tx.currency)}
+                    </div>
+                    <div class="transaction-status">
+                        <span class="status-badge status-${tx.status}">${TRANSACTION_STATUS_LABELS[tx.status] || escapeHtml(tx.status)}</span>
                     </div>
-                    <div class="transaction-status">${tx.status || 'Completed'}</div>
                 </div>
+                ${tx.canRefund ? `<div class="item-actions"><button class="btn-revoke" data-refund-id="${tx.id}">Refund</button></div>` : ''}
             </div>
         `).join('');
 }
@@ -421,180 +1013,411 @@ function navigateToPage(pageName) {
         }
     });
     
-    // Update send form total
+    // Update send form total, the scheduled transfers and held transfers
     if (pageName === 'send') {
         updateSendTotal();
+        loadSchedules();
+        loadHeldTransfers();
+    }
+
+    // Show a plain address QR code until the user asks for an amount
+    if (pageName === 'receive') {
+        document.getElementById('receiveRequestForm').reset();
+        document.getElementById('receiveCurrency').value = walletData.displayCurrency;
+        setAmountPlaceholder(document.getElementById('receiveAmount'), walletData.displayCurrency);
+        updateReceiveQr().catch(error => console.error('Receive QR error:', error));
+    }
+
+    // Payment requests change as other users respond to them
+    if (pageName === 'requests') {
+        loadPaymentRequests();
+    }
+
+    // Refresh devices and security events whenever settings are opened
+    if (pageName === 'settings') {
+        loadDevices();
+        loadSpendingLimits();
+        loadRiskReviews();
+        loadSecurityEvents();
     }
 }
 
 /**
- * Handle registration form submission
+ * Human-readable labels for security event types
  */
-async function handleRegister(e) {
-    e.preventDefault();
-    
-    const username = document.getElementById('registerUsername').value.trim();
-    const registerBtn = document.getElementById('registerBtn');
+const SECURITY_EVENT_LABELS = {
+    cloned_authenticator_suspected: 'Possible cloned authenticator - login blocked',
+    credential_added: 'New device added',
+    credential_revoked: 'Device revoked',
+    credential_cleared: 'Device flag cleared',
+    spending_limit_lowered: 'Spending limit lowered',
+    spending_limit_raise_requested: 'Spending limit raise requested',
+    transfer_held: 'Transfer held by risk checks',
+    transfer_blocked: 'Payment blocked by risk checks',
+    held_transfer_approved: 'Held transfer approved',
+    held_transfer_rejected: 'Held transfer rejected',
+    transfer_refunded: 'Transfer refunded to you',
+    transfer_reversed: 'Transfer reversed by an admin'
+};
 
-    if (!username) {
-        showMessage('Please enter a username', 'error');
-        return;
-    }
+/**
+ * Load security events and show them on the Settings page
+ */
+async function loadSecurityEvents() {
+    const list = document.getElementById('securityEventsList');
+    if (!list || !currentUser) return;
 
     try {
-        // Disable button and show loading
-        registerBtn.disabled = true;
-        registerBtn.classList.add('loading');
+        const response = await apiFetch(`/security/events/${currentUser}`);
+        if (!response.ok) throw new Error(`Server error: ${response.status}`);
+        const data = await response.json();
 
-        // Step 1: Get registration options from backend
-        let response;
-        try {
-            response = await fetch(`${API_BASE}/register/start`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ username }),
-            });
-        } catch (fetchError) {
-            console.error('Network error:', fetchError);
-            throw new Error('❌ Cannot connect to server. Please make sure the backend server is running and accessible.');
+        if (!data.events || data.events.length === 0) {
+            list.innerHTML = `
+                <div class="settings-item">
+                    <div class="settings-info">
+                        <div class="settings-value">No security events</div>
+                    </div>
+                </div>
+            `;
+            return;
         }
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({ error: 'Server error' }));
-            throw new Error(errorData.error || `Server error: ${response.status}`);
-        }
+        list.innerHTML = data.events.map(event => `
+            <div class="settings-item">
+                <div class="settings-info">
+                    <div class="settings-label">${new Date(event.createdAt).toLocaleString()}</div>
+                    <div class="settings-value">${SECURITY_EVENT_LABELS[event.type] || event.type}</div>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading security events:', error);
+    }
+}
 
-        const data = await response.json();
+const SPENDING_LIMIT_LABELS = {
+    perTransaction: 'Per Transfer',
+    daily: 'Daily (last 24 hours)',
+    monthly: 'Monthly (last 30 days)',
+    transfersPerHour: 'Transfers per Hour'
+};
 
-        if (!response.ok) {
-            throw new Error(data.error || 'Registration failed');
-        }
+/**
+ * Load spending limits and usage and show them on the Settings page
+ */
+async function loadSpendingLimits() {
+    const list = document.getElementById('spendingLimitsList');
+    if (!list || !currentUser) return;
 
-        // Step 2: Convert challenge and user.id from base64url to ArrayBuffer
-        // WebAuthn requires ArrayBuffer format
-        // Base64url uses - and _ instead of + and /, and no padding
-        function base64urlToArrayBuffer(base64url) {
-            // Convert base64url to base64
-            let base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
-            // Add padding if needed
-            while (base64.length % 4) {
-                base64 += '=';
-            }
-            // Decode base64 to binary string, then to Uint8Array
-            const binaryString = atob(base64);
-            const bytes = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-                bytes[i] = binaryString.charCodeAt(i);
-            }
-            return bytes.buffer;
-        }
+    try {
+        const response = await apiFetch('/limits');
+        if (!response.ok) throw new Error(`Server error: ${response.status}`);
+        const data = await response.json();
 
-        const publicKeyCredentialCreationOptions = {
-            ...data,
-            challenge: base64urlToArrayBuffer(data.challenge),
-            user: {
-                ...data.user,
-                id: base64urlToArrayBuffer(data.user.id),
-            },
-        };
+        const rows = [{ limitType: 'transfersPerHour', currency: null, limit: data.transfersPerHour }];
+        data.currencies.forEach(entry => {
+            ['perTransaction', 'daily', 'monthly'].forEach(limitType => {
+                rows.push({ limitType, currency: entry.currency, limit: entry[limitType] });
+            });
+        });
 
-        // Step 3: Call WebAuthn API - This triggers the fingerprint scanner!
-        // navigator.credentials.create() will show the device's fingerprint prompt
-        // (Windows Hello, Touch ID, Android biometrics, etc.)
-        const credential = await navigator.credentials.create({
-            publicKey: publicKeyCredentialCreationOptions,
+        const show = (value, currency) => currency ? formatCurrency(value, currency) : String(value);
+        list.innerHTML = rows.map(({ limitType, currency, limit }) => `
+            <div class="settings-item">
+                <div class="settings-info">
+                    <div class="settings-label">${SPENDING_LIMIT_LABELS[limitType]}${currency ? ` &middot; ${currency}` : ''}</div>
+                    <div class="settings-value">${show(limit.value, currency)}${limit.isDefault ? ' (default)' : ''}</div>
+                    ${limit.used !== undefined ? `<div class="device-meta">Used ${show(limit.used, currency)}</div>` : ''}
+                    ${limit.pending ? `<div class="device-meta">Rising to ${show(limit.pending.value, currency)} on ${new Date(limit.pending.effectiveAt).toLocaleString()}</div>` : ''}
+                </div>
+                ${limit.pending ? `<button class="btn-revoke" data-action="cancel">Cancel Raise</button>` : ''}
+                <button class="btn-limit" data-action="change">Change</button>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('.settings-item').forEach((item, index) => {
+            const { limitType, currency, limit } = rows[index];
+            item.querySelectorAll('button').forEach(btn => {
+                btn.addEventListener('click', () => btn.getAttribute('data-action') === 'cancel'
+                    ? changeSpendingLimit(limitType, currency, limit.value, btn)
+                    : promptSpendingLimit(limitType, currency, limit, btn));
+            });
         });
+    } catch (error) {
+        console.error('Error loading spending limits:', error);
+    }
+}
 
-        // Step 4: Convert credential to format backend can understand
-        const credentialForBackend = {
-            id: credential.id,
-            rawId: arrayBufferToBase64url(credential.rawId),
-            response: {
-                clientDataJSON: arrayBufferToBase64url(credential.response.clientDataJSON),
-                attestationObject: arrayBufferToBase64url(credential.response.attestationObject),
-            },
-            type: credential.type,
-        };
+/**
+ * Ask for a new value for a limit (major units for amounts)
+ */
+function promptSpendingLimit(limitType, currency, limit, btn) {
+    const current = currency ? (limit.value / 10 ** minorUnitsOf(currency)).toFixed(minorUnitsOf(currency)) : String(limit.value);
+    const text = prompt(`New ${SPENDING_LIMIT_LABELS[limitType].toLowerCase()} limit${currency ? ` in ${currency}` : ''}`, current);
+    if (text === null) return;
+
+    let value;
+    if (currency) {
+        const parsed = /^0+(\.0*)?$/.test(text.trim()) ? { amount: 0 } : parseDecimalAmount(text, currency);
+        if (parsed.error) {
+            showMessage(parsed.error, 'error');
+            return;
+        }
+        value = parsed.amount;
+    } else {
+        value = Number(text.trim());
+        if (!/^\d+$/.test(text.trim()) || !Number.isSafeInteger(value)) {
+            showMessage('Please enter a whole number of transfers', 'error');
+            return;
+        }
+    }
+    changeSpendingLimit(limitType, currency, value, btn, value > limit.value);
+}
 
-        // Step 5: Send credential to backend for storage
-        let completeResponse;
-        try {
-            completeResponse = await fetch(`${API_BASE}/register/complete`, {
+/**
+ * Save a limit. Raising it needs a fingerprint confirmation and only takes
+ * effect after the server's cooling-off period
+ */
+async function changeSpendingLimit(limitType, currency, value, btn, raise = false) {
+    try {
+        btn.disabled = true;
+        const change = { limitType, currency, value };
+
+        if (raise) {
+            const authorizeResponse = await apiFetch('/limits/authorize', {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    username,
-                    credential: credentialForBackend,
-                }),
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(change),
             });
-        } catch (fetchError) {
-            console.error('Network error:', fetchError);
-            throw new Error('❌ Cannot connect to server. Please make sure the backend server is running and accessible.');
+            const options = await authorizeResponse.json().catch(() => ({}));
+            if (!authorizeResponse.ok) {
+                throw new Error(options.error || `Server error: ${authorizeResponse.status}`);
+            }
+
+            const { ceremonyId, limit, ...publicKey } = options;
+            const assertion = await confirmWithFingerprint(publicKey);
+            Object.assign(change, { ceremonyId, assertion: assertionToJSON(assertion) });
         }
 
-        if (!completeResponse.ok) {
-            const errorData = await completeResponse.json().catch(() => ({ error: 'Server error' }));
-            throw new Error(errorData.error || `Server error: ${completeResponse.status}`);
+        const response = await apiFetch('/limits', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(change),
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || 'Could not change the limit');
         }
 
-        const completeData = await completeResponse.json();
+        showMessage(result.limit.pending
+            ? `Limit raise takes effect on ${new Date(result.limit.pending.effectiveAt).toLocaleString()}`
+            : 'Limit updated', 'success');
+    } catch (error) {
+        console.error('Spending limit error:', error);
+        const reason = error.name === 'NotAllowedError'
+            ? 'Fingerprint confirmation was cancelled'
+            : error.message;
+        showMessage(reason, 'error');
+    } finally {
+        btn.disabled = false;
+        loadSpendingLimits();
+        loadSecurityEvents();
+    }
+}
 
-        if (!completeResponse.ok) {
-            throw new Error(completeData.error || 'Registration completion failed');
+/**
+ * Load registered devices and show them on the Settings page
+ */
+async function loadDevices() {
+    const list = document.getElementById('devicesList');
+    if (!list || !currentUser) return;
+
+    try {
+        const response = await apiFetch(`/credentials/${currentUser}`);
+        if (!response.ok) throw new Error(`Server error: ${response.status}`);
+        const data = await response.json();
+
+        if (!data.devices || data.devices.length === 0) {
+            list.innerHTML = `
+                <div class="settings-item">
+                    <div class="settings-info">
+                        <div class="settings-value">No registered devices</div>
+                    </div>
+                </div>
+            `;
+            return;
         }
 
-        showMessage('Fingerprint registered successfully! You can now login.', 'success');
-        
-        // Switch to login form after a delay
-        setTimeout(() => {
-            showLoginForm();
-            document.getElementById('loginUsername').value = username;
-        }, 2000);
+        const canRevoke = data.devices.length > 1;
+        const canClear = data.devices.some(device => !device.suspect);
+        list.innerHTML = data.devices.map(device => `
+            <div class="settings-item">
+                <div class="settings-info">
+                    <div class="settings-label">Fingerprint (WebAuthn)</div>
+                    <div class="settings-value">${escapeHtml(device.nickname)}</div>
+                    <div class="device-meta">
+                        Added ${new Date(device.createdAt).toLocaleDateString()}
+                        &middot; Last used ${device.lastUsedAt ? new Date(device.lastUsedAt).toLocaleString() : 'never'}
+                    </div>
+                </div>
+                <span class="badge ${device.suspect ? 'error' : 'success'}">${device.suspect ? 'Flagged' : 'Active'}</span>
+                ${device.suspect && canClear ? `<button class="btn-copy" data-clear-id="${device.id}">Clear Flag</button>` : ''}
+                ${canRevoke ? `<button class="btn-revoke" data-credential-id="${device.id}">Revoke</button>` : ''}
+            </div>
+        `).join('');
 
+        list.querySelectorAll('.btn-revoke').forEach(btn => {
+            btn.addEventListener('click', () => revokeDevice(btn.getAttribute('data-credential-id')));
+        });
+        list.querySelectorAll('[data-clear-id]').forEach(btn => {
+            btn.addEventListener('click', () => clearDeviceFlag(btn.getAttribute('data-clear-id'), btn));
+        });
     } catch (error) {
-        console.error('Registration error:', error);
-        
-        // Handle user cancellation
+        console.error('Error loading devices:', error);
+    }
+}
+
+/**
+ * Register an additional fingerprint device for the logged-in user
+ */
+async function handleAddDevice() {
+    const addDeviceBtn = document.getElementById('addDeviceBtn');
+    const nickname = prompt('Name this device (e.g. "Work laptop")', '');
+    if (nickname === null) return;
+
+    try {
+        addDeviceBtn.disabled = true;
+
+        const response = await apiFetch('/credentials/add/start', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: currentUser }),
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Could not start device registration');
+
+        const { ceremonyId, ...options } = data;
+        const credential = await navigator.credentials.create({
+            publicKey: toCreationOptions(options),
+        });
+
+        const completeResponse = await apiFetch('/credentials/add/complete', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: currentUser,
+                nickname,
+                ceremonyId,
+                credential: attestationToJSON(credential),
+            }),
+        });
+        const completeData = await completeResponse.json();
+        if (!completeResponse.ok) throw new Error(completeData.error || 'Could not add device');
+
+        showMessage('Device added successfully!', 'success');
+        loadDevices();
+        loadSecurityEvents();
+    } catch (error) {
+        console.error('Add device error:', error);
         if (error.name === 'NotAllowedError' || error.name === 'AbortError') {
-            showMessage('Registration cancelled. Please try again.', 'error');
-        } else if (error.message.includes('Cannot connect to server')) {
-            showMessage('❌ Cannot connect to server. Please start the backend server:\n1. Open terminal in the "backend" folder\n2. Run: npm install\n3. Run: npm start', 'error');
+            showMessage('Device registration cancelled.', 'error');
+        } else if (error.name === 'InvalidStateError') {
+            showMessage('This device is already registered.', 'error');
         } else {
-            showMessage(error.message || 'Registration failed. Please try again.', 'error');
+            showMessage(error.message || 'Could not add device', 'error');
         }
     } finally {
-        registerBtn.disabled = false;
-        registerBtn.classList.remove('loading');
+        addDeviceBtn.disabled = false;
     }
 }
 
 /**
- * Handle login form submission
+ * Revoke a registered device
  */
-async function handleLogin(e) {
+async function revokeDevice(credentialId) {
+    if (!confirm('Revoke this device? It will no longer be able to log in.')) return;
+
+    try {
+        const response = await apiFetch(`/credentials/${currentUser}/${encodeURIComponent(credentialId)}`, {
+            method: 'DELETE',
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Could not revoke device');
+
+        showMessage('Device revoked', 'success');
+        loadDevices();
+        loadSecurityEvents();
+    } catch (error) {
+        console.error('Revoke device error:', error);
+        showMessage(error.message || 'Could not revoke device', 'error');
+    }
+}
+
+/**
+ * Clear a device's suspect flag, confirmed with a fingerprint on another device
+ */
+async function clearDeviceFlag(credentialId, btn) {
+    if (!confirm('Only clear the flag if you still have this device and nobody else could have copied it. Continue?')) return;
+
+    const path = `/credentials/${currentUser}/${encodeURIComponent(credentialId)}/clear`;
+    try {
+        btn.disabled = true;
+        const authorizeResponse = await apiFetch(`${path}/authorize`, { method: 'POST' });
+        const options = await authorizeResponse.json().catch(() => ({}));
+        if (!authorizeResponse.ok) {
+            throw new Error(options.error || `Server error: ${authorizeResponse.status}`);
+        }
+
+        const { ceremonyId, ...publicKey } = options;
+        const assertion = await confirmWithFingerprint(publicKey);
+
+        const response = await apiFetch(path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ceremonyId, assertion: assertionToJSON(assertion) }),
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || 'Could not clear device');
+        }
+
+        showMessage(result.message, 'success');
+        loadDevices();
+        loadSecurityEvents();
+    } catch (error) {
+        console.error('Clear device error:', error);
+        const reason = error.name === 'NotAllowedError'
+            ? 'Fingerprint confirmation was cancelled'
+            : error.message;
+        showMessage(reason, 'error');
+        btn.disabled = false;
+    }
+}
+
+/**
+ * Handle registration form submission
+ */
+async function handleRegister(e) {
     e.preventDefault();
     
-    const username = document.getElementById('loginUsername').value.trim();
-    const loginBtn = document.getElementById('loginBtn');
+    const username = document.getElementById('registerUsername').value.trim();
+    const registerBtn = document.getElementById('registerBtn');
 
     if (!username) {
-        showMessage('Please enter your username', 'error');
+        showMessage('Please enter a username', 'error');
         return;
     }
 
     try {
         // Disable button and show loading
-        loginBtn.disabled = true;
-        loginBtn.classList.add('loading');
+        registerBtn.disabled = true;
+        registerBtn.classList.add('loading');
 
-        // Step 1: Get authentication options from backend
+        // Step 1: Get registration options from backend
         let response;
         try {
-            response = await fetch(`${API_BASE}/login/start`, {
+            response = await fetch(`${API_BASE}/register/start`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -614,65 +1437,37 @@ async function handleLogin(e) {
         const data = await response.json();
 
         if (!response.ok) {
-            throw new Error(data.error || 'Login failed');
-        }
-
-        // Step 2: Convert challenge and credential ID from base64url to ArrayBuffer
-        function base64urlToArrayBuffer(base64url) {
-            // Convert base64url to base64
-            let base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
-            // Add padding if needed
-            while (base64.length % 4) {
-                base64 += '=';
-            }
-            // Decode base64 to binary string, then to Uint8Array
-            const binaryString = atob(base64);
-            const bytes = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-                bytes[i] = binaryString.charCodeAt(i);
-            }
-            return bytes.buffer;
+            throw new Error(data.error || 'Registration failed');
         }
 
-        const publicKeyCredentialRequestOptions = {
-            ...data,
-            challenge: base64urlToArrayBuffer(data.challenge),
-            allowCredentials: data.allowCredentials.map(cred => ({
-                ...cred,
-                id: base64urlToArrayBuffer(cred.id),
-            })),
-        };
+        // Step 2: Convert challenge, user.id and excluded credential IDs
+        // from base64url to ArrayBuffer (WebAuthn requires ArrayBuffer format)
+        // The ceremony ID identifies this registration's challenge on the server
+        const { ceremonyId, ...options } = data;
+        const publicKeyCredentialCreationOptions = toCreationOptions(options);
 
         // Step 3: Call WebAuthn API - This triggers the fingerprint scanner!
-        // navigator.credentials.get() will show the device's fingerprint prompt
-        const assertion = await navigator.credentials.get({
-            publicKey: publicKeyCredentialRequestOptions,
-        });
-
-        // Step 4: Convert assertion to format backend can understand
-        const assertionForBackend = {
-            id: assertion.id,
-            rawId: arrayBufferToBase64url(assertion.rawId),
-            response: {
-                clientDataJSON: arrayBufferToBase64url(assertion.response.clientDataJSON),
-                authenticatorData: arrayBufferToBase64url(assertion.response.authenticatorData),
-                signature: arrayBufferToBase64url(assertion.response.signature),
-                userHandle: assertion.response.userHandle ? arrayBufferToBase64url(assertion.response.userHandle) : null,
-            },
-            type: assertion.type,
-        };
+        // navigator.credentials.create() will show the device's fingerprint prompt
+        // (Windows Hello, Touch ID, Android biometrics, etc.)
+        const credential = await navigator.credentials.create({
+            publicKey: publicKeyCredentialCreationOptions,
+        });
 
-        // Step 5: Send assertion to backend for verification
+        // Step 4: Convert credential to format backend can understand
+        const credentialForBackend = attestationToJSON(credential);
+
+        // Step 5: Send credential to backend for storage
         let completeResponse;
         try {
-            completeResponse = await fetch(`${API_BASE}/login/complete`, {
+            completeResponse = await fetch(`${API_BASE}/register/complete`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
                     username,
-                    credential: assertionForBackend,
+                    ceremonyId,
+                    credential: credentialForBackend,
                 }),
             });
         } catch (fetchError) {
@@ -688,143 +1483,1508 @@ async function handleLogin(e) {
         const completeData = await completeResponse.json();
 
         if (!completeResponse.ok) {
-            throw new Error(completeData.error || 'Authentication failed');
+            throw new Error(completeData.error || 'Registration completion failed');
         }
 
-        showMessage('Login successful! Welcome back.', 'success');
+        showMessage('Fingerprint registered successfully! You can now login.', 'success');
         
-        // Show wallet app
+        // Switch to login form after a delay
         setTimeout(() => {
-            showWalletApp(username, completeData.loginTime);
-        }, 1500);
+            showLoginForm();
+            document.getElementById('loginUsername').value = username;
+        }, 2000);
 
     } catch (error) {
-        console.error('Login error:', error);
+        console.error('Registration error:', error);
         
         // Handle user cancellation
         if (error.name === 'NotAllowedError' || error.name === 'AbortError') {
-            showMessage('Login cancelled. Please try again.', 'error');
+            showMessage('Registration cancelled. Please try again.', 'error');
         } else if (error.message.includes('Cannot connect to server')) {
             showMessage('❌ Cannot connect to server. Please start the backend server:\n1. Open terminal in the "backend" folder\n2. Run: npm install\n3. Run: npm start', 'error');
         } else {
-            showMessage(error.message || 'Login failed. Please try again.', 'error');
+            showMessage(error.message || 'Registration failed. Please try again.', 'error');
         }
     } finally {
-        loginBtn.disabled = false;
-        loginBtn.classList.remove('loading');
+        registerBtn.disabled = false;
+        registerBtn.classList.remove('loading');
     }
 }
 
 /**
- * Handle logout
+ * Get authentication options from the backend and convert them for
+ * navigator.credentials.get(). Without a username the options allow any
+ * discoverable credential (passkey) for this site.
  */
-function handleLogout() {
-    currentUser = null;
-    walletData = { balance: 0, address: '', transactions: [] };
-    showRegisterForm();
-    registerForm.reset();
-    loginForm.reset();
-    headerInfo.style.display = 'block';
-    userMenu.style.display = 'none';
-    showMessage('Logged out successfully', 'success');
+async function startLoginCeremony(username) {
+    let response;
+    try {
+        response = await fetch(`${API_BASE}/login/start`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(username ? { username } : {}),
+        });
+    } catch (fetchError) {
+        console.error('Network error:', fetchError);
+        throw new Error('❌ Cannot connect to server. Please make sure the backend server is running and accessible.');
+    }
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: 'Server error' }));
+        throw new Error(errorData.error || `Server error: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    // Convert challenge and credential IDs from base64url to ArrayBuffer
+    // The ceremony ID identifies this login's challenge on the server
+    const { ceremonyId, ...options } = data;
+    return {
+        ceremonyId,
+        publicKey: {
+            ...options,
+            challenge: base64urlToArrayBuffer(options.challenge),
+            allowCredentials: options.allowCredentials.map(cred => ({
+                ...cred,
+                id: base64urlToArrayBuffer(cred.id),
+            })),
+        },
+    };
 }
 
 /**
- * Update send form total
+ * Send an assertion to the backend for verification
+ * Returns the login response ({ username, loginTime, expiresAt })
  */
-function updateSendTotal() {
-    const amountInput = document.getElementById('sendAmount');
-    const totalEl = document.getElementById('sendTotal');
-    
-    if (amountInput && totalEl) {
-        const amount = parseFloat(amountInput.value) || 0;
-        const fee = 0; // Network fee (can be calculated)
-        const total = amount + fee;
-        totalEl.textContent = formatCurrency(total);
+async function completeLogin(ceremonyId, assertion, username) {
+    let completeResponse;
+    try {
+        completeResponse = await fetch(`${API_BASE}/login/complete`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                username: username || undefined,
+                ceremonyId,
+                credential: assertionToJSON(assertion),
+            }),
+        });
+    } catch (fetchError) {
+        console.error('Network error:', fetchError);
+        throw new Error('❌ Cannot connect to server. Please make sure the backend server is running and accessible.');
+    }
+
+    if (!completeResponse.ok) {
+        const errorData = await completeResponse.json().catch(() => ({ error: 'Server error' }));
+        throw new Error(errorData.error || `Server error: ${completeResponse.status}`);
     }
+
+    return completeResponse.json();
 }
 
 /**
- * Handle send form submission
+ * Show the wallet after a successful login
  */
-async function handleSend(e) {
-    e.preventDefault();
-    
-    const recipientAddress = document.getElementById('recipientAddress').value.trim();
-    const amount = parseFloat(document.getElementById('sendAmount').value);
-    const note = document.getElementById('sendNote').value.trim();
-    const sendBtn = document.getElementById('sendBtn');
-    
-    if (!recipientAddress) {
-        showMessage('Please enter recipient address', 'error');
-        return;
-    }
-    
-    if (!amount || amount <= 0) {
-        showMessage('Please enter a valid amount', 'error');
-        return;
-    }
+function onLoginSuccess(completeData) {
+    showMessage('Login successful! Welcome back.', 'success');
+
+    setTimeout(() => {
+        showWalletApp(completeData.username, completeData.loginTime, completeData.expiresAt);
+    }, 1500);
+}
+
+/**
+ * Offer passkeys in the username field's autofill (conditional UI)
+ * The user can pick their account and touch the sensor without typing.
+ * The pending request is re-armed before its challenge expires.
+ */
+async function startConditionalLogin() {
+    cancelConditionalLogin();
+
+    if (!window.PublicKeyCredential || !PublicKeyCredential.isConditionalMediationAvailable) return;
+    if (!(await PublicKeyCredential.isConditionalMediationAvailable())) return;
+
+    const controller = new AbortController();
+    conditionalLogin.controller = controller;
+
+    try {
+        const { ceremonyId, publicKey } = await startLoginCeremony();
+        if (controller.signal.aborted) return;
+
+        conditionalLogin.timer = setTimeout(startConditionalLogin, Math.max(publicKey.timeout - 5000, 5000));
+
+        const assertion = await navigator.credentials.get({
+            mediation: 'conditional',
+            publicKey,
+            signal: controller.signal,
+        });
+        cancelConditionalLogin();
+
+        onLoginSuccess(await completeLogin(ceremonyId, assertion));
+    } catch (error) {
+        // Aborted when the user submits the form or leaves the login screen
+        if (error.name === 'AbortError' || controller.signal.aborted) return;
+        console.error('Passkey autofill login error:', error);
+        showMessage(error.message || 'Login failed. Please try again.', 'error');
+    }
+}
+
+function cancelConditionalLogin() {
+    clearTimeout(conditionalLogin.timer);
+    if (conditionalLogin.controller) {
+        conditionalLogin.controller.abort();
+        conditionalLogin.controller = null;
+    }
+}
+
+/**
+ * Handle login form submission
+ * With a username the user's registered devices are offered; without one
+ * any passkey for this site can be used (usernameless login)
+ */
+async function handleLogin(e) {
+    e.preventDefault();
+    
+    const username = document.getElementById('loginUsername').value.trim();
+    const loginBtn = document.getElementById('loginBtn');
+
+    // Only one WebAuthn request can be pending at a time
+    cancelConditionalLogin();
+
+    try {
+        // Disable button and show loading
+        loginBtn.disabled = true;
+        loginBtn.classList.add('loading');
+
+        // Step 1: Get authentication options from backend
+        const { ceremonyId, publicKey } = await startLoginCeremony(username);
+
+        // Step 2: Call WebAuthn API - This triggers the fingerprint scanner!
+        // navigator.credentials.get() will show the device's fingerprint prompt
+        const assertion = await navigator.credentials.get({ publicKey });
+
+        // Step 3: Send assertion to backend for verification
+        onLoginSuccess(await completeLogin(ceremonyId, assertion, username));
+
+    } catch (error) {
+        console.error('Login error:', error);
+        
+        // Handle user cancellation
+        if (error.name === 'NotAllowedError' || error.name === 'AbortError') {
+            showMessage(username ? 'Login cancelled. Please try again.' : 'No passkey selected. Enter your username or try again.', 'error');
+        } else if (error.message.includes('Cannot connect to server')) {
+            showMessage('❌ Cannot connect to server. Please start the backend server:\n1. Open terminal in the "backend" folder\n2. Run: npm install\n3. Run: npm start', 'error');
+        } else {
+            showMessage(error.message || 'Login failed. Please try again.', 'error');
+        }
+        startConditionalLogin();
+    } finally {
+        loginBtn.disabled = false;
+        loginBtn.classList.remove('loading');
+    }
+}
+
+/**
+ * Handle logout
+ * Revokes the session on the server before clearing local state
+ */
+async function handleLogout() {
+    try {
+        await fetch(`${API_BASE}/logout`, { method: 'POST', credentials: 'same-origin' });
+    } catch (error) {
+        console.error('Logout request failed:', error);
+    }
+
+    clearTimeout(sessionRefreshTimer);
+    currentUser = null;
+    walletData = emptyWallet();
+    clearConversionQuote();
+    clearRecipientPreview();
+    clearTransactionHistory();
+    showRegisterForm();
+    registerForm.reset();
+    loginForm.reset();
+    headerInfo.style.display = 'block';
+    userMenu.style.display = 'none';
+    showMessage('Logged out successfully', 'success');
+}
+
+/**
+ * Update send form total
+ */
+function updateSendTotal() {
+    const amountInput = document.getElementById('sendAmount');
+    const totalEl = document.getElementById('sendTotal');
+    const currency = document.getElementById('sendCurrency').value || walletData.displayCurrency;
+
+    document.getElementById('availableBalance').textContent = formatCurrency(balanceIn(currency), currency);
+    
+    if (amountInput && totalEl) {
+        setAmountPlaceholder(amountInput, currency);
+        const amount = parseDecimalAmount(amountInput.value, currency).amount || 0;
+        const fee = 0; // Network fee in minor units (can be calculated)
+        const total = amount + fee;
+        document.getElementById('sendFee').textContent = formatCurrency(fee, currency);
+        totalEl.textContent = formatCurrency(total, currency);
+    }
+}
+
+/**
+ * Send money with a fingerprint confirmation
+ * The server binds a challenge to the receiver, amount (in minor units),
+ * currency and a nonce; the fingerprint signature over it is what
+ * authorizes the transfer
+ */
+async function sendTransfer(receiver, amount, currency) {
+    const authorizeResponse = await apiFetch('/transfer/authorize', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ receiver, amount, currency }),
+    });
+    const options = await authorizeResponse.json().catch(() => ({}));
+    if (!authorizeResponse.ok) {
+        throw new Error(options.error || `Server error: ${authorizeResponse.status}`);
+    }
+
+    const { ceremonyId, transfer, ...publicKey } = options;
+    const assertion = await confirmWithFingerprint(publicKey);
+
+    // One key per transfer: if the connection drops, the request is sent
+    // again with the same key and the server cannot move the money twice
+    const request = {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': crypto.randomUUID(),
+        },
+        body: JSON.stringify({
+            receiver: transfer.receiver,
+            amount: transfer.amount,
+            currency: transfer.currency,
+            ceremonyId,
+            assertion: assertionToJSON(assertion),
+        }),
+    };
+    let transferResponse;
+    try {
+        transferResponse = await apiFetch('/transfer', request);
+    } catch (networkError) {
+        console.warn('Transfer request failed, retrying:', networkError);
+        transferResponse = await apiFetch('/transfer', request);
+    }
+    const result = await transferResponse.json().catch(() => ({}));
+    // A transfer the risk checks hold comes back as 202 with held: true
+    if (transferResponse.ok && result.held) {
+        return result;
+    }
+    if (!transferResponse.ok || !result.success) {
+        throw new Error(result.details || result.error || 'Transfer failed');
+    }
+    return result;
+}
+
+/**
+ * Sign a step-up challenge from the server with the user's fingerprint
+ */
+async function confirmWithFingerprint(publicKey) {
+    const assertion = await navigator.credentials.get({
+        publicKey: {
+            ...publicKey,
+            challenge: base64urlToArrayBuffer(publicKey.challenge),
+            allowCredentials: publicKey.allowCredentials.map(cred => ({
+                ...cred,
+                id: base64urlToArrayBuffer(cred.id),
+            })),
+        },
+    });
+    if (!assertion) {
+        throw new Error('Fingerprint confirmation was cancelled');
+    }
+    return assertion;
+}
+
+/**
+ * Resolve what was typed as the recipient (address, username or contact)
+ * Returns { username, address, matchedBy, alias } for the canonical wallet
+ */
+async function resolveRecipient(query) {
+    const response = await apiFetch(`/recipients/resolve?q=${encodeURIComponent(query)}`);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Server error: ${response.status}`);
+    }
+    return data.recipient;
+}
+
+/**
+ * Check the recipient field once the user stops typing, if it is an address
+ * Typos in an address fail its checksum, so they are flagged before sending
+ */
+function scheduleAddressCheck() {
+    clearTimeout(addressCheck.timer);
+    if (addressCheck.controller) addressCheck.controller.abort();
+    setRecipientHint('');
+
+    const value = document.getElementById('recipientAddress').value.trim();
+    if (!/^fw1/i.test(value)) return;
+    addressCheck.timer = setTimeout(() => checkRecipientAddress(value), 300);
+}
+
+async function checkRecipientAddress(address) {
+    addressCheck.controller = new AbortController();
+    try {
+        const response = await apiFetch(`/address/validate?address=${encodeURIComponent(address)}`, {
+            signal: addressCheck.controller.signal
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+        if (data.valid) {
+            setRecipientHint('✓ Valid wallet address', 'valid');
+        } else {
+            setRecipientHint(data.error, 'invalid');
+        }
+    } catch (error) {
+        if (error.name !== 'AbortError') console.error('Address check error:', error);
+    }
+}
+
+function setRecipientHint(text, state = '') {
+    const hint = document.getElementById('recipientHint');
+    hint.textContent = text;
+    hint.className = `input-hint ${state}`.trim();
+}
+
+/**
+ * Show the resolved recipient so the user can check it before sending
+ */
+function showRecipientPreview(query, recipient) {
+    recipientPreview.query = query;
+    recipientPreview.recipient = recipient;
+
+    const matchedBy = {
+        address: 'Wallet address',
+        username: 'Username',
+        contact: `Contact "${recipient.alias}"`,
+    };
+    document.getElementById('recipientName').textContent = recipient.username;
+    document.getElementById('recipientWalletAddress').textContent = recipient.address;
+    document.getElementById('recipientMatchedBy').textContent = matchedBy[recipient.matchedBy] || recipient.matchedBy;
+    document.getElementById('saveContactRow').style.display = recipient.matchedBy === 'contact' ? 'none' : 'flex';
+    document.getElementById('recipientPreview').style.display = 'flex';
+    updateSendButtonLabel();
+}
+
+/**
+ * Label of the Send button once the recipient is confirmed, depending on
+ * whether the transfer is sent now, scheduled or a schedule being edited
+ */
+function updateSendButtonLabel() {
+    const recipient = recipientPreview.recipient;
+    const when = document.getElementById('sendWhen').value;
+    let label = 'Review Recipient';
+    if (recipient && when === 'now') {
+        label = `Confirm & Send to ${recipient.username}`;
+    } else if (recipient) {
+        label = scheduleEdit.id ? 'Confirm & Update Schedule' : `Confirm & Schedule for ${recipient.username}`;
+    }
+    document.getElementById('sendBtnLabel').textContent = label;
+}
+
+/**
+ * Hide the recipient preview (the recipient field changed)
+ */
+function clearRecipientPreview() {
+    recipientPreview.query = null;
+    recipientPreview.recipient = null;
+    document.getElementById('recipientPreview').style.display = 'none';
+    document.getElementById('contactAlias').value = '';
+    document.getElementById('sendBtnLabel').textContent = 'Review Recipient';
+}
+
+/**
+ * Save the previewed recipient as a contact under the alias entered
+ */
+async function handleSaveContact() {
+    const alias = document.getElementById('contactAlias').value.trim();
+    const recipient = recipientPreview.recipient;
+    if (!recipient) return;
+    if (!alias) {
+        showMessage('Enter an alias for this contact', 'error');
+        return;
+    }
+
+    try {
+        const response = await apiFetch('/contacts', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ alias, recipient: recipient.address })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.details || data.error || `Server error: ${response.status}`);
+        }
+        document.getElementById('contactAlias').value = '';
+        document.getElementById('saveContactRow').style.display = 'none';
+        showMessage(`Saved ${recipient.username} as "${data.contact.alias}"`, 'success');
+        await loadContacts();
+    } catch (error) {
+        console.error('Save contact error:', error);
+        showMessage(`Could not save contact: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Handle send form submission
+ * The first submit resolves the recipient and shows who it is; submitting
+ * again sends to exactly that wallet with a fingerprint confirmation
+ */
+async function handleSend(e) {
+    e.preventDefault();
+    
+    const recipient = document.getElementById('recipientAddress').value.trim();
+    const currency = document.getElementById('sendCurrency').value;
+    const { amount, error: amountError } = parseDecimalAmount(document.getElementById('sendAmount').value, currency);
+    const when = document.getElementById('sendWhen').value;
+    const sendBtn = document.getElementById('sendBtn');
+    
+    if (!recipient) {
+        showMessage('Please enter a recipient', 'error');
+        return;
+    }
+    
+    if (amountError) {
+        showMessage(amountError, 'error');
+        return;
+    }
     
-    if (amount > walletData.balance) {
+    // Scheduled transfers are checked against the balance when they run
+    if (when === 'now' && amount > balanceIn(currency)) {
         showMessage('Insufficient balance', 'error');
         return;
     }
-    
+
+    const timing = scheduleTimingFromForm(when);
+    if (timing.error) {
+        showMessage(timing.error, 'error');
+        return;
+    }
+
+    if (loadedPaymentRequest.expiresAt && new Date(loadedPaymentRequest.expiresAt) <= new Date()) {
+        showMessage('This payment request has expired', 'error');
+        return;
+    }
+    
+    try {
+        sendBtn.disabled = true;
+        sendBtn.classList.add('loading');
+
+        if (recipientPreview.query !== recipient) {
+            try {
+                showRecipientPreview(recipient, await resolveRecipient(recipient));
+            } catch (error) {
+                showMessage(error.message, 'error');
+            }
+            return;
+        }
+
+        if (when !== 'now') {
+            const editing = Boolean(scheduleEdit.id);
+            await saveScheduledTransfer({
+                receiver: recipientPreview.recipient.username,
+                amount,
+                currency,
+                memo: document.getElementById('sendNote').value.trim() || undefined,
+                ...timing,
+            }, scheduleEdit.id);
+            stopEditingSchedule();
+            showMessage(editing ? 'Schedule updated' : 'Transfer scheduled', 'success');
+            await loadSchedules();
+            return;
+        }
+        
+        // Authorize with a fingerprint and let the server move the funds
+        const result = await sendTransfer(recipientPreview.recipient.username, amount, currency);
+        const sent = !result.held || await resolveHeldTransfer(result.assessment);
+        
+        // Reload balance and history from the server
+        await initializeWallet(currentUser);
+        
+        // Reset form
+        e.target.reset();
+        clearRecipientPreview();
+        setRecipientHint('');
+        loadedPaymentRequest.expiresAt = null;
+        updateSendTotal();
+        
+        if (!sent) {
+            await loadHeldTransfers();
+            return;
+        }
+        showMessage('Transaction sent successfully!', 'success');
+        
+        // Navigate to transactions
+        setTimeout(() => navigateToPage('transactions'), 1500);
+        
+    } catch (error) {
+        console.error('Send error:', error);
+        const reason = error.name === 'NotAllowedError'
+            ? 'Fingerprint confirmation was cancelled'
+            : error.message;
+        showMessage(`Transaction failed: ${reason}`, 'error');
+    } finally {
+        sendBtn.disabled = false;
+        sendBtn.classList.remove('loading');
+    }
+}
+
+/**
+ * Deal with a transfer the risk checks held: offer the fingerprint step-up
+ * right away, or explain that it waits for review
+ * Returns true if the transfer went through
+ */
+async function resolveHeldTransfer(assessment) {
+    const reasons = assessment.reasons.map(r => `- ${r.reason}`).join('\n');
+    if (assessment.decision !== 'step_up') {
+        showMessage('This transfer is held for review before it is sent', 'error');
+        return false;
+    }
+    if (!confirm(`This transfer looks unusual:\n${reasons}\n\nConfirm it again with your fingerprint to send it?`)) {
+        showMessage('Transfer held. You can confirm it later under Held Transfers.', 'error');
+        return false;
+    }
+    await confirmHeldTransfer(assessment.id);
+    return true;
+}
+
+/**
+ * Send a transfer held for a step-up with a second fingerprint confirmation
+ */
+async function confirmHeldTransfer(id) {
+    const authorizeResponse = await apiFetch(`/transfer/held/${id}/authorize`, { method: 'POST' });
+    const options = await authorizeResponse.json().catch(() => ({}));
+    if (!authorizeResponse.ok) {
+        throw new Error(options.error || `Server error: ${authorizeResponse.status}`);
+    }
+
+    const { ceremonyId, transfer, ...publicKey } = options;
+    const assertion = await confirmWithFingerprint(publicKey);
+
+    const response = await apiFetch(`/transfer/held/${id}/confirm`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': crypto.randomUUID(),
+        },
+        body: JSON.stringify({ ceremonyId, assertion: assertionToJSON(assertion) }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+        throw new Error(result.details || result.error || 'Transfer failed');
+    }
+    return result;
+}
+
+/**
+ * Load the transfers the risk checks held, with what became of them
+ */
+async function loadHeldTransfers() {
+    const list = document.getElementById('heldTransfersList');
+    try {
+        const response = await apiFetch('/transfer/held');
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        const data = await response.json();
+        renderHeldTransfers(list, data.transfers, transfer => {
+            if (transfer.status !== 'held') return '';
+            return `${transfer.decision === 'step_up'
+                ? `<button class="btn-copy" data-held-action="confirm" data-held-id="${transfer.id}">Confirm</button>`
+                : ''}<button class="btn-revoke" data-held-action="cancel" data-held-id="${transfer.id}">Cancel</button>`;
+        });
+    } catch (error) {
+        console.error('Error loading held transfers:', error);
+        list.innerHTML = '';
+    }
+}
+
+const HELD_STATUS_LABELS = {
+    held: 'Held',
+    blocked: 'Blocked',
+    released: 'Sent',
+    rejected: 'Rejected',
+    cancelled: 'Cancelled',
+    failed: 'Failed'
+};
+
+/**
+ * Render held transfers with their reasons; actions(transfer) gives the
+ * buttons for one of them
+ */
+function renderHeldTransfers(list, transfers, actions) {
+    if (transfers.length === 0) {
+        list.innerHTML = `
+            <div class="empty-state">
+                <p>No held transfers</p>
+            </div>
+        `;
+        return;
+    }
+
+    list.innerHTML = transfers.map(transfer => {
+        const waiting = transfer.status === 'held'
+            ? (transfer.decision === 'step_up' ? 'Waiting for your fingerprint' : 'Waiting for review')
+            : HELD_STATUS_LABELS[transfer.status] || transfer.status;
+        return `
+            <div class="transaction-item schedule-item">
+                <div class="transaction-info">
+                    <div class="transaction-icon send">🛡️</div>
+                    <div class="transaction-details">
+                        <div class="transaction-type">${escapeHtml(transfer.sender)} to ${escapeHtml(transfer.receiver)}</div>
+                        <div class="transaction-date">${new Date(transfer.createdAt).toLocaleString()} &middot; risk score ${transfer.score}</div>
+                        ${transfer.reasons.map(r => `<div class="transaction-date">${escapeHtml(r.reason)}</div>`).join('')}
+                        ${transfer.message && transfer.status === 'failed' ? `<div class="transaction-date">${escapeHtml(transfer.message)}</div>` : ''}
+                    </div>
+                </div>
+                <div class="transaction-amount">
+                    <div class="transaction-amount-value negative">-${formatCurrency(transfer.amount, transfer.currency)}</div>
+                    <div class="transaction-status">${escapeHtml(waiting)}</div>
+                </div>
+                <div class="item-actions">${actions(transfer)}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Buttons on a held transfer: confirm with a fingerprint or cancel
+ */
+async function handleHeldTransferAction(id, action, btn) {
+    if (action === 'cancel' && !confirm('Cancel this held transfer? It will not be sent.')) return;
+
+    try {
+        btn.disabled = true;
+        if (action === 'confirm') {
+            await confirmHeldTransfer(id);
+            showMessage('Transaction sent successfully!', 'success');
+            await initializeWallet(currentUser);
+        } else {
+            const response = await apiFetch(`/transfer/held/${id}/cancel`, { method: 'POST' });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(data.error || `Server error: ${response.status}`);
+            showMessage('Held transfer cancelled', 'success');
+        }
+    } catch (error) {
+        console.error('Held transfer error:', error);
+        const reason = error.name === 'NotAllowedError'
+            ? 'Fingerprint confirmation was cancelled'
+            : error.message;
+        showMessage(reason, 'error');
+    } finally {
+        btn.disabled = false;
+        await loadHeldTransfers();
+    }
+}
+
+/**
+ * Load the review queue on the Settings page; only admins see it (and the
+ * other .admin-only sections)
+ */
+async function loadRiskReviews() {
+    const section = document.getElementById('riskReviewSection');
+    if (!section || !currentUser) return;
+    const showAdminSections = show => document.querySelectorAll('.admin-only').forEach(el => {
+        el.style.display = show ? '' : 'none';
+    });
+
+    try {
+        const response = await apiFetch('/risk/reviews');
+        if (response.status === 403) {
+            showAdminSections(false);
+            return;
+        }
+        if (!response.ok) throw new Error(`Server error: ${response.status}`);
+        const data = await response.json();
+
+        showAdminSections(true);
+        renderHeldTransfers(document.getElementById('riskReviewList'), data.transfers, transfer => `
+            <button class="btn-copy" data-review-action="approve" data-review-id="${transfer.id}">Approve</button>
+            <button class="btn-revoke" data-review-action="reject" data-review-id="${transfer.id}">Reject</button>
+        `);
+    } catch (error) {
+        console.error('Error loading risk reviews:', error);
+    }
+}
+
+/**
+ * Approve (send) or reject a transfer held for review
+ */
+async function handleRiskReview(id, action, btn) {
+    if (!confirm(action === 'approve' ? 'Approve and send this transfer?' : 'Reject this transfer? It will not be sent.')) return;
+
+    try {
+        btn.disabled = true;
+        const response = await apiFetch(`/risk/reviews/${id}/${action}`, { method: 'POST' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `Server error: ${response.status}`);
+        showMessage(data.message, 'success');
+    } catch (error) {
+        console.error('Risk review error:', error);
+        showMessage(error.message, 'error');
+    } finally {
+        btn.disabled = false;
+        loadRiskReviews();
+    }
+}
+
+/**
+ * Send a received transfer back to its sender, confirmed with a fingerprint
+ */
+async function handleRefund(id, btn) {
+    const tx = transactionHistory.items.find(t => t.id === id);
+    if (!tx || !confirm(`Refund ${formatCurrency(tx.amount, tx.currency)} to ${tx.counterparty}?`)) return;
+
+    try {
+        btn.disabled = true;
+        const authorizeResponse = await apiFetch(`/transactions/${id}/refund/authorize`, { method: 'POST' });
+        const options = await authorizeResponse.json().catch(() => ({}));
+        if (!authorizeResponse.ok) {
+            throw new Error(options.error || `Server error: ${authorizeResponse.status}`);
+        }
+
+        const { ceremonyId, refund, ...publicKey } = options;
+        const assertion = await confirmWithFingerprint(publicKey);
+
+        const response = await apiFetch(`/transactions/${id}/refund`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': crypto.randomUUID(),
+            },
+            body: JSON.stringify({ ceremonyId, assertion: assertionToJSON(assertion) }),
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || 'Refund failed');
+        }
+
+        showMessage(result.message, 'success');
+        await initializeWallet(currentUser);
+    } catch (error) {
+        console.error('Refund error:', error);
+        const reason = error.name === 'NotAllowedError'
+            ? 'Fingerprint confirmation was cancelled'
+            : error.message;
+        showMessage(reason, 'error');
+        btn.disabled = false;
+    }
+}
+
+/**
+ * Reverse a transfer by its ID, with a reason (admins only)
+ */
+async function handleReverseTransfer(e) {
+    e.preventDefault();
+    const idInput = document.getElementById('reverseTransactionId');
+    const reasonInput = document.getElementById('reverseReason');
+    const btn = document.getElementById('reverseTransferBtn');
+    const id = idInput.value.trim();
+    if (!confirm('Reverse this transfer? The amount goes back to its sender.')) return;
+
+    try {
+        btn.disabled = true;
+        const response = await apiFetch(`/transactions/${encodeURIComponent(id)}/reverse`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason: reasonInput.value }),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `Server error: ${response.status}`);
+        showMessage(data.message, 'success');
+        idInput.value = '';
+        reasonInput.value = '';
+    } catch (error) {
+        console.error('Reversal error:', error);
+        showMessage(error.message, 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+/**
+ * Show the date or cron field for the chosen "When" option
+ */
+function updateSendWhen() {
+    const when = document.getElementById('sendWhen').value;
+    document.getElementById('sendRunAtGroup').style.display = when === 'once' ? 'flex' : 'none';
+    document.getElementById('sendCronGroup').style.display = when === 'recurring' ? 'flex' : 'none';
+    updateSendButtonLabel();
+}
+
+/**
+ * Timing of a scheduled transfer from the Send form
+ * Returns { runAt } or { cron } (empty when sending now), or { error }
+ */
+function scheduleTimingFromForm(when) {
+    if (when === 'once') {
+        const value = document.getElementById('sendRunAt').value;
+        const runAt = new Date(value);
+        if (!value || Number.isNaN(runAt.getTime())) return { error: 'Please choose when to send' };
+        if (runAt <= new Date()) return { error: 'Please choose a time in the future' };
+        return { runAt: runAt.toISOString() };
+    }
+    if (when === 'recurring') {
+        const cron = document.getElementById('sendCron').value.trim();
+        if (!cron) return { error: 'Please enter how often to send' };
+        return { cron };
+    }
+    return {};
+}
+
+/**
+ * Create a scheduled transfer, or replace schedule `scheduleId`, with a
+ * fingerprint confirmation of its receiver, amount, currency, memo and timing
+ */
+async function saveScheduledTransfer(details, scheduleId = null) {
+    const authorizeResponse = await apiFetch('/schedules/authorize', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...details, scheduleId }),
+    });
+    const options = await authorizeResponse.json().catch(() => ({}));
+    if (!authorizeResponse.ok) {
+        throw new Error(options.error || `Server error: ${authorizeResponse.status}`);
+    }
+
+    const { ceremonyId, schedule, ...publicKey } = options;
+    const assertion = await confirmWithFingerprint(publicKey);
+
+    const response = await apiFetch(scheduleId ? `/schedules/${scheduleId}` : '/schedules', {
+        method: scheduleId ? 'PUT' : 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': crypto.randomUUID(),
+        },
+        body: JSON.stringify({ ceremonyId, assertion: assertionToJSON(assertion) }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+        throw new Error(result.details || result.error || 'Could not save the schedule');
+    }
+    return result.schedule;
+}
+
+/**
+ * Load the scheduled transfers shown under the Send form
+ */
+async function loadSchedules() {
+    const list = document.getElementById('schedulesList');
+    try {
+        const response = await apiFetch('/schedules');
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        const data = await response.json();
+        renderSchedules(list, data.schedules);
+    } catch (error) {
+        console.error('Error loading schedules:', error);
+        list.innerHTML = '';
+    }
+}
+
+/**
+ * When a schedule runs, in words
+ */
+function describeScheduleTiming(schedule) {
+    return schedule.cron
+        ? `Repeats: ${schedule.cron} (UTC)`
+        : `Once at ${new Date(schedule.runAt).toLocaleString()}`;
+}
+
+/**
+ * Render the scheduled transfers with the actions their status allows
+ */
+function renderSchedules(list, schedules) {
+    if (schedules.length === 0) {
+        list.innerHTML = `
+            <div class="empty-state">
+                <p>No scheduled transfers</p>
+            </div>
+        `;
+        return;
+    }
+
+    const button = (schedule, action, label, style = 'btn-copy') =>
+        `<button class="${style}" data-schedule-action="${action}" data-schedule-id="${schedule.id}">${label}</button>`;
+
+    list.innerHTML = schedules.map(schedule => {
+        const open = schedule.status === 'active' || schedule.status === 'paused';
+        const actions = [
+            button(schedule, 'history', 'History'),
+            open ? button(schedule, 'edit', 'Edit') : '',
+            schedule.status === 'active' ? button(schedule, 'pause', 'Pause') : '',
+            schedule.status === 'paused' ? button(schedule, 'resume', 'Resume') : '',
+            open ? button(schedule, 'cancel', 'Cancel', 'btn-revoke') : '',
+        ].join('');
+        const next = schedule.nextRunAt
+            ? `Next: ${new Date(schedule.nextRunAt).toLocaleString()}${schedule.attempt > 0 ? ` (retry ${schedule.attempt})` : ''}`
+            : '';
+        return `
+            <div class="transaction-item schedule-item" data-schedule-id="${schedule.id}">
+                <div class="transaction-info">
+                    <div class="transaction-icon send">🗓️</div>
+                    <div class="transaction-details">
+                        <div class="transaction-type">To ${escapeHtml(schedule.receiver)}${schedule.memo ? ` &middot; ${escapeHtml(schedule.memo)}` : ''}</div>
+                        <div class="transaction-date">${escapeHtml(describeScheduleTiming(schedule))}</div>
+                        ${next ? `<div class="transaction-date">${next}</div>` : ''}
+                    </div>
+                </div>
+                <div class="transaction-amount">
+                    <div class="transaction-amount-value negative">-${formatCurrency(schedule.amount, schedule.currency)}</div>
+                    <div class="transaction-status">${escapeHtml(schedule.status)}</div>
+                </div>
+                <div class="item-actions">${actions}</div>
+                <div class="schedule-runs" style="display: none;"></div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Buttons on a scheduled transfer: history, edit, pause, resume, cancel
+ */
+async function handleScheduleAction(id, action) {
+    if (action === 'history') {
+        toggleScheduleRuns(id);
+        return;
+    }
+    if (action === 'edit') {
+        editSchedule(id);
+        return;
+    }
+    if (action === 'cancel' && !confirm('Cancel this scheduled transfer?')) return;
+
     try {
-        sendBtn.disabled = true;
-        sendBtn.classList.add('loading');
-        
-        // Create transaction
-        const transaction = {
-            type: 'send',
-            recipient: recipientAddress,
-            amount: amount,
-            note: note,
-            timestamp: new Date().toISOString(),
-            status: 'Completed'
-        };
-        
-        // Update wallet
-        walletData.balance -= amount;
-        walletData.transactions.push(transaction);
-        
-        // Save to backend
-        await saveWalletData();
-        
-        // Update UI
-        updateWalletUI();
-        
-        // Reset form
-        e.target.reset();
+        const response = await apiFetch(`/schedules/${id}/${action}`, { method: 'POST' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+        if (scheduleEdit.id === id && action === 'cancel') stopEditingSchedule();
+        showMessage(data.message, 'success');
+    } catch (error) {
+        console.error('Schedule action error:', error);
+        showMessage(error.message, 'error');
+    } finally {
+        await loadSchedules();
+    }
+}
+
+/**
+ * Show or hide the run history under a scheduled transfer
+ */
+async function toggleScheduleRuns(id) {
+    const item = document.querySelector(`.schedule-item[data-schedule-id="${id}"]`);
+    const runs = item.querySelector('.schedule-runs');
+    if (runs.style.display !== 'none') {
+        runs.style.display = 'none';
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`/schedules/${id}/runs`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+        runs.innerHTML = data.runs.length === 0
+            ? '<div>No runs yet</div>'
+            : data.runs.map(run => `
+                <div>
+                    ${new Date(run.ranAt).toLocaleString()} &middot;
+                    ${run.status === 'succeeded' ? '✅' : run.status === 'held' ? '🛡️' : '❌'} ${escapeHtml(run.message)}
+                    ${run.attempt > 0 ? ` (retry ${run.attempt})` : ''}
+                </div>
+            `).join('');
+        runs.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading schedule runs:', error);
+        showMessage(`Could not load the history: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Load a schedule into the Send form; submitting it then replaces the
+ * schedule (with a new fingerprint confirmation)
+ */
+async function editSchedule(id) {
+    try {
+        const response = await apiFetch(`/schedules/${id}/runs`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+        const { schedule } = data;
+
+        scheduleEdit.id = schedule.id;
+        const sendCurrency = document.getElementById('sendCurrency');
+        if (![...sendCurrency.options].some(option => option.value === schedule.currency)) {
+            sendCurrency.add(new Option(schedule.currency, schedule.currency));
+        }
+        sendCurrency.value = schedule.currency;
+        const digits = minorUnitsOf(schedule.currency);
+        document.getElementById('sendAmount').value = (schedule.amount / 10 ** digits).toFixed(digits);
+        document.getElementById('recipientAddress').value = schedule.receiver;
+        document.getElementById('sendNote').value = schedule.memo || '';
+        document.getElementById('sendWhen').value = schedule.cron ? 'recurring' : 'once';
+        document.getElementById('sendCron').value = schedule.cron || '';
+        // datetime-local wants local time without a zone
+        const runAt = schedule.runAt ? new Date(schedule.runAt) : null;
+        document.getElementById('sendRunAt').value = runAt
+            ? new Date(runAt.getTime() - runAt.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+            : '';
+        document.getElementById('stopEditingScheduleBtn').style.display = 'block';
+
+        clearRecipientPreview();
+        updateSendWhen();
         updateSendTotal();
-        
-        showMessage('Transaction sent successfully!', 'success');
-        
-        // Navigate to transactions
-        setTimeout(() => navigateToPage('transactions'), 1500);
-        
+        document.getElementById('sendForm').scrollIntoView({ behavior: 'smooth' });
     } catch (error) {
-        console.error('Send error:', error);
-        showMessage('Transaction failed. Please try again.', 'error');
+        console.error('Error loading schedule:', error);
+        showMessage(`Could not load the schedule: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Leave schedule editing and clear the Send form
+ */
+function stopEditingSchedule() {
+    scheduleEdit.id = null;
+    document.getElementById('sendForm').reset();
+    document.getElementById('stopEditingScheduleBtn').style.display = 'none';
+    clearRecipientPreview();
+    setRecipientHint('');
+    updateSendWhen();
+    updateSendTotal();
+}
+
+/**
+ * Render the Receive page QR code for a payment link to this wallet
+ * details: { amount (minor units), currency, memo, expiresInMinutes }, all optional
+ */
+async function updateReceiveQr(details = {}) {
+    const response = await apiFetch('/receive/qr', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(details)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Server error: ${response.status}`);
+    }
+
+    receiveUri = data.uri;
+    // The SVG is generated by the server from the link alone
+    document.getElementById('qrCode').innerHTML = data.svg;
+    document.getElementById('receiveUri').textContent = data.uri;
+}
+
+/**
+ * Handle the Receive page form: QR code asking for an amount, memo, expiry
+ */
+async function handleReceiveRequest(e) {
+    e.preventDefault();
+    const currency = document.getElementById('receiveCurrency').value;
+    const amountText = document.getElementById('receiveAmount').value.trim();
+    const details = {
+        currency,
+        memo: document.getElementById('receiveMemo').value.trim() || undefined,
+        expiresInMinutes: document.getElementById('receiveExpiry').value || undefined,
+    };
+
+    if (amountText) {
+        const { amount, error } = parseDecimalAmount(amountText, currency);
+        if (error) {
+            showMessage(error, 'error');
+            return;
+        }
+        details.amount = amount;
+    }
+
+    try {
+        await updateReceiveQr(details);
+        showMessage('QR code updated', 'success');
+    } catch (error) {
+        console.error('Receive QR error:', error);
+        showMessage(`Could not create QR code: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Load the payment requests to pay and the ones sent
+ */
+async function loadPaymentRequests() {
+    try {
+        const response = await apiFetch('/payment-requests');
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        const data = await response.json();
+        renderPaymentRequests(document.getElementById('incomingRequestsList'), data.incoming, 'incoming');
+        renderPaymentRequests(document.getElementById('outgoingRequestsList'), data.outgoing, 'outgoing');
+    } catch (error) {
+        console.error('Error loading payment requests:', error);
+        showMessage('Could not load payment requests', 'error');
+    }
+}
+
+/**
+ * Render one list of payment requests; pending ones get their actions
+ * (Pay/Decline for incoming, Cancel for outgoing)
+ */
+function renderPaymentRequests(list, requests, direction) {
+    if (requests.length === 0) {
+        list.innerHTML = `
+            <div class="empty-state">
+                <p>${direction === 'incoming' ? 'Nobody has asked you for money' : 'You have not requested money yet'}</p>
+            </div>
+        `;
+        return;
+    }
+
+    list.innerHTML = requests.map(request => {
+        const other = direction === 'incoming' ? `From ${request.requester}` : `To ${request.payer}`;
+        const actions = request.status !== 'pending' ? '' : direction === 'incoming'
+            ? `<button class="btn-copy" data-request-action="pay" data-request-id="${request.id}">Pay</button>
+               <button class="btn-revoke" data-request-action="decline" data-request-id="${request.id}">Decline</button>`
+            : `<button class="btn-revoke" data-request-action="cancel" data-request-id="${request.id}">Cancel</button>`;
+        const expiry = request.status === 'pending' && request.expiresAt
+            ? ` &middot; Expires ${new Date(request.expiresAt).toLocaleString()}`
+            : '';
+        const transaction = request.transactionId
+            ? `<div class="transaction-date">Transaction ${escapeHtml(request.transactionId)}</div>`
+            : '';
+        return `
+            <div class="transaction-item">
+                <div class="transaction-info">
+                    <div class="transaction-icon ${direction === 'incoming' ? 'send' : 'receive'}">
+                        ${direction === 'incoming' ? '📤' : '📥'}
+                    </div>
+                    <div class="transaction-details">
+                        <div class="transaction-type">${escapeHtml(other)}${request.memo ? ` &middot; ${escapeHtml(request.memo)}` : ''}</div>
+                        <div class="transaction-date">${new Date(request.createdAt).toLocaleString()}${expiry}</div>
+                        ${transaction}
+                    </div>
+                </div>
+                <div class="transaction-amount">
+                    <div class="transaction-amount-value">${formatCurrency(request.amount, request.currency)}</div>
+                    <div class="transaction-status">${escapeHtml(request.status)}</div>
+                </div>
+                ${actions ? `<div class="item-actions">${actions}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Handle the Requests page form: ask another user for an amount
+ */
+async function handleCreatePaymentRequest(e) {
+    e.preventDefault();
+    const payer = document.getElementById('requestPayer').value.trim();
+    const currency = document.getElementById('requestCurrency').value;
+    const { amount, error: amountError } = parseDecimalAmount(document.getElementById('requestAmount').value, currency);
+    const requestBtn = document.getElementById('paymentRequestBtn');
+
+    if (!payer) {
+        showMessage('Please enter who to request money from', 'error');
+        return;
+    }
+
+    if (amountError) {
+        showMessage(amountError, 'error');
+        return;
+    }
+
+    try {
+        requestBtn.disabled = true;
+        const response = await apiFetch('/payment-requests', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                payer,
+                amount,
+                currency,
+                memo: document.getElementById('requestMemo').value.trim() || undefined,
+                expiresInMinutes: document.getElementById('requestExpiry').value || undefined,
+            }),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+
+        e.target.reset();
+        document.getElementById('requestCurrency').value = currency;
+        showMessage(`Requested ${formatCurrency(data.request.amount, data.request.currency)} from ${data.request.payer}`, 'success');
+        await loadPaymentRequests();
+    } catch (error) {
+        console.error('Payment request error:', error);
+        showMessage(`Could not send request: ${error.message}`, 'error');
     } finally {
-        sendBtn.disabled = false;
-        sendBtn.classList.remove('loading');
+        requestBtn.disabled = false;
     }
 }
 
 /**
- * Save wallet data to backend
+ * Pay a request addressed to this user with a fingerprint confirmation
+ * The challenge is bound to the request and the transfer it makes
  */
-async function saveWalletData() {
+async function payPaymentRequest(id, payBtn) {
     try {
-        await fetch(`${API_BASE}/wallet/${currentUser}`, {
-            method: 'PUT',
+        payBtn.disabled = true;
+
+        const authorizeResponse = await apiFetch(`/payment-requests/${id}/authorize`, { method: 'POST' });
+        const options = await authorizeResponse.json().catch(() => ({}));
+        if (!authorizeResponse.ok) {
+            throw new Error(options.error || `Server error: ${authorizeResponse.status}`);
+        }
+
+        const { ceremonyId, request, ...publicKey } = options;
+        const assertion = await confirmWithFingerprint(publicKey);
+
+        const response = await apiFetch(`/payment-requests/${id}/approve`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': crypto.randomUUID(),
+            },
+            body: JSON.stringify({ ceremonyId, assertion: assertionToJSON(assertion) }),
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || 'Payment failed');
+        }
+
+        showMessage(`Paid ${formatCurrency(request.amount, request.currency)} to ${request.requester}`, 'success');
+        await initializeWallet(currentUser);
+    } catch (error) {
+        console.error('Pay request error:', error);
+        const reason = error.name === 'NotAllowedError'
+            ? 'Fingerprint confirmation was cancelled'
+            : error.message;
+        showMessage(`Payment failed: ${reason}`, 'error');
+    } finally {
+        payBtn.disabled = false;
+        await loadPaymentRequests();
+    }
+}
+
+/**
+ * Decline (as payer) or cancel (as requester) a pending request
+ */
+async function closePaymentRequest(id, action) {
+    if (!confirm(action === 'decline' ? 'Decline this payment request?' : 'Cancel this payment request?')) return;
+
+    try {
+        const response = await apiFetch(`/payment-requests/${id}/${action}`, { method: 'POST' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+        showMessage(data.message, 'success');
+    } catch (error) {
+        console.error('Close request error:', error);
+        showMessage(error.message, 'error');
+    } finally {
+        await loadPaymentRequests();
+    }
+}
+
+/**
+ * Read a payment QR code from an image and load it into the Send form
+ */
+async function scanPaymentQrImage(file) {
+    try {
+        const bitmap = await createImageBitmap(file);
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+        const image = context.getImageData(0, 0, canvas.width, canvas.height);
+
+        const code = jsQR(image.data, image.width, image.height);
+        if (!code) {
+            throw new Error('No QR code found in the image');
+        }
+        document.getElementById('paymentUri').value = code.data;
+        await loadPaymentUri(code.data);
+    } catch (error) {
+        console.error('QR scan error:', error);
+        showMessage(`Could not read QR code: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Decode a payment link on the server and pre-fill the Send form with it
+ */
+async function loadPaymentUri(uri) {
+    try {
+        const response = await apiFetch('/payment-uri/decode', {
+            method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(walletData)
+            body: JSON.stringify({ uri: uri.trim() })
         });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+
+        const sendCurrency = document.getElementById('sendCurrency');
+        if (![...sendCurrency.options].some(option => option.value === data.currency)) {
+            sendCurrency.add(new Option(data.currency, data.currency));
+        }
+        sendCurrency.value = data.currency;
+        document.getElementById('recipientAddress').value = data.address;
+        if (data.amount != null) {
+            const digits = minorUnitsOf(data.currency);
+            document.getElementById('sendAmount').value = (data.amount / 10 ** digits).toFixed(digits);
+        }
+        if (data.memo) {
+            document.getElementById('sendNote').value = data.memo;
+        }
+        loadedPaymentRequest.expiresAt = data.expiresAt;
+
+        clearRecipientPreview();
+        scheduleAddressCheck();
+        updateSendTotal();
+        showMessage(data.expiresAt
+            ? `Payment request loaded (expires ${new Date(data.expiresAt).toLocaleString()})`
+            : 'Payment request loaded', 'success');
+    } catch (error) {
+        console.error('Payment link error:', error);
+        showMessage(`Invalid payment link: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Handle the convert form
+ * The first submit fetches a quote; submitting again while the quote is
+ * valid executes it at exactly the quoted amounts
+ */
+async function handleConvert(e) {
+    e.preventDefault();
+    const convertBtn = document.getElementById('convertBtn');
+
+    try {
+        convertBtn.disabled = true;
+        convertBtn.classList.add('loading');
+
+        if (conversion.quote) {
+            await executeConversion(conversion.quote);
+        } else {
+            await requestConversionQuote();
+        }
     } catch (error) {
-        console.error('Error saving wallet:', error);
+        console.error('Conversion error:', error);
+        clearConversionQuote();
+        showMessage(`Conversion failed: ${error.message}`, 'error');
+    } finally {
+        convertBtn.disabled = false;
+        convertBtn.classList.remove('loading');
+    }
+}
+
+/**
+ * Ask the server to price the conversion entered in the form
+ */
+async function requestConversionQuote() {
+    const from = document.getElementById('convertFrom').value;
+    const to = document.getElementById('convertTo').value;
+    const { amount, error: amountError } = parseDecimalAmount(document.getElementById('convertAmount').value, from);
+
+    if (amountError) {
+        throw new Error(amountError);
+    }
+    if (from === to) {
+        throw new Error('Choose two different currencies');
+    }
+    if (amount > balanceIn(from)) {
+        throw new Error('Insufficient balance');
+    }
+
+    const response = await apiFetch('/convert/quote', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ from, to, amount })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Server error: ${response.status}`);
+    }
+    showConversionQuote(data);
+}
+
+/**
+ * Show a quote and count down to its expiry
+ */
+function showConversionQuote(quote) {
+    conversion.quote = quote;
+    document.getElementById('convertRate').textContent = `1 ${quote.fromCurrency} = ${quote.rate} ${quote.toCurrency}`;
+    document.getElementById('convertReceive').textContent = formatCurrency(quote.toAmount, quote.toCurrency);
+    document.getElementById('convertQuote').style.display = '';
+    document.getElementById('convertBtnLabel').textContent = `Convert ${formatCurrency(quote.fromAmount, quote.fromCurrency)}`;
+
+    const tick = () => {
+        const seconds = Math.ceil((new Date(quote.expiresAt).getTime() - Date.now()) / 1000);
+        if (seconds <= 0) {
+            clearConversionQuote();
+            showMessage('The quote expired. Please request a new one.', 'error');
+            return;
+        }
+        document.getElementById('convertExpiry').textContent = `in ${seconds}s`;
+    };
+    clearInterval(conversion.timer);
+    conversion.timer = setInterval(tick, 1000);
+    tick();
+}
+
+/**
+ * Drop the current quote (the form changed or the quote expired)
+ */
+function clearConversionQuote() {
+    clearInterval(conversion.timer);
+    conversion.quote = null;
+    document.getElementById('convertQuote').style.display = 'none';
+    document.getElementById('convertBtnLabel').textContent = 'Get Quote';
+}
+
+/**
+ * Execute a quote and reload balances from the server
+ */
+async function executeConversion(quote) {
+    const response = await apiFetch('/convert', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ quoteId: quote.quoteId })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+        throw new Error(data.error || `Server error: ${response.status}`);
     }
+
+    clearConversionQuote();
+    document.getElementById('convertForm').reset();
+    await initializeWallet(currentUser);
+    showMessage(
+        `Converted ${formatCurrency(data.fromAmount, data.fromCurrency)} to ${formatCurrency(data.toAmount, data.toCurrency)}`,
+        'success'
+    );
 }
 
 /**
@@ -848,6 +3008,79 @@ async function copyToClipboard(text) {
     }
 }
 
+/**
+ * Convert base64url string to ArrayBuffer
+ * Base64url uses - and _ instead of + and /, and no padding
+ */
+function base64urlToArrayBuffer(base64url) {
+    // Convert base64url to base64
+    let base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+    // Add padding if needed
+    while (base64.length % 4) {
+        base64 += '=';
+    }
+    // Decode base64 to binary string, then to Uint8Array
+    const binaryString = atob(base64);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+/**
+ * Convert registration options from the backend (base64url strings)
+ * into the ArrayBuffer form navigator.credentials.create() expects
+ */
+function toCreationOptions(data) {
+    return {
+        ...data,
+        challenge: base64urlToArrayBuffer(data.challenge),
+        user: {
+            ...data.user,
+            id: base64urlToArrayBuffer(data.user.id),
+        },
+        excludeCredentials: (data.excludeCredentials || []).map(cred => ({
+            ...cred,
+            id: base64urlToArrayBuffer(cred.id),
+        })),
+    };
+}
+
+/**
+ * Convert a newly created credential to JSON for the backend
+ * Transports let the server hint how to reach this authenticator at login
+ */
+function attestationToJSON(credential) {
+    return {
+        id: credential.id,
+        rawId: arrayBufferToBase64url(credential.rawId),
+        response: {
+            clientDataJSON: arrayBufferToBase64url(credential.response.clientDataJSON),
+            attestationObject: arrayBufferToBase64url(credential.response.attestationObject),
+            transports: credential.response.getTransports ? credential.response.getTransports() : [],
+        },
+        type: credential.type,
+    };
+}
+
+/**
+ * Convert an assertion from navigator.credentials.get() to JSON for the backend
+ */
+function assertionToJSON(assertion) {
+    return {
+        id: assertion.id,
+        rawId: arrayBufferToBase64url(assertion.rawId),
+        response: {
+            clientDataJSON: arrayBufferToBase64url(assertion.response.clientDataJSON),
+            authenticatorData: arrayBufferToBase64url(assertion.response.authenticatorData),
+            signature: arrayBufferToBase64url(assertion.response.signature),
+            userHandle: assertion.response.userHandle ? arrayBufferToBase64url(assertion.response.userHandle) : null,
+        },
+        type: assertion.type,
+    };
+}
+
 /**
  * Convert ArrayBuffer to base64url string
  * Base64url is URL-safe base64 encoding (used by WebAuthn)
@@ -864,6 +3097,15 @@ function arrayBufferToBase64url(buffer) {
         .replace(/=/g, '');
 }
 
+/**
+ * Escape user-supplied text before inserting it into HTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
 /**
  * Show message to user
  */